@@ -23,6 +23,26 @@ public partial class ModelPropertiesPanel
     [Parameter]
     public EventCallback<ModelPropertyInfo> OnPropertySelected { get; set; }
 
+    /// <summary>
+    /// Gets or sets the path of the property to reveal and highlight
+    /// (e.g., "Customer.Address.City"). Nested paths highlight their top-level property.
+    /// Set when the user Ctrl+clicks a @Model expression in the code editor.
+    /// </summary>
+    [Parameter]
+    public string? HighlightedPath { get; set; }
+
+    /// <summary>
+    /// Element references of the rendered property items, keyed by property name.
+    /// Used to scroll the highlighted property into view.
+    /// </summary>
+    private readonly Dictionary<string, ElementReference> propertyElements = new();
+
+    /// <summary>
+    /// The highlighted path that was last revealed.
+    /// Used to scroll into view only when the highlighted path changes.
+    /// </summary>
+    private string? revealedPath;
+
     /// <summary>
     /// Stores the current search term entered by the user.
     /// Used to filter the properties list in real-time.
@@ -54,6 +74,65 @@ public partial class ModelPropertiesPanel
         }
     }
 
+    /// <summary>
+    /// Gets the name of the top-level property of the highlighted path.
+    /// Example: "Customer.Address.City" and "Orders[].Total" resolve to "Customer" and "Orders".
+    /// </summary>
+    private string? HighlightedRootName =>
+        string.IsNullOrEmpty(HighlightedPath)
+            ? null
+            : HighlightedPath.Split('.', '[')[0];
+
+    /// <summary>
+    /// Determines whether the property is the highlighted one.
+    /// </summary>
+    /// <param name="property">The property to check</param>
+    /// <returns>True if the property matches the highlighted path</returns>
+    private bool IsHighlighted(ModelPropertyInfo property)
+    {
+        return property.Name == HighlightedRootName;
+    }
+
+    /// <summary>
+    /// Lifecycle method called when component parameters change.
+    /// Clears the search filter if it would hide the newly highlighted property.
+    /// </summary>
+    protected override void OnParametersSet()
+    {
+        if (HighlightedPath != revealedPath
+            && HighlightedRootName != null
+            && !FilteredProperties.Any(IsHighlighted))
+        {
+            searchTerm = string.Empty;
+        }
+    }
+
+    /// <summary>
+    /// Lifecycle method called after the component has rendered.
+    /// Scrolls the newly highlighted property into view by focusing it.
+    /// </summary>
+    /// <param name="firstRender">True if this is the first time the component is rendered</param>
+    protected override async Task OnAfterRenderAsync(bool firstRender)
+    {
+        if (HighlightedPath == revealedPath)
+            return;
+
+        revealedPath = HighlightedPath;
+
+        if (HighlightedRootName != null && propertyElements.TryGetValue(HighlightedRootName, out var element))
+        {
+            try
+            {
+                // Focusing the item scrolls it into view without any extra JavaScript
+                await element.FocusAsync();
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error revealing property: {ex.Message}");
+            }
+        }
+    }
+
     /// <summary>
     /// Handles the property click event.
     /// Invokes the OnPropertySelected callback to notify parent component.
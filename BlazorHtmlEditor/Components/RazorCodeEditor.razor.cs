@@ -1,5 +1,6 @@
 using Microsoft.AspNetCore.Components;
 using Microsoft.JSInterop;
+using BlazorHtmlEditor.Models;
 
 namespace BlazorHtmlEditor.Components;
 
@@ -11,6 +12,16 @@ namespace BlazorHtmlEditor.Components;
 /// </summary>
 public partial class RazorCodeEditor : IAsyncDisposable
 {
+    /// <summary>
+    /// Name of the editor's main document (the Razor template bound to <see cref="Code"/>).
+    /// </summary>
+    public const string TemplateDocumentName = "template.cshtml";
+
+    /// <summary>
+    /// Name of the snippet set registered from the <see cref="Snippets"/> parameter.
+    /// </summary>
+    public const string ParameterSnippetSet = "snippets";
+
     /// <summary>
     /// Gets or sets the code content displayed in the editor.
     /// This is a two-way binding parameter.
@@ -25,6 +36,27 @@ public partial class RazorCodeEditor : IAsyncDisposable
     [Parameter]
     public EventCallback<string> OnCodeChanged { get; set; }
 
+    /// <summary>
+    /// Gets or sets the compilation diagnostics to show as editor markers (squiggles).
+    /// Typically produced by IRazorRenderService.RenderWithDiagnosticsAsync.
+    /// </summary>
+    [Parameter]
+    public IReadOnlyList<TemplateDiagnostic>? Diagnostics { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether the editor validates the template as the user types.
+    /// Unknown @Model properties, unbalanced Razor blocks and unclosed HTML tags are shown as squiggles.
+    /// </summary>
+    [Parameter]
+    public bool EnableLiveDiagnostics { get; set; } = true;
+
+    /// <summary>
+    /// Gets or sets the callback invoked when the user Ctrl+clicks a @Model expression.
+    /// Receives the property path (e.g., "Customer.Address.City").
+    /// </summary>
+    [Parameter]
+    public EventCallback<string> OnModelPropertyNavigate { get; set; }
+
     /// <summary>
     /// Gets or sets the unique DOM element ID for this editor instance.
     /// This allows multiple editors on the same page.
@@ -33,6 +65,115 @@ public partial class RazorCodeEditor : IAsyncDisposable
     [Parameter]
     public string EditorId { get; set; } = $"monaco-editor-{Guid.NewGuid():N}";
 
+    /// <summary>
+    /// Gets or sets the metadata of the template's model.
+    /// Used by the editor to offer IntelliSense for @Model members
+    /// (e.g., typing "@Model.Customer." lists the Customer's properties).
+    /// </summary>
+    [Parameter]
+    public TemplateModelMeta? ModelMetadata { get; set; }
+
+    /// <summary>
+    /// Gets or sets additional documents edited in the same editor next to the template
+    /// (e.g., "styles.css" or "sample-data.json"). Each document has its own language and view state.
+    /// Documents are added to the editor once; later edits are reported via OnDocumentChanged.
+    /// </summary>
+    [Parameter]
+    public IReadOnlyList<EditorDocument>? Documents { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name of the document shown in the editor.
+    /// Null (or <see cref="TemplateDocumentName"/>) shows the template.
+    /// </summary>
+    [Parameter]
+    public string? ActiveDocument { get; set; }
+
+    /// <summary>
+    /// Gets or sets the callback invoked when one of the additional documents is edited.
+    /// Receives the document name and its new content. Template edits go to OnCodeChanged.
+    /// </summary>
+    [Parameter]
+    public EventCallback<EditorDocument> OnDocumentChanged { get; set; }
+
+    /// <summary>
+    /// Gets or sets the delay (in milliseconds) after the last edit before the content is sent to .NET.
+    /// Edits made during the delay are batched, so OnCodeChanged is not invoked on every keystroke.
+    /// </summary>
+    [Parameter]
+    public int ContentChangeDelay { get; set; } = 150;
+
+    /// <summary>
+    /// Gets or sets the DOM element ID of a scrollable preview that follows the editor's scroll position.
+    /// The preview scrolls to the element matching the first visible line of the template. Null disables the sync.
+    /// </summary>
+    [Parameter]
+    public string? PreviewElementId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the DOM element ID of a panel that shows the template outline
+    /// (HTML elements and Razor blocks). Clicking a node selects its code. Null disables the outline.
+    /// </summary>
+    [Parameter]
+    public string? OutlineElementId { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether a breadcrumbs bar with the path to the element
+    /// or Razor block under the cursor is shown above the editor.
+    /// </summary>
+    [Parameter]
+    public bool ShowBreadcrumbs { get; set; } = true;
+
+    /// <summary>
+    /// Gets or sets the ID of the undo/redo history shared with other editors of the same template.
+    /// The history outlives the editor, so Ctrl+Z keeps working after the editor is re-created
+    /// (e.g., when switching tabs). Null keeps only the editor's own undo stack.
+    /// </summary>
+    [Parameter]
+    public string? HistoryId { get; set; }
+
+    /// <summary>
+    /// Gets or sets how long (in milliseconds) to wait for Monaco to load before giving up.
+    /// Zero waits indefinitely.
+    /// </summary>
+    [Parameter]
+    public int LoadTimeout { get; set; } = 30000;
+
+    /// <summary>
+    /// Gets or sets the callback invoked when Monaco could not be loaded or the editor could not be created
+    /// (e.g., the Monaco files are not served or loading timed out). Not invoked when the component is
+    /// disposed while loading.
+    /// </summary>
+    [Parameter]
+    public EventCallback<EditorLoadError> OnEditorLoadFailed { get; set; }
+
+    /// <summary>
+    /// Gets or sets the editor theme: one of <see cref="EditorTheme"/>, a theme registered with
+    /// <c>EditorThemes.defineTheme</c>, or a built-in Monaco theme ("vs", "vs-dark", "hc-black").
+    /// Monaco uses one theme per page, so with several editors the last created or focused one wins.
+    /// </summary>
+    [Parameter]
+    public string Theme { get; set; } = EditorTheme.Light;
+
+    /// <summary>
+    /// Gets or sets custom snippets offered by IntelliSense and the snippet picker next to the built-in
+    /// Razor snippets (@if, @foreach, ...). Registered as the <see cref="ParameterSnippetSet"/> set;
+    /// more sets can be added with <see cref="RegisterSnippets"/>.
+    /// </summary>
+    [Parameter]
+    public IReadOnlyList<EditorSnippet>? Snippets { get; set; }
+
+    /// <summary>
+    /// Gets the JavaScript handle of the Monaco editor (MonacoEditorHandle from monaco-editor.js),
+    /// or null until the editor has been created. Gives access to the features not wrapped by this component,
+    /// e.g. <c>await EditorHandle.InvokeAsync&lt;IJSObjectReference&gt;("subscribe", "cursorChanged", dotNetRef, "OnCursorChanged")</c>.
+    /// </summary>
+    public IJSObjectReference? EditorHandle => editor;
+
+    /// <summary>
+    /// DOM element ID of the breadcrumbs bar.
+    /// </summary>
+    private string BreadcrumbsId => $"{EditorId}-breadcrumbs";
+
     /// <summary>
     /// Reference to this component for JavaScript interop callbacks.
     /// Used to receive events from JavaScript (e.g., content changes).
@@ -40,9 +181,15 @@ public partial class RazorCodeEditor : IAsyncDisposable
     private DotNetObjectReference<RazorCodeEditor>? dotNetRef;
 
     /// <summary>
-    /// Flag indicating whether the Monaco editor has been initialized.
+    /// The editor's JavaScript module (monaco-editor.js), imported on first render.
+    /// </summary>
+    private IJSObjectReference? editorModule;
+
+    /// <summary>
+    /// Handle of the created Monaco editor (MonacoEditorHandle).
+    /// All editor calls go through it; null until the editor has been created.
     /// </summary>
-    private bool isInitialized = false;
+    private IJSObjectReference? editor;
 
     /// <summary>
     /// Flag to prevent infinite loops when updating editor content.
@@ -50,6 +197,68 @@ public partial class RazorCodeEditor : IAsyncDisposable
     /// </summary>
     private bool isUpdatingFromParameter = false;
 
+    /// <summary>
+    /// The model metadata last sent to the editor.
+    /// Used to avoid re-sending the same metadata on every parameter update.
+    /// </summary>
+    private TemplateModelMeta? appliedModelMetadata;
+
+    /// <summary>
+    /// The diagnostics last sent to the editor as markers.
+    /// Used to avoid re-sending the same markers on every parameter update.
+    /// </summary>
+    private IReadOnlyList<TemplateDiagnostic>? appliedDiagnostics;
+
+    /// <summary>
+    /// Names of the additional documents already added to the editor.
+    /// </summary>
+    private readonly HashSet<string> addedDocuments = new();
+
+    /// <summary>
+    /// The template text the editor is known to hold: the Code last sent to it or last reported by it.
+    /// Code is pushed to the editor only when it differs from this value, so a parent re-render with
+    /// a Code that has not caught up with batched edits yet does not overwrite newer typing.
+    /// </summary>
+    private string? appliedCode;
+
+    /// <summary>
+    /// Name of the document currently shown in the editor.
+    /// </summary>
+    private string appliedActiveDocument = TemplateDocumentName;
+
+    /// <summary>
+    /// The preview element ID last sent to the editor for scroll sync.
+    /// </summary>
+    private string? appliedPreviewElementId;
+
+    /// <summary>
+    /// The outline element ID and breadcrumbs setting last sent to the editor.
+    /// </summary>
+    private string? appliedOutlineElementId;
+    private bool appliedShowBreadcrumbs;
+
+    /// <summary>
+    /// The theme last sent to the editor.
+    /// </summary>
+    private string? appliedTheme;
+
+    /// <summary>
+    /// Snippet sets registered for the editor, keyed by set name.
+    /// Kept so that sets registered before the editor was created are sent once it is ready.
+    /// </summary>
+    private readonly Dictionary<string, IReadOnlyList<EditorSnippet>> snippetSets = new();
+
+    /// <summary>
+    /// The Snippets parameter last registered.
+    /// </summary>
+    private IReadOnlyList<EditorSnippet>? appliedSnippets;
+
+    /// <summary>
+    /// Source range requested before the editor was initialized (e.g. a preview click that switched tabs).
+    /// Revealed as soon as the editor is ready.
+    /// </summary>
+    private TemplateSourceRange? pendingSourceRange;
+
     /// <summary>
     /// Lifecycle method called after the component has rendered.
     /// On first render, initializes the Monaco Editor with configuration options.
@@ -64,13 +273,21 @@ public partial class RazorCodeEditor : IAsyncDisposable
                 // Create a reference to this component for JavaScript callbacks
                 dotNetRef = DotNetObjectReference.Create(this);
 
+                editorModule = await JSRuntime.InvokeAsync<IJSObjectReference>(
+                    "import", "./_content/BlazorHtmlEditor/js/monaco-editor.js");
+
                 // Initialize Monaco editor with configuration
                 // Monaco is the editor engine that powers VS Code
-                await JSRuntime.InvokeVoidAsync("MonacoEditorInterop.createEditor", EditorId, new
+                appliedCode = Code;
+                editor = await editorModule.InvokeAsync<IJSObjectReference>("createEditor", EditorId, new
                 {
                     value = Code,                       // Initial code content
+                    modelName = TemplateDocumentName,   // Name of the template's Monaco model
+                    contentChangeDelay = ContentChangeDelay, // Batch edits before sending them to .NET
+                    historyId = HistoryId,              // Shared undo/redo history of the template
+                    loadTimeout = LoadTimeout,          // How long to wait for Monaco to load
                     language = "html",                  // Language mode (HTML for Razor templates)
-                    theme = "vs",                       // Visual Studio light theme
+                    theme = Theme,                      // Razor-aware theme (editor-themes.js), "auto" follows the OS
                     fontSize = 14,                      // Font size in pixels
                     lineNumbers = "on",                 // Show line numbers
                     renderWhitespace = "selection",     // Show whitespace when text is selected
@@ -85,8 +302,49 @@ public partial class RazorCodeEditor : IAsyncDisposable
                     automaticLayout = true              // Automatically adjust layout on resize
                 }, dotNetRef);
 
-                isInitialized = true;
                 Console.WriteLine("Monaco Editor initialized successfully");
+                appliedTheme = Theme;
+
+                // Provide model metadata for @Model IntelliSense
+                await ApplyModelMetadata();
+
+                // Show compilation diagnostics that arrived before the editor was ready
+                await ApplyDiagnostics();
+
+                // Add the additional documents (styles, sample data, ...) as separate models
+                await ApplyDocuments();
+
+                // Let the preview (if any) follow the editor's scroll position
+                await ApplyPreviewScrollSync();
+
+                // Build the outline panel and breadcrumbs from the template
+                await ApplyOutline();
+
+                // Register the snippet sets registered before the editor was ready, then the Snippets parameter
+                foreach (var (setName, snippets) in snippetSets)
+                {
+                    await SendSnippets(setName, snippets);
+                }
+                await ApplySnippets();
+
+                // Select the source of a preview element clicked while the editor was not shown
+                if (pendingSourceRange != null)
+                {
+                    var range = pendingSourceRange;
+                    pendingSourceRange = null;
+                    await RevealSourceRange(range);
+                }
+
+                // Turn live diagnostics on or off (enabled by default on the JavaScript side)
+                if (!EnableLiveDiagnostics)
+                {
+                    await editor.InvokeVoidAsync("setLiveDiagnostics", false);
+                }
+            }
+            catch (JSException) when (editor == null)
+            {
+                // Monaco failed to load or the editor could not be created;
+                // the reason has been reported via OnEditorLoadFailed
             }
             catch (Exception ex)
             {
@@ -102,19 +360,19 @@ public partial class RazorCodeEditor : IAsyncDisposable
     protected override async Task OnParametersSetAsync()
     {
         // Only update if editor is initialized and we're not already updating
-        if (isInitialized && !isUpdatingFromParameter)
+        if (editor != null && !isUpdatingFromParameter)
         {
             try
             {
-                // Get current editor value from JavaScript
-                var currentValue = await JSRuntime.InvokeAsync<string>("MonacoEditorInterop.getValue", EditorId);
-
-                // Only update if the new value is different
-                if (currentValue != Code)
+                // Only update if the Code parameter itself changed - comparing with the editor's current
+                // text would undo edits that are still waiting for the batched content change
+                if (Code != appliedCode)
                 {
+                    appliedCode = Code;
+
                     // Set flag to prevent triggering OnCodeChanged callback
                     isUpdatingFromParameter = true;
-                    await JSRuntime.InvokeVoidAsync("MonacoEditorInterop.setValue", EditorId, Code);
+                    await editor.InvokeVoidAsync("setValue", Code);
                     isUpdatingFromParameter = false;
                 }
             }
@@ -122,27 +380,263 @@ public partial class RazorCodeEditor : IAsyncDisposable
             {
                 Console.WriteLine($"Error updating editor value: {ex.Message}");
             }
+
+            await ApplyModelMetadata();
+            await ApplyDiagnostics();
+            await ApplyDocuments();
+            await ApplyPreviewScrollSync();
+            await ApplyOutline();
+            await ApplyTheme();
+            await ApplySnippets();
+        }
+    }
+
+    /// <summary>
+    /// Sends the model metadata to the editor if it has changed since the last call.
+    /// </summary>
+    private async Task ApplyModelMetadata()
+    {
+        if (editor == null || ReferenceEquals(appliedModelMetadata, ModelMetadata))
+            return;
+
+        try
+        {
+            await editor.InvokeVoidAsync("setModelMetadata", ModelMetadata);
+            appliedModelMetadata = ModelMetadata;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting model metadata: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Sends the compilation diagnostics to the editor if they have changed since the last call.
+    /// </summary>
+    private async Task ApplyDiagnostics()
+    {
+        if (ReferenceEquals(appliedDiagnostics, Diagnostics))
+            return;
+
+        await SetMarkers(Diagnostics ?? Array.Empty<TemplateDiagnostic>());
+        appliedDiagnostics = Diagnostics;
+    }
+
+    /// <summary>
+    /// Adds documents that are not in the editor yet and shows the active document.
+    /// </summary>
+    private async Task ApplyDocuments()
+    {
+        if (editor == null)
+            return;
+
+        foreach (var document in Documents ?? Array.Empty<EditorDocument>())
+        {
+            if (addedDocuments.Contains(document.Name))
+                continue;
+
+            try
+            {
+                await editor.InvokeVoidAsync("addModel", document.Name, document.Content, document.Language);
+                addedDocuments.Add(document.Name);
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error adding document {document.Name}: {ex.Message}");
+            }
+        }
+
+        var activeDocument = ActiveDocument ?? TemplateDocumentName;
+        if (activeDocument != appliedActiveDocument)
+        {
+            await SwitchDocument(activeDocument);
+        }
+    }
+
+    /// <summary>
+    /// Sends the theme to the editor if it has changed since the last call.
+    /// </summary>
+    private async Task ApplyTheme()
+    {
+        if (editor == null || appliedTheme == Theme)
+            return;
+
+        try
+        {
+            await editor.InvokeVoidAsync("setTheme", Theme);
+            appliedTheme = Theme;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting editor theme: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Registers the Snippets parameter as the <see cref="ParameterSnippetSet"/> set if it has changed since the last call.
+    /// </summary>
+    private async Task ApplySnippets()
+    {
+        if (ReferenceEquals(appliedSnippets, Snippets))
+            return;
+
+        appliedSnippets = Snippets;
+        if (Snippets != null)
+        {
+            await RegisterSnippets(ParameterSnippetSet, Snippets);
+        }
+        else
+        {
+            await UnregisterSnippets(ParameterSnippetSet);
+        }
+    }
+
+    /// <summary>
+    /// Turns the preview scroll sync on or off if the preview element has changed since the last call.
+    /// </summary>
+    private async Task ApplyPreviewScrollSync()
+    {
+        if (editor == null || appliedPreviewElementId == PreviewElementId)
+            return;
+
+        try
+        {
+            await editor.InvokeVoidAsync("setScrollSyncTarget", PreviewElementId);
+            appliedPreviewElementId = PreviewElementId;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting preview scroll sync: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Connects the outline panel and breadcrumbs bar if they have changed since the last call.
+    /// </summary>
+    private async Task ApplyOutline()
+    {
+        if (editor == null || (appliedOutlineElementId == OutlineElementId && appliedShowBreadcrumbs == ShowBreadcrumbs))
+            return;
+
+        try
+        {
+            await editor.InvokeVoidAsync(
+                "setOutlineTargets",
+                OutlineElementId,
+                ShowBreadcrumbs ? BreadcrumbsId : null);
+
+            appliedOutlineElementId = OutlineElementId;
+            appliedShowBreadcrumbs = ShowBreadcrumbs;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error setting outline targets: {ex.Message}");
         }
     }
 
     /// <summary>
     /// Callback method invoked from JavaScript when editor content changes.
-    /// This method is called by the Monaco editor's onChange event handler.
+    /// This method is called by the Monaco editor's onChange event handler,
+    /// at most once per ContentChangeDelay (edits in between are batched).
     /// The [JSInvokable] attribute allows JavaScript code to call this .NET method.
     /// </summary>
     /// <param name="newValue">The new content from the editor</param>
     [JSInvokable]
     public async Task OnEditorContentChanged(string newValue)
     {
+        appliedCode = newValue;
+
         // Only trigger callback if not updating from parameter
         // This prevents infinite loops when updating editor programmatically
-        if (!isUpdatingFromParameter)
+        // Batched events arrive after the update has finished, so also skip values we already have
+        if (!isUpdatingFromParameter && newValue != Code)
         {
             Code = newValue;
             await OnCodeChanged.InvokeAsync(newValue);
         }
     }
 
+    /// <summary>
+    /// Callback method invoked from JavaScript when the user Ctrl+clicks a @Model expression.
+    /// </summary>
+    /// <param name="propertyPath">Path of the clicked property (e.g., "Customer.Address.City")</param>
+    [JSInvokable("OnModelPropertyNavigate")]
+    public async Task HandleModelPropertyNavigate(string propertyPath)
+    {
+        await OnModelPropertyNavigate.InvokeAsync(propertyPath);
+    }
+
+    /// <summary>
+    /// Callback method invoked from JavaScript when Monaco could not be loaded or the editor could not be created.
+    /// </summary>
+    /// <param name="error">Description of the failure</param>
+    [JSInvokable("OnEditorLoadFailed")]
+    public async Task HandleEditorLoadFailed(EditorLoadError error)
+    {
+        Console.WriteLine($"Error loading Monaco editor ({error.Code}): {error.Message}");
+        await OnEditorLoadFailed.InvokeAsync(error);
+    }
+
+    /// <summary>
+    /// Callback method invoked from JavaScript when one of the additional documents changes.
+    /// </summary>
+    /// <param name="name">Name of the changed document</param>
+    /// <param name="newValue">The new content of the document</param>
+    [JSInvokable]
+    public async Task OnModelContentChanged(string name, string newValue)
+    {
+        await OnDocumentChanged.InvokeAsync(new EditorDocument(name, newValue));
+    }
+
+    /// <summary>
+    /// Shows another document in the editor.
+    /// The cursor, selection and scroll position of each document are preserved.
+    /// </summary>
+    /// <param name="name">Document name, or <see cref="TemplateDocumentName"/> for the template</param>
+    public async Task SwitchDocument(string name)
+    {
+        if (editor != null)
+        {
+            try
+            {
+                await editor.InvokeVoidAsync("switchModel", name);
+                appliedActiveDocument = name;
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error switching document: {ex.Message}");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Gets the current content of all documents, including the template.
+    /// </summary>
+    /// <returns>Document contents keyed by document name</returns>
+    public async Task<IReadOnlyDictionary<string, string>> GetDocumentValues()
+    {
+        if (editor != null)
+        {
+            try
+            {
+                return await editor.InvokeAsync<Dictionary<string, string>>("getAllValues");
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error getting document values: {ex.Message}");
+            }
+        }
+
+        // Fall back to the parameters when the editor is not available
+        var values = new Dictionary<string, string> { [TemplateDocumentName] = Code };
+        foreach (var document in Documents ?? Array.Empty<EditorDocument>())
+        {
+            values[document.Name] = document.Content;
+        }
+
+        return values;
+    }
+
     /// <summary>
     /// Inserts text at the current cursor position in the editor.
     /// Used when user clicks on a model property to insert it into the template.
@@ -150,11 +644,11 @@ public partial class RazorCodeEditor : IAsyncDisposable
     /// <param name="text">The text to insert (typically a Razor expression like "@Model.PropertyName")</param>
     public async Task InsertTextAtCursor(string text)
     {
-        if (isInitialized)
+        if (editor != null)
         {
             try
             {
-                await JSRuntime.InvokeVoidAsync("MonacoEditorInterop.insertText", EditorId, text);
+                await editor.InvokeVoidAsync("insertText", text);
             }
             catch (Exception ex)
             {
@@ -163,17 +657,230 @@ public partial class RazorCodeEditor : IAsyncDisposable
         }
     }
 
+    /// <summary>
+    /// Registers a set of snippets for this editor, replacing a set with the same name.
+    /// The snippets are offered by IntelliSense and returned by <see cref="GetSnippets"/>.
+    /// Can be called before the editor is ready; the set is registered once it is created.
+    /// </summary>
+    /// <param name="setName">Name of the set (e.g., "invoices"); "razor" is reserved for the built-in snippets</param>
+    /// <param name="snippets">Snippets of the set</param>
+    public async Task RegisterSnippets(string setName, IEnumerable<EditorSnippet> snippets)
+    {
+        var list = snippets.ToList();
+        snippetSets[setName] = list;
+        await SendSnippets(setName, list);
+    }
+
+    /// <summary>
+    /// Removes a set of snippets from this editor.
+    /// </summary>
+    /// <param name="setName">Name of the set</param>
+    public async Task UnregisterSnippets(string setName)
+    {
+        if (!snippetSets.Remove(setName) || editor == null)
+            return;
+
+        try
+        {
+            await editor.InvokeVoidAsync("unregisterSnippets", setName);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error unregistering snippets {setName}: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Gets all snippets of the editor: the built-in Razor snippets followed by the registered sets.
+    /// </summary>
+    /// <returns>Snippets with their set names; empty until the editor has been created</returns>
+    public async Task<IReadOnlyList<EditorSnippet>> GetSnippets()
+    {
+        if (editor != null)
+        {
+            try
+            {
+                return await editor.InvokeAsync<List<EditorSnippet>>("getSnippets");
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error getting snippets: {ex.Message}");
+            }
+        }
+
+        return Array.Empty<EditorSnippet>();
+    }
+
+    /// <summary>
+    /// Inserts a snippet at the current cursor position; its placeholders are then filled in with Tab.
+    /// </summary>
+    /// <param name="snippet">The snippet to insert (e.g., one returned by <see cref="GetSnippets"/>)</param>
+    public async Task InsertSnippet(EditorSnippet snippet)
+    {
+        if (editor != null)
+        {
+            try
+            {
+                await editor.InvokeAsync<bool>("insertSnippet", new { body = snippet.Body });
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error inserting snippet {snippet.Prefix}: {ex.Message}");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Sends a snippet set to the editor (if it has been created).
+    /// </summary>
+    private async Task SendSnippets(string setName, IReadOnlyList<EditorSnippet> snippets)
+    {
+        if (editor == null)
+            return;
+
+        try
+        {
+            await editor.InvokeVoidAsync("registerSnippets", setName,
+                snippets.Select(s => new { prefix = s.Prefix, body = s.Body, description = s.Description }));
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error registering snippets {setName}: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Shows diagnostics as markers (squiggles) in the editor.
+    /// Replaces any markers previously set by this method; live diagnostics are not affected.
+    /// </summary>
+    /// <param name="diagnostics">Diagnostics to show; diagnostics without a position (line 0) are skipped</param>
+    public async Task SetMarkers(IEnumerable<TemplateDiagnostic> diagnostics)
+    {
+        if (editor != null)
+        {
+            try
+            {
+                await editor.InvokeVoidAsync("setMarkers", diagnostics, "razor-compile");
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error setting markers: {ex.Message}");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Moves the cursor to the given position, scrolls it into view and focuses the editor.
+    /// </summary>
+    /// <param name="lineNumber">Line number (1-based)</param>
+    /// <param name="column">Column number (1-based)</param>
+    public async Task SetCursorPosition(int lineNumber, int column)
+    {
+        if (editor != null)
+        {
+            try
+            {
+                await editor.InvokeVoidAsync("setCursorPosition", lineNumber, column);
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error setting cursor position: {ex.Message}");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Selects a range of the template, scrolls it to the center and focuses the editor.
+    /// Switches to the template document if another document is shown.
+    /// If the editor is not initialized yet, the range is revealed once it is.
+    /// </summary>
+    /// <param name="range">Character range in the template (e.g. an element clicked in the preview)</param>
+    public async Task RevealSourceRange(TemplateSourceRange range)
+    {
+        if (editor == null)
+        {
+            pendingSourceRange = range;
+            return;
+        }
+
+        try
+        {
+            appliedActiveDocument = TemplateDocumentName;
+            await editor.InvokeVoidAsync("revealSourceRange", range.Start, range.End);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error revealing source range: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Undoes the last change, same as Ctrl+Z in the editor.
+    /// Once the editor's own undo stack is exhausted, steps back through the shared history (see <see cref="HistoryId"/>).
+    /// </summary>
+    public async Task Undo()
+    {
+        if (editor != null)
+        {
+            try
+            {
+                await editor.InvokeVoidAsync("undo");
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error undoing: {ex.Message}");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Redoes the last undone change, same as Ctrl+Y in the editor.
+    /// </summary>
+    public async Task Redo()
+    {
+        if (editor != null)
+        {
+            try
+            {
+                await editor.InvokeVoidAsync("redo");
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error redoing: {ex.Message}");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Formats the whole template (re-indents HTML nesting and Razor blocks).
+    /// Runs Monaco's Format Document action, so the change can be undone with Ctrl+Z.
+    /// </summary>
+    public async Task FormatDocument()
+    {
+        if (editor != null)
+        {
+            try
+            {
+                await editor.InvokeVoidAsync("formatDocument");
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Error formatting document: {ex.Message}");
+            }
+        }
+    }
+
     /// <summary>
     /// Sets keyboard focus to the editor.
     /// Useful after inserting text to allow immediate continued editing.
     /// </summary>
     public async Task FocusEditor()
     {
-        if (isInitialized)
+        if (editor != null)
         {
             try
             {
-                await JSRuntime.InvokeVoidAsync("MonacoEditorInterop.focus", EditorId);
+                await editor.InvokeVoidAsync("focus");
             }
             catch (Exception ex)
             {
@@ -183,17 +890,18 @@ public partial class RazorCodeEditor : IAsyncDisposable
     }
 
     /// <summary>
-    /// Gets the current content from the editor.
+    /// Gets the current template content from the editor.
     /// This method retrieves the latest content directly from the Monaco editor instance.
+    /// Always returns the template, even when another document is shown.
     /// </summary>
     /// <returns>The current editor content, or the Code parameter if editor is not initialized</returns>
     public async Task<string> GetValue()
     {
-        if (isInitialized)
+        if (editor != null)
         {
             try
             {
-                var value = await JSRuntime.InvokeAsync<string>("MonacoEditorInterop.getValue", EditorId);
+                var value = await editor.InvokeAsync<string>("getValue");
                 return value ?? Code; // Fallback to parameter if JS returns null
             }
             catch (Exception ex)
@@ -213,13 +921,14 @@ public partial class RazorCodeEditor : IAsyncDisposable
     /// <param name="value">The new content to set in the editor</param>
     public async Task SetValue(string value)
     {
-        if (isInitialized)
+        if (editor != null)
         {
             try
             {
                 // Set flag to prevent triggering OnCodeChanged callback
                 isUpdatingFromParameter = true;
-                await JSRuntime.InvokeVoidAsync("MonacoEditorInterop.setValue", EditorId, value);
+                appliedCode = value;
+                await editor.InvokeVoidAsync("setValue", value);
                 isUpdatingFromParameter = false;
             }
             catch (Exception ex)
@@ -236,12 +945,18 @@ public partial class RazorCodeEditor : IAsyncDisposable
     /// </summary>
     public async ValueTask DisposeAsync()
     {
-        // Dispose Monaco editor instance
-        if (isInitialized)
+        // Dispose Monaco editor instance, or cancel loading if the editor is not created yet
+        if (editorModule != null)
         {
             try
             {
-                await JSRuntime.InvokeVoidAsync("MonacoEditorInterop.dispose", EditorId);
+                await editorModule.InvokeVoidAsync("disposeEditor", EditorId);
+
+                if (editor != null)
+                {
+                    await editor.DisposeAsync();
+                }
+                await editorModule.DisposeAsync();
             }
             catch (Exception ex)
             {
@@ -1,13 +1,14 @@
 using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
 using BlazorHtmlEditor.Models;
 
 namespace BlazorHtmlEditor.Components;
 
 /// <summary>
-/// Simplified Razor template editor with Code/Preview tabs.
+/// Simplified Razor template editor with Code/Preview tabs and a side-by-side Split view.
 /// No Design mode - just Monaco editor and live preview using RazorLight.
 /// </summary>
-public partial class TemplateEditor<TModel> where TModel : class, new()
+public partial class TemplateEditor<TModel> : IAsyncDisposable where TModel : class, new()
 {
     #region Parameters
 
@@ -29,9 +30,89 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
     [Parameter]
     public bool ShowPropertiesPanel { get; set; } = true;
 
+    /// <summary>
+    /// Whether the Code and Split tabs show an outline of the template (HTML elements and Razor blocks).
+    /// Clicking a node selects its code; the node under the cursor is highlighted.
+    /// </summary>
+    [Parameter]
+    public bool ShowOutline { get; set; } = true;
+
     [Parameter]
     public EditorTab DefaultTab { get; set; } = EditorTab.Code;
 
+    [Parameter]
+    public bool EnableLiveDiagnostics { get; set; } = true;
+
+    [Parameter]
+    public bool EnableCompileDiagnostics { get; set; } = true;
+
+    /// <summary>
+    /// Delay (in milliseconds) after the last edit before the Split view preview re-renders.
+    /// </summary>
+    [Parameter]
+    public int PreviewDelay { get; set; } = 500;
+
+    /// <summary>
+    /// Whether clicking an element in the preview selects its source in the code editor.
+    /// In the Preview tab the click switches to the Code tab.
+    /// </summary>
+    [Parameter]
+    public bool EnablePreviewNavigation { get; set; } = true;
+
+    /// <summary>
+    /// Device sizes offered by the preview's device toolbar.
+    /// Defaults to PreviewDevice.Presets (desktop, tablet, phone); a custom width is always available.
+    /// </summary>
+    [Parameter]
+    public IReadOnlyList<PreviewDevice>? PreviewDevices { get; set; }
+
+    /// <summary>
+    /// Additional files edited next to the template (e.g., "styles.css", "sample-data.json").
+    /// Shown as sub-tabs of the Code tab and saved together with the template.
+    /// </summary>
+    [Parameter]
+    public IReadOnlyList<EditorDocument>? AdditionalDocuments { get; set; }
+
+    /// <summary>
+    /// Fired when one of the additional documents changes.
+    /// </summary>
+    [Parameter]
+    public EventCallback<EditorDocument> OnDocumentChanged { get; set; }
+
+    /// <summary>
+    /// Fired when the Save button is clicked, with the template and all additional documents
+    /// keyed by file name (the template is stored under "template.cshtml").
+    /// </summary>
+    [Parameter]
+    public EventCallback<IReadOnlyDictionary<string, string>> OnSaveAll { get; set; }
+
+    /// <summary>
+    /// How long (in milliseconds) to wait for the code editor (Monaco) to load before giving up.
+    /// </summary>
+    [Parameter]
+    public int EditorLoadTimeout { get; set; } = 30000;
+
+    /// <summary>
+    /// Fired when the code editor could not be loaded (e.g., the Monaco files are not served or loading timed out).
+    /// The Code and Split tabs then fall back to a plain text area with a Retry button.
+    /// </summary>
+    [Parameter]
+    public EventCallback<EditorLoadError> OnEditorLoadFailed { get; set; }
+
+    /// <summary>
+    /// Theme of the code editor: one of <see cref="Models.EditorTheme"/> (<c>EditorTheme.Auto</c> follows the OS dark mode),
+    /// a theme registered with <c>EditorThemes.defineTheme</c> or a built-in Monaco theme.
+    /// </summary>
+    [Parameter]
+    public string EditorTheme { get; set; } = Models.EditorTheme.Light;
+
+    /// <summary>
+    /// Custom snippets (e.g., an address block or a table of line items) offered by the code editor's
+    /// IntelliSense and the Snippets picker in the toolbar, next to the built-in Razor snippets.
+    /// </summary>
+    [Parameter]
+    public IReadOnlyList<EditorSnippet>? Snippets { get; set; }
+
     #endregion
 
     #region Fields
@@ -43,7 +124,18 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
     private RazorCodeEditor? codeEditor;
 
     /// <summary>
-    /// Currently active tab (Code or Preview).
+    /// DOM element ID of the code editor.
+    /// The Split view preview selects clicked elements' source in this editor directly from JavaScript.
+    /// </summary>
+    private readonly string codeEditorId = $"monaco-editor-{Guid.NewGuid():N}";
+
+    /// <summary>
+    /// Source range clicked in the Preview tab, revealed in the code editor after switching to the Code tab.
+    /// </summary>
+    private TemplateSourceRange? pendingSourceRange;
+
+    /// <summary>
+    /// Currently active tab (Code, Split or Preview).
     /// </summary>
     private EditorTab currentTab;
 
@@ -53,18 +145,132 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
     /// </summary>
     private string currentCode = string.Empty;
 
+    /// <summary>
+    /// Template rendered by the Split view preview.
+    /// Follows currentCode after PreviewDelay, so the preview does not re-render on every keystroke.
+    /// </summary>
+    private string previewCode = string.Empty;
+
+    /// <summary>
+    /// Cancels a pending (debounced) preview update when the code changes again.
+    /// </summary>
+    private CancellationTokenSource? previewCancellation;
+
+    /// <summary>
+    /// DOM element ID of the Split view preview pane (scrolled along with the code editor).
+    /// </summary>
+    private readonly string previewPaneId = $"template-preview-{Guid.NewGuid():N}";
+
+    /// <summary>
+    /// DOM element ID of the outline pane (filled in by the code editor from JavaScript).
+    /// </summary>
+    private readonly string outlinePaneId = $"template-outline-{Guid.NewGuid():N}";
+
+    /// <summary>
+    /// ID of the template's undo/redo history (EditorHistory in JavaScript).
+    /// The history lives outside the code editor, so it survives switching tabs.
+    /// </summary>
+    private readonly string historyId = $"template-history-{Guid.NewGuid():N}";
+
+    /// <summary>
+    /// Reference to this component for JavaScript callbacks (history changes).
+    /// </summary>
+    private DotNetObjectReference<TemplateEditor<TModel>>? dotNetRef;
+
+    /// <summary>
+    /// Whether the history has a state to go back to / forward to.
+    /// Reported by JavaScript through OnHistoryChanged.
+    /// </summary>
+    private bool canUndo;
+    private bool canRedo;
+
+    /// <summary>
+    /// Whether the history list is open.
+    /// </summary>
+    private bool showHistory;
+
+    /// <summary>
+    /// States shown in the history list (loaded when the list is opened).
+    /// </summary>
+    private IReadOnlyList<EditorHistoryEntry> historyEntries = Array.Empty<EditorHistoryEntry>();
+
+    /// <summary>
+    /// Whether the snippet picker is open.
+    /// </summary>
+    private bool showSnippets;
+
+    /// <summary>
+    /// Snippets shown in the picker (loaded from the code editor when the picker is opened).
+    /// </summary>
+    private IReadOnlyList<EditorSnippet> availableSnippets = Array.Empty<EditorSnippet>();
+
+    /// <summary>
+    /// Additional documents with their current content.
+    /// Kept here so edits survive switching between the Code and Preview tabs.
+    /// </summary>
+    private List<EditorDocument> documents = new();
+
+    /// <summary>
+    /// Name of the document shown in the code editor (the template or one of the additional documents).
+    /// </summary>
+    private string activeDocument = RazorCodeEditor.TemplateDocumentName;
+
     /// <summary>
     /// List of model properties available for insertion into the template.
     /// Populated using IModelMetadataProvider during initialization.
     /// </summary>
     private IEnumerable<ModelPropertyInfo> modelProperties = Enumerable.Empty<ModelPropertyInfo>();
 
+    /// <summary>
+    /// Hierarchical model metadata (including nested and collection element properties).
+    /// Passed to the code editor for @Model IntelliSense.
+    /// </summary>
+    private TemplateModelMeta? modelMetadata;
+
+    /// <summary>
+    /// Path of the property highlighted in the Model Properties panel.
+    /// Set when the user Ctrl+clicks a @Model expression in the code editor.
+    /// </summary>
+    private string? highlightedPropertyPath;
+
+    /// <summary>
+    /// RazorLight compilation problems of the current template.
+    /// Shown as editor markers and in the problems list below the editor.
+    /// </summary>
+    private IReadOnlyList<TemplateDiagnostic> compileDiagnostics = Array.Empty<TemplateDiagnostic>();
+
+    /// <summary>
+    /// The template the compileDiagnostics belong to (null before the first compile).
+    /// Used to skip compiling text that has already been checked.
+    /// </summary>
+    private string? diagnosedCode;
+
+    /// <summary>
+    /// Cancels a pending (debounced) compilation when the code changes again.
+    /// </summary>
+    private CancellationTokenSource? compileCancellation;
+
+    /// <summary>
+    /// Delay after the last edit before the template is compiled for diagnostics.
+    /// </summary>
+    private static readonly TimeSpan CompileDiagnosticsDelay = TimeSpan.FromSeconds(1);
+
     /// <summary>
     /// Demo data instance used for preview rendering.
     /// Created automatically with sample values for all properties.
     /// </summary>
     private TModel? demoData;
 
+    /// <summary>
+    /// Why the code editor failed to load; while set, a plain text area is shown instead of it.
+    /// </summary>
+    private EditorLoadError? editorLoadError;
+
+    /// <summary>
+    /// True when the code editor is shown (Code and Split tabs).
+    /// </summary>
+    private bool IsCodeEditorVisible => currentTab is EditorTab.Code or EditorTab.Split;
+
     #endregion
 
     #region Lifecycle
@@ -80,22 +286,271 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
 
         // Load initial template content
         currentCode = InitialContent;
+        previewCode = InitialContent;
+        documents = AdditionalDocuments?.ToList() ?? new List<EditorDocument>();
 
         // Get model properties using reflection for the Properties panel
         // This provides users with a list of available properties to insert
         modelProperties = MetadataProvider.GetProperties(typeof(TModel));
 
+        // Get the full property hierarchy for editor IntelliSense
+        modelMetadata = MetadataProvider.GetModelMetadata(typeof(TModel));
+
         // Create demo data for preview rendering
         // This generates sample values for all properties
         demoData = CreateDemoData();
     }
 
+    /// <summary>
+    /// Lifecycle method called after the component has rendered.
+    /// On first render, compiles the initial template to show its problems (unless the Split view preview does).
+    /// </summary>
+    /// <param name="firstRender">True if this is the first time the component is rendered</param>
+    protected override async Task OnAfterRenderAsync(bool firstRender)
+    {
+        if (firstRender)
+        {
+            await StartHistory();
+
+            // The Split view preview reports the problems of the initial template itself
+            if (currentTab != EditorTab.Split)
+            {
+                await CompileDiagnostics();
+            }
+        }
+
+        // The code editor is created by the render that followed a click in the Preview tab
+        if (pendingSourceRange != null && codeEditor != null)
+        {
+            var range = pendingSourceRange;
+            pendingSourceRange = null;
+            await codeEditor.RevealSourceRange(range);
+        }
+    }
+
+    /// <summary>
+    /// Cancels any pending compilation and discards the undo/redo history when the component is removed.
+    /// </summary>
+    public async ValueTask DisposeAsync()
+    {
+        compileCancellation?.Cancel();
+        compileCancellation?.Dispose();
+        previewCancellation?.Cancel();
+        previewCancellation?.Dispose();
+
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("EditorHistory.clear", historyId);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error clearing undo history: {ex.Message}");
+        }
+
+        dotNetRef?.Dispose();
+    }
+
+    #endregion
+
+    #region Compile Diagnostics
+
+    /// <summary>
+    /// Compiles the template after a short delay.
+    /// Each call restarts the delay, so the template is compiled only once the user stops typing.
+    /// </summary>
+    private async Task ScheduleCompileDiagnostics()
+    {
+        compileCancellation?.Cancel();
+        compileCancellation?.Dispose();
+        compileCancellation = new CancellationTokenSource();
+        var token = compileCancellation.Token;
+
+        try
+        {
+            await Task.Delay(CompileDiagnosticsDelay, token);
+        }
+        catch (TaskCanceledException)
+        {
+            // A newer edit restarted the delay
+            return;
+        }
+
+        await CompileDiagnostics(token);
+    }
+
+    /// <summary>
+    /// Compiles the current template with RazorLight and updates the problems list and editor markers.
+    /// </summary>
+    /// <param name="cancellationToken">Cancelled when a newer edit schedules another compile</param>
+    private async Task CompileDiagnostics(CancellationToken cancellationToken = default)
+    {
+        if (!EnableCompileDiagnostics || demoData == null)
+            return;
+
+        // The code may change while it compiles, so compare against the compiled text afterwards
+        var code = currentCode;
+        if (code == diagnosedCode)
+            return;
+
+        IReadOnlyList<TemplateDiagnostic> diagnostics;
+        try
+        {
+            diagnostics = await RenderService.CompileDiagnosticsAsync(code, demoData);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error compiling template: {ex.Message}");
+            return;
+        }
+
+        // A slower compile of older text must not overwrite the problems of a newer one
+        if (cancellationToken.IsCancellationRequested || code != currentCode)
+            return;
+
+        SetCompileDiagnostics(code, diagnostics);
+    }
+
+    /// <summary>
+    /// Shows the compilation problems of the given template as editor markers and in the problems list.
+    /// </summary>
+    private void SetCompileDiagnostics(string code, IReadOnlyList<TemplateDiagnostic> diagnostics)
+    {
+        diagnosedCode = code;
+        compileDiagnostics = diagnostics;
+        StateHasChanged();
+    }
+
+    /// <summary>
+    /// Callback invoked when the Split view preview has rendered.
+    /// The preview's compile already reports the template's problems, so the template is not compiled again.
+    /// </summary>
+    /// <param name="rendered">The rendered template and its compilation problems</param>
+    private void OnPreviewRendered(TemplatePreviewResult rendered)
+    {
+        if (!EnableCompileDiagnostics || rendered.Template != currentCode)
+            return;
+
+        SetCompileDiagnostics(rendered.Template, rendered.Result.Diagnostics);
+    }
+
+    #endregion
+
+    #region Split Preview
+
+    /// <summary>
+    /// Updates the Split view preview after PreviewDelay.
+    /// Each call restarts the delay, so the preview re-renders only once the user stops typing.
+    /// </summary>
+    private async Task SchedulePreviewUpdate()
+    {
+        previewCancellation?.Cancel();
+        previewCancellation?.Dispose();
+        previewCancellation = new CancellationTokenSource();
+        var token = previewCancellation.Token;
+
+        try
+        {
+            await Task.Delay(PreviewDelay, token);
+        }
+        catch (TaskCanceledException)
+        {
+            // A newer edit restarted the delay
+            return;
+        }
+
+        previewCode = currentCode;
+        StateHasChanged();
+    }
+
+    #endregion
+
+    #region Undo History
+
+    /// <summary>
+    /// Records the initial template as the first history state and subscribes to history changes.
+    /// Recorded here (not by the code editor) so the history also starts when the editor opens on the Preview tab.
+    /// </summary>
+    private async Task StartHistory()
+    {
+        try
+        {
+            dotNetRef = DotNetObjectReference.Create(this);
+            await JSRuntime.InvokeVoidAsync("EditorHistory.record", historyId, currentCode, "api", "Opened");
+            await JSRuntime.InvokeVoidAsync("EditorHistory.subscribe", historyId, dotNetRef);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error starting undo history: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Callback invoked from JavaScript when undo or redo becomes available or unavailable.
+    /// </summary>
+    /// <param name="canUndo">True if there is a state to go back to</param>
+    /// <param name="canRedo">True if there is an undone state to go forward to</param>
+    [JSInvokable]
+    public async Task OnHistoryChanged(bool canUndo, bool canRedo)
+    {
+        this.canUndo = canUndo;
+        this.canRedo = canRedo;
+
+        if (showHistory)
+        {
+            historyEntries = await GetHistory();
+        }
+
+        StateHasChanged();
+    }
+
+    /// <summary>
+    /// Opens or closes the history list.
+    /// </summary>
+    private async Task ToggleHistory()
+    {
+        showHistory = !showHistory;
+
+        if (showHistory)
+        {
+            historyEntries = await GetHistory();
+        }
+    }
+
+    /// <summary>
+    /// Applies a template state restored from the history.
+    /// In the Code and Split tabs the code editor has already been updated from JavaScript
+    /// and reports the change itself; in the Preview tab only the stored template changes.
+    /// </summary>
+    /// <param name="value">The restored template, or null if there was nothing to restore</param>
+    private async Task ApplyHistoryState(string? value)
+    {
+        if (value != null && value != currentCode)
+        {
+            await OnCodeContentChanged(value);
+        }
+    }
+
+    /// <summary>
+    /// Records a named state (e.g., content set through the public API) in the history.
+    /// </summary>
+    private async Task RecordHistory(string content, string label)
+    {
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("EditorHistory.record", historyId, content, "api", label);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error recording undo history: {ex.Message}");
+        }
+    }
+
     #endregion
 
     #region Tab Management
 
     /// <summary>
-    /// Switches to another tab (Code or Preview).
+    /// Switches to another tab (Code, Split or Preview).
     /// Saves the current editor content before switching to ensure no data loss.
     /// </summary>
     /// <param name="newTab">The tab to switch to</param>
@@ -107,14 +562,33 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
 
         // Save current content from Monaco editor before switching tabs
         // This ensures we don't lose any unsaved changes
-        if (currentTab == EditorTab.Code && codeEditor != null)
+        if (IsCodeEditorVisible && codeEditor != null)
         {
             currentCode = await codeEditor.GetValue();
         }
 
+        // The Split preview starts with the latest content
+        previewCode = currentCode;
+
         // Update current tab and refresh UI
         currentTab = newTab;
         StateHasChanged();
+
+        // Edits made in the Split view may not have reached the preview yet
+        if (currentTab != EditorTab.Split)
+        {
+            await CompileDiagnostics();
+        }
+    }
+
+    /// <summary>
+    /// Switches the code editor to another document (sub-tab of the Code tab).
+    /// </summary>
+    /// <param name="name">Document name, or RazorCodeEditor.TemplateDocumentName for the template</param>
+    private void SwitchDocument(string name)
+    {
+        // RazorCodeEditor switches its Monaco model when the ActiveDocument parameter changes
+        activeDocument = name;
     }
 
     #endregion
@@ -131,6 +605,63 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
     {
         currentCode = newCode;
         await OnContentChanged.InvokeAsync(currentCode);
+
+        // Re-render the Split view preview once the user stops typing (its compile also reports the problems),
+        // otherwise recompile in the background
+        if (currentTab == EditorTab.Split)
+        {
+            _ = SchedulePreviewUpdate();
+        }
+        else
+        {
+            _ = ScheduleCompileDiagnostics();
+        }
+    }
+
+    /// <summary>
+    /// Callback invoked when one of the additional documents is edited.
+    /// Keeps the stored content up to date and notifies the parent component.
+    /// </summary>
+    /// <param name="changed">The document name and its new content</param>
+    private async Task OnDocumentContentChanged(EditorDocument changed)
+    {
+        var index = documents.FindIndex(d => d.Name == changed.Name);
+        if (index >= 0)
+        {
+            documents[index] = documents[index] with { Content = changed.Content };
+            await OnDocumentChanged.InvokeAsync(documents[index]);
+        }
+    }
+
+    /// <summary>
+    /// Callback invoked when a problem in the problems list is clicked.
+    /// Moves the editor cursor to the problem's position.
+    /// </summary>
+    /// <param name="diagnostic">The clicked problem</param>
+    private async Task OnProblemClicked(TemplateDiagnostic diagnostic)
+    {
+        if (diagnostic.Line > 0 && codeEditor != null)
+        {
+            await codeEditor.SetCursorPosition(diagnostic.Line, diagnostic.Column);
+        }
+    }
+
+    /// <summary>
+    /// Callback invoked when an element is clicked in the preview.
+    /// In the Split view the preview has already selected the source in the editor (from JavaScript);
+    /// in the Preview tab this switches to the Code tab and selects the source there.
+    /// </summary>
+    /// <param name="range">Character range of the clicked element in the template</param>
+    private async Task OnPreviewSourceSelected(TemplateSourceRange range)
+    {
+        // The preview is rendered from the template, not from the additional documents
+        activeDocument = RazorCodeEditor.TemplateDocumentName;
+
+        if (currentTab == EditorTab.Preview)
+        {
+            pendingSourceRange = range;
+            await SwitchTab(EditorTab.Code);
+        }
     }
 
     /// <summary>
@@ -141,27 +672,105 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
     private async Task OnPropertySelected(ModelPropertyInfo property)
     {
         // Only insert if we're on the Code tab and editor is available
-        if (currentTab == EditorTab.Code && codeEditor != null)
+        if (IsCodeEditorVisible && codeEditor != null)
         {
             await codeEditor.InsertTextAtCursor(property.RazorExpression);
         }
     }
 
+    /// <summary>
+    /// Callback invoked when the user Ctrl+clicks a @Model expression in the code editor.
+    /// Reveals and highlights the property in the Model Properties panel.
+    /// </summary>
+    /// <param name="propertyPath">Path of the clicked property (e.g., "Customer.Address.City")</param>
+    private void OnModelPropertyNavigate(string propertyPath)
+    {
+        highlightedPropertyPath = propertyPath;
+    }
+
+    /// <summary>
+    /// Callback invoked when the code editor could not be loaded.
+    /// Replaces the editor with the plain text fallback and notifies the parent component.
+    /// </summary>
+    /// <param name="error">Description of the failure</param>
+    private async Task OnCodeEditorLoadFailed(EditorLoadError error)
+    {
+        editorLoadError = error;
+
+        // The failed editor is removed from the page; don't route Undo, GetContent etc. to it
+        codeEditor = null;
+
+        await OnEditorLoadFailed.InvokeAsync(error);
+    }
+
+    /// <summary>
+    /// Handles the Retry button of the fallback: renders the code editor again, which loads Monaco again.
+    /// </summary>
+    private void RetryCodeEditor()
+    {
+        editorLoadError = null;
+    }
+
+    /// <summary>
+    /// Handles input in the plain text fallback shown when the code editor failed to load.
+    /// </summary>
+    private async Task OnFallbackCodeInput(ChangeEventArgs e)
+    {
+        await OnCodeContentChanged(e.Value?.ToString() ?? string.Empty);
+    }
+
+    /// <summary>
+    /// Opens or closes the snippet picker.
+    /// </summary>
+    private async Task ToggleSnippets()
+    {
+        showSnippets = !showSnippets;
+
+        if (showSnippets && codeEditor != null)
+        {
+            availableSnippets = await codeEditor.GetSnippets();
+        }
+    }
+
+    /// <summary>
+    /// Inserts the snippet chosen in the picker at the cursor of the code editor.
+    /// </summary>
+    private async Task OnSnippetSelected(EditorSnippet snippet)
+    {
+        showSnippets = false;
+
+        if (codeEditor != null)
+        {
+            await codeEditor.InsertSnippet(snippet);
+        }
+    }
+
+    /// <summary>
+    /// Handles the Format button click.
+    /// Re-indents the template in the code editor; the editor then reports the new content back via OnCodeChanged.
+    /// </summary>
+    private async Task OnFormatClicked()
+    {
+        if (codeEditor != null)
+        {
+            await codeEditor.FormatDocument();
+        }
+    }
+
     /// <summary>
     /// Callback invoked when the Save button is clicked.
     /// Retrieves the current content and notifies the parent component.
     /// </summary>
     private async Task OnSaveClicked()
     {
-        // Get latest content from editor if we're on Code tab
-        // This ensures we save the most recent changes
-        if (currentTab == EditorTab.Code && codeEditor != null)
-        {
-            currentCode = await codeEditor.GetValue();
-        }
+        // Get latest content of all documents (template included)
+        var files = await GetFiles();
 
         // Notify parent component to save the template
         await OnSave.InvokeAsync(currentCode);
+
+        // ...and to save the template together with the additional documents
+        await OnSaveAll.InvokeAsync(files);
     }
 
     #endregion
@@ -236,7 +845,7 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
     /// </summary>
     public async Task<string> GetContent()
     {
-        if (currentTab == EditorTab.Code && codeEditor != null)
+        if (IsCodeEditorVisible && codeEditor != null)
         {
             return await codeEditor.GetValue();
         }
@@ -245,18 +854,139 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
     }
 
     /// <summary>
-    /// Sets the editor content
+    /// Gets the template and all additional documents keyed by file name.
+    /// The template is stored under RazorCodeEditor.TemplateDocumentName ("template.cshtml").
+    /// </summary>
+    public async Task<IReadOnlyDictionary<string, string>> GetFiles()
+    {
+        // Get latest content from editor if we're on Code tab
+        // This ensures we return the most recent changes
+        if (IsCodeEditorVisible && codeEditor != null)
+        {
+            var values = await codeEditor.GetDocumentValues();
+            if (values.TryGetValue(RazorCodeEditor.TemplateDocumentName, out var template))
+            {
+                currentCode = template;
+            }
+
+            documents = documents
+                .Select(d => values.TryGetValue(d.Name, out var content) ? d with { Content = content } : d)
+                .ToList();
+        }
+
+        var files = new Dictionary<string, string> { [RazorCodeEditor.TemplateDocumentName] = currentCode };
+        foreach (var document in documents)
+        {
+            files[document.Name] = document.Content;
+        }
+
+        return files;
+    }
+
+    /// <summary>
+    /// Undoes the last change of the template.
+    /// In the code editor this first undoes the editor's own edits, then continues with the shared history,
+    /// so changes made before switching tabs can be undone as well.
+    /// </summary>
+    public async Task Undo()
+    {
+        if (IsCodeEditorVisible && codeEditor != null)
+        {
+            await codeEditor.Undo();
+            return;
+        }
+
+        try
+        {
+            await ApplyHistoryState(await JSRuntime.InvokeAsync<string?>("EditorHistory.undo", historyId));
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error undoing: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Redoes the last undone change of the template.
+    /// </summary>
+    public async Task Redo()
+    {
+        if (IsCodeEditorVisible && codeEditor != null)
+        {
+            await codeEditor.Redo();
+            return;
+        }
+
+        try
+        {
+            await ApplyHistoryState(await JSRuntime.InvokeAsync<string?>("EditorHistory.redo", historyId));
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error redoing: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Gets the states of the template's undo/redo history, oldest first.
+    /// </summary>
+    public async Task<IReadOnlyList<EditorHistoryEntry>> GetHistory()
+    {
+        try
+        {
+            return await JSRuntime.InvokeAsync<EditorHistoryEntry[]>("EditorHistory.getEntries", historyId);
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error reading undo history: {ex.Message}");
+            return Array.Empty<EditorHistoryEntry>();
+        }
+    }
+
+    /// <summary>
+    /// Restores the template to a state from the history (see <see cref="GetHistory"/>).
+    /// </summary>
+    /// <param name="index">Index of the state (EditorHistoryEntry.Index)</param>
+    public async Task GoToHistory(int index)
+    {
+        try
+        {
+            await ApplyHistoryState(await JSRuntime.InvokeAsync<string?>("EditorHistory.goTo", historyId, index));
+
+            if (showHistory)
+            {
+                historyEntries = await GetHistory();
+            }
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error restoring history state: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Sets the editor content.
+    /// The previous content stays in the undo history.
     /// </summary>
     public async Task SetContent(string content)
     {
+        await RecordHistory(content, "Set content");
+
         currentCode = content;
+        previewCode = content;
 
-        if (currentTab == EditorTab.Code && codeEditor != null)
+        if (IsCodeEditorVisible && codeEditor != null)
         {
             await codeEditor.SetValue(content);
         }
 
         StateHasChanged();
+
+        // The Split view preview reports the problems of the new content itself
+        if (currentTab != EditorTab.Split)
+        {
+            await CompileDiagnostics();
+        }
     }
 
     #endregion
@@ -268,5 +998,6 @@ public partial class TemplateEditor<TModel> where TModel : class, new()
 public enum EditorTab
 {
     Code,
-    Preview
+    Preview,
+    Split
 }
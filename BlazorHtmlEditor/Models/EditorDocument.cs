@@ -0,0 +1,15 @@
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// An additional file edited next to the Razor template (e.g., "styles.css" or "sample-data.json").
+/// Each document gets its own Monaco model, so it keeps its own language, undo history,
+/// cursor position and scroll position when switching between documents.
+/// </summary>
+/// <param name="Name">File name; identifies the document and is shown as its sub-tab label</param>
+/// <param name="Content">Content of the file</param>
+/// <param name="Language">Monaco language ID (e.g., "css", "json"); when null it is derived from the file extension</param>
+public record EditorDocument(
+    string Name,
+    string Content,
+    string? Language = null
+);
@@ -0,0 +1,18 @@
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// A state in the template's undo/redo history.
+/// The history is shared by the code editor and the visual designer and survives switching tabs.
+/// </summary>
+/// <param name="Index">Position in the history (0 is the oldest state)</param>
+/// <param name="Label">Short description of the change (e.g., "Code edit", "Design edit", "Set content")</param>
+/// <param name="Source">Where the change came from: "code", "design" or "api"</param>
+/// <param name="Timestamp">When the state was recorded</param>
+/// <param name="IsCurrent">True for the state the template is in now</param>
+public record EditorHistoryEntry(
+    int Index,
+    string Label,
+    string Source,
+    DateTimeOffset Timestamp,
+    bool IsCurrent
+);
@@ -0,0 +1,41 @@
+using System.Text.Json.Serialization;
+
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// Describes why an editor (Monaco or GrapesJS) could not be loaded or created in the browser.
+/// Reported through the OnEditorLoadFailed callbacks so the UI can show a fallback.
+/// </summary>
+/// <param name="Library">The editor library that failed: "monaco" or "grapesjs"</param>
+/// <param name="Code">Kind of failure</param>
+/// <param name="Message">Human-readable description of the failure</param>
+/// <param name="Url">URL the library was loaded from, if known</param>
+public record EditorLoadError(
+    string Library,
+    EditorLoadErrorCode Code,
+    string Message,
+    string? Url = null
+);
+
+/// <summary>
+/// Kind of editor load failure.
+/// Serialized as a string ("Timeout", "Network", ...) for JavaScript interop.
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum EditorLoadErrorCode
+{
+    /// <summary>The library did not load within the load timeout.</summary>
+    Timeout,
+
+    /// <summary>Loading was cancelled because the component was disposed.</summary>
+    Aborted,
+
+    /// <summary>The library files could not be downloaded (missing files, network or SRI failure).</summary>
+    Network,
+
+    /// <summary>The library was downloaded but did not provide the expected API.</summary>
+    Unavailable,
+
+    /// <summary>The library loaded but creating the editor failed.</summary>
+    Initialization
+}
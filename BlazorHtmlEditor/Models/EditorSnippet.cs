@@ -0,0 +1,20 @@
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// A reusable template fragment offered by the code editor's IntelliSense and snippet picker
+/// (e.g., an address block or a table of line items).
+/// The body uses Monaco snippet syntax: <c>$1</c>, <c>${1:placeholder}</c>, <c>${1|one,two|}</c> for a choice
+/// and <c>$0</c> for the final cursor position. The choices <c>${1|@Model.*|}</c> and <c>${1|@Model.*[]|}</c>
+/// are filled with the model's properties and collections.
+/// </summary>
+/// <param name="Prefix">Text typed to trigger the snippet in IntelliSense; also its label in the picker</param>
+/// <param name="Body">Content inserted into the template</param>
+/// <param name="Description">Description shown next to the snippet</param>
+/// <param name="Set">Name of the snippet set the snippet belongs to ("razor" for the built-in snippets);
+/// filled in by <c>RazorCodeEditor.GetSnippets</c>, ignored when registering</param>
+public record EditorSnippet(
+    string Prefix,
+    string Body,
+    string? Description = null,
+    string? Set = null
+);
@@ -0,0 +1,32 @@
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// Names of the built-in editor themes (see editor-themes.js).
+/// The themes color the Razor parts of a template (transitions, directives, expressions, comments)
+/// and the panels of the visual designer. Host applications can register their own themes
+/// from JavaScript with <c>EditorThemes.defineTheme(name, { base, rules, colors, chrome })</c>
+/// and pass the name instead.
+/// </summary>
+public static class EditorTheme
+{
+    /// <summary>
+    /// Follows the operating system: dark when it prefers a dark color scheme,
+    /// high contrast when it prefers more contrast or forces colors, light otherwise.
+    /// </summary>
+    public const string Auto = "auto";
+
+    /// <summary>
+    /// Light theme (based on Monaco's "vs").
+    /// </summary>
+    public const string Light = "razor-light";
+
+    /// <summary>
+    /// Dark theme (based on Monaco's "vs-dark").
+    /// </summary>
+    public const string Dark = "razor-dark";
+
+    /// <summary>
+    /// High-contrast dark theme (based on Monaco's "hc-black").
+    /// </summary>
+    public const string HighContrast = "razor-high-contrast";
+}
@@ -0,0 +1,41 @@
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// A device size the template preview can be shown at (e.g., a tablet or a phone).
+/// The preview is rendered in an isolated iframe of this size, so media queries
+/// in the template respond to the device width rather than to the editor layout.
+/// </summary>
+/// <param name="Name">Name shown in the device picker</param>
+/// <param name="Width">Viewport width in CSS pixels, or null to fill the available width</param>
+/// <param name="Height">Viewport height in CSS pixels, or null to fill the available height</param>
+public record PreviewDevice(
+    string Name,
+    int? Width = null,
+    int? Height = null
+)
+{
+    /// <summary>
+    /// Full-size preview (the default).
+    /// </summary>
+    public static readonly PreviewDevice Desktop = new("Desktop");
+
+    /// <summary>
+    /// Portrait tablet (iPad).
+    /// </summary>
+    public static readonly PreviewDevice Tablet = new("Tablet", 768, 1024);
+
+    /// <summary>
+    /// Portrait phone (iPhone SE).
+    /// </summary>
+    public static readonly PreviewDevice Phone = new("Phone", 375, 667);
+
+    /// <summary>
+    /// Devices offered by the preview's device picker by default.
+    /// </summary>
+    public static IReadOnlyList<PreviewDevice> Presets { get; } = new[] { Desktop, Tablet, Phone };
+
+    /// <summary>
+    /// Gets a value indicating whether the device has a fixed size that can be rotated.
+    /// </summary>
+    public bool CanRotate => Width.HasValue && Height.HasValue;
+}
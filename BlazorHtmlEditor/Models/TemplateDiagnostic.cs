@@ -0,0 +1,32 @@
+using System.Text.Json.Serialization;
+
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// A single problem found when compiling a Razor template.
+/// Positions are 1-based to match the Monaco editor's line and column numbering.
+/// </summary>
+/// <param name="Line">Line number in the template (1-based)</param>
+/// <param name="Column">Column number in the template (1-based)</param>
+/// <param name="Severity">Severity of the problem</param>
+/// <param name="Message">Human-readable description of the problem</param>
+/// <param name="Length">Length of the affected text, or 0 if unknown (the editor then underlines the word at the position)</param>
+public record TemplateDiagnostic(
+    int Line,
+    int Column,
+    TemplateDiagnosticSeverity Severity,
+    string Message,
+    int Length = 0
+);
+
+/// <summary>
+/// Severity of a template diagnostic.
+/// Serialized as a string ("Error", "Warning", "Info") for JavaScript interop.
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum TemplateDiagnosticSeverity
+{
+    Error,
+    Warning,
+    Info
+}
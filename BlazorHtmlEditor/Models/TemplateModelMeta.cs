@@ -24,7 +24,12 @@ public record TemplateModelMeta(
 /// <param name="Path">Full path to the property (e.g., "Customer.Address.City")</param>
 /// <param name="IsCollection">Whether this is a collection type (List, Array, IEnumerable)</param>
 /// <param name="IsComplex">Whether this is a complex type (class, not primitive)</param>
-/// <param name="Children">Nested properties (for complex types)</param>
+/// <param name="Children">
+/// Nested properties. For complex types these are the type's own properties;
+/// for collections of complex types these are the properties of a single element,
+/// with paths using the "[]" element marker (e.g., "Orders[].Total")
+/// </param>
+/// <param name="Description">Description (from [Description] or [Display(Description = ...)] attribute)</param>
 public record ModelProp(
     string Name,
     string ClrType,
@@ -32,7 +37,8 @@ public record ModelProp(
     string? Path = null,
     bool IsCollection = false,
     bool IsComplex = false,
-    IReadOnlyList<ModelProp>? Children = null
+    IReadOnlyList<ModelProp>? Children = null,
+    string? Description = null
 )
 {
     /// <summary>
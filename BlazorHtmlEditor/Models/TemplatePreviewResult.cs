@@ -0,0 +1,11 @@
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// Result of a preview render, together with the template it was rendered from.
+/// </summary>
+/// <param name="Template">The rendered Razor template</param>
+/// <param name="Result">Rendered HTML and the template's compilation problems</param>
+public record TemplatePreviewResult(
+    string Template,
+    TemplateRenderResult Result
+);
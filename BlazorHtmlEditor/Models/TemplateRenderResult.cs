@@ -0,0 +1,20 @@
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// Result of rendering a Razor template, including any compilation problems.
+/// </summary>
+/// <param name="Html">
+/// Rendered HTML. When the template fails to compile, this contains an HTML error box
+/// describing the failure (the same output as IRazorRenderService.RenderAsync).
+/// </param>
+/// <param name="Diagnostics">Compilation problems mapped to template line/column positions</param>
+public record TemplateRenderResult(
+    string Html,
+    IReadOnlyList<TemplateDiagnostic> Diagnostics
+)
+{
+    /// <summary>
+    /// Gets a value indicating whether the template rendered without errors.
+    /// </summary>
+    public bool Success => !Diagnostics.Any(d => d.Severity == TemplateDiagnosticSeverity.Error);
+}
@@ -0,0 +1,11 @@
+namespace BlazorHtmlEditor.Models;
+
+/// <summary>
+/// A range of characters in a Razor template, e.g. the source of an element clicked in the preview.
+/// </summary>
+/// <param name="Start">Offset of the first character (0-based)</param>
+/// <param name="End">Offset after the last character (exclusive)</param>
+public record TemplateSourceRange(
+    int Start,
+    int End
+);
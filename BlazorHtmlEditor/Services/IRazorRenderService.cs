@@ -1,3 +1,5 @@
+using BlazorHtmlEditor.Models;
+
 namespace BlazorHtmlEditor.Services;
 
 /// <summary>
@@ -17,4 +19,49 @@ public interface IRazorRenderService
     /// <param name="model">Data model to bind to the template</param>
     /// <returns>Rendered HTML string, or an error message if compilation fails</returns>
     Task<string> RenderAsync<TModel>(string razorTemplate, TModel model);
+
+    /// <summary>
+    /// Renders a Razor template to HTML and reports compilation problems with their positions.
+    /// Razor syntax and C# compilation errors are mapped to template line/column numbers,
+    /// so they can be shown as editor markers and in a problems list.
+    /// </summary>
+    /// <typeparam name="TModel">The type of the data model</typeparam>
+    /// <param name="razorTemplate">Razor template string (can include @model directive)</param>
+    /// <param name="model">Data model to bind to the template</param>
+    /// <returns>Rendered HTML (or an HTML error box) together with the compilation diagnostics</returns>
+    Task<TemplateRenderResult> RenderWithDiagnosticsAsync<TModel>(string razorTemplate, TModel model);
+
+    /// <summary>
+    /// Renders a Razor template for the editor preview.
+    /// The rendered elements carry a data-source-range attribute with their character range
+    /// in the template, so a click in the preview can be mapped back to the source.
+    /// Falls back to the plain output if the annotated template cannot be rendered.
+    /// </summary>
+    /// <typeparam name="TModel">The type of the data model</typeparam>
+    /// <param name="razorTemplate">Razor template string (can include @model directive)</param>
+    /// <param name="model">Data model to bind to the template</param>
+    /// <returns>Rendered HTML string with source annotations, or an error message if compilation fails</returns>
+    Task<string> RenderPreviewAsync<TModel>(string razorTemplate, TModel model);
+
+    /// <summary>
+    /// Renders a Razor template for the editor preview (see <see cref="RenderPreviewAsync{TModel}"/>)
+    /// and reports the compilation problems of the original template, so the preview's compile
+    /// can also provide the editor diagnostics.
+    /// </summary>
+    /// <typeparam name="TModel">The type of the data model</typeparam>
+    /// <param name="razorTemplate">Razor template string (can include @model directive)</param>
+    /// <param name="model">Data model to bind to the template</param>
+    /// <returns>Annotated HTML (or an HTML error box) together with the compilation diagnostics</returns>
+    Task<TemplateRenderResult> RenderPreviewWithDiagnosticsAsync<TModel>(string razorTemplate, TModel model);
+
+    /// <summary>
+    /// Compiles a Razor template only to report its problems (e.g. after each pause in typing).
+    /// Unlike the render methods, compiled templates are not cached, so repeated checks of
+    /// changing text do not accumulate in memory.
+    /// </summary>
+    /// <typeparam name="TModel">The type of the data model</typeparam>
+    /// <param name="razorTemplate">Razor template string (can include @model directive)</param>
+    /// <param name="model">Data model to bind to the template</param>
+    /// <returns>Compilation problems mapped to template line/column positions</returns>
+    Task<IReadOnlyList<TemplateDiagnostic>> CompileDiagnosticsAsync<TModel>(string razorTemplate, TModel model);
 }
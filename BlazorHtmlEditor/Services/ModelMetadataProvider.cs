@@ -132,6 +132,10 @@ public class ModelMetadataProvider : IModelMetadataProvider
                            ?? prop.GetCustomAttribute<DisplayAttribute>()?.Name
                            ?? prop.Name;
 
+            // Get description from attributes (used by editor tooltips)
+            var description = prop.GetCustomAttribute<DescriptionAttribute>()?.Description
+                           ?? prop.GetCustomAttribute<DisplayAttribute>()?.Description;
+
             // Check if this is a collection type (IEnumerable, List, Array, etc.)
             var isCollection = typeof(IEnumerable).IsAssignableFrom(prop.PropertyType)
                             && prop.PropertyType != typeof(string);
@@ -162,6 +166,17 @@ public class ModelMetadataProvider : IModelMetadataProvider
                     isComplex = true;
                 }
             }
+            else if (isCollection && currentDepth + 1 < maxDepth)
+            {
+                // For collections of complex types, expose the element's properties
+                // The "[]" marker in the path stands for "any element of the collection"
+                var elementType = GetCollectionElementType(prop.PropertyType);
+                if (elementType != null && IsComplexType(elementType))
+                {
+                    var childVisited = new HashSet<Type>(visitedTypes);
+                    children = GetModelProps(elementType, $"{path}[]", currentDepth + 1, maxDepth, childVisited);
+                }
+            }
 
             // Add this property to the result
             result.Add(new ModelProp(
@@ -171,13 +186,48 @@ public class ModelMetadataProvider : IModelMetadataProvider
                 Path: path,
                 IsCollection: isCollection,
                 IsComplex: isComplex,
-                Children: children?.AsReadOnly()
+                Children: children?.AsReadOnly(),
+                Description: description
             ));
         }
 
         return result;
     }
 
+    /// <summary>
+    /// Gets the element type of a collection type.
+    /// Handles arrays and any type implementing IEnumerable&lt;T&gt;.
+    /// </summary>
+    /// <param name="collectionType">The collection type</param>
+    /// <returns>Element type, or null for non-generic collections</returns>
+    private static Type? GetCollectionElementType(Type collectionType)
+    {
+        if (collectionType.IsArray)
+            return collectionType.GetElementType();
+
+        // Look for IEnumerable<T> on the type itself or its interfaces
+        var enumerableType = collectionType.IsGenericType
+                             && collectionType.GetGenericTypeDefinition() == typeof(IEnumerable<>)
+            ? collectionType
+            : collectionType.GetInterfaces()
+                .FirstOrDefault(i => i.IsGenericType && i.GetGenericTypeDefinition() == typeof(IEnumerable<>));
+
+        return enumerableType?.GetGenericArguments()[0];
+    }
+
+    /// <summary>
+    /// Determines whether a type is a complex type (class object, not primitive, string or collection).
+    /// </summary>
+    /// <param name="type">The type to check</param>
+    /// <returns>True for complex types</returns>
+    private static bool IsComplexType(Type type)
+    {
+        return !type.IsPrimitive
+            && !type.IsValueType
+            && type != typeof(string)
+            && !typeof(IEnumerable).IsAssignableFrom(type);
+    }
+
     /// <summary>
     /// Converts a .NET type to a friendly, readable type name.
     /// Handles common types and generic types (like List&lt;T&gt;).
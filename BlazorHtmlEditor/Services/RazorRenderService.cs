@@ -1,4 +1,8 @@
+using System.Text.RegularExpressions;
+using BlazorHtmlEditor.Models;
+using Microsoft.AspNetCore.Razor.Language;
 using RazorLight;
+using RazorLight.Compilation;
 
 namespace BlazorHtmlEditor.Services;
 
@@ -8,45 +12,212 @@ namespace BlazorHtmlEditor.Services;
 /// </summary>
 public class RazorRenderService : IRazorRenderService
 {
+    /// <summary>
+    /// Matches RazorLight compilation error entries, e.g. "- (12:8) The name 'x' does not exist".
+    /// Line and character are 0-based positions in the template.
+    /// </summary>
+    private static readonly Regex CompilationErrorPattern = new(@"^\s*-\s*\((\d+):(\d+)\)\s*(.*)$", RegexOptions.Singleline);
+
+    /// <summary>
+    /// Key of the template compiled by <see cref="CompileDiagnosticsAsync{TModel}"/> (each compile uses its own engine).
+    /// </summary>
+    private const string DiagnosticsTemplateKey = "diagnostics";
+
     private readonly RazorLightEngine _engine;
 
     public RazorRenderService()
     {
         // Create RazorLight engine
-        _engine = new RazorLightEngineBuilder()
-            .UseMemoryCachingProvider() // Cache compiled templates in memory
-            .Build();
+        _engine = CreateEngine(cacheTemplates: true);
+    }
+
+    /// <summary>
+    /// Creates a RazorLight engine.
+    /// </summary>
+    /// <param name="cacheTemplates">Whether compiled templates are kept in memory and reused for the same key</param>
+    private static RazorLightEngine CreateEngine(bool cacheTemplates)
+    {
+        var builder = new RazorLightEngineBuilder();
+        if (cacheTemplates)
+        {
+            builder = builder.UseMemoryCachingProvider(); // Cache compiled templates in memory
+        }
+
+        return builder.Build();
     }
 
     /// <summary>
     /// Renders Razor template with provided data using RazorLight.
     /// </summary>
     public async Task<string> RenderAsync<TModel>(string razorTemplate, TModel model)
+    {
+        var result = await RenderWithDiagnosticsAsync(razorTemplate, model);
+        return result.Html;
+    }
+
+    /// <summary>
+    /// Renders the template with source annotations (data-source-range) for the editor preview.
+    /// </summary>
+    public async Task<string> RenderPreviewAsync<TModel>(string razorTemplate, TModel model)
+    {
+        var result = await RenderPreviewWithDiagnosticsAsync(razorTemplate, model);
+        return result.Html;
+    }
+
+    /// <summary>
+    /// Renders the template with source annotations and reports the problems of the original template.
+    /// </summary>
+    public async Task<TemplateRenderResult> RenderPreviewWithDiagnosticsAsync<TModel>(string razorTemplate, TModel model)
+    {
+        if (string.IsNullOrWhiteSpace(razorTemplate))
+        {
+            return new TemplateRenderResult(string.Empty, Array.Empty<TemplateDiagnostic>());
+        }
+
+        // Annotations never change the template's code, so a successful annotated render means the
+        // original template has no problems. If the annotated template still fails (e.g. a tag helper
+        // or an unusual construct), render the original template so the preview reports the user's
+        // own errors at their own positions
+        var annotated = await RenderWithDiagnosticsAsync(TemplateSourceAnnotator.Annotate(razorTemplate), model);
+        if (annotated.Success)
+        {
+            return annotated;
+        }
+
+        return await RenderWithDiagnosticsAsync(razorTemplate, model);
+    }
+
+    /// <summary>
+    /// Compiles and runs the template only to report its problems.
+    /// Each compile uses its own engine without the template cache, so checking every edit
+    /// does not fill the memory cache of the rendering engine with templates that are never used again.
+    /// RazorLight still loads the assembly of a successful compile, so callers should not compile
+    /// text that has already been checked (TemplateEditor skips it and reuses the Split preview's compile).
+    /// </summary>
+    public async Task<IReadOnlyList<TemplateDiagnostic>> CompileDiagnosticsAsync<TModel>(string razorTemplate, TModel model)
+    {
+        if (string.IsNullOrWhiteSpace(razorTemplate))
+        {
+            return Array.Empty<TemplateDiagnostic>();
+        }
+
+        var result = await RenderWithDiagnosticsAsync(CreateEngine(cacheTemplates: false), DiagnosticsTemplateKey, razorTemplate, model);
+        return result.Diagnostics;
+    }
+
+    /// <summary>
+    /// Renders Razor template using RazorLight and maps compilation errors to template positions.
+    /// </summary>
+    public async Task<TemplateRenderResult> RenderWithDiagnosticsAsync<TModel>(string razorTemplate, TModel model)
     {
         if (string.IsNullOrWhiteSpace(razorTemplate))
         {
-            return string.Empty;
+            return new TemplateRenderResult(string.Empty, Array.Empty<TemplateDiagnostic>());
         }
 
+        // Key: Unique identifier for caching (we use template hash)
+        return await RenderWithDiagnosticsAsync(_engine, $"template_{razorTemplate.GetHashCode()}", razorTemplate, model);
+    }
+
+    /// <summary>
+    /// Renders the template with the given engine and maps compilation errors to template positions.
+    /// </summary>
+    /// <param name="engine">RazorLight engine that compiles the template</param>
+    /// <param name="key">Template key in the engine</param>
+    /// <param name="razorTemplate">Razor template string</param>
+    /// <param name="model">Data for binding</param>
+    /// <returns>Rendered HTML (or an HTML error box) together with the compilation diagnostics</returns>
+    private static async Task<TemplateRenderResult> RenderWithDiagnosticsAsync<TModel>(
+        RazorLightEngine engine, string key, string razorTemplate, TModel model)
+    {
         try
         {
             // RazorLight.CompileRenderStringAsync: Compiles and renders the template
-            // - Key: Unique identifier for caching (we use template hash)
+            // - Key: Template identifier (the caching engine reuses the compiled template for the same key)
             // - Template: Razor template string
             // - Model: Data for binding
-            var key = $"template_{razorTemplate.GetHashCode()}";
-            var result = await _engine.CompileRenderStringAsync(key, razorTemplate, model);
+            var result = await engine.CompileRenderStringAsync(key, razorTemplate, model);
 
-            return result;
+            return new TemplateRenderResult(result, Array.Empty<TemplateDiagnostic>());
+        }
+        catch (TemplateGenerationException ex)
+        {
+            // Razor syntax errors (e.g., unclosed blocks or tags) found while generating C# code
+            var diagnostics = ex.Diagnostics.Select(ToTemplateDiagnostic).ToList();
+            return new TemplateRenderResult(BuildErrorHtml(ex.Message), diagnostics);
+        }
+        catch (TemplateCompilationException ex)
+        {
+            // C# compilation errors (e.g., unknown properties or methods)
+            var diagnostics = ex.CompilationErrors.Select(ParseCompilationError).ToList();
+            return new TemplateRenderResult(BuildErrorHtml(ex.Message), diagnostics);
         }
         catch (Exception ex)
         {
-            // Return error message as HTML for display to user
-            return $@"
+            // Runtime errors have no template position
+            var diagnostics = new[] { new TemplateDiagnostic(0, 0, TemplateDiagnosticSeverity.Error, ex.Message) };
+            return new TemplateRenderResult(BuildErrorHtml(ex.Message), diagnostics);
+        }
+    }
+
+    /// <summary>
+    /// Converts a Razor parser diagnostic to a template diagnostic.
+    /// </summary>
+    /// <param name="diagnostic">Diagnostic reported by the Razor engine</param>
+    /// <returns>Template diagnostic with 1-based position (line 0 if the position is unknown)</returns>
+    private static TemplateDiagnostic ToTemplateDiagnostic(RazorDiagnostic diagnostic)
+    {
+        var span = diagnostic.Span;
+        var severity = diagnostic.Severity == RazorDiagnosticSeverity.Error
+            ? TemplateDiagnosticSeverity.Error
+            : TemplateDiagnosticSeverity.Warning;
+
+        // Undefined spans have negative indexes
+        if (span.LineIndex < 0)
+        {
+            return new TemplateDiagnostic(0, 0, severity, diagnostic.GetMessage());
+        }
+
+        return new TemplateDiagnostic(
+            Line: span.LineIndex + 1,
+            Column: span.CharacterIndex + 1,
+            Severity: severity,
+            Message: diagnostic.GetMessage(),
+            Length: span.Length);
+    }
+
+    /// <summary>
+    /// Parses a RazorLight compilation error entry into a template diagnostic.
+    /// </summary>
+    /// <param name="error">Error entry in the format "- (line:character) message"</param>
+    /// <returns>Template diagnostic with 1-based position (line 0 if the entry has no position)</returns>
+    private static TemplateDiagnostic ParseCompilationError(string error)
+    {
+        var match = CompilationErrorPattern.Match(error);
+        if (!match.Success)
+        {
+            return new TemplateDiagnostic(0, 0, TemplateDiagnosticSeverity.Error, error.Trim());
+        }
+
+        return new TemplateDiagnostic(
+            Line: int.Parse(match.Groups[1].Value) + 1,
+            Column: int.Parse(match.Groups[2].Value) + 1,
+            Severity: TemplateDiagnosticSeverity.Error,
+            Message: match.Groups[3].Value.Trim());
+    }
+
+    /// <summary>
+    /// Builds the HTML error box shown in place of the rendered template.
+    /// </summary>
+    /// <param name="message">Error message to display</param>
+    /// <returns>HTML markup with the encoded error message</returns>
+    private static string BuildErrorHtml(string message)
+    {
+        // Return error message as HTML for display to user
+        return $@"
 <div style='padding: 20px; background: #fff5f5; border: 2px solid #fc8181; border-radius: 8px; font-family: monospace;'>
     <h3 style='color: #c53030; margin-top: 0;'>❌ Razor Compilation Error</h3>
-    <pre style='white-space: pre-wrap; color: #333;'>{System.Net.WebUtility.HtmlEncode(ex.Message)}</pre>
+    <pre style='white-space: pre-wrap; color: #333;'>{System.Net.WebUtility.HtmlEncode(message)}</pre>
 </div>";
-        }
     }
 }
@@ -0,0 +1,608 @@
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace BlazorHtmlEditor.Services;
+
+/// <summary>
+/// Adds source positions to the HTML elements of a Razor template.
+/// Used for the editor preview only: every literal element of the template gets a
+/// data-source-range="start-end" attribute with character offsets into the original template
+/// (end exclusive, covering the element up to its closing tag), so a click on the rendered
+/// element can be mapped back to the code that produced it.
+/// Elements rendered in a loop repeat the attribute and all point to the same source range.
+/// </summary>
+internal static class TemplateSourceAnnotator
+{
+    /// <summary>
+    /// Name of the attribute carrying the source range.
+    /// </summary>
+    public const string AttributeName = "data-source-range";
+
+    /// <summary>
+    /// Elements without content and closing tag.
+    /// </summary>
+    private static readonly HashSet<string> VoidElements = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "area", "base", "br", "col", "embed", "hr", "img", "input",
+        "link", "meta", "param", "source", "track", "wbr"
+    };
+
+    /// <summary>
+    /// Elements whose content is CSS/JavaScript rather than markup.
+    /// </summary>
+    private static readonly HashSet<string> RawTextElements = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "script", "style"
+    };
+
+    /// <summary>
+    /// Razor statements followed by a code block: @if (...) { }, @foreach (...) { }, @code { }, ...
+    /// </summary>
+    private static readonly Regex ControlTransition = new(
+        @"\G@(?:(?:if|foreach|for|while|switch|lock|try|do|functions|code)\b|using(?=\s*\()|section\s+[A-Za-z_]\w*)",
+        RegexOptions.Compiled);
+
+    /// <summary>
+    /// Keywords that may continue a control statement after its closing brace.
+    /// </summary>
+    private static readonly Regex ControlContinuation = new(@"\G(?:else|catch|finally|while)\b", RegexOptions.Compiled);
+
+    private static readonly Regex TagName = new(@"\G[A-Za-z][\w\-:]*", RegexOptions.Compiled);
+
+    private static readonly Regex Identifier = new(@"\G[A-Za-z_]\w*", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Returns the template with a data-source-range attribute added to each HTML element.
+    /// Razor code, comments and the content of script/style elements are left untouched.
+    /// </summary>
+    /// <param name="template">Razor template</param>
+    /// <returns>Annotated template; positions refer to the original template</returns>
+    public static string Annotate(string template)
+    {
+        if (string.IsNullOrEmpty(template))
+            return template;
+
+        var scanner = new Scanner(template);
+        scanner.Run();
+
+        var builder = new StringBuilder(template.Length + scanner.Elements.Count * 32);
+        var copied = 0;
+
+        // Elements are found in source order, so the insertions can be made in one pass
+        foreach (var element in scanner.Elements)
+        {
+            builder.Append(template, copied, element.NameEnd - copied);
+            builder.Append($" {AttributeName}=\"{element.Start}-{element.End}\"");
+            copied = element.NameEnd;
+        }
+
+        builder.Append(template, copied, template.Length - copied);
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// An HTML element found in the template.
+    /// </summary>
+    private sealed class SourceElement
+    {
+        public int Start { get; init; }
+        public int NameEnd { get; init; }
+        public int End { get; set; }
+    }
+
+    private enum FrameKind
+    {
+        /// <summary>C# code block (@{ }, @if (...) { }, or braces inside code)</summary>
+        Block,
+
+        /// <summary>Open HTML element (markup)</summary>
+        Element,
+
+        /// <summary>@: markup up to the end of the line</summary>
+        LineTransition
+    }
+
+    private sealed class Frame
+    {
+        public FrameKind Kind { get; init; }
+        public string? Name { get; init; }
+        public SourceElement? Element { get; init; }
+        public bool Control { get; init; }
+
+        /// <summary>
+        /// Last significant character of a code block; markup may only start after {, }, ; or :
+        /// </summary>
+        public char Last { get; set; }
+    }
+
+    /// <summary>
+    /// Walks the template, switching between markup and C# code the way Razor does.
+    /// </summary>
+    private sealed class Scanner
+    {
+        private readonly string text;
+        private readonly List<Frame> stack = new();
+        private int pos;
+        private bool afterControl;
+
+        public List<SourceElement> Elements { get; } = new();
+
+        public Scanner(string text)
+        {
+            this.text = text;
+        }
+
+        public void Run()
+        {
+            while (pos < text.Length)
+            {
+                var top = stack.Count > 0 ? stack[^1] : null;
+                if (top?.Kind == FrameKind.Block)
+                {
+                    ScanCode(top);
+                }
+                else
+                {
+                    ScanMarkup();
+                }
+            }
+        }
+
+        private void ScanMarkup()
+        {
+            var ch = text[pos];
+
+            // @: markup ends with the line
+            if (ch == '\n' && EndLineTransition())
+            {
+                pos++;
+                return;
+            }
+
+            if (char.IsWhiteSpace(ch))
+            {
+                pos++;
+                return;
+            }
+
+            // else/catch/finally may only follow right after a closed control block
+            var wasAfterControl = afterControl;
+            afterControl = false;
+
+            if (StartsWith("@*"))
+            {
+                SkipPast("*@", pos + 2);
+            }
+            else if (StartsWith("<!--"))
+            {
+                SkipPast("-->", pos + 4);
+            }
+            else if (StartsWith("@@"))
+            {
+                pos += 2;
+            }
+            else if (StartsWith("@{"))
+            {
+                pos += 2;
+                stack.Add(new Frame { Kind = FrameKind.Block });
+            }
+            else if (StartsWith("@("))
+            {
+                pos = SkipBalanced(pos + 1);
+            }
+            else if (ControlTransition.Match(text, pos) is { Success: true } control)
+            {
+                pos += control.Length;
+                ScanControlHeader();
+            }
+            else if (wasAfterControl && ControlContinuation.Match(text, pos) is { Success: true } continuation)
+            {
+                pos += continuation.Length;
+                ScanControlHeader();
+            }
+            else if (ch == '@' && IsIdentifierStart(pos + 1))
+            {
+                pos = SkipImplicitExpression(pos + 1);
+            }
+            else if (StartsWith("</") && TagName.Match(text, pos + 2) is { Success: true } closingName)
+            {
+                CloseElement(closingName.Value);
+            }
+            else if (ch == '<' && TagName.Match(text, pos + 1) is { Success: true } name)
+            {
+                OpenElement(name.Value);
+            }
+            else if (ch == '}' && IsFirstOnLine(pos) && stack.Any(f => f.Kind == FrameKind.Block))
+            {
+                // Unclosed elements inside a code block - the brace still ends the block
+                while (stack[^1].Kind != FrameKind.Block)
+                {
+                    stack.RemoveAt(stack.Count - 1);
+                }
+
+                pos++;
+                CloseBlock();
+            }
+            else
+            {
+                pos++;
+            }
+        }
+
+        private void ScanCode(Frame block)
+        {
+            var ch = text[pos];
+
+            if (char.IsWhiteSpace(ch))
+            {
+                pos++;
+            }
+            else if (StartsWith("//"))
+            {
+                var end = text.IndexOf('\n', pos);
+                pos = end < 0 ? text.Length : end;
+            }
+            else if (StartsWith("/*"))
+            {
+                SkipPast("*/", pos + 2);
+            }
+            else if (StartsWith("@*"))
+            {
+                SkipPast("*@", pos + 2);
+            }
+            else if (StartsWith("@:"))
+            {
+                pos += 2;
+                stack.Add(new Frame { Kind = FrameKind.LineTransition });
+            }
+            else if (StartsWith("@\"") || StartsWith("$@\"") || StartsWith("@$\""))
+            {
+                pos = SkipVerbatimString(text.IndexOf('"', pos) + 1);
+                block.Last = '"';
+            }
+            else if (ch == '"' || ch == '\'')
+            {
+                pos = SkipString(pos);
+                block.Last = ch;
+            }
+            else if (ch == '{')
+            {
+                pos++;
+                block.Last = '{';
+                stack.Add(new Frame { Kind = FrameKind.Block });
+            }
+            else if (ch == '}')
+            {
+                pos++;
+                CloseBlock();
+            }
+            else if (ch == '<' && block.Last is '\0' or '{' or '}' or ';' or ':'
+                && TagName.Match(text, pos + 1) is { Success: true } name)
+            {
+                // HTML element inside C# code
+                block.Last = ';';
+                OpenElement(name.Value);
+            }
+            else if (ch == '@' && IsIdentifierStart(pos + 1))
+            {
+                pos = SkipImplicitExpression(pos + 1);
+                block.Last = 'x';
+            }
+            else
+            {
+                block.Last = ch;
+                pos++;
+            }
+        }
+
+        /// <summary>
+        /// Skips the header of a control statement (conditions in parentheses, else if, ...)
+        /// and enters its code block.
+        /// </summary>
+        private void ScanControlHeader()
+        {
+            while (pos < text.Length)
+            {
+                var ch = text[pos];
+                if (char.IsWhiteSpace(ch))
+                {
+                    pos++;
+                }
+                else if (ch == '(')
+                {
+                    pos = SkipBalanced(pos);
+                }
+                else if (ch == '{')
+                {
+                    pos++;
+                    stack.Add(new Frame { Kind = FrameKind.Block, Control = true });
+                    return;
+                }
+                else if (Identifier.Match(text, pos) is { Success: true } word)
+                {
+                    pos += word.Length;
+                }
+                else
+                {
+                    // Not a code block after all - the rest is markup
+                    return;
+                }
+            }
+        }
+
+        private void CloseBlock()
+        {
+            var block = stack[^1];
+            stack.RemoveAt(stack.Count - 1);
+
+            if (stack.Count > 0 && stack[^1].Kind == FrameKind.Block)
+            {
+                stack[^1].Last = '}';
+            }
+
+            afterControl = block.Control;
+        }
+
+        private void OpenElement(string name)
+        {
+            var element = new SourceElement { Start = pos, NameEnd = pos + 1 + name.Length };
+            pos = element.NameEnd;
+
+            var selfClosing = SkipTagAttributes();
+            element.End = pos;
+
+            // <text> is a Razor-only wrapper and is not rendered
+            if (name.Equals("text", StringComparison.OrdinalIgnoreCase))
+            {
+                if (!selfClosing)
+                {
+                    stack.Add(new Frame { Kind = FrameKind.Element, Name = name });
+                }
+                return;
+            }
+
+            Elements.Add(element);
+
+            if (selfClosing || VoidElements.Contains(name))
+                return;
+
+            if (RawTextElements.Contains(name))
+            {
+                // Skip CSS/JavaScript up to and including the closing tag
+                var close = text.IndexOf("</" + name, pos, StringComparison.OrdinalIgnoreCase);
+                if (close < 0)
+                {
+                    pos = text.Length;
+                    return;
+                }
+
+                SkipPast(">", close);
+                element.End = pos;
+                return;
+            }
+
+            stack.Add(new Frame { Kind = FrameKind.Element, Name = name, Element = element });
+        }
+
+        private void CloseElement(string name)
+        {
+            SkipPast(">", pos);
+
+            // Close the matching element; never cross a code block
+            for (var i = stack.Count - 1; i >= 0; i--)
+            {
+                var frame = stack[i];
+                if (frame.Kind != FrameKind.Element)
+                    return;
+
+                if (string.Equals(frame.Name, name, StringComparison.OrdinalIgnoreCase))
+                {
+                    if (frame.Element != null)
+                    {
+                        frame.Element.End = pos;
+                    }
+
+                    stack.RemoveRange(i, stack.Count - i);
+                    return;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Ends the innermost @: line transition (with any elements left open on the line).
+        /// Returns false if there is no line transition in the current code block.
+        /// </summary>
+        private bool EndLineTransition()
+        {
+            for (var i = stack.Count - 1; i >= 0; i--)
+            {
+                if (stack[i].Kind == FrameKind.Block)
+                    return false;
+
+                if (stack[i].Kind == FrameKind.LineTransition)
+                {
+                    stack.RemoveRange(i, stack.Count - i);
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        /// <summary>
+        /// Skips attributes up to and including the closing '>' of a start tag.
+        /// Returns true for self-closing tags (&lt;br /&gt;).
+        /// </summary>
+        private bool SkipTagAttributes()
+        {
+            var quote = '\0';
+
+            while (pos < text.Length)
+            {
+                var ch = text[pos];
+
+                if (StartsWith("@("))
+                {
+                    // Razor expressions may contain quotes and '>'
+                    pos = SkipBalanced(pos + 1);
+                    continue;
+                }
+
+                if (quote != '\0')
+                {
+                    if (ch == quote)
+                        quote = '\0';
+                }
+                else if (ch == '"' || ch == '\'')
+                {
+                    quote = ch;
+                }
+                else if (ch == '>')
+                {
+                    var selfClosing = text.AsSpan(0, pos).TrimEnd().EndsWith("/");
+                    pos++;
+                    return selfClosing;
+                }
+
+                pos++;
+            }
+
+            return false;
+        }
+
+        /// <summary>
+        /// Skips a parenthesized or bracketed C# expression; returns the position after it.
+        /// </summary>
+        private int SkipBalanced(int start)
+        {
+            var depth = 0;
+            var i = start;
+
+            while (i < text.Length)
+            {
+                var ch = text[i];
+                if (ch == '"' || ch == '\'')
+                {
+                    i = SkipString(i);
+                    continue;
+                }
+
+                i++;
+                if (ch == '(' || ch == '[')
+                {
+                    depth++;
+                }
+                else if (ch == ')' || ch == ']')
+                {
+                    depth--;
+                    if (depth <= 0)
+                        return i;
+                }
+            }
+
+            return i;
+        }
+
+        /// <summary>
+        /// Skips an implicit expression such as @Model.Items[0].Format("x").
+        /// </summary>
+        private int SkipImplicitExpression(int start)
+        {
+            var i = start + Identifier.Match(text, start).Length;
+
+            while (i < text.Length)
+            {
+                if (text[i] == '.' && IsIdentifierStart(i + 1))
+                {
+                    i += 1 + Identifier.Match(text, i + 1).Length;
+                }
+                else if (text[i] == '(' || text[i] == '[')
+                {
+                    i = SkipBalanced(i);
+                }
+                else
+                {
+                    break;
+                }
+            }
+
+            return i;
+        }
+
+        /// <summary>
+        /// Skips a C# string or character literal (ends at the end of the line if unterminated).
+        /// </summary>
+        private int SkipString(int start)
+        {
+            var quote = text[start];
+            var i = start + 1;
+
+            while (i < text.Length && text[i] != '\n')
+            {
+                if (text[i] == '\\')
+                {
+                    i += 2;
+                    continue;
+                }
+
+                if (text[i++] == quote)
+                    break;
+            }
+
+            return Math.Min(i, text.Length);
+        }
+
+        /// <summary>
+        /// Skips the rest of a verbatim string ("" is an escaped quote).
+        /// </summary>
+        private int SkipVerbatimString(int start)
+        {
+            var i = start;
+
+            while (i < text.Length)
+            {
+                if (text[i] == '"')
+                {
+                    if (i + 1 < text.Length && text[i + 1] == '"')
+                    {
+                        i += 2;
+                        continue;
+                    }
+
+                    return i + 1;
+                }
+
+                i++;
+            }
+
+            return i;
+        }
+
+        private void SkipPast(string marker, int from)
+        {
+            var index = text.IndexOf(marker, from, StringComparison.Ordinal);
+            pos = index < 0 ? text.Length : index + marker.Length;
+        }
+
+        private bool StartsWith(string value)
+        {
+            return string.CompareOrdinal(text, pos, value, 0, value.Length) == 0;
+        }
+
+        private bool IsIdentifierStart(int index)
+        {
+            return index < text.Length && (char.IsLetter(text[index]) || text[index] == '_');
+        }
+
+        private bool IsFirstOnLine(int index)
+        {
+            for (var i = index - 1; i >= 0 && text[i] != '\n'; i--)
+            {
+                if (!char.IsWhiteSpace(text[i]))
+                    return false;
+            }
+
+            return true;
+        }
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Umístění knihoven editoru (Monaco, GrapesJS) a načítání jejich souborů (načtení celé knihovny viz editor-loader.js)
+ * Výchozí jsou statické soubory balíčku (_content/BlazorHtmlEditor/lib, viz libman.json), takže editor
+ * funguje i bez přístupu na internet. Hostitel může změnit základní URL knihoven a doplnit SRI hashe -
+ * objektem window.BlazorHtmlEditorAssetOptions nastaveným před načtením skriptů nebo voláním configure().
+ */
+
+// Výchozí umístění knihoven ve statických souborech balíčku
+const DEFAULT_LIB_PATH = '_content/BlazorHtmlEditor/lib';
+
+/**
+ * Přidá k elementu SRI hash souboru (integrity vyžaduje CORS požadavek)
+ */
+function applyIntegrity(element, library, integrity) {
+    if (!integrity) return;
+
+    element.setAttribute('integrity', integrity);
+    element.crossOrigin = library.crossOrigin || 'anonymous';
+}
+
+window.BlazorHtmlEditorAssets = {
+    // Knihovny: { baseUrl, integrity: { 'cesta/k/souboru': 'sha384-...' }, crossOrigin }
+    libraries: {
+        monaco: { baseUrl: `${DEFAULT_LIB_PATH}/monaco-editor/min`, integrity: {}, crossOrigin: null },
+        grapesjs: { baseUrl: `${DEFAULT_LIB_PATH}/grapesjs/dist`, integrity: {}, crossOrigin: null }
+    },
+
+    // Probíhající a dokončená načtení souborů (podle URL)
+    loads: {},
+
+    /**
+     * Změní umístění knihoven, např. { monaco: { baseUrl, integrity }, grapesjs: { baseUrl } }
+     * Hashe se k dříve nastaveným přidávají; platí pro soubory, které se ještě nenačetly
+     */
+    configure: function (options = {}) {
+        for (const [name, library] of Object.entries(options)) {
+            const current = this.libraries[name] || { baseUrl: '', integrity: {}, crossOrigin: null };
+            this.libraries[name] = {
+                ...current,
+                ...library,
+                integrity: { ...current.integrity, ...library?.integrity }
+            };
+        }
+    },
+
+    getLibrary: function (name) {
+        const library = this.libraries[name];
+        if (!library) {
+            throw new Error(`Unknown editor library: ${name}`);
+        }
+        return library;
+    },
+
+    /**
+     * Absolutní URL souboru knihovny (relativní baseUrl se vztahuje k <base href> stránky)
+     */
+    resolve: function (name, path) {
+        const baseUrl = this.getLibrary(name).baseUrl.replace(/\/?$/, '/');
+        return new URL(path, new URL(baseUrl, document.baseURI)).href;
+    },
+
+    /**
+     * Načte klasický skript knihovny (jednou pro každou URL)
+     */
+    loadScript: function (name, path) {
+        const url = this.resolve(name, path);
+        if (!this.loads[url]) {
+            this.loads[url] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = url;
+                applyIntegrity(script, this.getLibrary(name), this.getLibrary(name).integrity[path]);
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    script.remove();
+                    delete this.loads[url];
+                    reject(new Error(`Failed to load script ${url}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.loads[url];
+    },
+
+    /**
+     * Připojí stylopis knihovny (jednou pro každou URL)
+     */
+    loadStyle: function (name, path) {
+        const url = this.resolve(name, path);
+        if (!this.loads[url]) {
+            this.loads[url] = new Promise((resolve, reject) => {
+                const link = document.createElement('link');
+                link.rel = 'stylesheet';
+                link.href = url;
+                applyIntegrity(link, this.getLibrary(name), this.getLibrary(name).integrity[path]);
+                link.onload = () => resolve();
+                link.onerror = () => {
+                    link.remove();
+                    delete this.loads[url];
+                    reject(new Error(`Failed to load stylesheet ${url}`));
+                };
+                document.head.appendChild(link);
+            });
+        }
+        return this.loads[url];
+    },
+
+    /**
+     * Načte ES modul knihovny
+     * import() neumí integrity - modul se proto s hashem nejdřív stáhne přes <link rel="modulepreload">
+     * a import() pak použije už ověřenou (nebo odmítnutou) položku mapy modulů
+     */
+    importModule: function (name, path) {
+        const url = this.resolve(name, path);
+        const integrity = this.getLibrary(name).integrity[path];
+
+        if (integrity && !document.querySelector(`link[rel="modulepreload"][href="${url}"]`)) {
+            const link = document.createElement('link');
+            link.rel = 'modulepreload';
+            link.href = url;
+            applyIntegrity(link, this.getLibrary(name), integrity);
+            document.head.appendChild(link);
+        }
+
+        return import(url);
+    }
+};
+
+// Konfigurace nastavená stránkou před načtením skriptů
+if (window.BlazorHtmlEditorAssetOptions) {
+    window.BlazorHtmlEditorAssets.configure(window.BlazorHtmlEditorAssetOptions);
+}
+
+console.log('BlazorHtmlEditorAssets loaded');
@@ -1,163 +1,1200 @@
 /**
  * Design Canvas JavaScript Interop
  * Poskytuje základní interakci pro vlastní page builder
+ * Uzly se přesouvají myší (HTML5 drag & drop), prstem nebo perem (pointer events, podržením)
+ * a klávesnicí (šipky vybírají, Alt+šipky přesouvají); změny se oznamují čtečkám obrazovky
+ * Editovatelný text má lištu formátování (tučné, kurzíva, podtržení, odkaz, seznamy), vložený obsah
+ * a getHtmlByNodeId čistí design-canvas-sanitizer.js; prázdný text zobrazí data-placeholder
+ * Každé plátno (kořenový element) má vlastní instanci DesignCanvas s vlastní .NET referencí;
+ * listenery, selektory i živá oblast se týkají jen jeho kořene a dispose() je všechny odebere.
  */
 
-window.DesignCanvasInterop = {
-    dotnetRef: null,
+class DesignCanvas {
+    // Tlačítka lišty formátování (command = document.execCommand, state = stav podle výběru)
+    static richTextActions = [
+        { name: 'bold', command: 'bold', label: 'Bold (Ctrl+B)', icon: '<b>B</b>' },
+        { name: 'italic', command: 'italic', label: 'Italic (Ctrl+I)', icon: '<i>I</i>' },
+        { name: 'underline', command: 'underline', label: 'Underline (Ctrl+U)', icon: '<u>U</u>' },
+        { name: 'link', label: 'Link (Ctrl+K)', icon: '&#128279;' },
+        { name: 'unorderedList', command: 'insertUnorderedList', label: 'Bulleted list', icon: '&bull;&equiv;' },
+        { name: 'orderedList', command: 'insertOrderedList', label: 'Numbered list', icon: '1.&equiv;' }
+    ];
+
+    // Původní zástupný text vykreslený přímo do obsahu (převádí se na data-placeholder)
+    static legacyPlaceholder = 'Click to edit...';
+
+    /**
+     * root: kořenový element plátna, dotnetRef: .NET objekt s metodou pro přesun uzlů
+     * options.moveNodeTo: true = .NET má MoveNodeTo(nodeId, targetNodeId, position) s pozicí 'before', 'after'
+     * nebo 'inside'; jinak se volá původní MoveNode(nodeId, targetNodeId, -1)
+     */
+    constructor(root, dotnetRef, options = {}) {
+        this.root = root;
+        this.dotnetRef = dotnetRef;
+        this.moveNodeTo = options.moveNodeTo === true;
+
+        // Probíhající přetahování: { node, nodeId, drop: { target, position, horizontal }, pointerId }
+        this.dragState = null;
+
+        // Podržení prstu/pera před začátkem přetahování: { node, pointerId, x, y, timer }
+        this.pendingPointerDrag = null;
+
+        // Jak dlouho (ms) podržet prst na uzlu, než se začne přetahovat (kratší pohyb posouvá stránku)
+        this.touchHoldDelay = 350;
+
+        // O kolik px se smí prst při podržení pohnout
+        this.touchHoldTolerance = 8;
+
+        // Sleduje uzly vykreslené Blazorem (zaměřitelnost nových uzlů)
+        this.nodeObserver = null;
+
+        // Indikátor vložení a živá oblast pro čtečky obrazovky (vytváří se při prvním použití)
+        this.indicator = null;
+        this.liveRegion = null;
+
+        // Lišta formátování, právě editovaný element a jeho výběr (při práci s lištou)
+        this.toolbar = null;
+        this.activeEditable = null;
+        this.savedRange = null;
+
+        // Všechny listenery se registrují s tímto signálem - dispose() je odebere najednou
+        this.listeners = new AbortController();
+    }
 
     /**
-     * Inicializace Design Canvas
+     * Inicializace plátna
      */
-    initialize(dotnetReference) {
-        console.log('DesignCanvasInterop: Initializing');
-        this.dotnetRef = dotnetReference;
+    initialize() {
+        console.log('DesignCanvasInterop: Initializing', this.root.id || this.root.tagName);
 
         // Setup drag & drop event listeners
         this.setupDragAndDrop();
+        this.setupPointerDrag();
+
+        // Výběr a přesouvání uzlů klávesnicí, oznámení pro čtečky obrazovky
+        this.setupKeyboard();
+        this.ensureLiveRegion();
 
-        // Setup contenteditable placeholder handling
-        this.setupEditablePlaceholders();
+        // Formátování textu, vkládání a zástupný text editovatelných elementů
+        this.setupRichText();
 
         console.log('DesignCanvasInterop: Initialized successfully');
-    },
+    }
+
+    /**
+     * Přidá listener, který se odebere při dispose()
+     */
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.listeners.signal });
+    }
+
+    /**
+     * Uzel plátna, ve kterém je element (null mimo kořen plátna)
+     */
+    getNode(element) {
+        const node = element?.closest?.('.design-node');
+        return node && this.root.contains(node) ? node : null;
+    }
+
+    /**
+     * Všechny uzly plátna v pořadí dokumentu
+     */
+    getNodes() {
+        return [...this.root.querySelectorAll('.design-node')];
+    }
+
+    /**
+     * Uzel plátna podle node ID
+     */
+    findNode(nodeId) {
+        return this.root.querySelector(`.design-node[data-node-id="${CSS.escape(nodeId)}"]`);
+    }
+
+    /**
+     * Editovatelné elementy plátna (contenteditable="true"):
+     *  - lišta formátování nad zaměřeným elementem (Alt+F10 do ní přesune focus, Escape zpět, šipky mezi tlačítky)
+     *  - Ctrl+K vloží nebo upraví odkaz
+     *  - vložený obsah se vyčistí (Word, Google Docs), data-rich-text="false" vkládá jen čistý text a lištu nemá
+     *  - data-placeholder se zobrazí, když je element prázdný (atribut data-empty, viz styles.css)
+     */
+    setupRichText() {
+        this.listen(this.root, 'focusin', (e) => {
+            const editable = this.getEditable(e.target);
+            if (!editable) return;
+
+            this.migrateLegacyPlaceholder(editable);
+            if (this.isRichText(editable)) {
+                this.showToolbar(editable);
+            }
+        });
+
+        this.listen(this.root, 'focusout', (e) => {
+            const editable = this.getEditable(e.target);
+            if (!editable) return;
+
+            this.updateEmptyState(editable);
+            if (this.toolbar?.contains(e.relatedTarget)) {
+                // Focus jde do lišty - výběr si zapamatuj, akce ho obnoví
+                this.saveSelection(editable);
+            } else if (editable === this.activeEditable) {
+                this.hideToolbar();
+            }
+        });
+
+        this.listen(this.root, 'input', (e) => {
+            const editable = this.getEditable(e.target);
+            if (editable) this.updateEmptyState(editable);
+        });
+
+        this.listen(this.root, 'paste', (e) => {
+            const editable = this.getEditable(e.target);
+            if (editable) this.handlePaste(e, editable);
+        });
+
+        this.listen(this.root, 'keydown', (e) => {
+            const editable = this.getEditable(e.target);
+            if (!editable || !this.isRichText(editable)) return;
+
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.runRichTextAction('link');
+            } else if (e.altKey && e.key === 'F10' && this.toolbar && !this.toolbar.hidden) {
+                e.preventDefault();
+                this.saveSelection(editable);
+                this.toolbar.querySelector('button')?.focus();
+            }
+        });
+
+        // Stav tlačítek podle výběru a poloha lišty při posunu stránky
+        this.listen(document, 'selectionchange', () => {
+            if (this.activeEditable && document.activeElement === this.activeEditable) {
+                this.updateToolbarState();
+            }
+        });
+        this.listen(document, 'scroll', () => this.positionToolbar(), { capture: true, passive: true });
+        this.listen(window, 'resize', () => this.positionToolbar());
+
+        this.updateEditables();
+    }
+
+    /**
+     * Editovatelný element plátna, ve kterém je element (null mimo plátno nebo mimo editovatelný obsah)
+     */
+    getEditable(element) {
+        const editable = element?.closest?.('[contenteditable="true"]');
+        return editable && this.root.contains(editable) ? editable : null;
+    }
+
+    /**
+     * Povoluje element formátování? (data-rich-text="false" = jen čistý text)
+     */
+    isRichText(editable) {
+        return editable.dataset.richText !== 'false';
+    }
+
+    /**
+     * Aktualizuje data-empty u všech editovatelných elementů plátna (po překreslení Blazorem)
+     */
+    updateEditables() {
+        this.root.querySelectorAll('[contenteditable="true"]').forEach(editable => this.updateEmptyState(editable));
+    }
+
+    /**
+     * Prázdný element (jen mezery nebo zbylé <br>) dostane atribut data-empty
+     */
+    updateEmptyState(editable) {
+        const empty = !editable.textContent.trim() && !editable.querySelector('img');
+        editable.toggleAttribute('data-empty', empty);
+    }
+
+    /**
+     * Element s původním zástupným textem v obsahu se vyprázdní a text se přesune do data-placeholder
+     * (jen při přesné shodě - text, který zástupný text jen obsahuje, zůstane)
+     */
+    migrateLegacyPlaceholder(editable) {
+        const placeholder = DesignCanvas.legacyPlaceholder;
+        if (editable.textContent.trim() !== placeholder) return;
+
+        if (!editable.hasAttribute('data-placeholder')) {
+            editable.setAttribute('data-placeholder', placeholder);
+        }
+        editable.innerHTML = '';
+        this.updateEmptyState(editable);
+    }
+
+    /**
+     * Vložení ze schránky - HTML se vyčistí, text se escapuje; bez formátování jen čistý text
+     */
+    handlePaste(e, editable) {
+        const data = e.clipboardData;
+        if (!data) return;
+        e.preventDefault();
+
+        const sanitizer = window.DesignCanvasSanitizer;
+        const html = this.isRichText(editable) ? data.getData('text/html') : '';
+        if (html) {
+            const clean = sanitizer.sanitize(html);
+            if (clean) document.execCommand('insertHTML', false, clean);
+        } else {
+            const text = data.getData('text/plain');
+            if (text) document.execCommand('insertText', false, this.isRichText(editable) ? text : text.replace(/\s*\r?\n\s*/g, ' '));
+        }
+        this.updateEmptyState(editable);
+    }
+
+    /**
+     * Vytvoří lištu formátování (jednou, mimo kořen plátna kvůli překreslování Blazorem)
+     */
+    ensureToolbar() {
+        if (this.toolbar) return this.toolbar;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'design-rte-toolbar';
+        toolbar.setAttribute('role', 'toolbar');
+        toolbar.setAttribute('aria-label', 'Text formatting');
+        toolbar.hidden = true;
+
+        for (const action of DesignCanvas.richTextActions) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'design-rte-button';
+            button.dataset.action = action.name;
+            button.title = action.label;
+            button.setAttribute('aria-label', action.label);
+            button.setAttribute('aria-pressed', 'false');
+            button.tabIndex = -1;
+            button.innerHTML = action.icon;
+            toolbar.appendChild(button);
+        }
+
+        // Kliknutí nesmí vzít editovanému textu focus ani výběr
+        this.listen(toolbar, 'mousedown', (e) => e.preventDefault());
+
+        this.listen(toolbar, 'click', (e) => {
+            const button = e.target.closest('button');
+            if (button) this.runRichTextAction(button.dataset.action);
+        });
+
+        this.listen(toolbar, 'keydown', (e) => {
+            const buttons = [...toolbar.querySelectorAll('button')];
+            const index = buttons.indexOf(document.activeElement);
+            if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+                e.preventDefault();
+                const next = (index + (e.key === 'ArrowRight' ? 1 : -1) + buttons.length) % buttons.length;
+                buttons[next].focus();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.restoreSelection();
+            }
+        });
+
+        this.listen(toolbar, 'focusout', (e) => {
+            // Focus opustil lištu i editovaný text
+            if (!toolbar.contains(e.relatedTarget) && e.relatedTarget !== this.activeEditable) {
+                this.hideToolbar();
+            }
+        });
+
+        document.body.appendChild(toolbar);
+        this.toolbar = toolbar;
+        return toolbar;
+    }
 
     /**
-     * Setup placeholder handling pro contenteditable elementy
+     * Zobrazí lištu formátování nad editovaným elementem
      */
-    setupEditablePlaceholders() {
-        document.addEventListener('focus', (e) => {
-            if (e.target.hasAttribute('contenteditable') && e.target.getAttribute('contenteditable') === 'true') {
-                // Pokud má placeholder text, vymaž ho při focusu
-                const text = e.target.innerText || e.target.textContent || '';
-                if (text.includes('Click to edit...')) {
-                    e.target.innerHTML = '';
+    showToolbar(editable) {
+        const toolbar = this.ensureToolbar();
+        this.activeEditable = editable;
+        toolbar.hidden = false;
+        this.positionToolbar();
+        this.updateToolbarState();
+    }
+
+    /**
+     * Skryje lištu formátování
+     */
+    hideToolbar() {
+        if (this.toolbar) this.toolbar.hidden = true;
+        this.activeEditable = null;
+        this.savedRange = null;
+    }
+
+    /**
+     * Umístí lištu nad editovaný element (pod něj, pokud nad ním není místo)
+     */
+    positionToolbar() {
+        const toolbar = this.toolbar;
+        if (!toolbar || toolbar.hidden || !this.activeEditable) return;
+
+        const rect = this.activeEditable.getBoundingClientRect();
+        const gap = 6;
+        let top = rect.top - toolbar.offsetHeight - gap;
+        if (top < 0) {
+            top = rect.bottom + gap;
+        }
+        const left = Math.max(4, Math.min(rect.left, window.innerWidth - toolbar.offsetWidth - 4));
+
+        toolbar.style.top = `${top}px`;
+        toolbar.style.left = `${left}px`;
+    }
+
+    /**
+     * Stav tlačítek (aria-pressed) podle formátování výběru
+     */
+    updateToolbarState() {
+        if (!this.toolbar) return;
+
+        for (const action of DesignCanvas.richTextActions) {
+            let active = false;
+            if (action.name === 'link') {
+                active = !!this.getSelectedLink();
+            } else {
+                try {
+                    active = document.queryCommandState(action.command);
+                } catch {
+                    active = false;
                 }
             }
-        }, true); // Use capture to catch before element's own handlers
-    },
+            this.toolbar.querySelector(`[data-action="${action.name}"]`).setAttribute('aria-pressed', String(active));
+        }
+    }
+
+    /**
+     * Zapamatuje výběr v editovaném elementu (focus přechází do lišty)
+     */
+    saveSelection(editable) {
+        const selection = document.getSelection();
+        if (selection.rangeCount > 0 && editable.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+            this.savedRange = selection.getRangeAt(0).cloneRange();
+        }
+    }
+
+    /**
+     * Vrátí focus editovanému elementu a obnoví zapamatovaný výběr
+     */
+    restoreSelection() {
+        const editable = this.activeEditable;
+        if (!editable) return;
+
+        editable.focus({ preventScroll: true });
+        if (this.savedRange) {
+            const selection = document.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(this.savedRange);
+            this.savedRange = null;
+        }
+    }
+
+    /**
+     * Odkaz, ve kterém je výběr editovaného elementu (null, pokud není)
+     */
+    getSelectedLink() {
+        const editable = this.activeEditable;
+        const node = document.getSelection()?.anchorNode;
+        if (!editable || !node) return null;
+
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        const link = element?.closest('a');
+        return link && editable.contains(link) ? link : null;
+    }
+
+    /**
+     * Provede akci lišty formátování na výběru editovaného elementu
+     */
+    runRichTextAction(name) {
+        const editable = this.activeEditable;
+        const action = DesignCanvas.richTextActions.find(a => a.name === name);
+        if (!editable || !action) return;
+
+        this.restoreSelection();
+        if (action.name === 'link') {
+            this.editLink();
+        } else {
+            document.execCommand(action.command, false, null);
+        }
+
+        this.updateEmptyState(editable);
+        this.updateToolbarState();
+    }
+
+    /**
+     * Vloží, změní nebo (prázdnou adresou) odebere odkaz na výběru
+     */
+    editLink() {
+        const editable = this.activeEditable;
+        const selection = document.getSelection();
+        const link = this.getSelectedLink();
+
+        // Uvnitř odkazu bez výběru se upravuje celý odkaz
+        if (link && selection.isCollapsed) {
+            const range = document.createRange();
+            range.selectNodeContents(link);
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        const range = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+
+        const input = window.prompt('Link URL (leave empty to remove the link)', link?.getAttribute('href') || 'https://');
+
+        // prompt bere focus - vrať ho i s výběrem
+        editable.focus({ preventScroll: true });
+        if (range) {
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+        if (input === null) return;
+
+        if (!input.trim()) {
+            document.execCommand('unlink', false, null);
+            return;
+        }
+
+        const url = window.DesignCanvasSanitizer.sanitizeUrl(input);
+        if (!url) {
+            this.announce('Unsupported link address');
+            return;
+        }
+
+        if (selection.isCollapsed) {
+            // Bez vybraného textu se vloží odkaz s adresou jako textem
+            const text = window.DesignCanvasSanitizer.textToHtml(url);
+            const href = url.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+            document.execCommand('insertHTML', false, `<a href="${href}">${text}</a>`);
+        } else {
+            document.execCommand('createLink', false, url);
+        }
+    }
 
     /**
      * Setup HTML5 Drag & Drop
+     * Pozici vložení (before, after, inside) určuje poloha kurzoru v cílovém uzlu a směr toku jeho rodiče;
+     * neplatné cíle (přetahovaný uzel, jeho potomci, inside do ne-kontejneru, uzly jiného plátna) drop nepovolí
      */
     setupDragAndDrop() {
-        // Event delegation pro všechny design-node elementy
-        document.addEventListener('dragstart', (e) => {
-            if (e.target.classList.contains('design-node') || e.target.closest('.design-node')) {
-                const node = e.target.classList.contains('design-node')
-                    ? e.target
-                    : e.target.closest('.design-node');
-
-                const nodeId = node.getAttribute('data-node-id');
-                if (nodeId) {
-                    e.dataTransfer.effectAllowed = 'move';
-                    e.dataTransfer.setData('text/plain', nodeId);
-                    node.classList.add('dragging');
-                    console.log('Drag started:', nodeId);
-                }
+        // Event delegation pro všechny design-node elementy plátna
+        this.listen(this.root, 'dragstart', (e) => {
+            const node = this.getNode(e.target);
+            if (!node) return;
+
+            const nodeId = node.getAttribute('data-node-id');
+            if (nodeId) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', nodeId);
+                node.classList.add('dragging');
+
+                // dataTransfer se během dragover nedá číst - přetahovaný uzel si pamatujeme
+                this.dragState = { node, nodeId, drop: null };
+                console.log('Drag started:', nodeId);
             }
         });
 
-        document.addEventListener('dragend', (e) => {
-            if (e.target.classList.contains('design-node') || e.target.closest('.design-node')) {
-                const node = e.target.classList.contains('design-node')
-                    ? e.target
-                    : e.target.closest('.design-node');
-                node.classList.remove('dragging');
-                console.log('Drag ended');
-            }
+        this.listen(this.root, 'dragend', (e) => {
+            const node = this.getNode(e.target);
+            node?.classList.remove('dragging');
+            this.endDrag();
+            console.log('Drag ended');
         });
 
-        document.addEventListener('dragover', (e) => {
-            e.preventDefault(); // Nutné pro povolení drop
+        this.listen(this.root, 'dragover', (e) => {
+            if (!this.dragState) return;
 
-            const target = e.target.closest('.design-node');
-            if (target) {
-                e.dataTransfer.dropEffect = 'move';
-                target.classList.add('drag-over');
+            const drop = this.getDropTarget(e.target, e.clientX, e.clientY);
+            if (!drop) {
+                // Bez preventDefault prohlížeč drop nepovolí
+                this.showDropIndicator(null);
+                return;
             }
+
+            e.preventDefault(); // Nutné pro povolení drop
+            e.dataTransfer.dropEffect = 'move';
+            this.showDropIndicator(drop);
         });
 
-        document.addEventListener('dragleave', (e) => {
-            const target = e.target.closest('.design-node');
-            if (target) {
-                target.classList.remove('drag-over');
+        this.listen(this.root, 'dragleave', (e) => {
+            // Opuštění plátna (ne přechod mezi uzly)
+            if (this.dragState && !this.getNode(e.relatedTarget)) {
+                this.showDropIndicator(null);
             }
         });
 
-        document.addEventListener('drop', (e) => {
+        this.listen(this.root, 'drop', (e) => {
+            if (!this.dragState) return;
             e.preventDefault();
 
-            const target = e.target.closest('.design-node');
-            if (target) {
-                target.classList.remove('drag-over');
+            const draggedNodeId = this.dragState.nodeId;
+            const drop = this.getDropTarget(e.target, e.clientX, e.clientY);
+            this.endDrag();
+
+            if (drop) {
+                this.moveNode(draggedNodeId, drop.target, drop.position);
+            }
+        });
+    }
+
+    /**
+     * Přetahování prstem nebo perem (HTML5 drag & drop na dotykových zařízeních nefunguje)
+     * Přetahování začne po podržení uzlu (touchHoldDelay); dřívější pohyb prstu stránku normálně posouvá
+     * Pohyb a puštění se sledují na celém dokumentu (prst může plátno opustit), ale jen pro vlastní přetahování
+     */
+    setupPointerDrag() {
+        this.listen(this.root, 'pointerdown', (e) => {
+            if (e.pointerType === 'mouse' || this.dragState) return;
 
-                const draggedNodeId = e.dataTransfer.getData('text/plain');
-                const targetNodeId = target.getAttribute('data-node-id');
+            const node = this.getNode(e.target);
+            if (!node || !node.getAttribute('data-node-id') || e.target.isContentEditable) return;
 
-                if (draggedNodeId && targetNodeId && draggedNodeId !== targetNodeId) {
-                    console.log(`Drop: ${draggedNodeId} -> ${targetNodeId}`);
+            this.cancelPointerHold();
+            this.pendingPointerDrag = {
+                node,
+                pointerId: e.pointerId,
+                x: e.clientX,
+                y: e.clientY,
+                timer: setTimeout(() => this.startPointerDrag(), this.touchHoldDelay)
+            };
+        });
 
-                    // Zavolej Blazor callback
-                    if (this.dotnetRef) {
-                        this.dotnetRef.invokeMethodAsync('MoveNode', draggedNodeId, targetNodeId, -1);
-                    }
+        this.listen(document, 'pointermove', (e) => {
+            const pending = this.pendingPointerDrag;
+            if (pending && pending.pointerId === e.pointerId) {
+                // Prst se pohnul dřív, než uplynulo podržení - uživatel posouvá stránku
+                if (Math.hypot(e.clientX - pending.x, e.clientY - pending.y) > this.touchHoldTolerance) {
+                    this.cancelPointerHold();
                 }
+                return;
             }
+
+            if (this.dragState?.pointerId !== e.pointerId) return;
+
+            const element = document.elementFromPoint(e.clientX, e.clientY);
+            this.showDropIndicator(this.getDropTarget(element, e.clientX, e.clientY));
         });
-    },
+
+        this.listen(document, 'pointerup', (e) => {
+            if (this.pendingPointerDrag?.pointerId === e.pointerId) {
+                this.cancelPointerHold();
+            }
+            if (this.dragState?.pointerId !== e.pointerId) return;
+
+            const { nodeId, node } = this.dragState;
+            const element = document.elementFromPoint(e.clientX, e.clientY);
+            const drop = this.getDropTarget(element, e.clientX, e.clientY);
+            node.classList.remove('dragging');
+            this.endDrag();
+
+            if (drop) {
+                this.moveNode(nodeId, drop.target, drop.position);
+            } else {
+                this.announce('Move cancelled');
+            }
+        });
+
+        this.listen(document, 'pointercancel', (e) => {
+            if (this.pendingPointerDrag?.pointerId === e.pointerId) {
+                this.cancelPointerHold();
+            }
+            if (this.dragState?.pointerId === e.pointerId) {
+                this.cancelDrag();
+            }
+        });
+
+        // Během přetahování prstem se stránka neposouvá (listener nesmí být pasivní)
+        this.listen(document, 'touchmove', (e) => {
+            if (this.dragState?.pointerId !== undefined && e.cancelable) {
+                e.preventDefault();
+            }
+        }, { passive: false });
+    }
+
+    /**
+     * Začne přetahování podrženého uzlu
+     */
+    startPointerDrag() {
+        const pending = this.pendingPointerDrag;
+        this.pendingPointerDrag = null;
+        // Prohlížeč mezitím mohl začít vlastní drag & drop (dlouhý stisk na draggable elementu)
+        if (!pending || !pending.node.isConnected || this.dragState) return;
+
+        const nodeId = pending.node.getAttribute('data-node-id');
+        pending.node.classList.add('dragging');
+        this.dragState = { node: pending.node, nodeId, drop: null, pointerId: pending.pointerId };
+        this.announce(`Dragging ${this.getNodeLabel(pending.node)}`);
+        console.log('Pointer drag started:', nodeId);
+    }
+
+    /**
+     * Zruší čekání na podržení uzlu
+     */
+    cancelPointerHold() {
+        clearTimeout(this.pendingPointerDrag?.timer);
+        this.pendingPointerDrag = null;
+    }
+
+    /**
+     * Zruší probíhající přetahování bez přesunu (Escape, pointercancel)
+     */
+    cancelDrag() {
+        this.dragState?.node.classList.remove('dragging');
+        this.endDrag();
+        this.announce('Move cancelled');
+    }
+
+    /**
+     * Klávesnice na uzlech plátna:
+     *  - šipka nahoru/dolů: předchozí/další uzel, šipka vlevo: nadřazený uzel, vpravo: první vnořený uzel
+     *  - Enter/mezerník: výběr uzlu (stejně jako kliknutí)
+     *  - Alt+šipka nahoru/dolů: přesun před předchozího / za dalšího sourozence
+     *  - Alt+šipka vpravo: přesun do předchozího sourozence (kontejneru), Alt+šipka vlevo: přesun ven za rodiče
+     *  - Escape: zrušení přetahování (i když focus plátno opustil)
+     * Text v editovatelném obsahu se klávesami neovlivní
+     */
+    setupKeyboard() {
+        // Uzly se dají zaměřit (roving tabindex - Tabem se na plátno dostane jen jeden uzel)
+        this.listen(this.root, 'focusin', (e) => {
+            const node = this.getNode(e.target);
+            if (node && e.target === node) {
+                this.setFocusableNode(node);
+            }
+        });
+
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.dragState) {
+                this.cancelDrag();
+            }
+        });
+
+        this.listen(this.root, 'keydown', (e) => {
+            const node = this.getNode(e.target);
+            if (!node || e.target !== node || e.target.isContentEditable) return;
+
+            const handled = e.altKey ? this.moveNodeByKey(node, e.key) : this.navigateByKey(node, e.key);
+            if (handled) {
+                e.preventDefault();
+            }
+        });
+
+        // Blazor uzly průběžně překresluje - nové uzly musí jít zaměřit a jeden musí zůstat v pořadí Tabu
+        let scheduled = false;
+        this.nodeObserver = new MutationObserver(() => {
+            if (scheduled) return;
+            scheduled = true;
+            requestAnimationFrame(() => {
+                scheduled = false;
+                if (!this.nodeObserver) return;
+                this.updateFocusableNodes();
+                this.updateEditables();
+            });
+        });
+        this.nodeObserver.observe(this.root, { childList: true, subtree: true });
+        this.updateFocusableNodes();
+    }
+
+    /**
+     * Uzly bez tabindex dostanou -1 (zaměřitelné klikem a šipkami); pokud Tabem nejde zaměřit žádný uzel, bude to první
+     */
+    updateFocusableNodes() {
+        const nodes = this.getNodes();
+        nodes.forEach(node => {
+            if (!node.hasAttribute('tabindex')) node.setAttribute('tabindex', '-1');
+        });
+
+        if (nodes.length > 0 && !nodes.some(node => node.getAttribute('tabindex') === '0')) {
+            nodes[0].setAttribute('tabindex', '0');
+        }
+    }
+
+    /**
+     * Výběr a procházení uzlů šipkami; vrací true, pokud klávesu zpracoval
+     */
+    navigateByKey(node, key) {
+        let target = null;
+        switch (key) {
+            case 'ArrowUp':
+            case 'ArrowDown': {
+                const nodes = this.getNodes();
+                const index = nodes.indexOf(node) + (key === 'ArrowUp' ? -1 : 1);
+                target = nodes[index] || null;
+                break;
+            }
+            case 'ArrowLeft':
+                target = this.getParentNode(node);
+                break;
+            case 'ArrowRight':
+                target = this.getChildNodes(node)[0] || null;
+                break;
+            case 'Enter':
+            case ' ':
+                node.click();
+                return true;
+            default:
+                return false;
+        }
+
+        if (target) {
+            this.focusNode(target);
+        }
+        return true;
+    }
+
+    /**
+     * Přesun uzlu Alt+šipkami; vrací true, pokud klávesu zpracoval
+     */
+    moveNodeByKey(node, key) {
+        const nodeId = node.getAttribute('data-node-id');
+        const label = this.getNodeLabel(node);
+        const siblings = this.getSiblingNodes(node);
+        const index = siblings.indexOf(node);
+
+        switch (key) {
+            case 'ArrowUp':
+                if (index > 0) {
+                    this.moveNode(nodeId, siblings[index - 1], 'before');
+                } else {
+                    this.announce(`${label} is already first`);
+                }
+                return true;
+            case 'ArrowDown':
+                if (index < siblings.length - 1) {
+                    this.moveNode(nodeId, siblings[index + 1], 'after');
+                } else {
+                    this.announce(`${label} is already last`);
+                }
+                return true;
+            case 'ArrowRight': {
+                const previous = siblings[index - 1];
+                if (previous && this.isContainerNode(previous)) {
+                    this.moveNode(nodeId, previous, 'inside');
+                } else {
+                    this.announce(`${label} cannot be moved into the previous element`);
+                }
+                return true;
+            }
+            case 'ArrowLeft': {
+                const parent = this.getParentNode(node);
+                if (parent) {
+                    this.moveNode(nodeId, parent, 'after');
+                } else {
+                    this.announce(`${label} is already at the top level`);
+                }
+                return true;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Nadřazený uzel (null na nejvyšší úrovni plátna)
+     */
+    getParentNode(node) {
+        return this.getNode(node.parentElement);
+    }
+
+    /**
+     * Přímo vnořené uzly (vnořené přes obalující elementy kontejneru)
+     */
+    getChildNodes(node) {
+        return [...node.querySelectorAll('.design-node')].filter(child => this.getParentNode(child) === node);
+    }
 
     /**
-     * Získá text z contenteditable elementu
+     * Uzly na stejné úrovni jako uzel (včetně něj)
+     */
+    getSiblingNodes(node) {
+        const parent = this.getParentNode(node);
+        return parent
+            ? this.getChildNodes(parent)
+            : this.getNodes().filter(n => !this.getParentNode(n));
+    }
+
+    /**
+     * Název uzlu pro oznámení (aria-label, popisek uzlu nebo jeho ID)
+     */
+    getNodeLabel(node) {
+        const label = node.getAttribute('aria-label')
+            || node.querySelector(':scope > .design-node-label')?.textContent
+            || node.getAttribute('data-node-id');
+        return label.trim().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Přesune uzel (Blazor MoveNodeTo / MoveNode), oznámí to a po překreslení vrátí focus na přesunutý uzel
+     * position: 'before', 'after' nebo 'inside' (vůči cílovému uzlu)
+     */
+    async moveNode(nodeId, target, position) {
+        const targetNodeId = target.getAttribute('data-node-id');
+        const dragged = this.findNode(nodeId);
+        const label = dragged ? this.getNodeLabel(dragged) : nodeId;
+        const restoreFocus = dragged && dragged === document.activeElement;
+        console.log(`Drop: ${nodeId} -> ${position} ${targetNodeId}`);
+
+        // Zavolej Blazor callback
+        if (!this.dotnetRef) return;
+
+        const method = this.moveNodeTo ? 'MoveNodeTo' : 'MoveNode';
+        try {
+            await this.dotnetRef.invokeMethodAsync(method, nodeId, targetNodeId, this.moveNodeTo ? position : -1);
+        } catch (error) {
+            console.error(`DesignCanvasInterop: ${method} failed`, error);
+            this.announce(`${label} could not be moved`);
+            return;
+        }
+
+        // Původní MoveNode pozici nedostává - kam uzel přesune, určí hostitel
+        const where = !this.moveNodeTo ? 'to' : position === 'inside' ? 'into' : position;
+        this.announce(`Moved ${label} ${where} ${this.getNodeLabel(target)}`);
+
+        if (restoreFocus) {
+            // Blazor uzel po přesunu vykreslí znovu (případně jako nový element)
+            requestAnimationFrame(() => this.focusNode(nodeId));
+        }
+    }
+
+    /**
+     * Je uzel kontejner (lze do něj vkládat)?
+     * Kontejnery jsou sekce, řádky a sloupce; data-container="true"/"false" to určí explicitně
+     */
+    isContainerNode(node) {
+        if (node.dataset.container) {
+            return node.dataset.container === 'true';
+        }
+        return node.matches('.design-node-section, .design-node-row, .design-node-column');
+    }
+
+    /**
+     * Tečou sourozenci uzlu vodorovně (řádek flexboxu, inline prvky)?
+     */
+    isHorizontalFlow(node) {
+        const parent = node.parentElement;
+        if (parent) {
+            const parentStyle = getComputedStyle(parent);
+            if (parentStyle.display.includes('flex')) {
+                return !parentStyle.flexDirection.startsWith('column');
+            }
+        }
+        return getComputedStyle(node).display.startsWith('inline');
+    }
+
+    /**
+     * Pozice vložení podle polohy kurzoru v boxu cíle
+     * Kontejner: okraje (čtvrtina ve směru toku) = before/after, střed = inside; ostatní uzly: půlka = before/after
+     */
+    getDropPosition(rect, x, y, horizontal, container) {
+        const offset = horizontal ? x - rect.left : y - rect.top;
+        const size = horizontal ? rect.width : rect.height;
+        const ratio = size > 0 ? offset / size : 0.5;
+
+        if (container) {
+            if (ratio < 0.25) return 'before';
+            if (ratio > 0.75) return 'after';
+            return 'inside';
+        }
+        return ratio < 0.5 ? 'before' : 'after';
+    }
+
+    /**
+     * Cíl dropu pod kurzorem: { target, position, horizontal } nebo null, pokud tam drop není povolen
+     * Prázdná drop zóna kontejneru znamená vložení dovnitř kontejneru
+     */
+    getDropTarget(element, x, y) {
+        const dragged = this.dragState?.node;
+        const target = this.getNode(element);
+        if (!dragged || !target) return null;
+
+        // Do sebe ani do vlastních potomků uzel přesunout nejde
+        if (dragged === target || dragged.contains(target)) return null;
+
+        const container = this.isContainerNode(target);
+        const horizontal = this.isHorizontalFlow(target);
+        const inDropZone = element.closest('.design-node-drop-zone, .design-node-empty-drop-zone');
+        const position = inDropZone && target.contains(inDropZone)
+            ? 'inside'
+            : this.getDropPosition(target.getBoundingClientRect(), x, y, horizontal, container);
+
+        if (position === 'inside' && !container) return null;
+
+        return { target, position, horizontal };
+    }
+
+    /**
+     * Zobrazí indikátor vložení - čára před/za cílem nebo rámeček kolem kontejneru (null ho skryje)
+     */
+    showDropIndicator(drop) {
+        const previous = this.dragState?.drop;
+        previous?.target.classList.remove('drag-over');
+
+        if (!drop) {
+            this.indicator?.remove();
+            this.indicator = null;
+            if (this.dragState) this.dragState.drop = null;
+            return;
+        }
+
+        if (!this.indicator) {
+            this.indicator = document.createElement('div');
+            this.indicator.className = 'design-drop-indicator';
+            document.body.appendChild(this.indicator);
+        }
+
+        const rect = drop.target.getBoundingClientRect();
+        const line = 3;
+        let box;
+        if (drop.position === 'inside') {
+            drop.target.classList.add('drag-over');
+            box = { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+        } else if (drop.horizontal) {
+            const x = drop.position === 'before' ? rect.left : rect.right;
+            box = { left: x - line / 2, top: rect.top, width: line, height: rect.height };
+        } else {
+            const y = drop.position === 'before' ? rect.top : rect.bottom;
+            box = { left: rect.left, top: y - line / 2, width: rect.width, height: line };
+        }
+
+        this.indicator.dataset.position = drop.position;
+        this.indicator.style.left = `${box.left}px`;
+        this.indicator.style.top = `${box.top}px`;
+        this.indicator.style.width = `${box.width}px`;
+        this.indicator.style.height = `${box.height}px`;
+        this.dragState.drop = drop;
+    }
+
+    /**
+     * Ukončí přetahování a skryje indikátor
+     */
+    endDrag() {
+        this.showDropIndicator(null);
+        this.dragState = null;
+    }
+
+    /**
+     * Získá text z contenteditable elementu (selektor se hledá v plátně)
      */
     getContentEditableText(selector) {
         if (typeof selector === 'string') {
-            const element = document.querySelector(selector);
+            const element = this.root.querySelector(selector);
             return element ? (element.innerText || element.textContent || '') : '';
         } else if (selector && selector.innerText !== undefined) {
             // Už je to element
             return selector.innerText || selector.textContent || '';
         }
         return '';
-    },
+    }
 
     /**
-     * Získá text z elementu podle node ID
+     * Editovatelný element uzlu podle node ID
      */
-    getTextByNodeId(nodeId) {
+    findEditable(nodeId) {
+        const id = CSS.escape(nodeId);
+
         // Nejdřív zkus najít .editable-content (starý způsob)
-        let element = document.querySelector(`[data-node-id="${nodeId}"] .editable-content`);
+        let element = this.root.querySelector(`[data-node-id="${id}"] .editable-content`);
 
         // Pokud není, zkus najít element s data-editable="true" (nový způsob)
         if (!element) {
-            element = document.querySelector(`[data-node-id="${nodeId}"][data-editable="true"]`);
+            element = this.root.querySelector(`[data-node-id="${id}"][data-editable="true"]`);
         }
 
         // Pokud stále není, zkus najít contenteditable element
         if (!element) {
-            element = document.querySelector(`[data-node-id="${nodeId}"][contenteditable="true"]`);
+            element = this.root.querySelector(`[data-node-id="${id}"][contenteditable="true"]`);
         }
 
+        return element;
+    }
+
+    /**
+     * Získá text z elementu plátna podle node ID
+     */
+    getTextByNodeId(nodeId) {
+        const element = this.findEditable(nodeId);
         return element ? (element.innerText || element.textContent || '') : '';
-    },
+    }
 
     /**
-     * Nastaví focus na element
+     * Získá vyčištěné HTML (inline formátování, odkazy, seznamy) z elementu plátna podle node ID
+     * Prázdný element (jen zástupný text) vrací ''
+     */
+    getHtmlByNodeId(nodeId) {
+        const element = this.findEditable(nodeId);
+        if (!element || !element.textContent.trim()) return '';
+        return window.DesignCanvasSanitizer.sanitize(element.innerHTML);
+    }
+
+    /**
+     * Nastaví focus na element plátna
      */
     focusElement(elementId) {
         const element = document.getElementById(elementId);
-        if (element) {
+        if (element && this.root.contains(element)) {
+            if (element.classList.contains('design-node')) {
+                this.setFocusableNode(element);
+            }
             element.focus();
         }
-    },
+    }
 
     /**
-     * Cleanup
+     * Zaměří uzel plátna (element nebo node ID) a posune ho do viditelné oblasti
+     */
+    focusNode(node) {
+        const element = typeof node === 'string' ? this.findNode(node) : node;
+        if (!element) return;
+
+        this.setFocusableNode(element);
+        element.focus({ preventScroll: true });
+        element.scrollIntoView?.({ block: 'nearest' });
+    }
+
+    /**
+     * Roving tabindex - Tabem zaměřitelný je jen jeden uzel plátna, ostatní se vybírají šipkami
+     */
+    setFocusableNode(node) {
+        if (!node) return;
+
+        this.root.querySelectorAll('.design-node[tabindex="0"]').forEach(other => {
+            if (other !== node) other.setAttribute('tabindex', '-1');
+        });
+        node.setAttribute('tabindex', '0');
+    }
+
+    /**
+     * Vytvoří živou oblast plátna pro oznámení čtečkám obrazovky (jednou)
+     * Je mimo kořen plátna, aby ji Blazor při překreslení neodstranil
+     */
+    ensureLiveRegion() {
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'design-canvas-live';
+            this.liveRegion.setAttribute('role', 'status');
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.liveRegion);
+        }
+        return this.liveRegion;
+    }
+
+    /**
+     * Oznámí zprávu čtečce obrazovky
+     */
+    announce(message) {
+        const region = this.ensureLiveRegion();
+        // Stejná zpráva dvakrát po sobě se musí změnit, aby ji čtečka přečetla znovu
+        region.textContent = region.textContent === message ? `${message}\u00a0` : message;
+    }
+
+    /**
+     * Cleanup - odebere listenery, indikátor, lištu formátování a živou oblast a uvolní .NET referenci
      */
     dispose() {
         console.log('DesignCanvasInterop: Disposing');
+        this.cancelPointerHold();
+        this.endDrag();
+        this.listeners.abort();
+        this.nodeObserver?.disconnect();
+        this.nodeObserver = null;
+        this.liveRegion?.remove();
+        this.liveRegion = null;
+        this.toolbar?.remove();
+        this.toolbar = null;
+        this.activeEditable = null;
         this.dotnetRef = null;
-        // Event listeners jsou na document, takže je nemusíme odstraňovat
+
+        const canvases = window.DesignCanvasInterop.canvases;
+        if (canvases.get(this.root) === this) {
+            canvases.delete(this.root);
+        }
+    }
+}
+
+window.DesignCanvasInterop = {
+    // Plátna podle kořenového elementu
+    canvases: new Map(),
+
+    /**
+     * Kořenový element plátna (element nebo jeho ID); bez kořene celý dokument (původní chování)
+     */
+    resolveRoot(root) {
+        if (!root) return document.documentElement;
+        return typeof root === 'string' ? document.getElementById(root) : root;
+    },
+
+    /**
+     * Vytvoří plátno pro kořenový element a vrátí jeho instanci (v Blazoru IJSObjectReference)
+     * Opakovaná inicializace stejného kořene (např. po navigaci) nejdřív zruší původní instanci
+     * options: { moveNodeTo: true } - přesuny se hlásí přes MoveNodeTo s pozicí (viz DesignCanvas)
+     */
+    create(root, dotnetReference, options) {
+        const element = this.resolveRoot(root);
+        if (!element) {
+            throw new Error(`Design canvas root not found: ${root}`);
+        }
+
+        // Původní instance kořene a plátna, jejichž kořen už Blazor odstranil bez dispose
+        for (const [key, canvas] of this.canvases) {
+            if (key === element || !key.isConnected) {
+                canvas.dispose();
+            }
+        }
+
+        const canvas = new DesignCanvas(element, dotnetReference, options);
+        this.canvases.set(element, canvas);
+        canvas.initialize();
+        return canvas;
+    },
+
+    /**
+     * Instance plátna pro kořenový element (null, pokud neexistuje)
+     */
+    get(root) {
+        return this.canvases.get(this.resolveRoot(root)) || null;
+    },
+
+    /**
+     * Inicializace Design Canvas (původní API - root je volitelný, viz create)
+     */
+    initialize(dotnetReference, root, options) {
+        this.create(root, dotnetReference, options);
+    },
+
+    /**
+     * Získá text z contenteditable elementu plátna
+     */
+    getContentEditableText(selector, root) {
+        return this.get(root)?.getContentEditableText(selector) ?? '';
+    },
+
+    /**
+     * Získá text z elementu podle node ID
+     */
+    getTextByNodeId(nodeId, root) {
+        return this.get(root)?.getTextByNodeId(nodeId) ?? '';
+    },
+
+    /**
+     * Získá vyčištěné HTML z elementu podle node ID
+     */
+    getHtmlByNodeId(nodeId, root) {
+        return this.get(root)?.getHtmlByNodeId(nodeId) ?? '';
+    },
+
+    /**
+     * Nastaví focus na element
+     */
+    focusElement(elementId, root) {
+        this.get(root)?.focusElement(elementId);
+    },
+
+    /**
+     * Zaměří uzel plátna podle node ID
+     */
+    focusNode(nodeId, root) {
+        this.get(root)?.focusNode(nodeId);
+    },
+
+    /**
+     * Cleanup plátna
+     */
+    dispose(root) {
+        this.get(root)?.dispose();
     }
 };
 
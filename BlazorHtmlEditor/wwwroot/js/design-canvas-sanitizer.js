@@ -0,0 +1,201 @@
+/**
+ * Čištění HTML z editovatelných uzlů Design Canvas
+ * Ponechá jen inline formátování (tučné, kurzíva, podtržení, odkazy, seznamy, zalomení řádků);
+ * styly, třídy, komentáře a značky z Wordu / Google Docs odstraní. Bloky (p, div, h1...) se převedou na <br>.
+ */
+
+window.DesignCanvasSanitizer = {
+    // Povolené elementy a jejich výsledný tag (b/i se sjednotí na strong/em)
+    allowedTags: {
+        STRONG: 'strong',
+        B: 'strong',
+        EM: 'em',
+        I: 'em',
+        U: 'u',
+        A: 'a',
+        UL: 'ul',
+        OL: 'ol',
+        LI: 'li',
+        BR: 'br'
+    },
+
+    // Elementy, které se zahodí i s obsahem
+    droppedTags: ['SCRIPT', 'STYLE', 'META', 'LINK', 'TITLE', 'HEAD', 'XML', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH'],
+
+    // Blokové elementy - jejich obsah zůstane, oddělí se zalomením řádku
+    blockTags: ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE', 'TR', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER'],
+
+    // Formátovací elementy, které bez obsahu nemají smysl
+    inlineTags: ['strong', 'em', 'u', 'a'],
+
+    // Povolená schémata odkazů (relativní odkazy, kotvy a Razor výrazy @... jsou povolené vždy)
+    allowedSchemes: ['http:', 'https:', 'mailto:', 'tel:'],
+
+    /**
+     * Vyčistí HTML a vrátí bezpečné inline značky
+     */
+    sanitize(html) {
+        if (!html) return '';
+
+        // <template> obsah neparsuje do živého dokumentu - skripty ani obrázky se nespustí/nenačtou
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const output = document.createElement('div');
+        this.appendChildren(template.content, output);
+        this.tidy(output);
+
+        // Zalomení na začátku a konci (z bloků) nic nenese
+        return output.innerHTML
+            .replace(/^(\s|<br>)+/, '')
+            .replace(/(\s|<br>)+$/, '');
+    },
+
+    /**
+     * Převede čistý text na HTML (escapování, řádky na <br>)
+     */
+    textToHtml(text) {
+        const element = document.createElement('div');
+        element.textContent = (text || '').replace(/\r\n?/g, '\n');
+        return element.innerHTML.replace(/\n/g, '<br>');
+    },
+
+    /**
+     * Bezpečná adresa odkazu, nebo null (javascript:, data: apod.)
+     */
+    sanitizeUrl(url) {
+        const value = (url || '').trim();
+        if (!value) return null;
+
+        // Razor výraz (@Model.Url), kotva, relativní odkaz
+        if (value.startsWith('@') || value.startsWith('#') || value.startsWith('/') || value.startsWith('.')) {
+            return value;
+        }
+
+        const scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(value.replace(/[\s\u0000-\u001f]/g, ''));
+        if (!scheme) return value;
+        return this.allowedSchemes.includes(scheme[1].toLowerCase()) ? value : null;
+    },
+
+    /**
+     * Zkopíruje povolený obsah zdroje do cíle
+     */
+    appendChildren(source, target) {
+        for (const child of source.childNodes) {
+            this.appendNode(child, target);
+        }
+    },
+
+    appendNode(node, target) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.nodeValue));
+            return;
+        }
+        // Komentáře (včetně podmíněných komentářů Wordu) a ostatní uzly
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tagName = node.tagName.toUpperCase();
+        if (this.droppedTags.includes(tagName)) return;
+
+        // Word: <o:p>, <w:...> apod. - jen obsah
+        if (tagName.includes(':')) {
+            this.appendChildren(node, target);
+            return;
+        }
+
+        if (this.blockTags.includes(tagName)) {
+            this.appendBreak(target);
+            this.appendChildren(node, target);
+            this.appendBreak(target);
+            return;
+        }
+
+        const tag = this.getTag(node);
+        if (!tag) {
+            // Nepovolený element (span, font, ...) - formátování z inline stylu, jinak jen obsah
+            this.appendStyled(node, target);
+            return;
+        }
+
+        if (tag === 'br') {
+            target.appendChild(document.createElement('br'));
+            return;
+        }
+
+        const element = document.createElement(tag);
+        if (tag === 'a') {
+            const href = this.sanitizeUrl(node.getAttribute('href'));
+            if (!href) {
+                this.appendChildren(node, target);
+                return;
+            }
+            element.setAttribute('href', href);
+        }
+
+        this.appendChildren(node, element);
+        target.appendChild(element);
+    },
+
+    /**
+     * Výsledný tag elementu (null = nepovolený)
+     * Google Docs obaluje celý obsah do <b style="font-weight:normal"> - ten tučný není
+     */
+    getTag(node) {
+        const tag = this.allowedTags[node.tagName.toUpperCase()] || null;
+        if (tag === 'strong' && /font-weight\s*:\s*(normal|[1-5]00)\b/i.test(node.getAttribute('style') || '')) {
+            return null;
+        }
+        return tag;
+    },
+
+    /**
+     * Obsah elementu s formátováním z inline stylu (Google Docs používá span s font-weight apod.)
+     */
+    appendStyled(node, target) {
+        const style = node.getAttribute('style') || '';
+        let container = target;
+
+        const wrap = (tag) => {
+            const element = document.createElement(tag);
+            container.appendChild(element);
+            container = element;
+        };
+
+        if (/font-weight\s*:\s*(bold|[6-9]00)\b/i.test(style)) wrap('strong');
+        if (/font-style\s*:\s*italic\b/i.test(style)) wrap('em');
+        if (/text-decoration(-line)?\s*:[^;]*\bunderline\b/i.test(style)) wrap('u');
+
+        this.appendChildren(node, container);
+    },
+
+    /**
+     * Zalomení řádku mezi bloky (ne na začátku, ne dvakrát po sobě a ne za seznamem)
+     */
+    appendBreak(target) {
+        const last = target.lastChild;
+        if (last && !['BR', 'UL', 'OL'].includes(last.nodeName)) {
+            target.appendChild(document.createElement('br'));
+        }
+    },
+
+    /**
+     * Odebere zalomení na konci položek seznamu (z bloků uvnitř položek), prázdné formátovací elementy a seznamy bez položek
+     */
+    tidy(root) {
+        for (const item of root.querySelectorAll('li')) {
+            while (item.lastChild?.nodeName === 'BR') {
+                item.lastChild.remove();
+            }
+        }
+
+        const selector = [...this.inlineTags, 'ul', 'ol', 'li'].join(',');
+        // Od nejhlubších, aby se odebraly i vnořené prázdné elementy
+        for (const element of [...root.querySelectorAll(selector)].reverse()) {
+            if (!element.textContent.trim() && !element.querySelector('br')) {
+                element.remove();
+            }
+        }
+    }
+};
+
+console.log('DesignCanvasSanitizer loaded');
@@ -0,0 +1,229 @@
+/**
+ * Společná historie úprav šablony (undo/redo) pro editor kódu i vizuální editor
+ * Historie patří dokumentu (historyId), ne editoru - přežije přepnutí záložek i znovuvytvoření editorů.
+ * Editory se připojují jako cíle ({ getValue, setValue }); undo/redo do nich zapíše uložený stav.
+ */
+
+// Maximální počet uložených stavů
+const MAX_ENTRIES = 100;
+
+// Úpravy stejného zdroje v této prodlevě (ms) od poslední se sloučí do jednoho kroku (psaní)
+const MERGE_DELAY = 1500;
+
+// Popisky automaticky zaznamenaných úprav podle zdroje
+const SOURCE_LABELS = {
+    code: 'Code edit',
+    design: 'Design edit'
+};
+
+window.EditorHistory = {
+    // Historie dokumentů: { entries: [{ value, source, label, timestamp, mergeable }], index, targets, dotnetRef, notified }
+    histories: {},
+
+    /**
+     * Vrátí historii dokumentu (případně vytvoří prázdnou)
+     */
+    get: function (historyId) {
+        if (!this.histories[historyId]) {
+            this.histories[historyId] = { entries: [], index: -1, targets: {}, dotnetRef: null, notified: null };
+        }
+        return this.histories[historyId];
+    },
+
+    has: function (historyId) {
+        return !!this.histories[historyId];
+    },
+
+    /**
+     * Připojí editor k historii dokumentu
+     * target: { getValue(), setValue(value), flush() } - setValue nemá mazat vlastní undo editoru,
+     * volitelné flush zaznamená rozepsané úpravy
+     * Obsah editoru se zaznamená, pokud se liší od aktuálního stavu historie
+     */
+    attach: function (historyId, key, source, target) {
+        const history = this.get(historyId);
+        history.targets[key] = target;
+        this.record(historyId, target.getValue(), source, 'Opened');
+    },
+
+    /**
+     * Odpojí editor (historie zůstává pro další připojení)
+     */
+    detach: function (historyId, key) {
+        const history = this.histories[historyId];
+        if (history) {
+            delete history.targets[key];
+        }
+    },
+
+    /**
+     * Zaznamená nový stav dokumentu
+     * Bez popisku jde o průběžnou úpravu: navazující úpravy stejného zdroje se slučují
+     * a návrat na sousední stav (undo/redo přímo v editoru) jen posune pozici v historii.
+     * Vrací true, pokud se historie změnila.
+     */
+    record: function (historyId, value, source, label) {
+        // Pojmenovaný krok (Set content, ...) nemá spolknout rozepsané úpravy
+        if (label) {
+            this.flush(historyId);
+        }
+
+        const history = this.get(historyId);
+        const current = history.entries[history.index];
+        if (current && current.value === value) return false;
+
+        if (!label) {
+            if (history.entries[history.index - 1]?.value === value) {
+                history.index--;
+                this.notify(historyId);
+                return true;
+            }
+
+            if (history.entries[history.index + 1]?.value === value) {
+                history.index++;
+                this.notify(historyId);
+                return true;
+            }
+        }
+
+        // Nová úprava zahodí stavy pro redo
+        history.entries.splice(history.index + 1);
+
+        const now = Date.now();
+        const merge = !label && history.index > 0 && current?.mergeable
+            && current.source === source && now - current.timestamp < MERGE_DELAY;
+
+        if (merge) {
+            current.value = value;
+            current.timestamp = now;
+        } else {
+            history.entries.push({
+                value,
+                source,
+                label: label || SOURCE_LABELS[source] || 'Edit',
+                timestamp: now,
+                mergeable: !label
+            });
+            history.index = history.entries.length - 1;
+
+            if (history.entries.length > MAX_ENTRIES) {
+                history.entries.shift();
+                history.index--;
+            }
+        }
+
+        this.notify(historyId);
+        return true;
+    },
+
+    /**
+     * Přejde na stav historie a zapíše ho do všech připojených editorů
+     * Vrací obsah dokumentu v tomto stavu (null, pokud stav neexistuje)
+     */
+    goTo: function (historyId, index) {
+        const history = this.histories[historyId];
+        const entry = history?.entries[index];
+        if (!entry) return null;
+
+        history.index = index;
+
+        for (const [key, target] of Object.entries(history.targets)) {
+            try {
+                target.setValue(entry.value);
+            } catch (error) {
+                console.error(`EditorHistory: applying state to ${key} failed`, error);
+            }
+        }
+
+        this.notify(historyId);
+        return entry.value;
+    },
+
+    /**
+     * Vrátí se o krok zpět; vrací obsah dokumentu nebo null, pokud není kam
+     */
+    undo: function (historyId) {
+        this.flush(historyId);
+        const history = this.histories[historyId];
+        return history && history.index > 0 ? this.goTo(historyId, history.index - 1) : null;
+    },
+
+    /**
+     * Zopakuje vrácený krok; vrací obsah dokumentu nebo null, pokud není co
+     */
+    redo: function (historyId) {
+        this.flush(historyId);
+        const history = this.histories[historyId];
+        return history && history.index < history.entries.length - 1 ? this.goTo(historyId, history.index + 1) : null;
+    },
+
+    /**
+     * Nechá připojené editory zaznamenat rozepsané úpravy (target.flush)
+     */
+    flush: function (historyId) {
+        const history = this.histories[historyId];
+        if (!history) return;
+
+        Object.values(history.targets).forEach(target => target.flush?.());
+    },
+
+    canUndo: function (historyId) {
+        return (this.histories[historyId]?.index ?? 0) > 0;
+    },
+
+    canRedo: function (historyId) {
+        const history = this.histories[historyId];
+        return !!history && history.index < history.entries.length - 1;
+    },
+
+    /**
+     * Seznam stavů pro zobrazení v .NET (bez obsahu dokumentu)
+     */
+    getEntries: function (historyId) {
+        const history = this.histories[historyId];
+        if (!history) return [];
+
+        return history.entries.map((entry, index) => ({
+            index,
+            label: entry.label,
+            source: entry.source,
+            timestamp: new Date(entry.timestamp).toISOString(),
+            isCurrent: index === history.index
+        }));
+    },
+
+    /**
+     * Nastaví .NET objekt, kterému se hlásí změny historie (OnHistoryChanged(canUndo, canRedo))
+     */
+    subscribe: function (historyId, dotnetRef) {
+        const history = this.get(historyId);
+        history.dotnetRef = dotnetRef;
+        history.notified = null;
+        this.notify(historyId);
+    },
+
+    /**
+     * Ohlásí .NET změnu dostupnosti undo/redo (při psaní se nemění, takže se neposílá po každé úpravě)
+     */
+    notify: function (historyId) {
+        const history = this.histories[historyId];
+        if (!history?.dotnetRef) return;
+
+        const canUndo = this.canUndo(historyId);
+        const canRedo = this.canRedo(historyId);
+        if (history.notified === `${canUndo}:${canRedo}`) return;
+
+        history.notified = `${canUndo}:${canRedo}`;
+        history.dotnetRef.invokeMethodAsync('OnHistoryChanged', canUndo, canRedo)
+            .catch(err => console.error('EditorHistory: OnHistoryChanged failed', err));
+    },
+
+    /**
+     * Zahodí historii dokumentu (komponenta editoru se ruší)
+     */
+    clear: function (historyId) {
+        delete this.histories[historyId];
+    }
+};
+
+console.log('EditorHistory loaded');
@@ -0,0 +1,266 @@
+/**
+ * Jednotné načítání knihoven editoru (Monaco, GrapesJS) s časovým limitem a možností zrušení
+ * Knihovna se stahuje jednou pro všechny editory (umístění určuje asset-resolver.js); každý editor na ni
+ * čeká se svým limitem a zrušením (AbortSignal). Selhání popisuje EditorLoadError, který se posílá do .NET
+ * (OnEditorLoadFailed).
+ */
+
+import './asset-resolver.js';
+
+// Výchozí limit (ms) pro načtení knihovny
+const DEFAULT_TIMEOUT = 30000;
+
+// Soubory knihoven relativně k baseUrl (asset-resolver.js)
+const MONACO_LOADER = 'vs/loader.js';
+const MONACO_MAIN = 'vs/editor/editor.main';
+const MONACO_WORKER = 'vs/base/worker/workerMain.js';
+const GRAPESJS_MODULE = 'grapes.mjs';
+const GRAPESJS_STYLE = 'css/grapes.min.css';
+
+// Názvy knihoven pro chybová hlášení
+const LIBRARY_NAMES = {
+    monaco: 'Monaco Editor',
+    grapesjs: 'GrapesJS'
+};
+
+/**
+ * Druhy selhání (hodnoty odpovídají EditorLoadErrorCode v .NET)
+ */
+export const LOAD_ERROR_CODES = {
+    timeout: 'Timeout',
+    aborted: 'Aborted',
+    network: 'Network',
+    unavailable: 'Unavailable',
+    initialization: 'Initialization'
+};
+
+/**
+ * Popis selhání načtení nebo vytvoření editoru
+ */
+export class EditorLoadError extends Error {
+    constructor(library, code, message, { url = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'EditorLoadError';
+        this.library = library;
+        this.code = code;
+        this.url = url;
+    }
+
+    // Tvar pro .NET (EditorLoadError record)
+    toJSON() {
+        return { library: this.library, code: this.code, message: this.message, url: this.url };
+    }
+}
+
+function libraryName(library) {
+    return LIBRARY_NAMES[library] || library;
+}
+
+/**
+ * Počká na sdílené načtení knihovny s limitem a zrušením pro jednoho volajícího
+ * Samotné stahování při vypršení nebo zrušení běží dál - může ho potřebovat jiný editor
+ */
+function waitFor(promise, library, signal, timeout) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new EditorLoadError(library, LOAD_ERROR_CODES.aborted, `Loading ${libraryName(library)} was cancelled`));
+            return;
+        }
+
+        let timer = null;
+        const onAbort = () => finish(reject,
+            new EditorLoadError(library, LOAD_ERROR_CODES.aborted, `Loading ${libraryName(library)} was cancelled`));
+        const finish = (settle, value) => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            settle(value);
+        };
+
+        if (timeout > 0) {
+            timer = setTimeout(() => finish(reject, new EditorLoadError(library, LOAD_ERROR_CODES.timeout,
+                `${libraryName(library)} did not load within ${timeout} ms`)), timeout);
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+        promise.then(value => finish(resolve, value), error => finish(reject, error));
+    });
+}
+
+/**
+ * Načte a nastaví AMD loader Monaca, pokud na stránce ještě není
+ * Stránka, která si loader načetla a nakonfigurovala sama (require.config s cestou vs), se nepřenastavuje
+ */
+async function loadMonacoLoader(assets) {
+    if (typeof window.AMDLoader !== 'undefined') return;
+
+    await assets.loadScript('monaco', MONACO_LOADER);
+    window.require.config({ paths: { vs: assets.resolve('monaco', 'vs') } });
+
+    // Web workery musí být ze stejného původu jako stránka - z jiného se spustí přes data: URL
+    const baseUrl = assets.resolve('monaco', '');
+    if (!window.MonacoEnvironment && new URL(baseUrl).origin !== window.location.origin) {
+        const workerMain = assets.resolve('monaco', MONACO_WORKER);
+        const source = `self.MonacoEnvironment = { baseUrl: '${baseUrl}' }; importScripts('${workerMain}');`;
+        window.MonacoEnvironment = {
+            getWorkerUrl: () => `data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`
+        };
+    }
+}
+
+/**
+ * Načte Monaco přes jeho AMD loader a zpřístupní globální monaco
+ */
+async function loadMonaco(assets) {
+    if (typeof window.monaco !== 'undefined') return window.monaco;
+
+    const url = assets.resolve('monaco', 'vs');
+    console.log(`Loading Monaco from ${url}`);
+
+    try {
+        await loadMonacoLoader(assets);
+        await new Promise((resolve, reject) => window.require([MONACO_MAIN], resolve, reject));
+    } catch (error) {
+        throw new EditorLoadError('monaco', LOAD_ERROR_CODES.network,
+            `Monaco Editor could not be downloaded: ${error?.message || error}`, { url, cause: error });
+    }
+
+    if (typeof window.monaco === 'undefined') {
+        throw new EditorLoadError('monaco', LOAD_ERROR_CODES.unavailable, 'Monaco Editor loaded but the monaco global is missing', { url });
+    }
+    return window.monaco;
+}
+
+/**
+ * Načte GrapesJS jako ES modul (bez zásahu do AMD loaderu Monaca) a zpřístupní ho jako window.grapesjs
+ */
+async function loadGrapesJS(assets) {
+    if (typeof window.grapesjs !== 'undefined') return window.grapesjs;
+
+    const url = assets.resolve('grapesjs', GRAPESJS_MODULE);
+    console.log(`Loading GrapesJS from ${url}`);
+
+    let module;
+    try {
+        [module] = await Promise.all([
+            assets.importModule('grapesjs', GRAPESJS_MODULE),
+            assets.loadStyle('grapesjs', GRAPESJS_STYLE)
+        ]);
+    } catch (error) {
+        throw new EditorLoadError('grapesjs', LOAD_ERROR_CODES.network,
+            `GrapesJS could not be downloaded: ${error?.message || error}`, { url, cause: error });
+    }
+
+    if (typeof module?.default?.init !== 'function') {
+        throw new EditorLoadError('grapesjs', LOAD_ERROR_CODES.unavailable, 'GrapesJS module does not export the editor', { url });
+    }
+
+    window.grapesjs = module.default;
+    return window.grapesjs;
+}
+
+const LOADERS = {
+    monaco: loadMonaco,
+    grapesjs: loadGrapesJS
+};
+
+window.EditorLoader = {
+    // Limit (ms) pro načtení knihovny, pokud ho volající neurčí; 0 = bez limitu
+    timeout: DEFAULT_TIMEOUT,
+
+    // Sdílená načítání knihoven: { monaco: Promise, grapesjs: Promise }
+    loads: {},
+
+    // Zrušení čekání editorů, které se právě načítají: { editorId: AbortController }
+    controllers: {},
+
+    codes: LOAD_ERROR_CODES,
+
+    /**
+     * Nastaví výchozí limit načtení: { timeout }
+     */
+    configure: function (options = {}) {
+        if (typeof options.timeout === 'number' && options.timeout >= 0) {
+            this.timeout = options.timeout;
+        }
+    },
+
+    /**
+     * Načte knihovnu ('monaco' nebo 'grapesjs'); options: { signal, timeout }
+     * Při selhání vrací EditorLoadError; nepovedené načtení se při dalším volání zkusí znovu
+     */
+    load: function (library, options = {}) {
+        const loader = LOADERS[library];
+        if (!loader) {
+            return Promise.reject(new EditorLoadError(library, LOAD_ERROR_CODES.unavailable, `Unknown editor library: ${library}`));
+        }
+
+        if (!this.loads[library]) {
+            this.loads[library] = loader(window.BlazorHtmlEditorAssets).catch(error => {
+                delete this.loads[library];
+                throw this.toError(library, error);
+            });
+        }
+
+        return waitFor(this.loads[library], library, options.signal, options.timeout ?? this.timeout);
+    },
+
+    /**
+     * Začne načítání pro editor; vrací AbortSignal, který zruší abort(editorId)
+     * Případné předchozí načítání stejného editoru se zruší
+     */
+    begin: function (editorId) {
+        this.abort(editorId);
+
+        const controller = new AbortController();
+        this.controllers[editorId] = controller;
+        return controller.signal;
+    },
+
+    /**
+     * Ukončí načítání editoru (po úspěchu i selhání)
+     */
+    end: function (editorId, signal) {
+        if (this.controllers[editorId]?.signal === signal) {
+            delete this.controllers[editorId];
+        }
+    },
+
+    /**
+     * Zruší načítání editoru (komponenta se ruší dřív, než se editor načetl)
+     */
+    abort: function (editorId) {
+        const controller = this.controllers[editorId];
+        if (controller) {
+            delete this.controllers[editorId];
+            controller.abort();
+        }
+    },
+
+    /**
+     * Převede libovolnou chybu na EditorLoadError (neznámé chyby jako selhání inicializace)
+     */
+    toError: function (library, error) {
+        if (error instanceof EditorLoadError) return error;
+
+        return new EditorLoadError(library, LOAD_ERROR_CODES.initialization,
+            `${libraryName(library)} could not be initialized: ${error?.message || error}`, { cause: error });
+    },
+
+    /**
+     * Zaloguje selhání a ohlásí ho .NET (OnEditorLoadFailed); zrušení se nehlásí - komponenta už neexistuje
+     * Vrací EditorLoadError
+     */
+    fail: function (library, error, dotnetRef) {
+        const loadError = this.toError(library, error);
+        if (loadError.code === LOAD_ERROR_CODES.aborted) {
+            console.log(loadError.message);
+            return loadError;
+        }
+
+        console.error(`${libraryName(library)} failed to load:`, loadError);
+        dotnetRef?.invokeMethodAsync('OnEditorLoadFailed', loadError.toJSON())
+            .catch(err => console.error('EditorLoader: OnEditorLoadFailed failed', err));
+        return loadError;
+    }
+};
+
+console.log('EditorLoader loaded');
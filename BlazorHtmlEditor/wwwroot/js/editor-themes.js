@@ -0,0 +1,267 @@
+/**
+ * Témata editorů - obarvení Razor tokenů (razor-monarch.js) v Monacu a barvy panelů GrapesJS
+ * Vestavěná témata: razor-light, razor-dark, razor-high-contrast; 'auto' se řídí nastavením systému
+ * (prefers-color-scheme, forced-colors / prefers-contrast). Hostitel přidá vlastní téma přes defineTheme.
+ * Pozn.: Monaco má jedno téma pro celou stránku - viz MonacoEditorHandle.setTheme.
+ */
+
+// Téma, které sleduje nastavení systému
+export const AUTO_THEME = 'auto';
+
+// Výchozí téma editorů
+export const DEFAULT_THEME = 'razor-light';
+
+// Konkrétní témata, na která se 'auto' překládá
+const SYSTEM_THEMES = {
+    light: 'razor-light',
+    dark: 'razor-dark',
+    highContrast: 'razor-high-contrast'
+};
+
+// Barvy Razor tokenů podle základního tématu Monaca (vlastní témata je dědí, pokud je nepřepíšou)
+const RAZOR_TOKEN_RULES = {
+    'vs': [
+        { token: 'delimiter.razor', foreground: '8A6A00', fontStyle: 'bold' },
+        { token: 'variable.razor', foreground: '001080' },
+        { token: 'keyword.directive.razor', foreground: 'AF00DB' },
+        { token: 'keyword.control.razor', foreground: 'AF00DB' },
+        { token: 'comment.razor', foreground: '008000', fontStyle: 'italic' },
+        { token: 'tag.razor', foreground: '800000', fontStyle: 'bold' }
+    ],
+    'vs-dark': [
+        { token: 'delimiter.razor', foreground: 'DCDCAA', fontStyle: 'bold' },
+        { token: 'variable.razor', foreground: '9CDCFE' },
+        { token: 'keyword.directive.razor', foreground: 'C586C0' },
+        { token: 'keyword.control.razor', foreground: 'C586C0' },
+        { token: 'comment.razor', foreground: '6A9955', fontStyle: 'italic' },
+        { token: 'tag.razor', foreground: '569CD6', fontStyle: 'bold' }
+    ],
+    'hc-black': [
+        { token: 'delimiter.razor', foreground: 'FFFF00', fontStyle: 'bold' },
+        { token: 'variable.razor', foreground: '9CDCFE' },
+        { token: 'keyword.directive.razor', foreground: 'FF79C6', fontStyle: 'bold' },
+        { token: 'keyword.control.razor', foreground: 'FF79C6', fontStyle: 'bold' },
+        { token: 'comment.razor', foreground: '7CA668', fontStyle: 'italic' },
+        { token: 'tag.razor', foreground: '00FFFF', fontStyle: 'bold' }
+    ],
+    'hc-light': [
+        { token: 'delimiter.razor', foreground: '5A4500', fontStyle: 'bold' },
+        { token: 'variable.razor', foreground: '0F4A85' },
+        { token: 'keyword.directive.razor', foreground: '7A00A8', fontStyle: 'bold' },
+        { token: 'keyword.control.razor', foreground: '7A00A8', fontStyle: 'bold' },
+        { token: 'comment.razor', foreground: '515151', fontStyle: 'italic' },
+        { token: 'tag.razor', foreground: '0F4A85', fontStyle: 'bold' }
+    ]
+};
+
+// Barvy panelů GrapesJS (bloky, osnova, inspektor, lišta RTE) jako CSS proměnné podle základního tématu
+// (razor - Razor bloky v osnově)
+const CHROME_COLORS = {
+    'vs': {
+        background: '#f8f9fa',
+        backgroundAlt: '#eef0f2',
+        border: '#ddd',
+        text: '#333',
+        muted: '#6c757d',
+        accent: '#0066cc',
+        fieldBackground: '#fff',
+        fieldBorder: '#ced4da',
+        selection: '#3b97e3',
+        razor: '#8a4f00'
+    },
+    'vs-dark': {
+        background: '#252526',
+        backgroundAlt: '#2d2d30',
+        border: '#3c3c3c',
+        text: '#d4d4d4',
+        muted: '#9d9d9d',
+        accent: '#4fa3ff',
+        fieldBackground: '#3c3c3c',
+        fieldBorder: '#555',
+        selection: '#4fa3ff',
+        razor: '#dcdcaa'
+    },
+    'hc-black': {
+        background: '#000',
+        backgroundAlt: '#000',
+        border: '#6fc3df',
+        text: '#fff',
+        muted: '#fff',
+        accent: '#ffff00',
+        fieldBackground: '#000',
+        fieldBorder: '#6fc3df',
+        selection: '#f38518',
+        razor: '#ffff00'
+    },
+    'hc-light': {
+        background: '#fff',
+        backgroundAlt: '#fff',
+        border: '#0f4a85',
+        text: '#000',
+        muted: '#000',
+        accent: '#0f4a85',
+        fieldBackground: '#fff',
+        fieldBorder: '#0f4a85',
+        selection: '#b5200d',
+        razor: '#5a4500'
+    }
+};
+
+// Témata: { název: { base, inherit, rules, colors, chrome } }
+const themes = new Map();
+
+// Posluchači změny nastavení systému (téma 'auto')
+const systemListeners = new Set();
+
+function matchesMedia(query) {
+    return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+}
+
+/**
+ * Téma podle nastavení systému (vysoký kontrast má přednost před tmavým režimem)
+ */
+export function getSystemTheme() {
+    if (matchesMedia('(forced-colors: active)') || matchesMedia('(prefers-contrast: more)')) {
+        return SYSTEM_THEMES.highContrast;
+    }
+    return matchesMedia('(prefers-color-scheme: dark)') ? SYSTEM_THEMES.dark : SYSTEM_THEMES.light;
+}
+
+/**
+ * Konkrétní téma pro Monaco ('auto' podle systému, prázdné jako výchozí, ostatní beze změny)
+ */
+export function resolveTheme(name) {
+    if (!name) return DEFAULT_THEME;
+    return name === AUTO_THEME ? getSystemTheme() : name;
+}
+
+/**
+ * Základní téma Monaca ('vs', 'vs-dark', 'hc-black', 'hc-light') pro téma i vestavěná témata Monaca
+ */
+function getBase(name) {
+    const resolved = resolveTheme(name);
+    return themes.get(resolved)?.base || (RAZOR_TOKEN_RULES[resolved] ? resolved : 'vs');
+}
+
+/**
+ * Data tématu pro monaco.editor.defineTheme - Razor pravidla základu a za nimi pravidla tématu
+ */
+function toMonacoTheme(theme) {
+    return {
+        base: theme.base,
+        inherit: theme.inherit,
+        rules: [...RAZOR_TOKEN_RULES[theme.base], ...theme.rules],
+        colors: theme.colors
+    };
+}
+
+/**
+ * Přidá nebo změní téma; definition: { base: 'vs' | 'vs-dark' | 'hc-black' | 'hc-light', inherit, rules, colors, chrome }
+ * rules a colors jsou stejné jako u monaco.editor.defineTheme (Razor tokeny mají výchozí barvy základu),
+ * chrome přepisuje barvy panelů GrapesJS (background, backgroundAlt, border, text, muted, accent,
+ * fieldBackground, fieldBorder, selection, razor). Téma se v Monacu zaregistruje hned, nebo po jeho načtení.
+ */
+export function defineTheme(name, definition = {}) {
+    if (!name || name === AUTO_THEME) {
+        throw new Error(`Invalid editor theme name: ${name}`);
+    }
+
+    const base = definition.base || 'vs';
+    if (!RAZOR_TOKEN_RULES[base]) {
+        throw new Error(`Unknown base theme: ${base}`);
+    }
+
+    const theme = {
+        base,
+        inherit: definition.inherit !== false,
+        rules: definition.rules || [],
+        colors: definition.colors || {},
+        chrome: { ...CHROME_COLORS[base], ...definition.chrome }
+    };
+    themes.set(name, theme);
+
+    if (typeof monaco !== 'undefined') {
+        monaco.editor.defineTheme(name, toMonacoTheme(theme));
+    }
+}
+
+/**
+ * Zaregistruje všechna témata v Monacu (po jeho načtení, viz monaco-editor.js)
+ */
+export function registerThemes() {
+    for (const [name, theme] of themes) {
+        monaco.editor.defineTheme(name, toMonacoTheme(theme));
+    }
+}
+
+/**
+ * Názvy témat (včetně 'auto')
+ */
+export function getThemeNames() {
+    return [AUTO_THEME, ...themes.keys()];
+}
+
+/**
+ * Barvy panelů GrapesJS pro téma
+ */
+export function getChromeColors(name) {
+    return themes.get(resolveTheme(name))?.chrome || CHROME_COLORS[getBase(name)];
+}
+
+/**
+ * Nastaví elementu CSS proměnné s barvami panelů (--bhe-chrome-background, --bhe-chrome-text, ...)
+ * a atribut data-editor-theme ('light', 'dark' nebo 'high-contrast')
+ */
+export function applyChrome(element, name) {
+    if (!element) return;
+
+    for (const [key, value] of Object.entries(getChromeColors(name))) {
+        const property = key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+        element.style.setProperty(`--bhe-chrome-${property}`, value);
+    }
+
+    const base = getBase(name);
+    element.dataset.editorTheme = base.startsWith('hc-') ? 'high-contrast' : base === 'vs-dark' ? 'dark' : 'light';
+}
+
+/**
+ * Přihlásí posluchače změny nastavení systému (listener(theme)); vrací objekt s dispose()
+ */
+export function onSystemThemeChange(listener) {
+    systemListeners.add(listener);
+    return { dispose: () => systemListeners.delete(listener) };
+}
+
+function notifySystemThemeChange() {
+    const theme = getSystemTheme();
+    for (const listener of [...systemListeners]) {
+        try {
+            listener(theme);
+        } catch (error) {
+            console.error('EditorThemes: system theme listener failed', error);
+        }
+    }
+}
+
+defineTheme('razor-light', { base: 'vs' });
+defineTheme('razor-dark', { base: 'vs-dark' });
+defineTheme('razor-high-contrast', { base: 'hc-black' });
+
+// Změna tmavého režimu nebo kontrastu v systému
+if (typeof window.matchMedia === 'function') {
+    for (const query of ['(prefers-color-scheme: dark)', '(forced-colors: active)', '(prefers-contrast: more)']) {
+        window.matchMedia(query).addEventListener?.('change', notifySystemThemeChange);
+    }
+}
+
+window.EditorThemes = {
+    defineTheme,
+    resolveTheme,
+    getSystemTheme,
+    getThemeNames,
+    getChromeColors,
+    applyChrome,
+    onSystemThemeChange
+};
+
+console.log('EditorThemes loaded');
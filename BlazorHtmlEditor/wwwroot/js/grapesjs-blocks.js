@@ -0,0 +1,300 @@
+/**
+ * Knihovna bloků pro vizuální editor (GrapesJS Block Manager)
+ * Výchozí bloky rozvržení a obsahu, Razor bloky generované z metadat modelu (TemplateModelMeta)
+ * a vlastní bloky registrované hostitelskou aplikací
+ */
+
+import { RAZOR_BLOCK_TYPE } from './razor-grapesjs.js';
+
+export const BLOCK_CATEGORIES = {
+    layout: 'Layout',
+    basic: 'Basic',
+    model: 'Model',
+    custom: 'Custom'
+};
+
+// Prefix ID bloků generovaných z modelu (při změně metadat se nahrazují)
+const MODEL_BLOCK_PREFIX = 'model:';
+
+// Kolik vlastností prvku kolekce se vloží do těla cyklu
+const MAX_LOOP_FIELDS = 4;
+
+// Klíčová slova C#, která nejdou použít jako název proměnné cyklu
+const CSHARP_KEYWORDS = new Set([
+    'base', 'case', 'catch', 'char', 'checked', 'class', 'const', 'default', 'delegate', 'do', 'double',
+    'else', 'enum', 'event', 'explicit', 'extern', 'false', 'finally', 'fixed', 'float', 'for', 'foreach',
+    'goto', 'if', 'implicit', 'in', 'int', 'interface', 'internal', 'is', 'lock', 'long', 'namespace', 'new',
+    'null', 'object', 'operator', 'out', 'override', 'params', 'private', 'protected', 'public', 'readonly',
+    'ref', 'return', 'sealed', 'short', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true',
+    'try', 'typeof', 'uint', 'using', 'virtual', 'void', 'volatile', 'while', 'model'
+]);
+
+// Inline styly - šablony bývají e-maily, kde externí CSS nefunguje
+const CELL_STYLE = 'padding:8px;vertical-align:top;';
+const TABLE_STYLE = 'width:100%;border-collapse:collapse;';
+const HEADER_CELL_STYLE = 'padding:8px;text-align:left;border-bottom:2px solid #ddd;';
+const BODY_CELL_STYLE = 'padding:8px;border-bottom:1px solid #eee;';
+
+function columns(count) {
+    const width = `${Math.floor(100 / count)}%`;
+    const cells = Array.from({ length: count }, (_, i) =>
+        `<td style="width:${width};${CELL_STYLE}"><p>Column ${i + 1}</p></td>`).join('');
+
+    return `<table style="${TABLE_STYLE}"><tbody><tr>${cells}</tr></tbody></table>`;
+}
+
+/**
+ * Výchozí bloky knihovny
+ */
+export const DEFAULT_BLOCKS = [
+    {
+        id: 'section',
+        label: 'Section',
+        category: BLOCK_CATEGORIES.layout,
+        content: '<section style="padding:24px 16px;"><h2>Section title</h2><p>Section text</p></section>'
+    },
+    {
+        id: 'columns-2',
+        label: '2 Columns',
+        category: BLOCK_CATEGORIES.layout,
+        content: columns(2)
+    },
+    {
+        id: 'columns-3',
+        label: '3 Columns',
+        category: BLOCK_CATEGORIES.layout,
+        content: columns(3)
+    },
+    {
+        id: 'divider',
+        label: 'Divider',
+        category: BLOCK_CATEGORIES.layout,
+        content: '<hr style="border:none;border-top:1px solid #ddd;margin:16px 0;">'
+    },
+    {
+        id: 'spacer',
+        label: 'Spacer',
+        category: BLOCK_CATEGORIES.layout,
+        content: '<div style="height:32px;"></div>'
+    },
+    {
+        id: 'heading',
+        label: 'Heading',
+        category: BLOCK_CATEGORIES.basic,
+        content: '<h2>Heading</h2>'
+    },
+    {
+        id: 'text',
+        label: 'Text',
+        category: BLOCK_CATEGORIES.basic,
+        content: '<p>Text paragraph</p>'
+    },
+    {
+        id: 'button',
+        label: 'Button',
+        category: BLOCK_CATEGORIES.basic,
+        content: '<a href="#" style="display:inline-block;padding:10px 20px;background-color:#0066cc;color:#ffffff;text-decoration:none;border-radius:4px;">Button</a>'
+    },
+    {
+        id: 'image',
+        label: 'Image',
+        category: BLOCK_CATEGORIES.basic,
+        // Po vložení se otevře výběr obrázku (Asset Manager)
+        activate: true,
+        content: { type: 'image', style: { 'max-width': '100%' } }
+    },
+    {
+        id: 'table',
+        label: 'Table',
+        category: BLOCK_CATEGORIES.basic,
+        content: `<table style="${TABLE_STYLE}">`
+            + `<thead><tr><th style="${HEADER_CELL_STYLE}">Header 1</th><th style="${HEADER_CELL_STYLE}">Header 2</th></tr></thead>`
+            + `<tbody><tr><td style="${BODY_CELL_STYLE}">Cell 1</td><td style="${BODY_CELL_STYLE}">Cell 2</td></tr></tbody>`
+            + '</table>'
+    }
+];
+
+/**
+ * Název proměnné cyklu z názvu kolekce (Orders -> order, Categories -> category)
+ * Pokud jednotné číslo nejde odvodit nebo koliduje s klíčovým slovem, vrátí "item"
+ */
+export function getLoopVariableName(collectionName) {
+    const name = collectionName || '';
+    let singular = null;
+
+    if (/ies$/i.test(name)) {
+        singular = `${name.slice(0, -3)}y`;
+    } else if (/(ss|sh|ch|x|z)es$/i.test(name)) {
+        singular = name.slice(0, -2);
+    } else if (/[^su]s$/i.test(name)) {
+        singular = name.slice(0, -1);
+    }
+
+    if (!singular || !/^[A-Za-z_]\w*$/.test(singular)) return 'item';
+
+    const variable = singular.charAt(0).toLowerCase() + singular.slice(1);
+    return CSHARP_KEYWORDS.has(variable) ? 'item' : variable;
+}
+
+function isSimpleProperty(prop) {
+    return !prop.isCollection && !prop.isComplex;
+}
+
+// Popisky vlastností se vkládají do HTML obsahu bloků
+function displayName(prop) {
+    return (prop.displayName || prop.name).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function modelExpression(prop) {
+    return `Model.${prop.path || prop.name}`;
+}
+
+/**
+ * Najde kolekce a bool vlastnosti dostupné z Model (bez kolekcí uvnitř prvků jiných kolekcí)
+ */
+function collectProperties(properties, result = { collections: [], flags: [] }) {
+    for (const prop of properties || []) {
+        if ((prop.path || '').includes('[]')) continue;
+
+        if (prop.isCollection) {
+            result.collections.push(prop);
+        } else if (prop.isComplex) {
+            collectProperties(prop.children, result);
+        } else if (prop.clrType === 'bool' || prop.clrType === 'Nullable<bool>') {
+            result.flags.push(prop);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Razor blok @foreach nad kolekcí
+ */
+function foreachBlock(collection, variable, components) {
+    return {
+        type: RAZOR_BLOCK_TYPE,
+        razorKind: 'foreach',
+        razorOpen: `@foreach (var ${variable} in ${modelExpression(collection)})\n{\n`,
+        razorClose: '\n}',
+        components
+    };
+}
+
+function repeatBlock(collection) {
+    const variable = getLoopVariableName(collection.name);
+    const fields = (collection.children || []).filter(isSimpleProperty).slice(0, MAX_LOOP_FIELDS);
+
+    // Kolekce primitivních hodnot (List<string>) - vypíše se prvek samotný
+    const body = fields.length > 0
+        ? fields.map(field => `<p>${displayName(field)}: @${variable}.${field.name}</p>`).join('')
+        : `<p>@${variable}</p>`;
+
+    return {
+        id: `${MODEL_BLOCK_PREFIX}repeat:${collection.path || collection.name}`,
+        label: `Repeat: ${displayName(collection)}`,
+        category: BLOCK_CATEGORIES.model,
+        content: foreachBlock(collection, variable, `<div>${body}</div>`)
+    };
+}
+
+function tableBlock(collection) {
+    const variable = getLoopVariableName(collection.name);
+    const fields = (collection.children || []).filter(isSimpleProperty).slice(0, MAX_LOOP_FIELDS);
+    const columnsDefs = fields.length > 0
+        ? fields.map(field => ({ header: displayName(field), value: `@${variable}.${field.name}` }))
+        : [{ header: displayName(collection), value: `@${variable}` }];
+
+    // Řádky jako definice komponent - HTML parser by <tr> mimo tabulku zahodil
+    const cell = (tagName, style, content) => ({ tagName, attributes: { style }, components: content });
+
+    return {
+        id: `${MODEL_BLOCK_PREFIX}table:${collection.path || collection.name}`,
+        label: `Table: ${displayName(collection)}`,
+        category: BLOCK_CATEGORIES.model,
+        content: {
+            tagName: 'table',
+            attributes: { style: TABLE_STYLE },
+            components: [
+                {
+                    tagName: 'thead',
+                    components: [{ tagName: 'tr', components: columnsDefs.map(c => cell('th', HEADER_CELL_STYLE, c.header)) }]
+                },
+                {
+                    tagName: 'tbody',
+                    components: [foreachBlock(collection, variable, [
+                        { tagName: 'tr', components: columnsDefs.map(c => cell('td', BODY_CELL_STYLE, c.value)) }
+                    ])]
+                }
+            ]
+        }
+    };
+}
+
+function showIfBlock(flag) {
+    const condition = flag.clrType === 'bool'
+        ? modelExpression(flag)
+        : `${modelExpression(flag)} == true`;
+
+    return {
+        id: `${MODEL_BLOCK_PREFIX}if:${flag.path || flag.name}`,
+        label: `Show if: ${displayName(flag)}`,
+        category: BLOCK_CATEGORIES.model,
+        content: {
+            type: RAZOR_BLOCK_TYPE,
+            razorKind: 'if',
+            razorOpen: `@if (${condition})\n{\n`,
+            razorClose: '\n}',
+            components: `<p>Shown when ${displayName(flag)} is true</p>`
+        }
+    };
+}
+
+/**
+ * Vytvoří Razor bloky z metadat modelu:
+ * pro každou kolekci "Repeat" (@foreach s poli prvku) a "Table" (řádek tabulky na prvek),
+ * pro každou bool vlastnost "Show if" (@if)
+ */
+export function createModelBlocks(metadata) {
+    const { collections, flags } = collectProperties(metadata?.properties);
+
+    return [
+        ...collections.flatMap(collection => [repeatBlock(collection), tableBlock(collection)]),
+        ...flags.map(showIfBlock)
+    ];
+}
+
+/**
+ * Přidá bloky do editoru (existující blok se stejným ID nahradí)
+ */
+export function addBlocks(editor, blocks) {
+    const blockManager = editor.Blocks;
+
+    for (const { id, ...definition } of blocks) {
+        if (blockManager.get(id)) {
+            blockManager.remove(id);
+        }
+        blockManager.add(id, { category: BLOCK_CATEGORIES.custom, ...definition });
+    }
+}
+
+/**
+ * Nahradí bloky modelu v editoru bloky pro nová metadata (null je jen odebere)
+ */
+export function setModelBlocks(editor, metadata) {
+    const blockManager = editor.Blocks;
+    const stale = blockManager.getAll().filter(block => block.getId().startsWith(MODEL_BLOCK_PREFIX));
+    stale.forEach(block => blockManager.remove(block.getId()));
+
+    addBlocks(editor, createModelBlocks(metadata));
+}
+
+window.GrapesJSBlockLibrary = {
+    categories: BLOCK_CATEGORIES,
+    defaults: DEFAULT_BLOCKS,
+    createModelBlocks,
+    addBlocks,
+    setModelBlocks
+};
+
+console.log('GrapesJSBlockLibrary loaded');
@@ -0,0 +1,539 @@
+/**
+ * Vkládání polí modelu do textu ve vizuálním editoru
+ * Akce "Insert field" v liště RTE a napsání @ v editovaném textu otevřou vyhledávací nabídku vlastností modelu
+ * (a proměnných cyklů @foreach, ve kterých text leží); vybrané pole se vloží na místo kurzoru jako razor-placeholder
+ */
+
+import { getBindableExpressions, getInspectorMetadata } from './grapesjs-inspector.js';
+
+// Název akce v liště RTE
+export const FIELD_ACTION = 'insertField';
+
+// Nejvýše tolik položek v nabídce (ostatní se dohledají filtrem)
+const MAX_ITEMS = 50;
+
+// Stav nabídky pro každý editor
+const pickers = new WeakMap();
+
+let pickerCount = 0;
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Razor výraz pole (@Model.Name); výraz bez @ ho dostane
+ */
+function toRazorExpression(expression) {
+    return expression.startsWith('@') ? expression : `@${expression}`;
+}
+
+/**
+ * Element razor-placeholder pro výraz - při editaci textu se chová jako jeden znak (contenteditable="false")
+ */
+export function createPlaceholderElement(doc, expression) {
+    const razor = toRazorExpression(expression);
+    const chip = doc.createElement('span');
+    chip.className = 'razor-placeholder';
+    chip.setAttribute('data-razor', razor);
+    chip.setAttribute('contenteditable', 'false');
+    chip.textContent = razor;
+    return chip;
+}
+
+/**
+ * Výběr editovaného textu, pokud je uvnitř elementu (jinak null)
+ */
+function getRangeIn(el) {
+    const selection = el.ownerDocument.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+
+    const range = selection.getRangeAt(0);
+    return el.contains(range.commonAncestorContainer) ? range : null;
+}
+
+/**
+ * Vloží pole na místo výběru v editovaném textu (bez výběru na konec textu) a kurzor dá za něj
+ * Vrací false, pokud se text editoru právě needituje
+ */
+export function insertField(editor, expression, range = null) {
+    const el = pickers.get(editor)?.el;
+    if (!el || !expression) return false;
+
+    const doc = el.ownerDocument;
+    const target = range || getRangeIn(el) || (() => {
+        const end = doc.createRange();
+        end.selectNodeContents(el);
+        end.collapse(false);
+        return end;
+    })();
+
+    const chip = createPlaceholderElement(doc, expression);
+    target.deleteContents();
+    target.insertNode(chip);
+
+    // Za needitovatelným polem musí být text, jinak za něj kurzor nejde umístit (na konci pevná mezera)
+    let after = chip.nextSibling;
+    // Rozdělením textu může za polem zůstat prázdný textový uzel
+    while (after && after.nodeType === Node.TEXT_NODE && after.nodeValue === '') {
+        const next = after.nextSibling;
+        after.remove();
+        after = next;
+    }
+    if (!(after && after.nodeType === Node.TEXT_NODE && /^\s/.test(after.nodeValue))) {
+        after = doc.createTextNode(after ? ' ' : '\u00a0');
+        chip.after(after);
+    }
+
+    el.focus();
+    const caret = doc.createRange();
+    caret.setStart(after, 1);
+    caret.collapse(true);
+    const selection = doc.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(caret);
+
+    // GrapesJS zaznamená změnu textu
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    return true;
+}
+
+/**
+ * Pole nabízená pro editovaný text: [{ group, expression, label }]
+ */
+function getFields(editor) {
+    return getBindableExpressions(getInspectorMetadata(editor), editor.getEditing() || editor.getSelected());
+}
+
+/**
+ * Pole odpovídající hledanému textu (bez ohledu na velikost písmen; ve skupině nejdřív ta, která hledaným textem začínají)
+ */
+export function filterFields(fields, query) {
+    const text = (query || '').trim().replace(/^@/, '').toLowerCase();
+    if (!text) return fields.slice(0, MAX_ITEMS);
+
+    const rank = (field) => {
+        const expression = field.expression.toLowerCase();
+        const label = field.label.toLowerCase();
+        if (expression.startsWith(text) || label.startsWith(text)) return 0;
+        if (expression.split('.').some(part => part.startsWith(text))) return 1;
+        return expression.includes(text) || label.includes(text) ? 2 : -1;
+    };
+
+    // Skupiny zůstanou v původním pořadí, uvnitř skupiny rozhoduje shoda
+    const groups = [...new Set(fields.map(field => field.group))];
+    return fields
+        .map(field => ({ field, group: groups.indexOf(field.group), rank: rank(field) }))
+        .filter(item => item.rank >= 0)
+        .sort((a, b) => a.group - b.group || a.rank - b.rank)
+        .slice(0, MAX_ITEMS)
+        .map(item => item.field);
+}
+
+/**
+ * Vytvoří panel nabídky (jednou pro editor) v kontejneru editoru, aby dědil barvy tématu
+ */
+function ensurePanel(editor, state) {
+    if (state.panel) return state.panel;
+
+    const id = `gjs-field-picker-${++pickerCount}`;
+    const panel = document.createElement('div');
+    panel.className = 'gjs-field-picker';
+    panel.hidden = true;
+    panel.innerHTML = `
+        <input type="search" class="gjs-field-picker-search" placeholder="Search fields…" aria-label="Search fields"
+               role="combobox" aria-expanded="true" aria-autocomplete="list" aria-controls="${id}">
+        <ul class="gjs-field-picker-list" role="listbox" id="${id}" aria-label="Model fields"></ul>
+    `;
+
+    const input = panel.querySelector('input');
+    const list = panel.querySelector('ul');
+
+    // Kliknutí do nabídky nesmí vzít editovanému textu focus (kromě hledání)
+    panel.addEventListener('mousedown', (e) => {
+        if (e.target !== input) e.preventDefault();
+    });
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-index]');
+        if (item) choose(editor, state, Number(item.dataset.index));
+    });
+
+    input.addEventListener('input', () => render(state, input.value));
+    input.addEventListener('keydown', (e) => {
+        if (handleKey(editor, state, e.key)) e.preventDefault();
+    });
+    input.addEventListener('blur', (e) => {
+        if (!panel.contains(e.relatedTarget)) close(state);
+    });
+
+    (editor.getContainer() || document.body).appendChild(panel);
+    Object.assign(state, { panel, input, list });
+    return panel;
+}
+
+/**
+ * Vykreslí položky nabídky podle hledaného textu (seskupené podle modelu a proměnných cyklů)
+ */
+function render(state, query) {
+    state.items = filterFields(state.fields, query);
+    state.active = state.items.length > 0 ? 0 : -1;
+
+    if (state.fields.length === 0) {
+        state.list.innerHTML = '<li class="gjs-field-picker-empty">No model fields available</li>';
+        return;
+    }
+    if (state.items.length === 0) {
+        state.list.innerHTML = '<li class="gjs-field-picker-empty">No matching fields</li>';
+        return;
+    }
+
+    let group = null;
+    state.list.innerHTML = state.items.map((field, index) => {
+        const header = field.group !== group
+            ? `<li class="gjs-field-picker-group" role="presentation">${escapeHtml(field.group)}</li>`
+            : '';
+        group = field.group;
+        return `${header}<li class="gjs-field-picker-item" role="option" id="${state.list.id}-${index}" data-index="${index}"
+                    aria-selected="false">${escapeHtml(field.label)}</li>`;
+    }).join('');
+
+    highlight(state);
+}
+
+/**
+ * Označí aktivní položku a posune ji do viditelné oblasti
+ */
+function highlight(state) {
+    state.list.querySelectorAll('[data-index]').forEach(item => {
+        const active = Number(item.dataset.index) === state.active;
+        item.setAttribute('aria-selected', String(active));
+        item.classList.toggle('active', active);
+        if (active) item.scrollIntoView?.({ block: 'nearest' });
+    });
+
+    const activeId = state.active >= 0 ? `${state.list.id}-${state.active}` : '';
+    state.input.setAttribute('aria-activedescendant', activeId);
+}
+
+/**
+ * Klávesy nabídky (šipky, Enter/Tab, Escape); vrací true, pokud klávesu zpracovala
+ */
+function handleKey(editor, state, key) {
+    if (!state.panel || state.panel.hidden) return false;
+
+    switch (key) {
+        case 'ArrowDown':
+        case 'ArrowUp':
+            if (state.items.length > 0) {
+                const step = key === 'ArrowDown' ? 1 : -1;
+                state.active = (state.active + step + state.items.length) % state.items.length;
+                highlight(state);
+            }
+            return true;
+        case 'Enter':
+        case 'Tab':
+            if (state.active < 0) {
+                // Nic k vložení - klávesa se chová normálně
+                close(state);
+                return false;
+            }
+            choose(editor, state, state.active);
+            return true;
+        case 'Escape':
+            close(state, true);
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Obdélník kurzoru v souřadnicích stránky (plátno je v iframe)
+ */
+function getCaretRect(el, range) {
+    let rect = range?.getBoundingClientRect();
+    if (!rect || (!rect.width && !rect.height && !rect.top && !rect.left)) {
+        rect = el.getBoundingClientRect();
+    }
+
+    const frameRect = el.ownerDocument.defaultView.frameElement?.getBoundingClientRect() || { left: 0, top: 0 };
+    return {
+        left: frameRect.left + rect.left,
+        top: frameRect.top + rect.top,
+        bottom: frameRect.top + rect.bottom
+    };
+}
+
+/**
+ * Otevře nabídku u kurzoru editovaného textu
+ * mode: 'toolbar' (hledá se v poli nabídky) nebo 'trigger' (hledá se textem napsaným za @)
+ */
+function open(editor, state, mode, range) {
+    const panel = ensurePanel(editor, state);
+    state.mode = mode;
+    state.range = range ? range.cloneRange() : null;
+    state.fields = getFields(editor);
+
+    panel.classList.toggle('gjs-field-picker-inline', mode === 'trigger');
+    state.input.value = '';
+    render(state, '');
+    panel.hidden = false;
+
+    const caret = getCaretRect(state.el, state.range);
+    const gap = 4;
+    let top = caret.bottom + gap;
+    if (top + panel.offsetHeight > window.innerHeight) {
+        top = Math.max(0, caret.top - panel.offsetHeight - gap);
+    }
+    panel.style.left = `${Math.max(0, Math.min(caret.left, window.innerWidth - panel.offsetWidth))}px`;
+    panel.style.top = `${top}px`;
+
+    if (mode === 'toolbar') {
+        state.input.focus();
+    }
+}
+
+/**
+ * Zavře nabídku; restoreFocus vrátí kurzor do editovaného textu (po hledání v poli nabídky)
+ */
+function close(state, restoreFocus = false) {
+    if (!state.panel || state.panel.hidden) return;
+
+    state.panel.hidden = true;
+    const { mode, range, el } = state;
+    state.trigger = null;
+    state.range = null;
+
+    if (restoreFocus && mode === 'toolbar' && el?.isConnected) {
+        el.focus();
+        if (range) {
+            const selection = el.ownerDocument.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+        }
+    }
+}
+
+/**
+ * Vloží vybranou položku - místo napsaného @hledání, nebo na uložený výběr
+ */
+function choose(editor, state, index) {
+    const field = state.items[index];
+    if (!field) return;
+
+    let range = state.range;
+    if (state.mode === 'trigger') {
+        range = getTriggerRange(state);
+    }
+
+    close(state);
+    insertField(editor, field.expression, range);
+}
+
+/**
+ * Rozsah od napsaného @ po kurzor (null, pokud už neplatí)
+ */
+function getTriggerRange(state) {
+    const trigger = state.trigger;
+    const range = state.el && getRangeIn(state.el);
+    if (!trigger || !range || !range.collapsed || range.startContainer !== trigger.node) return null;
+    if (range.startOffset <= trigger.offset || trigger.node.nodeValue[trigger.offset] !== '@') return null;
+
+    const result = range.cloneRange();
+    result.setStart(trigger.node, trigger.offset);
+    return result;
+}
+
+/**
+ * Napsaný text v editovaném elementu: @ na začátku slova otevře nabídku, další znaky ji filtrují
+ */
+function onInput(editor, state, e) {
+    if (state.trigger) {
+        const range = getTriggerRange(state);
+        const query = range ? range.toString().slice(1) : null;
+        // Mezera nebo posun kurzoru mimo @hledání nabídku zavře
+        if (query === null || /\s/.test(query)) {
+            close(state);
+        } else {
+            render(state, query);
+        }
+        return;
+    }
+
+    if (e.inputType !== 'insertText' || e.data !== '@') return;
+
+    const range = getRangeIn(state.el);
+    if (!range || !range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE) return;
+
+    // Jen na začátku slova - e-mailové adresy (info@firma.cz) nabídku neotevřou
+    const node = range.startContainer;
+    const offset = range.startOffset - 1;
+    if (node.nodeValue[offset] !== '@' || (offset > 0 && !/\s/.test(node.nodeValue[offset - 1]))) return;
+
+    open(editor, state, 'trigger', range);
+    state.trigger = { node, offset };
+}
+
+/**
+ * Připojí nabídku k textu, ve kterém se zapnul RTE
+ */
+function enable(editor, state, el) {
+    disable(state);
+    state.el = el;
+
+    const onKeydown = (e) => {
+        // Jen nabídka otevřená přes @ - klávesy jdou do editovaného textu
+        if (state.mode === 'trigger' && handleKey(editor, state, e.key)) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    };
+    const onInputEvent = (e) => onInput(editor, state, e);
+    const onBlur = () => {
+        if (state.mode === 'trigger') close(state);
+    };
+
+    el.addEventListener('keydown', onKeydown, true);
+    el.addEventListener('input', onInputEvent);
+    el.addEventListener('blur', onBlur);
+    state.detachEl = () => {
+        el.removeEventListener('keydown', onKeydown, true);
+        el.removeEventListener('input', onInputEvent);
+        el.removeEventListener('blur', onBlur);
+    };
+}
+
+/**
+ * Odpojí nabídku od editovaného textu
+ */
+function disable(state) {
+    close(state);
+    state.detachEl?.();
+    state.detachEl = null;
+    state.el = null;
+}
+
+/**
+ * Přidá akci "Insert field" do lišty RTE a @ nabídku do editovaného textu
+ * Vrací funkci, která nabídku odpojí (při zrušení editoru)
+ */
+export function attachFieldPicker(editor) {
+    const state = { el: null, panel: null, fields: [], items: [], active: -1, mode: null, range: null, trigger: null };
+    pickers.set(editor, state);
+
+    editor.RichTextEditor.add(FIELD_ACTION, {
+        icon: '<span class="gjs-rte-field-icon">{@}</span>',
+        attributes: { title: 'Insert field (or type @)' },
+        result: (rte) => {
+            const el = state.el || rte.el;
+            if (!state.el) enable(editor, state, el);
+            open(editor, state, 'toolbar', getRangeIn(el));
+        }
+    });
+
+    const onEnable = (view) => enable(editor, state, view.getChildrenContainer());
+    const onDisable = () => disable(state);
+    editor.on('rte:enable', onEnable);
+    editor.on('rte:disable', onDisable);
+
+    return () => {
+        editor.off('rte:enable', onEnable);
+        editor.off('rte:disable', onDisable);
+        disable(state);
+        state.panel?.remove();
+        pickers.delete(editor);
+    };
+}
+
+// Vzhled polí na plátně (i těch právě vložených, než je GrapesJS převede na komponenty)
+export const FIELD_CANVAS_CSS = `
+    .razor-placeholder {
+        display: inline-block;
+        padding: 2px 8px;
+        margin: 0 2px;
+        background-color: #e0e0e0;
+        border-radius: 3px;
+        font-family: monospace;
+        font-size: 0.9em;
+        cursor: default;
+    }
+`;
+
+export const FIELD_PICKER_CSS = `
+    .gjs-field-picker {
+        position: fixed;
+        z-index: 1000;
+        width: 240px;
+        max-height: 280px;
+        display: flex;
+        flex-direction: column;
+        color: var(--bhe-chrome-text, #333);
+        background: var(--bhe-chrome-field-background, #fff);
+        border: 1px solid var(--bhe-chrome-border, #ddd);
+        border-radius: 4px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        font-size: 0.8rem;
+    }
+
+    .gjs-field-picker[hidden],
+    .gjs-field-picker-inline .gjs-field-picker-search {
+        display: none;
+    }
+
+    .gjs-field-picker-search {
+        margin: 6px;
+        padding: 3px 6px;
+        color: var(--bhe-chrome-text, #333);
+        background: var(--bhe-chrome-field-background, #fff);
+        border: 1px solid var(--bhe-chrome-field-border, #ced4da);
+        border-radius: 3px;
+    }
+
+    .gjs-field-picker-list {
+        margin: 0;
+        padding: 0 0 4px;
+        overflow-y: auto;
+        list-style: none;
+    }
+
+    .gjs-field-picker-group {
+        padding: 4px 8px 2px;
+        color: var(--bhe-chrome-muted, #6c757d);
+        font-size: 0.7rem;
+        font-weight: 600;
+        text-transform: uppercase;
+    }
+
+    .gjs-field-picker-item {
+        padding: 3px 12px;
+        font-family: monospace;
+        cursor: pointer;
+    }
+
+    .gjs-field-picker-item:hover,
+    .gjs-field-picker-item.active {
+        color: var(--bhe-chrome-field-background, #fff);
+        background: var(--bhe-chrome-accent, #0066cc);
+    }
+
+    .gjs-field-picker-empty {
+        padding: 6px 12px;
+        color: var(--bhe-chrome-muted, #6c757d);
+    }
+
+    .gjs-rte-field-icon {
+        font-family: monospace;
+        font-size: 0.85em;
+    }
+`;
+
+window.GrapesJSFieldPicker = {
+    action: FIELD_ACTION,
+    css: FIELD_PICKER_CSS,
+    canvasCss: FIELD_CANVAS_CSS,
+    attach: attachFieldPicker,
+    insertField
+};
+
+console.log('GrapesJSFieldPicker loaded');
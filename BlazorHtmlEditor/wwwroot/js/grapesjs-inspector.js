@@ -0,0 +1,325 @@
+/**
+ * Inspektor vybrané komponenty ve vizuálním editoru
+ * Sekce stylů (typografie, odsazení, barvy, okraje) pro GrapesJS Style Manager
+ * a atributy s možností navázání na vlastnost modelu (href="@Model.Url")
+ */
+
+import { RAZOR_BLOCK_TYPE } from './razor-grapesjs.js';
+
+export const MODEL_BINDING_TRAIT = 'model-binding';
+
+/**
+ * Sekce Style Manageru - styly se ukládají inline na komponentu
+ */
+export const STYLE_SECTORS = [
+    {
+        id: 'typography',
+        name: 'Typography',
+        open: true,
+        properties: ['font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing', 'text-align']
+    },
+    {
+        id: 'spacing',
+        name: 'Spacing',
+        open: false,
+        properties: ['margin', 'padding']
+    },
+    {
+        id: 'colors',
+        name: 'Colors',
+        open: false,
+        properties: ['color', 'background-color']
+    },
+    {
+        id: 'borders',
+        name: 'Borders',
+        open: false,
+        properties: ['border', 'border-radius']
+    }
+];
+
+// Atributy, které lze navázat na model, podle typu komponenty
+const COMPONENT_TRAITS = {
+    default: ['id', { type: MODEL_BINDING_TRAIT, name: 'title' }],
+    text: ['id', { type: MODEL_BINDING_TRAIT, name: 'title' }],
+    link: [
+        { type: MODEL_BINDING_TRAIT, name: 'href' },
+        { type: MODEL_BINDING_TRAIT, name: 'title' },
+        {
+            type: 'select',
+            name: 'target',
+            options: [
+                { id: '', name: 'Same window' },
+                { id: '_blank', name: 'New window' }
+            ]
+        }
+    ],
+    image: [
+        // Obrázek drží src jako vlastnost komponenty, ne jako atribut
+        { type: MODEL_BINDING_TRAIT, name: 'src', changeProp: true },
+        { type: MODEL_BINDING_TRAIT, name: 'alt' },
+        { type: MODEL_BINDING_TRAIT, name: 'title' }
+    ]
+};
+
+// Hlavička cyklu z bloku knihovny nebo šablony: @foreach (var order in Model.Orders)
+const FOREACH_PATTERN = /foreach\s*\(\s*var\s+([A-Za-z_]\w*)\s+in\s+Model\.([\w.]+)\s*\)/;
+
+const metadataByEditor = new WeakMap();
+
+/**
+ * Nastaví metadata modelu, ze kterých se nabízejí vazby atributů
+ */
+export function setInspectorMetadata(editor, metadata) {
+    if (metadata) {
+        metadataByEditor.set(editor, metadata);
+    } else {
+        metadataByEditor.delete(editor);
+    }
+}
+
+/**
+ * Metadata modelu editoru (null, pokud nejsou nastavená)
+ */
+export function getInspectorMetadata(editor) {
+    return metadataByEditor.get(editor) || null;
+}
+
+function isSimpleProperty(prop) {
+    return !prop.isCollection && !prop.isComplex;
+}
+
+function findProperty(properties, path) {
+    for (const prop of properties || []) {
+        if (prop.path === path) return prop;
+        if (prop.isComplex && path.startsWith(`${prop.path}.`)) {
+            return findProperty(prop.children, path);
+        }
+    }
+    return null;
+}
+
+/**
+ * Výrazy, na které lze atribut komponenty navázat:
+ * jednoduché vlastnosti modelu (Model.Customer.Email) a prvky cyklů @foreach, ve kterých komponenta leží
+ * Vrací [{ group, expression, label }]
+ */
+export function getBindableExpressions(metadata, component) {
+    const result = [];
+
+    // Proměnné cyklů od nejbližšího
+    for (let parent = component?.parent(); parent; parent = parent.parent()) {
+        if (parent.get('type') !== RAZOR_BLOCK_TYPE) continue;
+
+        const match = FOREACH_PATTERN.exec(parent.get('razorOpen') || '');
+        if (!match) continue;
+
+        const [, variable, path] = match;
+        const collection = findProperty(metadata?.properties, path);
+        const fields = (collection?.children || []).filter(isSimpleProperty);
+
+        if (fields.length > 0) {
+            fields.forEach(field => result.push({
+                group: variable,
+                expression: `${variable}.${field.name}`,
+                label: `${variable}.${field.name}`
+            }));
+        } else {
+            result.push({ group: variable, expression: variable, label: variable });
+        }
+    }
+
+    const visit = (properties) => {
+        for (const prop of properties || []) {
+            if (prop.isComplex) {
+                visit(prop.children);
+            } else if (isSimpleProperty(prop)) {
+                result.push({ group: 'Model', expression: `Model.${prop.path || prop.name}`, label: prop.path || prop.name });
+            }
+        }
+    };
+    visit(metadata?.properties);
+
+    return result;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Zaregistruje trait model-binding (text + výběr vlastnosti modelu) a atributy komponent
+ * Musí proběhnout před nahráním šablony, aby komponenty dostaly nové traits
+ */
+export function registerInspectorTraits(editor) {
+    editor.Traits.addType(MODEL_BINDING_TRAIT, {
+        // Vlastní input (text + výběr) - hodnota se předává ručně v onEvent
+        createInput() {
+            const el = document.createElement('div');
+            el.className = 'gjs-model-binding';
+            el.innerHTML = `
+                <input type="text" data-binding-value>
+                <select data-binding-property title="Bind to model property"></select>
+            `;
+            return el;
+        },
+
+        onEvent({ elInput, trait, event }) {
+            const input = elInput.querySelector('[data-binding-value]');
+            const select = elInput.querySelector('[data-binding-property]');
+
+            // Výběr vlastnosti přepíše hodnotu výrazem @Model.X
+            if (event?.target === select && select.value) {
+                input.value = `@${select.value}`;
+            }
+
+            trait.setTargetValue(input.value);
+        },
+
+        onUpdate({ elInput, component, trait }) {
+            const input = elInput.querySelector('[data-binding-value]');
+            const select = elInput.querySelector('[data-binding-property]');
+            const value = trait.getTargetValue() ?? '';
+            const expressions = getBindableExpressions(metadataByEditor.get(editor), component);
+
+            const groups = new Map();
+            expressions.forEach(item => {
+                if (!groups.has(item.group)) groups.set(item.group, []);
+                groups.get(item.group).push(item);
+            });
+
+            select.innerHTML = '<option value="">Bind to…</option>' + [...groups].map(([group, items]) =>
+                `<optgroup label="${escapeHtml(group)}">${items.map(item =>
+                    `<option value="${escapeHtml(item.expression)}">${escapeHtml(item.label)}</option>`).join('')}</optgroup>`
+            ).join('');
+
+            input.value = value;
+            select.value = expressions.some(item => `@${item.expression}` === value) ? value.slice(1) : '';
+            select.disabled = expressions.length === 0;
+        },
+    });
+
+    Object.entries(COMPONENT_TRAITS).forEach(([type, traits]) => {
+        editor.DomComponents.addType(type, { model: { defaults: { traits } } });
+    });
+}
+
+/**
+ * Vytvoří element panelu inspektoru (atributy a styly); do kontejneru editoru se vloží po inicializaci
+ * Vrací { panel, traitsEl, stylesEl }
+ */
+export function createInspectorPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'gjs-inspector-panel';
+    panel.innerHTML = `
+        <div class="gjs-inspector-empty">Select an element to edit its attributes and styles</div>
+        <div class="gjs-inspector-section">
+            <div class="gjs-inspector-title">Attributes</div>
+            <div data-inspector-traits></div>
+        </div>
+        <div class="gjs-inspector-section">
+            <div class="gjs-inspector-title">Styles</div>
+            <div data-inspector-styles></div>
+        </div>
+    `;
+
+    return {
+        panel,
+        traitsEl: panel.querySelector('[data-inspector-traits]'),
+        stylesEl: panel.querySelector('[data-inspector-styles]')
+    };
+}
+
+/**
+ * Přepíná prázdný stav panelu podle výběru v editoru
+ */
+export function bindInspectorPanel(editor, panel) {
+    const update = () => panel.classList.toggle('has-selection', !!editor.getSelected());
+    editor.on('component:toggled', update);
+    update();
+}
+
+export const INSPECTOR_CSS = `
+    .gjs-inspector-panel {
+        position: absolute;
+        top: 0;
+        right: 0;
+        bottom: 0;
+        width: 260px;
+        overflow-y: auto;
+        background: var(--bhe-chrome-background, #f8f9fa);
+        border-left: 1px solid var(--bhe-chrome-border, #ddd);
+        color: var(--bhe-chrome-text, #333);
+        font-size: 0.8rem;
+        z-index: 2;
+    }
+
+    .gjs-inspector-panel .gjs-inspector-section,
+    .gjs-inspector-panel.has-selection .gjs-inspector-empty {
+        display: none;
+    }
+
+    .gjs-inspector-panel.has-selection .gjs-inspector-section {
+        display: block;
+    }
+
+    .gjs-inspector-empty {
+        padding: 16px;
+        color: var(--bhe-chrome-muted, #6c757d);
+        text-align: center;
+    }
+
+    .gjs-inspector-title {
+        padding: 6px 10px;
+        font-weight: 600;
+        background: var(--bhe-chrome-background-alt, #eef0f2);
+        border-bottom: 1px solid var(--bhe-chrome-border, #ddd);
+    }
+
+    .gjs-inspector-panel .gjs-trt-trait,
+    .gjs-inspector-panel .gjs-sm-sector-title,
+    .gjs-inspector-panel .gjs-sm-label,
+    .gjs-inspector-panel .gjs-label {
+        color: var(--bhe-chrome-text, #333);
+    }
+
+    .gjs-inspector-panel .gjs-sm-sector-title {
+        background: var(--bhe-chrome-background-alt, #f1f3f5);
+        border-bottom: 1px solid var(--bhe-chrome-border, #ddd);
+    }
+
+    .gjs-inspector-panel .gjs-field {
+        color: var(--bhe-chrome-text, #333);
+        background: var(--bhe-chrome-field-background, #fff);
+        border: 1px solid var(--bhe-chrome-field-border, #ced4da);
+    }
+
+    .gjs-model-binding {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        width: 100%;
+    }
+
+    .gjs-model-binding input,
+    .gjs-model-binding select {
+        width: 100%;
+        padding: 2px 4px;
+        color: var(--bhe-chrome-text, #333);
+        background: var(--bhe-chrome-field-background, #fff);
+        border: 1px solid var(--bhe-chrome-field-border, #ced4da);
+        border-radius: 3px;
+        font-size: 0.8rem;
+    }
+`;
+
+window.GrapesJSInspector = {
+    styleSectors: STYLE_SECTORS,
+    css: INSPECTOR_CSS,
+    registerTraits: registerInspectorTraits,
+    setMetadata: setInspectorMetadata,
+    createPanel: createInspectorPanel,
+    bindPanel: bindInspectorPanel
+};
+
+console.log('GrapesJSInspector loaded');
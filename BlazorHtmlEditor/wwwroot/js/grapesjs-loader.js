@@ -5,16 +5,71 @@
 window.GrapesJSHelper = {
     editors: {},
 
+    // Vlastní bloky hostitelské aplikace (registerBlock) - přidávají se do všech editorů
+    customBlocks: {},
+
+    // Zrušení synchronizace osnovy pro každý editor (grapesjs-outline.js)
+    outlines: {},
+
+    // Odpojení nabídky polí modelu v textu pro každý editor (grapesjs-field-picker.js)
+    fieldPickers: {},
+
+    // Napojení editorů na společnou historii (editor-history.js): { historyId, timer, schedule }
+    histories: {},
+
+    // Prodleva (ms), po které se úpravy na plátně zaznamenají do historie
+    historyDelay: 300,
+
+    // Témata panelů editorů (editor-themes.js): { theme, subscription }
+    themes: {},
+
     /**
      * Inicializuje GrapesJS editor
+     * options:
+     *  - blocks: false vypne panel bloků (výchozí true)
+     *  - blocksContainerId: element, do kterého se panel bloků vykreslí (jinak vlevo v kontejneru editoru)
+     *  - inspector: false vypne inspektor vybrané komponenty (výchozí true)
+     *  - inspectorContainerId: element, do kterého se inspektor vykreslí (jinak vpravo v kontejneru editoru)
+     *  - outline: false vypne osnovu dokumentu (výchozí true)
+     *  - outlineContainerId: element, do kterého se osnova vykreslí (jinak jako záložka vedle bloků)
+     *  - modelMetadata: TemplateModelMeta pro Razor bloky modelu a vazby atributů (viz setModelMetadata)
+     *  - historyId: společná historie undo/redo se zdrojovým editorem (EditorHistory)
+     *  - loadTimeout: limit načtení GrapesJS (ms, jinak EditorLoader.timeout)
+     *  - theme: téma panelů (razor-light, razor-dark, razor-high-contrast, 'auto' nebo vlastní, viz setTheme)
+     * Vrací false, pokud se GrapesJS nenačetl nebo editor nevznikl (důvod dostane dotnetRef.OnEditorLoadFailed);
+     * načítání zruší destroy(containerId)
      */
-    async initialize(containerId, initialHtml, initialCss, dotnetRef) {
+    async initialize(containerId, initialHtml, initialCss, dotnetRef, options = {}) {
+        // Počkáme na načtení GrapesJS
+        const signal = window.EditorLoader.begin(containerId);
         try {
-            // Počkáme na načtení GrapesJS
-            await this.waitForGrapesJS();
+            await window.EditorLoader.load('grapesjs', { signal, timeout: options.loadTimeout });
+        } catch (error) {
+            window.EditorLoader.fail('grapesjs', error, dotnetRef);
+            return false;
+        } finally {
+            window.EditorLoader.end(containerId, signal);
+        }
 
+        try {
             console.log('Initializing GrapesJS with CSS:', initialCss ? initialCss.length + ' chars' : 'none');
 
+            // Panel bloků a osnovy - GrapesJS při vykreslení vyprázdní kontejner, proto se vlastní panel
+            // vytvoří mimo DOM a do kontejneru se vloží až po inicializaci
+            const showBlocks = options.blocks !== false;
+            const showOutline = options.outline !== false && !!window.GrapesJSOutline;
+            const sections = [
+                ...(showBlocks && !options.blocksContainerId ? ['blocks'] : []),
+                ...(showOutline && !options.outlineContainerId ? ['outline'] : [])
+            ];
+            const blocksPanel = sections.length > 0 ? this.createBlocksPanel(sections) : null;
+            const blocksTarget = showBlocks && options.blocksContainerId ? `#${options.blocksContainerId}` : blocksPanel?.blocks;
+
+            // Inspektor (atributy a styly vybrané komponenty, grapesjs-inspector.js) - stejně jako panel bloků
+            const inspector = options.inspector !== false && window.GrapesJSInspector
+                ? window.GrapesJSInspector.createPanel()
+                : null;
+
             // Vytvoření editoru - čistý editor bez jakéhokoli UI
             const editor = window.grapesjs.init({
                 container: `#${containerId}`,
@@ -24,18 +79,26 @@ window.GrapesJSHelper = {
                 storageManager: false,
                 noticeOnUnload: false,
 
-                // Vypnout všechny managery
-                blockManager: false,
+                // Inline styly zůstávají v šabloně (bloky i e-mailové šablony na nich stojí)
+                avoidInlineStyle: false,
+                forceClass: false,
+
+                // Knihovna bloků (grapesjs-blocks.js), bez panelu jen pro API
+                blockManager: blocksTarget ? { appendTo: blocksTarget } : {},
+
+                // Inspektor - styly se zapisují přímo na komponentu (inline), ne do tříd
+                traitManager: inspector ? { appendTo: inspector.traitsEl } : false,
+                styleManager: inspector ? { appendTo: inspector.stylesEl, sectors: window.GrapesJSInspector.styleSectors } : false,
+                selectorManager: { componentFirst: true },
+
+                // Vypnout ostatní managery (vrstvy nahrazuje osnova, grapesjs-outline.js)
                 layerManager: false,
-                traitManager: false,
-                selectorManager: false,
-                styleManager: false,
 
                 // Vypnout panely
                 panels: { defaults: [] },
 
-                // Žádné device managery
-                deviceManager: { devices: [] },
+                // Zařízení stejná jako u náhledu šablony (preview-frame.js)
+                deviceManager: { devices: this.getDevices() },
 
                 // Rich Text Editor - povolit a nastavit
                 richTextEditor: {
@@ -48,6 +111,9 @@ window.GrapesJSHelper = {
                     scripts: [],
                     styles: []
                 },
+
+                // Vzhled Razor bloků (razor-grapesjs.js) a polí modelu (grapesjs-field-picker.js) na canvasu
+                canvasCss: (window.GrapesJSRazorBlocks?.canvasCss || '') + (window.GrapesJSFieldPicker?.canvasCss || ''),
             });
 
             // Agresivně odstranit všechny panely z DOM
@@ -60,10 +126,7 @@ window.GrapesJSHelper = {
                     '.gjs-pn-options',
                     '.gjs-pn-devices-c',
                     '[data-gjs-type="Panels"]',
-                    '.gjs-blocks-c',
-                    '.gjs-sm-sectors',
-                    '.gjs-layers',
-                    '.gjs-traits-c'
+                    '.gjs-layers'
                 ];
 
                 unwantedElements.forEach(selector => {
@@ -89,15 +152,9 @@ window.GrapesJSHelper = {
                 .gjs-pn-commands,
                 .gjs-pn-options,
                 .gjs-pn-devices-c,
-                .gjs-blocks-c,
-                .gjs-sm-sectors,
                 .gjs-layers,
-                .gjs-traits-c,
-                .gjs-toolbar,
                 .gjs-resizer-h,
                 .gjs-resizer-v,
-                .gjs-badge,
-                .gjs-toolbar-items,
                 [data-gjs-type="Panels"] {
                     display: none !important;
                     visibility: hidden !important;
@@ -110,21 +167,22 @@ window.GrapesJSHelper = {
                 .gjs-rte-toolbar {
                     display: flex !important;
                     visibility: visible !important;
-                    background: white;
-                    border: 1px solid #ddd;
+                    color: var(--bhe-chrome-text, #333);
+                    background: var(--bhe-chrome-field-background, white);
+                    border: 1px solid var(--bhe-chrome-border, #ddd);
                     padding: 5px;
                     box-shadow: 0 2px 5px rgba(0,0,0,0.1);
                 }
 
                 /* Highlighted element - modrý okraj */
                 .gjs-selected {
-                    outline: 2px solid #3b97e3 !important;
+                    outline: 2px solid var(--bhe-chrome-selection, #3b97e3) !important;
                     outline-offset: -2px;
                 }
 
                 /* Hover effect */
                 [data-gjs-type]:hover {
-                    outline: 1px dashed #3b97e3;
+                    outline: 1px dashed var(--bhe-chrome-selection, #3b97e3);
                     outline-offset: -1px;
                     cursor: pointer;
                 }
@@ -139,9 +197,8 @@ window.GrapesJSHelper = {
                     bottom: 0 !important;
                 }
 
-                /* Frame uvnitř canvasu */
+                /* Frame uvnitř canvasu - šířku určuje zvolené zařízení */
                 .gjs-frame {
-                    width: 100% !important;
                     height: 100% !important;
                 }
 
@@ -149,12 +206,163 @@ window.GrapesJSHelper = {
                 [contenteditable="true"] {
                     cursor: text !important;
                 }
+
+                /* Panel bloků vlevo v kontejneru editoru, canvas vedle něj */
+                .gjs-with-blocks {
+                    position: relative;
+                }
+
+                .gjs-with-blocks .gjs-cv-canvas {
+                    left: 220px !important;
+                    width: calc(100% - 220px) !important;
+                }
+
+                .gjs-blocks-panel {
+                    position: absolute;
+                    top: 0;
+                    left: 0;
+                    bottom: 0;
+                    width: 220px;
+                    overflow-y: auto;
+                    color: var(--bhe-chrome-text, #333);
+                    background: var(--bhe-chrome-background, #f8f9fa);
+                    border-right: 1px solid var(--bhe-chrome-border, #ddd);
+                    z-index: 2;
+                }
+
+                .gjs-panel-tabs {
+                    display: flex;
+                    border-bottom: 1px solid var(--bhe-chrome-border, #ddd);
+                }
+
+                .gjs-panel-tab {
+                    flex: 1;
+                    padding: 6px 0;
+                    color: var(--bhe-chrome-muted, #666);
+                    background: var(--bhe-chrome-background-alt, #eef0f2);
+                    border: none;
+                    cursor: pointer;
+                    font-size: 0.8rem;
+                }
+
+                .gjs-panel-tab.active {
+                    color: var(--bhe-chrome-accent, #0066cc);
+                    background: var(--bhe-chrome-background, #f8f9fa);
+                    font-weight: 600;
+                }
+
+                .gjs-blocks-panel .gjs-block {
+                    width: calc(50% - 12px);
+                    min-height: 56px;
+                    margin: 6px;
+                    padding: 8px 4px;
+                    color: var(--bhe-chrome-text, #333);
+                    background: var(--bhe-chrome-field-background, #fff);
+                    border: 1px solid var(--bhe-chrome-border, #ddd);
+                    border-radius: 4px;
+                    box-shadow: none;
+                }
+
+                .gjs-blocks-panel .gjs-block:hover {
+                    color: var(--bhe-chrome-accent, #0066cc);
+                    border-color: var(--bhe-chrome-accent, #0066cc);
+                }
+
+                .gjs-blocks-panel .gjs-block-category .gjs-title {
+                    color: var(--bhe-chrome-text, #333);
+                    background: var(--bhe-chrome-background-alt, #eef0f2);
+                    border-bottom: 1px solid var(--bhe-chrome-border, #ddd);
+                }
+
+                /* Pozadí kolem canvasu */
+                .gjs-cv-canvas {
+                    background: var(--bhe-chrome-background-alt, #eef0f2);
+                }
+
+                /* Inspektor vpravo, canvas mezi panely */
+                .gjs-with-inspector {
+                    position: relative;
+                }
+
+                .gjs-with-inspector .gjs-cv-canvas {
+                    width: calc(100% - 260px) !important;
+                }
+
+                .gjs-with-blocks.gjs-with-inspector .gjs-cv-canvas {
+                    width: calc(100% - 480px) !important;
+                }
+
+                /* Inspektor ve vlastním elementu hostitelské aplikace */
+                .gjs-inspector-panel.gjs-inspector-external {
+                    position: static;
+                    width: auto;
+                    border-left: none;
+                }
+
+                ${window.GrapesJSInspector?.css || ''}
+
+                ${window.GrapesJSFieldPicker?.css || ''}
             `;
             document.head.appendChild(style);
 
+            // Registrace custom komponent pro Razor (bloky musí existovat před nahráním šablony)
+            this.registerRazorComponents(editor);
+
+            // Atributy s vazbou na model (před nahráním šablony, komponenty dostanou nové traits)
+            if (window.GrapesJSInspector) {
+                window.GrapesJSInspector.registerTraits(editor);
+                window.GrapesJSInspector.setMetadata(editor, options.modelMetadata);
+            }
+
+            // Knihovna bloků
+            this.registerBlocks(editor, options.modelMetadata);
+
+            if (blocksPanel) {
+                const container = document.getElementById(containerId);
+                container.classList.add('gjs-with-blocks');
+                container.appendChild(blocksPanel.panel);
+            }
+
+            if (showOutline) {
+                const outlineTarget = options.outlineContainerId
+                    ? document.getElementById(options.outlineContainerId)
+                    : blocksPanel.outline;
+
+                if (outlineTarget) {
+                    this.outlines[containerId] = window.GrapesJSOutline.attach(editor, outlineTarget);
+                } else {
+                    console.error(`GrapesJS outline container ${options.outlineContainerId} not found`);
+                }
+            }
+
+            if (inspector) {
+                const external = options.inspectorContainerId && document.getElementById(options.inspectorContainerId);
+                const target = external || document.getElementById(containerId);
+
+                if (external) {
+                    inspector.panel.classList.add('gjs-inspector-external');
+                } else {
+                    target.classList.add('gjs-with-inspector');
+                }
+
+                inspector.panel.dataset.editorId = containerId;
+                target.appendChild(inspector.panel);
+                window.GrapesJSInspector.bindPanel(editor, inspector.panel);
+            }
+
+            // Vkládání polí modelu v editovaném textu (akce "Insert field" v liště RTE a @)
+            if (window.GrapesJSFieldPicker) {
+                this.fieldPickers[containerId] = window.GrapesJSFieldPicker.attach(editor);
+            } else {
+                console.warn('GrapesJSFieldPicker not loaded - fields cannot be inserted while editing text');
+            }
+
+            // Barvy panelů podle tématu (jako u Monaca)
+            this.setTheme(containerId, options.theme);
+
             // Nastavení počátečního obsahu
             if (initialHtml) {
-                editor.setComponents(initialHtml);
+                this.setTemplate(editor, initialHtml);
             }
 
             // Nastavení CSS do editoru
@@ -258,12 +466,13 @@ window.GrapesJSHelper = {
                 console.log('Text editing finished');
             });
 
-            // Registrace custom komponent pro Razor placeholdery
-            this.registerRazorComponents(editor);
-
             // Uložení reference
             this.editors[containerId] = editor;
 
+            if (options.historyId) {
+                this.attachHistory(containerId, options.historyId);
+            }
+
             console.log('GrapesJS editor initialized successfully:', containerId);
             console.log('- Double-click text to edit');
             console.log('- Click element to select');
@@ -271,135 +480,163 @@ window.GrapesJSHelper = {
             return true;
 
         } catch (error) {
-            console.error('Error initializing GrapesJS:', error);
+            window.EditorLoader.fail('grapesjs', error, dotnetRef);
             return false;
         }
     },
 
     /**
-     * Počká na načtení GrapesJS nebo ho načte z CDN
+     * Počká na načtení GrapesJS (viz EditorLoader)
      */
     async waitForGrapesJS() {
-        return new Promise((resolve, reject) => {
-            // Pokud už je načten, okamžitě resolve
-            if (typeof window.grapesjs !== 'undefined') {
-                console.log('GrapesJS already loaded');
-                resolve();
-                return;
-            }
+        await window.EditorLoader.load('grapesjs');
+    },
 
-            console.log('GrapesJS not found, loading from CDN...');
+    /**
+     * Zařízení pro GrapesJS device manager
+     * Převezme předvolby náhledu (PreviewFrameInterop.devices), bez nich jen desktop
+     */
+    getDevices() {
+        const presets = window.PreviewFrameInterop?.devices || [{ name: 'Desktop', width: null, height: null }];
+
+        return presets.map(device => ({
+            id: device.name,
+            name: device.name,
+            width: device.width ? `${device.width}px` : '',
+            height: device.height ? `${device.height}px` : '',
+            // Media queries pro zařízení (max-width) v exportovaném CSS
+            widthMedia: device.width ? `${device.width}px` : ''
+        }));
+    },
 
-            // Načteme CSS pokud neexistuje
-            if (!document.querySelector('link[href*="grapesjs"]')) {
-                const css = document.createElement('link');
-                css.rel = 'stylesheet';
-                css.href = 'https://unpkg.com/grapesjs@0.21.10/dist/css/grapes.min.css';
-                document.head.appendChild(css);
-                console.log('GrapesJS CSS added (version 0.21.10)');
-            }
+    /**
+     * Přepne zařízení canvasu (název z předvoleb, např. 'Tablet')
+     * Pro vlastní šířku v px přidá nové zařízení
+     */
+    setDevice(containerId, deviceName, width) {
+        const editor = this.editors[containerId];
+        if (!editor) return;
 
-            // Najdeme existující script tag
-            const existingScript = document.querySelector('script[src*="grapesjs"]');
-
-            if (existingScript) {
-                console.log('GrapesJS script tag found, checking if loaded...');
-
-                // Počkáme chvíli jestli se náhodou nenačte
-                let attempts = 0;
-                const quickCheck = () => {
-                    if (typeof window.grapesjs !== 'undefined') {
-                        console.log('GrapesJS is ready (from existing script)');
-                        resolve();
-                    } else if (attempts < 20) { // Jen 2 sekundy počkáme
-                        attempts++;
-                        setTimeout(quickCheck, 100);
-                    } else {
-                        // Existující script nefunguje, odstraníme ho a načteme nový
-                        console.warn('Existing GrapesJS script did not load, removing and loading fresh...');
-                        existingScript.remove();
-                        this.loadFreshGrapesJS(resolve, reject);
-                    }
-                };
-                quickCheck();
-            } else {
-                // Žádný script tag neexistuje, načteme nový
-                this.loadFreshGrapesJS(resolve, reject);
-            }
-        });
+        if (width && !editor.Devices.get(deviceName)) {
+            editor.Devices.add({ id: deviceName, name: deviceName, width: `${width}px`, widthMedia: `${width}px` });
+        }
+
+        editor.setDevice(deviceName);
     },
 
     /**
-     * Načte fresh GrapesJS script z CDN
+     * Vytvoří element levého panelu (do kontejneru editoru se vloží po inicializaci)
+     * sections: ['blocks', 'outline'] - při více sekcích se přepínají záložkami
+     * Vrací { panel, blocks, outline } (elementy sekcí)
      */
-    loadFreshGrapesJS(resolve, reject) {
-        // Temporarily disable AMD/RequireJS to force GrapesJS to load as a global
-        // GrapesJS uses UMD and will register as AMD module if define() exists
-        const oldDefine = window.define;
-        const oldRequire = window.require;
+    createBlocksPanel(sections = ['blocks']) {
+        const labels = { blocks: 'Blocks', outline: 'Outline' };
+        const panel = document.createElement('div');
+        panel.className = 'gjs-blocks-panel';
+
+        const tabs = document.createElement('div');
+        tabs.className = 'gjs-panel-tabs';
+        if (sections.length > 1) {
+            panel.appendChild(tabs);
+        }
 
-        console.log('Temporarily disabling AMD loader to force global GrapesJS');
-        window.define = undefined;
-        window.require = undefined;
+        const result = { panel };
+        sections.forEach((name, index) => {
+            const section = document.createElement('div');
+            section.className = `gjs-panel-section gjs-panel-${name}`;
+            section.hidden = index > 0;
+            panel.appendChild(section);
+            result[name] = section;
+
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = `gjs-panel-tab${index === 0 ? ' active' : ''}`;
+            tab.textContent = labels[name];
+            tab.addEventListener('click', () => {
+                tabs.querySelectorAll('.gjs-panel-tab').forEach(t => t.classList.toggle('active', t === tab));
+                panel.querySelectorAll('.gjs-panel-section').forEach(s => { s.hidden = s !== section; });
+            });
+            tabs.appendChild(tab);
+        });
 
-        const script = document.createElement('script');
-        script.src = 'https://unpkg.com/grapesjs@0.21.10/dist/grapes.min.js';
+        return result;
+    },
 
-        console.log(`Loading GrapesJS from: ${script.src}`);
+    /**
+     * Přidá do editoru výchozí bloky, bloky modelu a vlastní bloky aplikace
+     */
+    registerBlocks(editor, modelMetadata) {
+        const library = window.GrapesJSBlockLibrary;
+        if (!library) {
+            console.warn('GrapesJSBlockLibrary not loaded - block library will be empty');
+        } else {
+            library.addBlocks(editor, library.defaults);
+            library.setModelBlocks(editor, modelMetadata);
+        }
 
-        script.onload = () => {
-            console.log('GrapesJS script loaded successfully');
+        Object.entries(this.customBlocks).forEach(([id, definition]) => {
+            editor.Blocks.add(id, definition);
+        });
+    },
 
-            // Restore AMD loader
-            if (oldDefine) {
-                window.define = oldDefine;
-                console.log('AMD loader restored');
-            }
-            if (oldRequire) {
-                window.require = oldRequire;
-            }
+    /**
+     * Zaregistruje vlastní blok (např. firemní hlavička) do všech editorů, i budoucích
+     * definition: { label, content, category, media, ... } - viz GrapesJS Block
+     */
+    registerBlock(id, definition) {
+        if (!id || !definition) {
+            console.error('GrapesJSHelper.registerBlock: id and definition are required');
+            return false;
+        }
 
-            // Check immediately if global is available
-            if (typeof window.grapesjs !== 'undefined') {
-                console.log('GrapesJS global is available!');
-                resolve();
-                return;
-            }
+        this.customBlocks[id] = { category: 'Custom', ...definition };
 
-            // Wait a bit for the global to become available
-            let attempts = 0;
-            const checkGlobal = () => {
-                if (typeof window.grapesjs !== 'undefined') {
-                    console.log('GrapesJS is ready');
-                    resolve();
-                } else if (attempts < 10) {
-                    attempts++;
-                    setTimeout(checkGlobal, 100);
-                } else {
-                    console.error('GrapesJS failed to load as global. window.grapesjs:', typeof window.grapesjs);
-                    reject(new Error('GrapesJS script loaded but global not available'));
-                }
-            };
-            checkGlobal();
-        };
+        Object.values(this.editors).forEach(editor => {
+            editor.Blocks.remove(id);
+            editor.Blocks.add(id, this.customBlocks[id]);
+        });
+        return true;
+    },
 
-        script.onerror = (error) => {
-            // Restore AMD loader on error too
-            if (oldDefine) window.define = oldDefine;
-            if (oldRequire) window.require = oldRequire;
+    /**
+     * Odebere vlastní blok ze všech editorů
+     */
+    unregisterBlock(id) {
+        delete this.customBlocks[id];
+        Object.values(this.editors).forEach(editor => editor.Blocks.remove(id));
+    },
 
-            console.error('Failed to load GrapesJS from CDN:', error);
-            reject(new Error('Failed to load GrapesJS from CDN'));
-        };
+    /**
+     * Nastaví metadata modelu - přegeneruje Razor bloky (Repeat, Table, Show if) kategorie Model
+     * a vlastnosti nabízené pro vazbu atributů v inspektoru
+     */
+    setModelMetadata(containerId, metadata) {
+        const editor = this.editors[containerId];
+        if (!editor) return;
+
+        if (window.GrapesJSBlockLibrary) {
+            window.GrapesJSBlockLibrary.setModelBlocks(editor, metadata);
+        }
 
-        document.head.appendChild(script);
+        if (window.GrapesJSInspector) {
+            window.GrapesJSInspector.setMetadata(editor, metadata);
+        }
     },
 
     /**
      * Registruje custom komponenty pro Razor placeholdery
      */
     registerRazorComponents(editor) {
+        // Řídicí konstrukce a kód (@foreach, @if, @{ }, ...)
+        if (window.GrapesJSRazorBlocks) {
+            window.GrapesJSRazorBlocks.registerTypes(editor);
+        } else {
+            console.warn('GrapesJSRazorBlocks not loaded - Razor blocks will be edited as text');
+        }
+
         editor.DomComponents.addType('razor-placeholder', {
+            // Pole vložená při editaci textu (grapesjs-field-picker.js) se po jejím skončení rozpoznají podle třídy
+            isComponent: el => el.classList?.contains('razor-placeholder'),
             model: {
                 defaults: {
                     tagName: 'span',
@@ -414,9 +651,16 @@ window.GrapesJSHelper = {
                         },
                     ],
                 },
+                init() {
+                    // contenteditable="false" drží pole pohromadě jen při editaci textu, do šablony nepatří
+                    this.removeAttributes('contenteditable');
+                },
             },
             view: {
                 onRender() {
+                    // V editovaném textu se pole maže a přesouvá jako celek
+                    this.el.setAttribute('contenteditable', 'false');
+
                     const razorExpr = this.model.getAttributes()['data-razor'];
                     if (razorExpr) {
                         this.el.style.backgroundColor = '#e0e0e0';
@@ -448,17 +692,112 @@ window.GrapesJSHelper = {
     },
 
     /**
-     * Nastaví HTML obsah
+     * Nastaví HTML obsah (Razor šablonu)
      */
     setHtml(containerId, html) {
         const editor = this.editors[containerId];
-        if (editor) {
-            editor.setComponents(html);
+        if (!editor) return;
+
+        // Se společnou historií jde nový obsah vrátit přes undo
+        const history = this.histories[containerId];
+        if (history) {
+            window.EditorHistory.flush(history.historyId);
+            this.replaceTemplate(editor, html);
+            window.EditorHistory.record(history.historyId, this.getTemplate(containerId), 'design', 'Set content');
+        } else {
+            this.setTemplate(editor, html);
+        }
+    },
+
+    /**
+     * Připojí editor ke společné historii šablony (EditorHistory)
+     * Úpravy na plátně se zaznamenávají po historyDelay; Ctrl+Z po vyčerpání vlastního undo GrapesJS
+     * pokračuje společnou historií (např. úpravami z editoru kódu)
+     */
+    attachHistory(containerId, historyId) {
+        const editor = this.editors[containerId];
+        if (!editor || !window.EditorHistory) {
+            console.warn('EditorHistory not loaded - undo history is not shared');
+            return;
+        }
+
+        const state = { historyId, timer: null };
+        const record = () => {
+            clearTimeout(state.timer);
+            state.timer = null;
+            window.EditorHistory.record(historyId, this.getTemplate(containerId), 'design');
+        };
+
+        state.schedule = () => {
+            clearTimeout(state.timer);
+            state.timer = setTimeout(record, this.historyDelay);
+        };
+        editor.on('update', state.schedule);
+        this.histories[containerId] = state;
+
+        window.EditorHistory.attach(historyId, containerId, 'design', {
+            getValue: () => this.getTemplate(containerId),
+            setValue: (value) => this.replaceTemplate(editor, value),
+            flush: () => {
+                if (state.timer) record();
+            }
+        });
+
+        const undoManager = editor.UndoManager;
+        editor.Commands.add('core:undo', () => {
+            if (undoManager.hasUndo()) {
+                undoManager.undo();
+            } else {
+                window.EditorHistory.undo(historyId);
+            }
+        });
+        editor.Commands.add('core:redo', () => {
+            if (undoManager.hasRedo()) {
+                undoManager.redo();
+            } else {
+                window.EditorHistory.redo(historyId);
+            }
+        });
+    },
+
+    /**
+     * Nahradí šablonu v editoru stavem ze společné historie
+     * Kroky undo GrapesJS by se vztahovaly k zahozeným komponentám, proto se vyprázdní
+     */
+    replaceTemplate(editor, template) {
+        const undoManager = editor.UndoManager;
+        undoManager.stop();
+        this.setTemplate(editor, template);
+        undoManager.start();
+        undoManager.clear();
+    },
+
+    /**
+     * Získá Razor šablonu z editoru - obsah bez obalového <body>, Razor bloky v původním zdroji
+     */
+    getTemplate(containerId) {
+        const editor = this.editors[containerId];
+        if (!editor) return '';
+
+        return window.GrapesJSRazorBlocks
+            ? window.GrapesJSRazorBlocks.getTemplate(editor)
+            : editor.getHtml();
+    },
+
+    /**
+     * Nahraje šablonu do editoru; Razor konstrukce převede na bloky
+     */
+    setTemplate(editor, template) {
+        if (window.GrapesJSRazorBlocks) {
+            window.GrapesJSRazorBlocks.setTemplate(editor, template);
+        } else {
+            editor.setComponents(template);
         }
     },
 
     /**
      * Vloží Razor placeholder
+     * Při editaci textu na místo kurzoru, jinak na konec vybrané komponenty (bez výběru na konec stránky)
      */
     insertRazorPlaceholder(containerId, razorExpression) {
         console.log('=== insertRazorPlaceholder called ===');
@@ -471,6 +810,11 @@ window.GrapesJSHelper = {
             return false;
         }
 
+        if (editor.getEditing() && window.GrapesJSFieldPicker?.insertField(editor, razorExpression)) {
+            console.log('=== Razor placeholder inserted at the caret ===');
+            return true;
+        }
+
         try {
             const selected = editor.getSelected();
             console.log('Currently selected component:', selected ? selected.get('tagName') : 'none');
@@ -545,15 +889,68 @@ window.GrapesJSHelper = {
         }
     },
 
+    /**
+     * Nastaví téma panelů editoru (bloky, osnova, inspektor, lišta RTE) - barvy z editor-themes.js
+     * 'auto' sleduje tmavý režim a kontrast systému; obsah šablony na plátně se nemění
+     */
+    setTheme(containerId, theme) {
+        const themes = window.EditorThemes;
+        if (!themes) return;
+
+        this.themes[containerId]?.subscription?.dispose();
+
+        const apply = () => {
+            themes.applyChrome(document.getElementById(containerId), theme);
+            // Inspektor může být i mimo kontejner (inspectorContainerId)
+            themes.applyChrome(document.querySelector(`.gjs-inspector-panel.gjs-inspector-external[data-editor-id="${containerId}"]`), theme);
+        };
+        apply();
+
+        this.themes[containerId] = {
+            theme,
+            subscription: theme === 'auto' ? themes.onSystemThemeChange(apply) : null
+        };
+    },
+
     /**
      * Zničí editor
      */
     destroy(containerId) {
+        // Editor se možná ještě načítá - initialize pak skončí bez vytvoření
+        window.EditorLoader.abort(containerId);
+
         const editor = this.editors[containerId];
         if (editor) {
+            // Poslední úpravy zůstanou v historii i po zrušení editoru
+            const history = this.histories[containerId];
+            if (history) {
+                window.EditorHistory.flush(history.historyId);
+                window.EditorHistory.detach(history.historyId, containerId);
+                delete this.histories[containerId];
+            }
+
+            // Osnova může být i mimo kontejner (outlineContainerId)
+            this.outlines[containerId]?.();
+            delete this.outlines[containerId];
+
+            this.fieldPickers[containerId]?.();
+            delete this.fieldPickers[containerId];
+
             editor.destroy();
             delete this.editors[containerId];
         }
+
+        this.themes[containerId]?.subscription?.dispose();
+        delete this.themes[containerId];
+
+        // Inspektor může být i mimo kontejner (inspectorContainerId)
+        document.querySelector(`.gjs-inspector-panel[data-editor-id="${containerId}"]`)?.remove();
+
+        const container = document.getElementById(containerId);
+        if (container) {
+            container.querySelector('.gjs-blocks-panel')?.remove();
+            container.classList.remove('gjs-with-blocks', 'gjs-with-inspector');
+        }
     }
 };
 
@@ -0,0 +1,98 @@
+/**
+ * Osnova dokumentu ve vizuálním editoru (místo GrapesJS Layer Manageru)
+ * Stejný strom elementů a Razor bloků jako osnova v editoru kódu (razor-outline.js);
+ * výběr uzlu vybere komponentu na plátně, výběr na plátně zvýrazní uzel
+ */
+
+import { RAZOR_BLOCK_TYPE, RAZOR_CODE_TYPE, getBlockLabel, getCodeLabel } from './razor-grapesjs.js';
+import { OUTLINE_KINDS, renderOutline, highlightOutline } from './razor-outline.js';
+
+// Prodleva (ms) přestavění osnovy po změnách komponent (vložení bloku jich změní mnoho naráz)
+const OUTLINE_DELAY = 100;
+
+// Typy komponent, které v osnově nejsou
+const HIDDEN_TYPES = new Set(['textnode', 'comment']);
+
+function componentLabel(component) {
+    const type = component.get('type');
+    if (type === RAZOR_BLOCK_TYPE) return `@${getBlockLabel(component.get('razorOpen'))}`;
+    if (type === RAZOR_CODE_TYPE) return getCodeLabel(component.get('razorCode'));
+
+    const id = component.getAttributes().id;
+    const classes = component.getClasses();
+    return `${component.get('tagName') || type}${id ? `#${id}` : ''}${classes.map(c => `.${c}`).join('')}`;
+}
+
+function componentKind(component) {
+    const type = component.get('type');
+    if (type === RAZOR_BLOCK_TYPE) return OUTLINE_KINDS.block;
+    if (type === RAZOR_CODE_TYPE) return OUTLINE_KINDS.code;
+    return OUTLINE_KINDS.element;
+}
+
+/**
+ * Osnova komponent editoru ve tvaru razor-outline.js; klíčem uzlu je cid komponenty
+ */
+export function getComponentOutline(editor) {
+    const convert = (component) => ({
+        kind: componentKind(component),
+        name: componentLabel(component),
+        key: component.cid,
+        component,
+        children: toNodes(component.components())
+    });
+
+    const toNodes = (components) => components
+        .filter(component => !HIDDEN_TYPES.has(component.get('type')))
+        .map(convert);
+
+    const wrapper = editor.getWrapper();
+    return wrapper ? toNodes(wrapper.components()) : [];
+}
+
+/**
+ * Vykreslí osnovu do kontejneru a udržuje ji synchronizovanou s editorem
+ * Vrací funkci, která synchronizaci zruší
+ */
+export function attachComponentOutline(editor, container) {
+    let timer = null;
+
+    const highlight = () => {
+        highlightOutline(container, editor.getSelected()?.cid ?? null);
+    };
+
+    const onSelect = (node) => {
+        editor.select(node.component);
+        editor.Canvas.scrollTo(node.component, { behavior: 'smooth', block: 'nearest' });
+    };
+
+    const refresh = () => {
+        clearTimeout(timer);
+        renderOutline(container, getComponentOutline(editor), onSelect);
+        highlight();
+    };
+
+    const scheduleRefresh = () => {
+        clearTimeout(timer);
+        timer = setTimeout(refresh, OUTLINE_DELAY);
+    };
+
+    const changeEvents = 'component:add component:remove component:update:attributes component:update:classes component:update:razorOpen component:update:razorCode load';
+    editor.on(changeEvents, scheduleRefresh);
+    editor.on('component:toggled', highlight);
+    refresh();
+
+    return () => {
+        clearTimeout(timer);
+        editor.off(changeEvents, scheduleRefresh);
+        editor.off('component:toggled', highlight);
+        container.replaceChildren();
+    };
+}
+
+window.GrapesJSOutline = {
+    getOutline: getComponentOutline,
+    attach: attachComponentOutline
+};
+
+console.log('GrapesJSOutline loaded');
@@ -0,0 +1,179 @@
+/**
+ * Metadata modelu šablony pro Razor jazyk v Monaco Editoru
+ * Uchovává strom TemplateModelMeta (z ModelMetadataProvider) pro každý Monaco model
+ * a umí z něj vyhodnocovat výrazy typu @Model.Customer.Address.City
+ */
+
+const metadataByModel = new Map();
+
+/**
+ * Přiřadí metadata k Monaco modelu (null metadata odebere)
+ */
+export function setModelMetadata(model, metadata) {
+    if (!model) return;
+
+    const key = model.uri.toString();
+    if (metadata) {
+        metadataByModel.set(key, metadata);
+    } else {
+        metadataByModel.delete(key);
+    }
+}
+
+/**
+ * Získá metadata přiřazená k Monaco modelu
+ */
+export function getModelMetadata(model) {
+    if (!model) return null;
+    return metadataByModel.get(model.uri.toString()) || null;
+}
+
+/**
+ * Rozdělí výraz "Customer.Orders[0].Total" na segmenty
+ * Indexery se normalizují na segment "[]" (= prvek kolekce)
+ */
+export function splitMemberPath(expression) {
+    if (!expression) return [];
+
+    return expression
+        .replace(/\[[^\]]*\]/g, '.[]')
+        .split('.')
+        .filter(segment => segment.length > 0);
+}
+
+/**
+ * Projde strom vlastností podle segmentů cesty
+ * Vrací { property, members }:
+ *  - property: nalezená vlastnost (null pro kořen)
+ *  - members: vlastnosti dostupné za tečkou, null pokud je neznáme
+ *    (primitivní typ, kolekce bez indexeru, nebo překročená hloubka metadat)
+ * Vrací null, pokud některý segment v metadatech prokazatelně neexistuje
+ */
+export function resolveMemberPath(properties, segments) {
+    let property = null;
+    let members = properties || [];
+
+    for (const segment of segments) {
+        if (segment === '[]') {
+            if (!property || !property.isCollection) {
+                return members === null ? { property: null, members: null } : null;
+            }
+            // U kolekcí obsahuje Children vlastnosti prvku
+            members = property.children || null;
+            continue;
+        }
+
+        // Za neznámým typem už nic neověříme
+        if (members === null) {
+            return { property: null, members: null };
+        }
+
+        const found = members.find(p => p.name === segment);
+        if (!found) {
+            return null;
+        }
+
+        property = found;
+        members = found.isCollection ? null : (found.children || null);
+    }
+
+    return { property, members };
+}
+
+/**
+ * Najde proměnné cyklů @foreach (var item in Model.Items) v textu
+ * Vrací mapu název proměnné -> výraz kolekce
+ */
+export function findLoopVariables(text) {
+    const variables = {};
+    const regex = /\bforeach\s*\(\s*[\w.<>?,\s]+?\s+([A-Za-z_]\w*)\s+in\s+([A-Za-z_]\w*(?:\.[A-Za-z_]\w*|\[[^\]]*\])*)\s*\)/g;
+
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        variables[match[1]] = match[2];
+    }
+
+    return variables;
+}
+
+/**
+ * Převede výraz (Model.X.Y nebo item.Z) na segmenty cesty od kořene modelu
+ * Proměnné cyklů se rozbalí na výraz jejich kolekce + prvek "[]"
+ * Vrací null, pokud výraz nezačíná Model ani známou proměnnou cyklu
+ */
+export function expressionToSegments(expression, loopVariables, depth = 0) {
+    const [root, ...rest] = splitMemberPath(expression);
+
+    if (root === 'Model') {
+        return rest;
+    }
+
+    if (loopVariables && loopVariables[root] && depth < 10) {
+        const source = expressionToSegments(loopVariables[root], loopVariables, depth + 1);
+        return source ? [...source, '[]', ...rest] : null;
+    }
+
+    return null;
+}
+
+/**
+ * Najde výraz modelu pod kurzorem (např. @Model.Customer.Address.City)
+ * Výraz se zkrátí na segment, nad kterým kurzor stojí
+ * Vrací { property, path, metadata, range } nebo null
+ *  - property je null, pokud kurzor stojí přímo na "Model"
+ */
+export function getMemberAtPosition(model, position) {
+    const metadata = getModelMetadata(model);
+    if (!metadata) return null;
+
+    const line = model.getLineContent(position.lineNumber);
+    const regex = /[A-Za-z_]\w*(?:\.[A-Za-z_]\w*|\[[^\]]*\])*/g;
+
+    let match;
+    while ((match = regex.exec(line)) !== null) {
+        // Monaco sloupce začínají od 1
+        const startColumn = match.index + 1;
+        const endColumn = startColumn + match[0].length;
+        if (position.column < startColumn || position.column >= endColumn) continue;
+
+        // Zkrátit výraz za segmentem pod kurzorem
+        const offset = position.column - startColumn;
+        const nextSeparator = match[0].slice(offset).search(/[.[]/);
+        const expression = nextSeparator === -1
+            ? match[0]
+            : match[0].slice(0, offset + nextSeparator);
+
+        const textBefore = model.getValueInRange({
+            startLineNumber: 1,
+            startColumn: 1,
+            endLineNumber: position.lineNumber,
+            endColumn: line.length + 1
+        });
+
+        const segments = expressionToSegments(expression, findLoopVariables(textBefore));
+        if (!segments) return null;
+
+        const range = {
+            startLineNumber: position.lineNumber,
+            startColumn: startColumn,
+            endLineNumber: position.lineNumber,
+            endColumn: startColumn + expression.length
+        };
+
+        if (segments.length === 0) {
+            return { property: null, path: '', metadata, range };
+        }
+
+        const resolved = resolveMemberPath(metadata.properties, segments);
+        if (!resolved || !resolved.property) return null;
+
+        return {
+            property: resolved.property,
+            path: resolved.property.path || resolved.property.name,
+            metadata,
+            range
+        };
+    }
+
+    return null;
+}
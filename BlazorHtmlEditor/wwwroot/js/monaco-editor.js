@@ -0,0 +1,1010 @@
+/**
+ * Monaco Editor pro Blazor - ES modul s jedním objektem (MonacoEditorHandle) na každý editor
+ * createEditor vrací handle se všemi funkcemi editoru; z Blazoru se používá jako IJSObjectReference.
+ * Starší globální API (MonacoEditorInterop, MonacoEditorHelper) jsou jen tenké obálky nad tímto modulem.
+ */
+
+import { registerRazorLanguage } from './razor-monarch.js';
+import { setModelMetadata, getModelMetadata, getMemberAtPosition } from './model-metadata.js';
+import { computeDiagnostics } from './razor-diagnostics.js';
+import { scrollPreviewToLine } from './preview-scroll-sync.js';
+import './editor-loader.js';
+import './editor-history.js';
+import { buildOutline, findOutlinePath, getOutlineKey, renderOutline, highlightOutline, renderBreadcrumbs } from './razor-outline.js';
+import { registerSnippets, unregisterSnippets, clearSnippets, getSnippets, findSnippet, expandModelChoices } from './razor-snippets.js';
+import { AUTO_THEME, DEFAULT_THEME, registerThemes, resolveTheme, applyChrome, onSystemThemeChange } from './editor-themes.js';
+
+// Vlastník markerů živé diagnostiky
+const LIVE_DIAGNOSTICS_OWNER = 'razor-live';
+
+// Vlastník markerů kompilace (setMarkers bez ownera)
+const COMPILE_DIAGNOSTICS_OWNER = 'razor-compile';
+
+// Název hlavního modelu (šablony), pokud ho volající neurčí
+const DEFAULT_MODEL_NAME = 'template.cshtml';
+
+// Výchozí prodleva (ms), po které se změny obsahu najednou pošlou do .NET
+const DEFAULT_CONTENT_CHANGE_DELAY = 150;
+
+// Prodleva (ms) živé diagnostiky po změně šablony
+const VALIDATION_DELAY = 300;
+
+// Prodleva (ms) přestavění osnovy po změně šablony
+const OUTLINE_DELAY = 300;
+
+// Jazyk modelu podle přípony souboru
+const LANGUAGES_BY_EXTENSION = {
+    cshtml: 'razor',
+    razor: 'razor',
+    html: 'html',
+    css: 'css',
+    json: 'json',
+    js: 'javascript'
+};
+
+/**
+ * Události handle (on/subscribe) a jejich argumenty:
+ *  - contentChanged(value) - obsah šablony po dávce úprav (stejně jako OnEditorContentChanged)
+ *  - modelContentChanged(name, value) - obsah dalšího dokumentu po dávce úprav
+ *  - cursorChanged({ lineNumber, column }) - pozice kurzoru v zobrazeném dokumentu
+ *  - focus(), blur()
+ *  - modelPropertyNavigate(path) - Ctrl+click na výraz modelu
+ *  - disposed()
+ */
+export const EDITOR_EVENTS = ['contentChanged', 'modelContentChanged', 'cursorChanged', 'focus', 'blur', 'modelPropertyNavigate', 'disposed'];
+
+// Vytvořené editory podle ID
+const handles = new Map();
+
+// Razor jazyk se v Monacu registruje jen jednou
+let razorLanguage = null;
+
+// Témata (editor-themes.js) se v Monacu registrují po jeho načtení, také jen jednou
+let themesRegistered = false;
+
+// Téma, které naposledy nastavil některý editor (před překladem 'auto')
+let activeTheme = null;
+
+/**
+ * Nastaví téma Monaca - platí pro všechny editory na stránce
+ */
+function applyTheme(theme) {
+    activeTheme = theme;
+    monaco.editor.setTheme(resolveTheme(theme));
+}
+
+// Téma 'auto' následuje změnu tmavého režimu nebo kontrastu v systému
+onSystemThemeChange(() => {
+    if (activeTheme === AUTO_THEME && typeof monaco !== 'undefined') {
+        applyTheme(AUTO_THEME);
+    }
+    for (const handle of handles.values()) {
+        if (handle.theme === AUTO_THEME) {
+            handle.updateChrome();
+        }
+    }
+});
+
+/**
+ * Určí jazyk modelu podle názvu souboru (styles.css -> css)
+ */
+function getLanguageForFile(name) {
+    const extension = name.split('.').pop().toLowerCase();
+    return LANGUAGES_BY_EXTENSION[extension] || 'plaintext';
+}
+
+/**
+ * Nahradí obsah modelu jako běžnou úpravu - na rozdíl od model.setValue zůstane zachované undo editoru
+ */
+function replaceModelValue(model, value) {
+    if (model.getValue() === value) return;
+
+    model.pushStackElement();
+    model.pushEditOperations([], [{ range: model.getFullModelRange(), text: value }], () => null);
+    model.pushStackElement();
+}
+
+/**
+ * URI modelu - jednoznačné pro každý editor a název souboru
+ */
+function createModelUri(editorId, name) {
+    return monaco.Uri.from({ scheme: 'inmemory', authority: editorId, path: '/' + name });
+}
+
+/**
+ * Zaregistruje Razor jazyk (jednou); vrací jazyk šablony - 'razor', nebo 'html', pokud registrace selže
+ */
+function ensureRazorLanguage() {
+    if (razorLanguage) return razorLanguage;
+
+    try {
+        registerRazorLanguage();
+        razorLanguage = 'razor';
+        console.log('Razor language registered successfully');
+    } catch (error) {
+        console.warn('Could not register Razor language, using HTML:', error);
+        razorLanguage = 'html';
+    }
+    return razorLanguage;
+}
+
+/**
+ * Vloží text místo výběru (na pozici kurzoru) Monaco editoru
+ */
+export function insertTextAtSelection(editor, text) {
+    const selection = editor.getSelection();
+    const range = new monaco.Range(
+        selection.startLineNumber,
+        selection.startColumn,
+        selection.endLineNumber,
+        selection.endColumn
+    );
+
+    editor.executeEdits('insert-text', [{ range, text, forceMoveMarkers: true }]);
+    editor.focus();
+}
+
+/**
+ * Pozice kurzoru Monaco editoru ({ lineNumber, column })
+ */
+export function getCursorPosition(editor) {
+    const position = editor.getPosition();
+    return position ? { lineNumber: position.lineNumber, column: position.column } : null;
+}
+
+/**
+ * Přesune kurzor Monaco editoru, najede na něj a zaměří editor
+ */
+export function setCursorPosition(editor, lineNumber, column) {
+    editor.setPosition({ lineNumber, column });
+    editor.revealPositionInCenterIfOutsideViewport({ lineNumber, column });
+    editor.focus();
+}
+
+/**
+ * Vybraný text Monaco editoru
+ */
+export function getSelectedText(editor) {
+    const selection = editor.getSelection();
+    return selection ? editor.getModel().getValueInRange(selection) : '';
+}
+
+/**
+ * Načte Monaco (viz EditorLoader) a zaregistruje Razor jazyk; options: { signal, timeout }
+ */
+export async function loadMonaco(options = {}) {
+    await window.EditorLoader.load('monaco', options);
+
+    if (!themesRegistered) {
+        registerThemes();
+        themesRegistered = true;
+    }
+    return ensureRazorLanguage();
+}
+
+/**
+ * Jeden Monaco editor šablony s dalšími dokumenty, diagnostikou, osnovou a historií
+ * Vzniká přes createEditor; po dispose() se už nepoužívá
+ */
+export class MonacoEditorHandle {
+    constructor(id, editor, mainModel, mainName, options, dotnetRef) {
+        this.id = id;
+
+        // Samotný Monaco editor (pro JavaScript; z .NET se používají metody handle)
+        this.editor = editor;
+
+        this.dotnetRef = dotnetRef;
+        this.disposed = false;
+
+        // Téma editoru (název z editor-themes.js, 'auto' nebo vestavěné téma Monaca)
+        this.theme = options.theme || DEFAULT_THEME;
+
+        // Posluchači událostí: { událost: Set(listener) }
+        this.listeners = new Map();
+
+        // Pojmenované modely: { main, active, entries: { název: { model, viewState, subscription } } }
+        this.models = { main: mainName, active: mainName, entries: {} };
+
+        // Změny obsahu čekající na odeslání do .NET
+        this.contentChanges = {
+            delay: options.contentChangeDelay ?? DEFAULT_CONTENT_CHANGE_DELAY,
+            timer: null,
+            names: new Set()
+        };
+
+        // Živá diagnostika: { enabled, timer }
+        this.diagnostics = { enabled: true, timer: null };
+
+        // Synchronizace scrollování s náhledem: { elementId, frame }
+        this.scrollSync = null;
+
+        // Osnova a breadcrumbs: { outlineElementId, breadcrumbsElementId, nodes, timer }
+        this.outline = null;
+
+        // Napojení na společnou historii (editor-history.js): { historyId, floor }
+        // floor - verze modelu po posledním zápisu z historie; pod ni Ctrl+Z v editoru nevrací
+        this.history = null;
+
+        this.registerModel(mainName, mainModel);
+
+        // Historie šablony sdílená s ostatními editory dokumentu (přežije přepnutí záložek)
+        if (options.historyId) {
+            this.attachHistory(options.historyId);
+        }
+
+        // Ctrl+click na výraz modelu - zobrazit vlastnost v panelu Model Properties
+        editor.onMouseDown((e) => {
+            if (!(e.event.ctrlKey || e.event.metaKey) || !e.target.position) return;
+
+            const member = getMemberAtPosition(editor.getModel(), e.target.position);
+            if (member && member.property) {
+                this.dotnetRef?.invokeMethodAsync('OnModelPropertyNavigate', member.path)
+                    .catch(err => console.error('MonacoEditorHandle: OnModelPropertyNavigate failed', err));
+                this.emit('modelPropertyNavigate', member.path);
+            }
+        });
+
+        // Scrollování editoru posouvá náhled (pokud je nastaven setScrollSyncTarget)
+        editor.onDidScrollChange((e) => {
+            if (e.scrollTopChanged) {
+                this.schedulePreviewScroll();
+            }
+        });
+
+        // Osnova zvýrazňuje uzel pod kurzorem (pokud je nastaven setOutlineTargets)
+        editor.onDidChangeCursorSelection(() => this.updateOutlineSelection());
+        editor.onDidChangeModel(() => this.updateOutlineSelection());
+        editor.onDidChangeCursorPosition((e) => {
+            this.emit('cursorChanged', { lineNumber: e.position.lineNumber, column: e.position.column });
+        });
+
+        // Monaco má jedno téma pro stránku - zaměřený editor nastaví svoje
+        editor.onDidFocusEditorText(() => {
+            if (activeTheme !== this.theme) {
+                applyTheme(this.theme);
+            }
+            this.emit('focus');
+        });
+
+        // Při opuštění editoru odešleme rozepsané změny hned
+        editor.onDidBlurEditorText(() => {
+            this.flushContentChanges();
+            this.emit('blur');
+        });
+
+        applyTheme(this.theme);
+        this.scheduleValidation();
+    }
+
+    /**
+     * Přihlásí posluchače události (viz EDITOR_EVENTS); vrací objekt s dispose(), který ho odhlásí
+     */
+    on(event, listener) {
+        if (!EDITOR_EVENTS.includes(event)) {
+            throw new Error(`Unknown editor event: ${event}`);
+        }
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+
+        return { dispose: () => this.listeners.get(event)?.delete(listener) };
+    }
+
+    /**
+     * Přihlásí k události .NET metodu (dotnetRef.invokeMethodAsync(methodName, ...argumenty události))
+     * Vrací objekt s dispose() - z .NET jako IJSObjectReference
+     */
+    subscribe(event, dotnetRef, methodName) {
+        return this.on(event, (...args) => {
+            dotnetRef.invokeMethodAsync(methodName, ...args)
+                .catch(err => console.error(`MonacoEditorHandle: ${methodName} failed`, err));
+        });
+    }
+
+    emit(event, ...args) {
+        for (const listener of this.listeners.get(event) || []) {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`MonacoEditorHandle: ${event} listener failed`, error);
+            }
+        }
+    }
+
+    /**
+     * Zaregistruje model pod názvem a napojí události změn obsahu
+     */
+    registerModel(name, model) {
+        const subscription = model.onDidChangeContent(() => {
+            this.scheduleContentChange(name);
+
+            if (name === this.models.main) {
+                this.scheduleValidation();
+                this.scheduleOutline();
+            }
+        });
+
+        this.models.entries[name] = { model, viewState: null, subscription };
+    }
+
+    /**
+     * Naplánuje odeslání změněného modelu do .NET
+     * Změny během prodlevy se sloučí - do .NET jde jen výsledný obsah, ne každý stisk klávesy
+     */
+    scheduleContentChange(name) {
+        const pending = this.contentChanges;
+        pending.names.add(name);
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(() => this.flushContentChanges(), pending.delay);
+    }
+
+    /**
+     * Okamžitě odešle čekající změny obsahu
+     * Změny hlavního modelu jdou do OnEditorContentChanged (contentChanged), ostatních do OnModelContentChanged
+     */
+    flushContentChanges() {
+        if (this.disposed) return;
+
+        const pending = this.contentChanges;
+        clearTimeout(pending.timer);
+        const names = [...pending.names];
+        pending.names.clear();
+
+        // Do historie jde i bez .NET - stav šablony po dávce úprav
+        if (this.history && names.includes(this.models.main)) {
+            window.EditorHistory.record(this.history.historyId, this.getValue(), 'code');
+        }
+
+        for (const name of names) {
+            const entry = this.models.entries[name];
+            if (!entry) continue;
+
+            const value = entry.model.getValue();
+            if (name === this.models.main) {
+                this.dotnetRef?.invokeMethodAsync('OnEditorContentChanged', value)
+                    .catch(err => console.error('MonacoEditorHandle: OnEditorContentChanged failed', err));
+                this.emit('contentChanged', value);
+            } else {
+                this.dotnetRef?.invokeMethodAsync('OnModelContentChanged', name, value)
+                    .catch(err => console.error('MonacoEditorHandle: OnModelContentChanged failed', err));
+                this.emit('modelContentChanged', name, value);
+            }
+        }
+    }
+
+    /**
+     * Nastaví scrollovací element náhledu, který sleduje scrollování editoru
+     * Náhled najede na element odpovídající prvnímu viditelnému řádku šablony; null synchronizaci vypne
+     */
+    setScrollSyncTarget(elementId) {
+        cancelAnimationFrame(this.scrollSync?.frame);
+        if (elementId) {
+            this.scrollSync = { elementId, frame: 0 };
+            this.schedulePreviewScroll();
+        } else {
+            this.scrollSync = null;
+        }
+    }
+
+    /**
+     * Naplánuje posun náhledu na další snímek (scroll události chodí velmi často)
+     */
+    schedulePreviewScroll() {
+        const sync = this.scrollSync;
+        if (!sync || sync.frame) return;
+
+        sync.frame = requestAnimationFrame(() => {
+            sync.frame = 0;
+            this.syncPreviewScroll();
+        });
+    }
+
+    /**
+     * Posune náhled podle prvního viditelného řádku šablony
+     */
+    syncPreviewScroll() {
+        const sync = this.scrollSync;
+        if (!sync) return;
+
+        // Náhled odpovídá jen šabloně, ne stylům ani datům
+        if (this.models.active !== this.models.main) return;
+
+        const container = document.getElementById(sync.elementId);
+        const ranges = this.editor.getVisibleRanges();
+        if (!container || ranges.length === 0) return;
+
+        const lineNumber = this.editor.getScrollTop() === 0 ? 1 : ranges[0].startLineNumber;
+        scrollPreviewToLine(container, this.editor.getModel().getValue(), lineNumber);
+    }
+
+    /**
+     * Nastaví elementy pro osnovu šablony a breadcrumbs (cestu k uzlu pod kurzorem)
+     * Výběr uzlu označí jeho kód v editoru; null pro oba elementy osnovu vypne
+     */
+    setOutlineTargets(outlineElementId, breadcrumbsElementId) {
+        const previous = this.outline;
+        if (previous) {
+            clearTimeout(previous.timer);
+            document.getElementById(previous.outlineElementId)?.replaceChildren();
+            document.getElementById(previous.breadcrumbsElementId)?.replaceChildren();
+        }
+
+        if (!outlineElementId && !breadcrumbsElementId) {
+            this.outline = null;
+            return;
+        }
+
+        this.outline = { outlineElementId, breadcrumbsElementId, nodes: [], timer: null };
+        this.updateChrome();
+        this.refreshOutline();
+    }
+
+    /**
+     * Obarví osnovu a breadcrumbs podle tématu editoru
+     */
+    updateChrome() {
+        if (!this.outline) return;
+
+        applyChrome(document.getElementById(this.outline.outlineElementId), this.theme);
+        applyChrome(document.getElementById(this.outline.breadcrumbsElementId), this.theme);
+    }
+
+    /**
+     * Naplánuje přestavění osnovy (při psaní se nepřepočítává po každém znaku)
+     */
+    scheduleOutline() {
+        const outline = this.outline;
+        if (!outline) return;
+
+        clearTimeout(outline.timer);
+        outline.timer = setTimeout(() => this.refreshOutline(), OUTLINE_DELAY);
+    }
+
+    /**
+     * Přestaví osnovu z hlavního modelu a vykreslí ji
+     */
+    refreshOutline() {
+        const outline = this.outline;
+        if (!outline) return;
+
+        clearTimeout(outline.timer);
+        outline.nodes = buildOutline(this.getValue());
+
+        const onSelect = (node) => this.revealSourceRange(node.start, node.end);
+        renderOutline(document.getElementById(outline.outlineElementId), outline.nodes, onSelect);
+        this.updateOutlineSelection();
+    }
+
+    /**
+     * Zvýrazní v osnově uzel pod kurzorem a vykreslí k němu breadcrumbs
+     */
+    updateOutlineSelection() {
+        const outline = this.outline;
+        if (!outline) return;
+
+        // Osnova patří šabloně - u stylů a dat se nic nezvýrazní
+        // Začátek výběru - po výběru uzlu v osnově je kurzor až za jeho koncem
+        const model = this.editor.getModel();
+        const selection = this.editor.getSelection();
+        const path = model === this.getMainModel() && selection
+            ? findOutlinePath(outline.nodes, model.getOffsetAt(selection.getStartPosition()))
+            : [];
+
+        const current = path[path.length - 1];
+        highlightOutline(document.getElementById(outline.outlineElementId), current ? getOutlineKey(current) : null);
+
+        const onSelect = (node) => this.revealSourceRange(node.start, node.end);
+        renderBreadcrumbs(document.getElementById(outline.breadcrumbsElementId), path, onSelect);
+    }
+
+    /**
+     * Připojí šablonu editoru ke společné historii dokumentu (EditorHistory)
+     */
+    attachHistory(historyId) {
+        const model = this.getMainModel();
+        const history = { historyId, floor: model.getAlternativeVersionId() };
+        this.history = history;
+
+        window.EditorHistory.attach(historyId, this.id, 'code', {
+            getValue: () => model.getValue(),
+            setValue: (value) => {
+                replaceModelValue(model, value);
+                history.floor = model.getAlternativeVersionId();
+            },
+            // Rozepsané úpravy se před undo/redo zaznamenají
+            flush: () => this.flushContentChanges()
+        });
+
+        // Ctrl+Z vrací úpravy v editoru; když už žádné nejsou (např. po přepnutí záložky), pokračuje společnou historií
+        this.editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyZ, () => this.undo(), 'editorTextFocus');
+        this.editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyY, () => this.redo(), 'editorTextFocus');
+        this.editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyZ, () => this.redo(), 'editorTextFocus');
+    }
+
+    /**
+     * Undo - nejdřív úpravy v editoru, pak společná historie šablony
+     */
+    undo() {
+        const model = this.getMainModel();
+        if (this.history && this.editor.getModel() === model && model.getAlternativeVersionId() === this.history.floor) {
+            window.EditorHistory.undo(this.history.historyId);
+        } else {
+            this.editor.trigger('keyboard', 'undo', null);
+        }
+    }
+
+    /**
+     * Redo - nejdřív úpravy v editoru, pak společná historie šablony
+     */
+    redo() {
+        const model = this.getMainModel();
+        if (this.history && this.editor.getModel() === model && !model.canRedo?.()) {
+            window.EditorHistory.redo(this.history.historyId);
+        } else {
+            this.editor.trigger('keyboard', 'redo', null);
+        }
+    }
+
+    /**
+     * Hlavní model editoru (šablona)
+     * Na něj se vztahují getValue/setValue, metadata modelu a markery
+     */
+    getMainModel() {
+        return this.models.entries[this.models.main].model;
+    }
+
+    /**
+     * Přidá do editoru další pojmenovaný model (např. styles.css, sample-data.json)
+     * Jazyk se bez zadání určí podle přípony; existující model se jen aktualizuje
+     */
+    addModel(name, value, language) {
+        if (!name) return;
+
+        const existing = this.models.entries[name];
+        if (existing) {
+            replaceModelValue(existing.model, value || '');
+            if (language) {
+                monaco.editor.setModelLanguage(existing.model, language);
+            }
+            return;
+        }
+
+        const model = monaco.editor.createModel(
+            value || '',
+            language || getLanguageForFile(name),
+            createModelUri(this.id, name)
+        );
+        this.registerModel(name, model);
+    }
+
+    /**
+     * Odebere pojmenovaný model (hlavní model odebrat nelze)
+     */
+    removeModel(name) {
+        const entry = this.models.entries[name];
+        if (!entry || name === this.models.main) return;
+
+        if (this.models.active === name) {
+            this.switchModel(this.models.main);
+        }
+
+        entry.subscription.dispose();
+        entry.model.dispose();
+        delete this.models.entries[name];
+    }
+
+    /**
+     * Přepne editor na jiný model
+     * Pozice kurzoru, výběr a scroll se u každého modelu pamatují zvlášť
+     */
+    switchModel(name) {
+        const entry = this.models.entries[name];
+        if (!entry || this.models.active === name) return;
+
+        this.models.entries[this.models.active].viewState = this.editor.saveViewState();
+
+        this.editor.setModel(entry.model);
+        if (entry.viewState) {
+            this.editor.restoreViewState(entry.viewState);
+        }
+
+        this.models.active = name;
+        this.editor.focus();
+    }
+
+    /**
+     * Názvy modelů editoru (hlavní model je první)
+     */
+    getModelNames() {
+        return Object.keys(this.models.entries);
+    }
+
+    /**
+     * Název právě zobrazeného modelu
+     */
+    getActiveModel() {
+        return this.models.active;
+    }
+
+    /**
+     * Obsah pojmenovaného modelu
+     */
+    getModelValue(name) {
+        const entry = this.models.entries[name];
+        return entry ? entry.model.getValue() : '';
+    }
+
+    /**
+     * Nastaví obsah pojmenovaného modelu
+     */
+    setModelValue(name, value) {
+        const entry = this.models.entries[name];
+        if (entry) {
+            replaceModelValue(entry.model, value || '');
+        }
+    }
+
+    /**
+     * Obsah všech modelů jako { název: obsah } (pro uložení najednou)
+     */
+    getAllValues() {
+        const values = {};
+        for (const [name, entry] of Object.entries(this.models.entries)) {
+            values[name] = entry.model.getValue();
+        }
+        return values;
+    }
+
+    /**
+     * Obsah hlavního modelu (šablony)
+     */
+    getValue() {
+        return this.getMainModel().getValue();
+    }
+
+    /**
+     * Nastaví obsah hlavního modelu (šablony)
+     */
+    setValue(value) {
+        replaceModelValue(this.getMainModel(), value || '');
+    }
+
+    /**
+     * Vloží text na pozici kurzoru
+     */
+    insertText(text) {
+        insertTextAtSelection(this.editor, text);
+    }
+
+    /**
+     * Zaregistruje (nebo nahradí) sadu snippetů editoru: [{ prefix, body, description }] (viz razor-snippets.js)
+     * Snippety se nabízejí v IntelliSense a vkládají přes insertSnippet
+     */
+    registerSnippets(setName, snippets) {
+        registerSnippets(this.id, setName, snippets);
+    }
+
+    /**
+     * Odebere sadu snippetů editoru
+     */
+    unregisterSnippets(setName) {
+        unregisterSnippets(this.id, setName);
+    }
+
+    /**
+     * Snippety editoru (vestavěné i registrované): [{ set, prefix, body, description }]
+     */
+    getSnippets() {
+        return getSnippets(this.id);
+    }
+
+    /**
+     * Vloží snippet na pozici kurzoru - snippet ({ body }) nebo prefix (a případně sada)
+     * Zástupná místa se vyplňují Tabem jako v IntelliSense; vrací false, pokud snippet neexistuje
+     */
+    insertSnippet(snippet, setName = null) {
+        const found = typeof snippet === 'string' ? findSnippet(this.id, snippet, setName) : snippet;
+        if (typeof found?.body !== 'string') return false;
+
+        const body = expandModelChoices(found.body, getModelMetadata(this.getMainModel()));
+        this.editor.focus();
+        this.editor.getContribution('snippetController2').insert(body);
+        return true;
+    }
+
+    /**
+     * Přeformátuje celý dokument (akce Format Document)
+     */
+    async formatDocument() {
+        const action = this.editor.getAction('editor.action.formatDocument');
+        if (action) {
+            await action.run();
+        }
+    }
+
+    focus() {
+        this.editor.focus();
+    }
+
+    getCursorPosition() {
+        return getCursorPosition(this.editor);
+    }
+
+    setCursorPosition(lineNumber, column) {
+        setCursorPosition(this.editor, lineNumber, column);
+    }
+
+    getSelectedText() {
+        return getSelectedText(this.editor);
+    }
+
+    /**
+     * Označí v šabloně rozsah zadaný offsety znaků (konec exkluzivně) a najede na něj
+     * Používá náhled po kliknutí na element (data-source-range)
+     */
+    revealSourceRange(start, end) {
+        this.switchModel(this.models.main);
+
+        const model = this.editor.getModel();
+        const from = model.getPositionAt(start);
+        const to = model.getPositionAt(end);
+        const range = new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column);
+
+        this.editor.setSelection(range);
+        this.editor.revealRangeInCenter(range);
+        this.editor.focus();
+
+        // Náhled se při tom nemá posouvat - uživatel právě klikl na viditelný element
+        if (this.scrollSync?.frame) {
+            cancelAnimationFrame(this.scrollSync.frame);
+            this.scrollSync.frame = 0;
+        }
+    }
+
+    /**
+     * Nastaví jazyk zobrazeného modelu
+     */
+    setLanguage(language) {
+        const model = this.editor.getModel();
+        if (model) {
+            monaco.editor.setModelLanguage(model, language);
+        }
+    }
+
+    /**
+     * Nastaví metadata modelu šablony (TemplateModelMeta) pro IntelliSense
+     */
+    setModelMetadata(metadata) {
+        setModelMetadata(this.getMainModel(), metadata);
+        this.scheduleValidation();
+    }
+
+    /**
+     * Zapne/vypne živou diagnostiku (neznámé vlastnosti modelu, neuzavřené bloky a tagy)
+     */
+    setLiveDiagnostics(enabled) {
+        this.diagnostics.enabled = enabled;
+        if (enabled) {
+            this.validate();
+        } else {
+            clearTimeout(this.diagnostics.timer);
+            monaco.editor.setModelMarkers(this.getMainModel(), LIVE_DIAGNOSTICS_OWNER, []);
+        }
+    }
+
+    /**
+     * Naplánuje živou diagnostiku s malým zpožděním (při psaní)
+     */
+    scheduleValidation() {
+        if (!this.diagnostics.enabled) return;
+
+        clearTimeout(this.diagnostics.timer);
+        this.diagnostics.timer = setTimeout(() => this.validate(), VALIDATION_DELAY);
+    }
+
+    /**
+     * Okamžitě spočítá živou diagnostiku a zobrazí ji jako markery
+     * Vrací všechny markery editoru
+     */
+    validate() {
+        if (this.disposed || !this.diagnostics.enabled) return [];
+
+        const model = this.getMainModel();
+        const markers = computeDiagnostics(model.getValue(), getModelMetadata(model)).map(d => ({
+            ...d,
+            severity: d.severity === 'warning' ? monaco.MarkerSeverity.Warning : monaco.MarkerSeverity.Error,
+            source: 'Razor'
+        }));
+
+        monaco.editor.setModelMarkers(model, LIVE_DIAGNOSTICS_OWNER, markers);
+        return this.getMarkers();
+    }
+
+    /**
+     * Nastaví markery (např. chyby kompilace z RazorLight)
+     * markers: [{ line, column, length, severity: 'Error'|'Warning'|'Info', message }]
+     * Markery bez pozice (line 0) se přeskočí, owner odděluje různé zdroje markerů
+     */
+    setMarkers(markers, owner) {
+        const model = this.getMainModel();
+        const severities = {
+            error: monaco.MarkerSeverity.Error,
+            warning: monaco.MarkerSeverity.Warning,
+            info: monaco.MarkerSeverity.Info
+        };
+
+        const monacoMarkers = (markers || [])
+            .filter(m => m.line > 0 && m.line <= model.getLineCount())
+            .map(m => {
+                const column = Math.max(1, m.column);
+                let endColumn = column + (m.length || 0);
+
+                // Bez délky podtrhneme slovo na pozici (nebo zbytek řádku)
+                if (!m.length) {
+                    const word = model.getWordAtPosition({ lineNumber: m.line, column });
+                    endColumn = word ? word.endColumn : model.getLineMaxColumn(m.line);
+                }
+
+                return {
+                    startLineNumber: m.line,
+                    startColumn: column,
+                    endLineNumber: m.line,
+                    endColumn: Math.max(endColumn, column + 1),
+                    severity: severities[String(m.severity).toLowerCase()] || monaco.MarkerSeverity.Error,
+                    message: m.message,
+                    source: 'RazorLight'
+                };
+            });
+
+        monaco.editor.setModelMarkers(model, owner || COMPILE_DIAGNOSTICS_OWNER, monacoMarkers);
+    }
+
+    /**
+     * Všechny markery šablony (řádek, sloupec, závažnost, zpráva)
+     */
+    getMarkers() {
+        return monaco.editor.getModelMarkers({ resource: this.getMainModel().uri }).map(m => ({
+            startLineNumber: m.startLineNumber,
+            startColumn: m.startColumn,
+            endLineNumber: m.endLineNumber,
+            endColumn: m.endColumn,
+            severity: m.severity === monaco.MarkerSeverity.Error ? 'error'
+                : m.severity === monaco.MarkerSeverity.Warning ? 'warning' : 'info',
+            message: m.message,
+            owner: m.owner
+        }));
+    }
+
+    /**
+     * Změní téma editoru (razor-light, razor-dark, razor-high-contrast, 'auto' nebo téma z defineTheme)
+     * Monaco má jedno téma pro celou stránku: zobrazí se téma naposledy vytvořeného, změněného
+     * nebo zaměřeného editoru
+     */
+    setTheme(theme) {
+        this.theme = theme || DEFAULT_THEME;
+        applyTheme(this.theme);
+        this.updateChrome();
+    }
+
+    /**
+     * Téma editoru, jak bylo zadáno ('auto' se nepřekládá)
+     */
+    getTheme() {
+        return this.theme;
+    }
+
+    /**
+     * Aktualizuje velikost editoru
+     */
+    layout() {
+        this.editor.layout();
+    }
+
+    /**
+     * Zničí editor a uvolní jeho modely, časovače a napojení
+     */
+    dispose() {
+        if (this.disposed) return;
+
+        // Komponenta se ruší - čekající změny už neposíláme (obsah si .NET přečte přes getValue)
+        clearTimeout(this.contentChanges.timer);
+        clearTimeout(this.diagnostics.timer);
+        cancelAnimationFrame(this.scrollSync?.frame);
+        clearTimeout(this.outline?.timer);
+
+        const mainModel = this.getMainModel();
+
+        // Poslední stav šablony zůstane v historii i po zrušení editoru (pokud ji vlastník už nezahodil)
+        if (this.history) {
+            if (window.EditorHistory.has(this.history.historyId)) {
+                window.EditorHistory.record(this.history.historyId, mainModel.getValue(), 'code');
+            }
+            window.EditorHistory.detach(this.history.historyId, this.id);
+        }
+
+        monaco.editor.setModelMarkers(mainModel, LIVE_DIAGNOSTICS_OWNER, []);
+        monaco.editor.setModelMarkers(mainModel, COMPILE_DIAGNOSTICS_OWNER, []);
+        setModelMetadata(mainModel, null);
+        clearSnippets(this.id);
+        this.editor.dispose();
+
+        // Modely vytvořené přes createModel editor sám neuvolní
+        for (const entry of Object.values(this.models.entries)) {
+            entry.subscription.dispose();
+            entry.model.dispose();
+        }
+
+        this.disposed = true;
+        if (handles.get(this.id) === this) {
+            handles.delete(this.id);
+        }
+
+        this.emit('disposed');
+        this.listeners.clear();
+        this.dotnetRef = null;
+        console.log(`Monaco Editor disposed: ${this.id}`);
+    }
+}
+
+/**
+ * Vytvoří Monaco editor v elementu (element nebo jeho ID) a vrátí jeho MonacoEditorHandle
+ * options: volby Monaca a navíc modelName (název šablony), contentChangeDelay, historyId, loadTimeout (ms);
+ * theme může být i 'auto' nebo téma z editor-themes.js (defineTheme)
+ * dotnetRef (volitelný) dostává OnEditorContentChanged, OnModelContentChanged, OnModelPropertyNavigate a OnEditorLoadFailed
+ * Když se Monaco nenačte nebo editor nevznikne, selhání se ohlásí přes OnEditorLoadFailed a promise se zamítne
+ * s EditorLoadError; načítání zruší disposeEditor(id)
+ */
+export async function createEditor(target, options = {}, dotnetRef = null) {
+    const element = typeof target === 'string' ? document.getElementById(target) : target;
+    const id = typeof target === 'string' ? target : target?.id;
+    if (!id) {
+        throw new Error('Monaco editor element needs an id');
+    }
+
+    // Počkáme na načtení Monaco
+    const signal = window.EditorLoader.begin(id);
+    let language;
+    try {
+        language = await loadMonaco({ signal, timeout: options.loadTimeout });
+    } catch (error) {
+        throw window.EditorLoader.fail('monaco', error, dotnetRef);
+    } finally {
+        window.EditorLoader.end(id, signal);
+    }
+
+    try {
+        // Editor se stejným ID (např. znovu vykreslená komponenta) nahradíme
+        handles.get(id)?.dispose();
+
+        // Hlavní model (šablona) - další modely přidává addModel
+        const { modelName, contentChangeDelay, historyId, loadTimeout, value, theme, ...editorOptions } = options;
+        const mainName = modelName || DEFAULT_MODEL_NAME;
+        const mainModel = monaco.editor.createModel(value || '', language, createModelUri(id, mainName));
+
+        const editor = monaco.editor.create(element, { ...editorOptions, language, model: mainModel });
+        const handle = new MonacoEditorHandle(id, editor, mainModel, mainName, { contentChangeDelay, historyId, theme }, dotnetRef);
+        handles.set(id, handle);
+
+        console.log(`Monaco Editor created: ${id}`);
+        return handle;
+    } catch (error) {
+        throw window.EditorLoader.fail('monaco', error, dotnetRef);
+    }
+}
+
+/**
+ * Handle editoru podle ID (null, pokud neexistuje)
+ */
+export function getEditor(id) {
+    return handles.get(id) || null;
+}
+
+/**
+ * Zničí editor podle ID; pokud se teprve načítá, načítání zruší
+ */
+export function disposeEditor(id) {
+    window.EditorLoader.abort(id);
+    handles.get(id)?.dispose();
+}
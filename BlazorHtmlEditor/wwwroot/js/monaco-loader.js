@@ -1,89 +1,27 @@
 /**
- * Monaco Editor loader a helper funkce pro Blazor
+ * Monaco Editor helper funkce pro Blazor - původní globální API nad Monaco editory (objekty editoru)
+ * Jen tenká obálka nad monaco-editor.js
  */
 
-import { registerRazorLanguage } from './razor-monarch.js';
+import { loadMonaco, insertTextAtSelection, getCursorPosition, setCursorPosition, getSelectedText } from './monaco-editor.js';
 
 window.MonacoEditorHelper = {
     /**
-     * Inicializuje Monaco editor s Razor podporou
+     * Načte Monaco a zaregistruje Razor jazyk
      */
     async initialize() {
-        // Počkáme na načtení Monaco přes require.js
-        return new Promise((resolve, reject) => {
-            let attempts = 0;
-            const maxAttempts = 100;
-
-            const checkMonaco = () => {
-                if (typeof monaco !== 'undefined') {
-                    try {
-                        registerRazorLanguage();
-                        console.log('Monaco Editor initialized with Razor support');
-                        resolve(true);
-                    } catch (error) {
-                        console.error('Error registering Razor language:', error);
-                        resolve(true); // Stále pokračujeme i když selže registrace jazyka
-                    }
-                } else if (typeof require !== 'undefined') {
-                    // Pokusíme se načíst Monaco přes require
-                    require(['vs/editor/editor.main'], function() {
-                        if (typeof monaco !== 'undefined') {
-                            try {
-                                registerRazorLanguage();
-                                console.log('Monaco Editor loaded via require and Razor support added');
-                                resolve(true);
-                            } catch (error) {
-                                console.error('Error registering Razor language:', error);
-                                resolve(true);
-                            }
-                        } else {
-                            reject(new Error('Monaco failed to load via require'));
-                        }
-                    }, function(err) {
-                        console.error('Error loading Monaco via require:', err);
-                        // Zkusíme počkat a zkontrolovat znovu
-                        if (attempts < maxAttempts) {
-                            attempts++;
-                            setTimeout(checkMonaco, 100);
-                        } else {
-                            reject(new Error('Monaco Editor failed to load after ' + maxAttempts + ' attempts'));
-                        }
-                    });
-                } else if (attempts < maxAttempts) {
-                    attempts++;
-                    setTimeout(checkMonaco, 100);
-                } else {
-                    console.error('Monaco Editor failed to load');
-                    reject(new Error('Monaco Editor not available'));
-                }
-            };
-
-            checkMonaco();
-        });
+        await loadMonaco();
+        console.log('Monaco Editor initialized with Razor support');
+        return true;
     },
 
     /**
      * Vloží text na pozici kurzoru
      */
     insertTextAtCursor(editor, text) {
-        if (!editor) return;
-
-        const selection = editor.getSelection();
-        const range = new monaco.Range(
-            selection.startLineNumber,
-            selection.startColumn,
-            selection.endLineNumber,
-            selection.endColumn
-        );
-
-        const op = {
-            range: range,
-            text: text,
-            forceMoveMarkers: true
-        };
-
-        editor.executeEdits('insert-text', [op]);
-        editor.focus();
+        if (editor) {
+            insertTextAtSelection(editor, text);
+        }
     },
 
     /**
@@ -115,12 +53,7 @@ window.MonacoEditorHelper = {
      * Získá pozici kurzoru
      */
     getCursorPosition(editor) {
-        if (!editor) return null;
-        const position = editor.getPosition();
-        return {
-            lineNumber: position.lineNumber,
-            column: position.column
-        };
+        return editor ? getCursorPosition(editor) : null;
     },
 
     /**
@@ -128,8 +61,7 @@ window.MonacoEditorHelper = {
      */
     setCursorPosition(editor, lineNumber, column) {
         if (editor) {
-            editor.setPosition({ lineNumber, column });
-            editor.focus();
+            setCursorPosition(editor, lineNumber, column);
         }
     },
 
@@ -137,17 +69,8 @@ window.MonacoEditorHelper = {
      * Získá vybraný text
      */
     getSelectedText(editor) {
-        if (!editor) return '';
-        const selection = editor.getSelection();
-        return editor.getModel().getValueInRange(selection);
+        return editor ? getSelectedText(editor) : '';
     }
 };
 
-// Auto-inicializace při načtení
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        console.log('Monaco loader ready');
-    });
-} else {
-    console.log('Monaco loader ready');
-}
+console.log('Monaco loader ready');
@@ -0,0 +1,94 @@
+/**
+ * Izolovaný náhled šablony v iframe
+ * Obsah se do iframe vkládá jako celý dokument, takže na něj nepůsobí CSS hostitelské stránky
+ * a media queries šablony reagují na šířku zvoleného zařízení
+ */
+
+// Styl editoru vkládaný do dokumentu náhledu (zvýraznění elementů pro navigaci do kódu)
+const FRAME_STYLE_ID = 'blazor-html-editor-preview-style';
+const FRAME_STYLES = `
+    [data-source-range] { cursor: pointer; }
+    [data-source-range]:hover { outline: 1px dashed #66a3e0; outline-offset: 1px; }
+    .source-highlight, .source-highlight:hover { outline: 2px solid #0066cc; outline-offset: 1px; }
+`;
+
+/**
+ * Předvolby zařízení (stejné jako PreviewDevice.Presets v .NET)
+ */
+export const DEVICE_PRESETS = [
+    { name: 'Desktop', width: null, height: null },
+    { name: 'Tablet', width: 768, height: 1024 },
+    { name: 'Phone', width: 375, height: 667 }
+];
+
+/**
+ * Najde iframe náhledu v kontejneru (nebo vrátí kontejner, pokud je sám iframe)
+ * Vrací null, pokud náhled iframe nepoužívá nebo jeho dokument není dostupný
+ */
+export function getPreviewFrame(container) {
+    if (!container) return null;
+
+    const frame = container.tagName === 'IFRAME'
+        ? container
+        : container.querySelector('iframe.preview-frame');
+
+    return frame?.contentDocument ? frame : null;
+}
+
+/**
+ * Odkazy a formuláře v náhledu nemají iframe odnavigovat jinam (kotvy na stránce zůstávají)
+ */
+function preventNavigation(e) {
+    if (e.defaultPrevented) return;
+
+    if (e.type === 'submit') {
+        e.preventDefault();
+        return;
+    }
+
+    const link = e.target.closest ? e.target.closest('a[href]') : null;
+    if (link && !link.getAttribute('href').startsWith('#')) {
+        e.preventDefault();
+    }
+}
+
+window.PreviewFrameInterop = {
+    devices: DEVICE_PRESETS,
+
+    /**
+     * Nastaví obsah náhledu
+     * Dokument iframe zůstává stejný (posluchače událostí přežijí), nahradí se jen jeho obsah;
+     * pozice scrollu se zachová
+     */
+    setContent: function (frameId, html) {
+        const frame = document.getElementById(frameId);
+        const doc = frame?.contentDocument;
+        if (!doc) {
+            console.error(`PreviewFrameInterop: frame ${frameId} not found`);
+            return;
+        }
+
+        const win = frame.contentWindow;
+        const scrollX = win.scrollX;
+        const scrollY = win.scrollY;
+
+        // DOMParser skripty nespouští; iframe je navíc sandboxovaný
+        const parsed = new DOMParser().parseFromString(html || '', 'text/html');
+        doc.replaceChild(doc.importNode(parsed.documentElement, true), doc.documentElement);
+
+        const style = doc.createElement('style');
+        style.id = FRAME_STYLE_ID;
+        style.textContent = FRAME_STYLES;
+        doc.head.appendChild(style);
+
+        if (!frame.dataset.previewInitialized) {
+            doc.addEventListener('click', preventNavigation);
+            doc.addEventListener('submit', preventNavigation);
+            frame.dataset.previewInitialized = 'true';
+        }
+
+        win.scrollTo(scrollX, scrollY);
+    }
+};
+
+console.log('PreviewFrameInterop loaded');
@@ -0,0 +1,138 @@
+/**
+ * Navigace z náhledu do zdrojového kódu šablony
+ * Náhled renderovaný přes RenderPreviewAsync má u elementů atribut data-source-range="start-end"
+ * (offsety znaků v šabloně); klik na element ho zvýrazní a označí odpovídající kód v editoru
+ */
+
+import { getPreviewFrame } from './preview-frame.js';
+import { getEditor } from './monaco-editor.js';
+
+// Atribut se zdrojovým rozsahem (TemplateSourceAnnotator.AttributeName)
+const SOURCE_RANGE_ATTRIBUTE = 'data-source-range';
+
+// Třída zvýrazněného elementu v náhledu
+const HIGHLIGHT_CLASS = 'source-highlight';
+
+/**
+ * Přečte zdrojový rozsah elementu; null, pokud atribut chybí nebo je neplatný
+ */
+export function getSourceRange(element) {
+    const match = /^(\d+)-(\d+)$/.exec(element?.getAttribute(SOURCE_RANGE_ATTRIBUTE) || '');
+    return match ? { start: Number(match[1]), end: Number(match[2]) } : null;
+}
+
+/**
+ * Najde nejbližší element se zdrojovým rozsahem (sám element nebo předek uvnitř kořene)
+ */
+export function findSourceElement(target, root) {
+    const element = target?.closest ? target.closest(`[${SOURCE_RANGE_ATTRIBUTE}]`) : null;
+    return element && root.contains(element) ? element : null;
+}
+
+window.PreviewNavigationInterop = {
+    previews: {},
+
+    /**
+     * Zapne navigaci v náhledu
+     * editorId - Monaco editor, ve kterém se kód označí (může být null, pak se jen volá .NET)
+     * dotnetRef - volá OnPreviewSourceSelected(start, end)
+     */
+    attach: function (previewId, editorId, dotnetRef) {
+        this.detach(previewId);
+
+        const container = document.getElementById(previewId);
+        if (!container) {
+            console.error(`PreviewNavigationInterop: element ${previewId} not found`);
+            return;
+        }
+
+        // Náhled v iframe (PreviewFrameInterop) - kliky chodí do dokumentu iframe
+        const frame = getPreviewFrame(container);
+        const root = frame ? frame.contentDocument : container;
+
+        const onClick = (e) => this.handleClick(previewId, e);
+        root.addEventListener('click', onClick);
+        container.classList.add('source-navigation');
+
+        this.previews[previewId] = { container, root, editorId, dotnetRef, onClick };
+    },
+
+    /**
+     * Změní editor, do kterého se navigace posílá
+     */
+    setEditor: function (previewId, editorId) {
+        const preview = this.previews[previewId];
+        if (preview) {
+            preview.editorId = editorId;
+        }
+    },
+
+    /**
+     * Klik v náhledu - odkazy ani formuláře se nemají spouštět, jen navigace do kódu
+     */
+    handleClick: function (previewId, e) {
+        const preview = this.previews[previewId];
+        if (!preview) return;
+
+        const element = findSourceElement(e.target, preview.root);
+        const range = getSourceRange(element);
+        if (!range) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        this.highlightElement(previewId, element);
+
+        if (preview.editorId) {
+            getEditor(preview.editorId)?.revealSourceRange(range.start, range.end);
+        }
+
+        if (preview.dotnetRef) {
+            preview.dotnetRef.invokeMethodAsync('OnPreviewSourceSelected', range.start, range.end)
+                .catch(err => console.error('PreviewNavigationInterop: OnPreviewSourceSelected failed', err));
+        }
+    },
+
+    /**
+     * Zvýrazní element v náhledu (předchozí zvýraznění zruší)
+     */
+    highlightElement: function (previewId, element) {
+        const preview = this.previews[previewId];
+        if (!preview) return;
+
+        preview.root.querySelectorAll(`.${HIGHLIGHT_CLASS}`)
+            .forEach(el => el.classList.remove(HIGHLIGHT_CLASS));
+
+        if (element) {
+            element.classList.add(HIGHLIGHT_CLASS);
+        }
+    },
+
+    /**
+     * Zvýrazní element náhledu vyrenderovaný z daného místa šablony
+     * Pro cykly zvýrazní první výskyt
+     */
+    highlight: function (previewId, start, end) {
+        const preview = this.previews[previewId];
+        if (!preview) return;
+
+        const element = preview.root.querySelector(`[${SOURCE_RANGE_ATTRIBUTE}="${start}-${end}"]`);
+        this.highlightElement(previewId, element);
+        element?.scrollIntoView({ block: 'nearest' });
+    },
+
+    /**
+     * Vypne navigaci v náhledu
+     */
+    detach: function (previewId) {
+        const preview = this.previews[previewId];
+        if (!preview) return;
+
+        preview.root.removeEventListener('click', preview.onClick);
+        preview.container.classList.remove('source-navigation');
+        this.highlightElement(previewId, null);
+        delete this.previews[previewId];
+    }
+};
+
+console.log('PreviewNavigationInterop loaded');
@@ -0,0 +1,111 @@
+/**
+ * Synchronizace scrollování editoru s náhledem
+ * Náhled s atributy data-source-range (RenderPreviewAsync) se mapuje přesně podle offsetů,
+ * jinak přibližně - najde první HTML tag od zadaného řádku šablony a v náhledu
+ * element stejného názvu se stejným pořadím (n-tý <p> v šabloně -> n-tý <p> v náhledu)
+ */
+
+import { getPreviewFrame } from './preview-frame.js';
+
+// Odstup elementu od horního okraje náhledu (px)
+const SCROLL_MARGIN = 8;
+
+/**
+ * Najde v náhledu element odpovídající řádku šablony (1-based)
+ * Vrací null, pokud od řádku dál žádný tag není nebo v náhledu chybí
+ */
+export function findPreviewElement(source, lineNumber, root) {
+    // Offset začátku řádku
+    let offset = 0;
+    for (let line = 1; line < lineNumber; line++) {
+        const next = source.indexOf('\n', offset);
+        if (next === -1) break;
+        offset = next + 1;
+    }
+
+    const annotated = findAnnotatedElement(offset, root);
+    if (annotated) return annotated;
+
+    const tagPattern = /<([A-Za-z][\w-]*)/g;
+    tagPattern.lastIndex = offset;
+    const tag = tagPattern.exec(source);
+    if (!tag) return null;
+
+    // Pořadí tagu mezi tagy stejného názvu v šabloně
+    const name = tag[1].toLowerCase();
+    const samePattern = new RegExp(`<${name}(?=[\\s/>])`, 'gi');
+    let index = 0;
+    let match;
+    while ((match = samePattern.exec(source)) !== null && match.index < tag.index) {
+        index++;
+    }
+
+    const candidates = root.querySelectorAll(name);
+    if (candidates.length === 0) return null;
+
+    // Cykly v šabloně mění počty elementů - vezmeme nejbližší existující
+    return candidates[Math.min(index, candidates.length - 1)];
+}
+
+/**
+ * Najde první element náhledu, jehož zdrojový rozsah začíná na offsetu nebo za ním
+ * (elementy jsou v náhledu ve stejném pořadí jako v šabloně, kromě obsahu podmínek a cyklů)
+ */
+function findAnnotatedElement(offset, root) {
+    let best = null;
+    let bestStart = Infinity;
+
+    for (const element of root.querySelectorAll('[data-source-range]')) {
+        const start = parseInt(element.getAttribute('data-source-range'), 10);
+        if (start >= offset && start < bestStart) {
+            best = element;
+            bestStart = start;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Posune scrollovací kontejner náhledu tak, aby byl nahoře element odpovídající řádku šablony
+ * Náhled v iframe (PreviewFrameInterop) se scrolluje uvnitř iframe
+ */
+export function scrollPreviewToLine(container, source, lineNumber) {
+    const frame = getPreviewFrame(container);
+    if (frame) {
+        scrollFrameToLine(frame, source, lineNumber);
+        return;
+    }
+
+    if (lineNumber <= 1) {
+        container.scrollTop = 0;
+        return;
+    }
+
+    const element = findPreviewElement(source, lineNumber, container);
+    if (!element) return;
+
+    const top = element.getBoundingClientRect().top
+        - container.getBoundingClientRect().top
+        + container.scrollTop
+        - SCROLL_MARGIN;
+
+    container.scrollTop = Math.max(0, top);
+}
+
+/**
+ * Posune dokument iframe náhledu tak, aby byl nahoře element odpovídající řádku šablony
+ */
+function scrollFrameToLine(frame, source, lineNumber) {
+    const win = frame.contentWindow;
+    if (lineNumber <= 1) {
+        win.scrollTo(win.scrollX, 0);
+        return;
+    }
+
+    const element = findPreviewElement(source, lineNumber, frame.contentDocument);
+    if (!element) return;
+
+    const top = element.getBoundingClientRect().top + win.scrollY - SCROLL_MARGIN;
+    win.scrollTo(win.scrollX, Math.max(0, top));
+}
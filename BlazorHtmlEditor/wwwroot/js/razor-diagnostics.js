@@ -0,0 +1,723 @@
+/**
+ * Živá diagnostika Razor šablon (počítaná na klientu při psaní)
+ * Hledá neznámé vlastnosti @Model, neuzavřené @{ } / @if { } bloky a neuzavřené HTML tagy
+ */
+
+import { expressionToSegments, resolveMemberPath } from './model-metadata.js';
+
+// Control flow klíčová slova, za kterými následuje (podmínka) { blok }
+const CONTROL_KEYWORDS = ['if', 'foreach', 'for', 'while', 'switch', 'using', 'lock'];
+
+// Direktivy platné do konce řádku
+const LINE_DIRECTIVES = ['model', 'using', 'inject', 'page', 'namespace', 'inherits', 'implements', 'attribute', 'layout', 'addTagHelper', 'removeTagHelper'];
+
+// HTML elementy bez uzavíracího tagu
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr', '!doctype'];
+
+// HTML elementy, jejichž uzavírací tag je volitelný
+const OPTIONAL_CLOSE_ELEMENTS = ['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'option', 'optgroup', 'colgroup'];
+
+/**
+ * Spočítá diagnostiku pro text šablony
+ * Vrací pole { startLineNumber, startColumn, endLineNumber, endColumn, message, severity }
+ * kde severity je 'error' nebo 'warning'
+ */
+export function computeDiagnostics(text, metadata) {
+    const diagnostics = [];
+    const loopVariables = {};
+    const lineStarts = getLineStarts(text);
+    let pos = 0;
+
+    // --- Pomocné funkce ---
+
+    function report(start, end, message, severity = 'error') {
+        const from = toPosition(lineStarts, start);
+        const to = toPosition(lineStarts, Math.max(end, start + 1));
+        diagnostics.push({
+            startLineNumber: from.lineNumber,
+            startColumn: from.column,
+            endLineNumber: to.lineNumber,
+            endColumn: to.column,
+            message,
+            severity
+        });
+    }
+
+    function startsWith(str) {
+        return text.startsWith(str, pos);
+    }
+
+    function skipWhitespace() {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    }
+
+    function readIdentifier() {
+        const match = /^[A-Za-z_]\w*/.exec(text.slice(pos, pos + 256));
+        if (!match) return null;
+        pos += match[0].length;
+        return match[0];
+    }
+
+    // Přeskočí až za ukončovací řetězec, vrací false pokud chybí
+    function skipPast(terminator) {
+        const index = text.indexOf(terminator, pos);
+        if (index === -1) {
+            pos = text.length;
+            return false;
+        }
+        pos = index + terminator.length;
+        return true;
+    }
+
+    // Přeskočí C# řetězec nebo komentář, vrací true pokud něco přeskočil
+    function skipCSharpTrivia() {
+        if (startsWith('//')) {
+            const end = text.indexOf('\n', pos);
+            pos = end === -1 ? text.length : end;
+            return true;
+        }
+        if (startsWith('/*')) {
+            skipPast('*/');
+            return true;
+        }
+        if (startsWith('@"') || startsWith('$@"') || startsWith('@$"')) {
+            // Verbatim řetězec - "" je escapovaná uvozovka
+            pos = text.indexOf('"', pos) + 1;
+            while (pos < text.length) {
+                if (text[pos] === '"' && text[pos + 1] === '"') {
+                    pos += 2;
+                } else if (text[pos] === '"') {
+                    pos++;
+                    break;
+                } else {
+                    pos++;
+                }
+            }
+            return true;
+        }
+        if (text[pos] === '"' || text[pos] === "'" || startsWith('$"')) {
+            if (text[pos] === '$') pos++;
+            const quote = text[pos++];
+            while (pos < text.length && text[pos] !== quote && text[pos] !== '\n') {
+                pos += text[pos] === '\\' ? 2 : 1;
+            }
+            pos++;
+            return true;
+        }
+        return false;
+    }
+
+    // Přeskočí vyvážené závorky (C# výraz), ověří v nich výrazy modelu
+    function skipBalanced(open, close) {
+        const start = pos;
+        let depth = 0;
+        while (pos < text.length) {
+            if (skipCSharpTrivia()) continue;
+
+            const ch = text[pos];
+            if (ch === open) {
+                depth++;
+                pos++;
+            } else if (ch === close) {
+                depth--;
+                pos++;
+                if (depth === 0) return true;
+            } else if (/[A-Za-z_]/.test(ch) && !/[\w.]/.test(text[pos - 1] || '')) {
+                readMemberChain();
+            } else {
+                pos++;
+            }
+        }
+        report(start, start + 1, `Missing closing '${close}'`);
+        return false;
+    }
+
+    // Zaznamená proměnnou cyklu z hlavičky foreach (...)
+    function recordLoopVariable(header) {
+        const match = /^\(\s*[\w.<>?,\s]+?\s+([A-Za-z_]\w*)\s+in\s+([A-Za-z_]\w*(?:\.[A-Za-z_]\w*|\[[^\]]*\])*)\s*\)$/.exec(header);
+        if (match) {
+            loopVariables[match[1]] = match[2];
+        }
+    }
+
+    // Přečte řetězec členů (Model.Customer.City, item.Total) a ověří ho proti metadatům
+    function readMemberChain() {
+        const start = pos;
+        const parts = [{ name: readIdentifier(), offset: start }];
+
+        // foreach (var item in Model.Items) - zapamatovat proměnnou cyklu
+        if (parts[0].name === 'foreach') {
+            skipWhitespace();
+            const headerStart = pos;
+            if (text[pos] === '(' && skipBalanced('(', ')')) {
+                recordLoopVariable(text.slice(headerStart, pos));
+            }
+            return;
+        }
+
+        while (pos < text.length) {
+            if (text[pos] === '.' && /[A-Za-z_]/.test(text[pos + 1] || '')) {
+                pos++;
+                const offset = pos;
+                parts.push({ name: readIdentifier(), offset });
+            } else if (text[pos] === '[') {
+                const offset = pos;
+                if (!skipBalanced('[', ']')) return;
+                parts.push({ name: '[]', offset });
+            } else if (text[pos] === '(') {
+                // Volání metody - za ním už členy neověřujeme
+                parts[parts.length - 1].isMethod = true;
+                if (!skipBalanced('(', ')')) return;
+            } else {
+                break;
+            }
+        }
+
+        validateMemberChain(parts);
+    }
+
+    function validateMemberChain(parts) {
+        if (!metadata || !metadata.properties || parts.length < 2) return;
+
+        const rootSegments = expressionToSegments(parts[0].name, loopVariables);
+        if (!rootSegments) return;
+
+        const segments = [...rootSegments];
+        let parentName = parts[0].name === 'Model'
+            ? metadata.typeName.split('.').pop()
+            : parts[0].name;
+
+        for (let i = 1; i < parts.length; i++) {
+            const part = parts[i];
+            if (part.isMethod) return;
+
+            segments.push(part.name);
+            const resolved = resolveMemberPath(metadata.properties, segments);
+
+            if (resolved === null) {
+                if (part.name === '[]') {
+                    report(part.offset, part.offset + 1, `'${parentName}' is not a collection`);
+                } else {
+                    const candidates = getCandidateNames(metadata.properties, segments.slice(0, -1));
+                    const suggestion = findClosestName(part.name, candidates);
+                    report(
+                        part.offset,
+                        part.offset + part.name.length,
+                        `'${part.name}' is not a property of '${parentName}'` +
+                            (suggestion ? `. Did you mean '${suggestion}'?` : '')
+                    );
+                }
+                return;
+            }
+
+            // Dál už typ neznáme (primitivní typ, hloubka metadat)
+            if (!resolved.property && resolved.members === null) return;
+
+            if (part.name !== '[]') {
+                parentName = part.name;
+            }
+        }
+    }
+
+    // --- Markup ---
+
+    /**
+     * Zpracuje markup
+     * mode: 'root' (do konce), 'element' (do uzavření prvního elementu),
+     *       'line' (@: do konce textu, viz parseLine), 'brace' (obsah @section do '}')
+     */
+    function parseMarkup(mode, frameStart) {
+        const tags = [];
+
+        while (pos < text.length) {
+            if (mode === 'brace' && text[pos] === '}' && tags.length === 0) {
+                pos++;
+                return true;
+            }
+
+            if (text[pos] === '@') {
+                parseTransition();
+                continue;
+            }
+
+            if (startsWith('<!--')) {
+                const start = pos;
+                if (!skipPast('-->')) {
+                    report(start, start + 4, 'Unclosed HTML comment');
+                }
+                continue;
+            }
+
+            if (text[pos] === '<' && text[pos + 1] === '/' && /[A-Za-z]/.test(text[pos + 2] || '')) {
+                const start = pos;
+                pos += 2;
+                const name = readTagName();
+                skipPast('>');
+                closeTag(tags, name, start, pos, mode);
+
+                if (mode === 'element' && tags.length === 0) return true;
+                continue;
+            }
+
+            if (text[pos] === '<' && /[A-Za-z!]/.test(text[pos + 1] || '')) {
+                const tag = parseStartTag();
+                if (tag && !tag.selfClosing) {
+                    if (tag.name === 'script' || tag.name === 'style') {
+                        parseRawText(tag);
+                    } else {
+                        tags.push(tag);
+                    }
+                }
+
+                if (mode === 'element' && tags.length === 0) return true;
+                continue;
+            }
+
+            pos++;
+        }
+
+        // Konec textu - ohlásit neuzavřené tagy (řádek @: je smí nechat otevřené, uzavře je jiný řádek)
+        for (const tag of mode === 'line' ? [] : tags) {
+            if (!OPTIONAL_CLOSE_ELEMENTS.includes(tag.name)) {
+                report(tag.start, tag.nameEnd, `Element <${tag.name}> is not closed`, mode === 'root' ? 'warning' : 'error');
+            }
+        }
+
+        if (mode === 'brace') {
+            report(frameStart, frameStart + 1, "Missing closing '}' for '@section' block");
+        }
+        return mode === 'root' || mode === 'line';
+    }
+
+    /**
+     * Zbytek řádku za @: je markup - končí koncem řádku, i když v něm zůstal neuzavřený tag,
+     * komentář nebo hodnota atributu (další řádky už patří do nadřazeného bloku)
+     */
+    function parseLine() {
+        const end = text.indexOf('\n', pos);
+        if (end === -1) {
+            parseMarkup('line');
+            return;
+        }
+
+        const fullText = text;
+        text = text.slice(0, end);
+        try {
+            parseMarkup('line');
+        } finally {
+            text = fullText;
+        }
+        pos = end;
+    }
+
+    function readTagName() {
+        const match = /^[A-Za-z!][\w:.-]*/.exec(text.slice(pos, pos + 128));
+        if (!match) return '';
+        pos += match[0].length;
+        return match[0].toLowerCase();
+    }
+
+    // Zpracuje otevírací tag včetně atributů (s Razor výrazy)
+    function parseStartTag() {
+        const start = pos;
+        pos++;
+        const name = readTagName();
+        const nameEnd = pos;
+
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === '>') {
+                pos++;
+                return { name, start, nameEnd, selfClosing: VOID_ELEMENTS.includes(name) };
+            }
+            if (ch === '/' && text[pos + 1] === '>') {
+                pos += 2;
+                return { name, start, nameEnd, selfClosing: true };
+            }
+            if (ch === '@') {
+                parseTransition();
+                continue;
+            }
+            if (ch === '"' || ch === "'") {
+                parseAttributeValue(ch);
+                continue;
+            }
+            if (ch === '<') {
+                break;
+            }
+            pos++;
+        }
+
+        report(start, nameEnd, `Start tag <${name}> is not terminated with '>'`);
+        return null;
+    }
+
+    function parseAttributeValue(quote) {
+        pos++;
+        while (pos < text.length && text[pos] !== quote) {
+            if (text[pos] === '@') {
+                parseTransition();
+            } else {
+                pos++;
+            }
+        }
+        pos++;
+    }
+
+    function closeTag(tags, name, start, end, mode) {
+        const index = tags.map(t => t.name).lastIndexOf(name);
+
+        if (index === -1) {
+            if (!VOID_ELEMENTS.includes(name) && name !== 'text') {
+                report(start, end, `Unexpected closing tag </${name}>`, mode === 'root' ? 'warning' : 'error');
+            }
+            return;
+        }
+
+        // Tagy otevřené za párovým tagem zůstaly neuzavřené
+        for (const tag of tags.splice(index)) {
+            if (tag.name !== name && !OPTIONAL_CLOSE_ELEMENTS.includes(tag.name)) {
+                report(tag.start, tag.nameEnd, `Element <${tag.name}> is not closed`, mode === 'root' ? 'warning' : 'error');
+            }
+        }
+    }
+
+    // Obsah <script>/<style> - jen Razor výrazy, žádné tagy ani závorky
+    function parseRawText(tag) {
+        const closing = new RegExp(`</${tag.name}\\s*>`, 'i');
+        const match = closing.exec(text.slice(pos));
+        const end = match ? pos + match.index : text.length;
+
+        while (pos < end) {
+            if (text[pos] === '@') {
+                parseTransition();
+            } else {
+                pos++;
+            }
+        }
+
+        if (!match) {
+            report(tag.start, tag.nameEnd, `Element <${tag.name}> is not closed`);
+            return;
+        }
+        pos = end + match[0].length;
+    }
+
+    // --- Razor přechody (@...) ---
+
+    function parseTransition() {
+        const start = pos;
+
+        // E-mailové adresy (user@example.com) nejsou Razor výrazy
+        if (/[A-Za-z0-9]/.test(text[pos - 1] || '')) {
+            pos++;
+            return;
+        }
+
+        pos++;
+        const ch = text[pos];
+
+        if (ch === '@') {
+            pos++;
+            return;
+        }
+
+        if (ch === '*') {
+            if (!skipPast('*@')) {
+                report(start, start + 2, 'Unclosed Razor comment');
+            }
+            return;
+        }
+
+        if (ch === '{') {
+            pos++;
+            parseCodeBlock(start, "'@{' block");
+            return;
+        }
+
+        if (ch === '(') {
+            skipBalanced('(', ')');
+            return;
+        }
+
+        if (ch === ':') {
+            pos++;
+            parseLine();
+            return;
+        }
+
+        const keywordStart = pos;
+        const keyword = readIdentifier();
+        if (!keyword) {
+            return;
+        }
+
+        if (CONTROL_KEYWORDS.includes(keyword)) {
+            skipWhitespace();
+            // @using bez závorky je direktiva
+            if (keyword === 'using' && text[pos] !== '(') {
+                skipToLineEnd();
+                return;
+            }
+            parseControlStatement(start, keyword);
+            return;
+        }
+
+        if (keyword === 'try' || keyword === 'do') {
+            parseControlStatement(start, keyword);
+            return;
+        }
+
+        if (keyword === 'functions' || keyword === 'code') {
+            skipWhitespace();
+            if (expectBrace(start, `@${keyword}`)) {
+                parseCodeBlock(start, `'@${keyword}' block`);
+            }
+            return;
+        }
+
+        if (keyword === 'section') {
+            skipWhitespace();
+            readIdentifier();
+            skipWhitespace();
+            if (expectBrace(start, '@section')) {
+                parseMarkup('brace', start);
+            }
+            return;
+        }
+
+        if (LINE_DIRECTIVES.includes(keyword)) {
+            skipToLineEnd();
+            return;
+        }
+
+        // Implicitní výraz @Model.Customer.Name
+        pos = keywordStart;
+        readMemberChain();
+    }
+
+    function skipToLineEnd() {
+        const end = text.indexOf('\n', pos);
+        pos = end === -1 ? text.length : end;
+    }
+
+    function expectBrace(start, construct) {
+        if (text[pos] === '{') {
+            pos++;
+            return true;
+        }
+        report(start, pos, `Expected '{' after ${construct}`);
+        return false;
+    }
+
+    // @if (...) { } else if (...) { } else { }, @foreach, @try/catch/finally, @do/while
+    function parseControlStatement(start, keyword) {
+        skipWhitespace();
+
+        if (keyword !== 'try' && keyword !== 'do') {
+            if (text[pos] !== '(') {
+                report(start, pos, `Expected '(' after @${keyword}`);
+                return;
+            }
+            const headerStart = pos;
+            if (!skipBalanced('(', ')')) return;
+            if (keyword === 'foreach') {
+                recordLoopVariable(text.slice(headerStart, pos));
+            }
+            skipWhitespace();
+        }
+
+        if (!expectBrace(start, `@${keyword} (...)`)) return;
+        if (!parseCodeBlock(start, `'@${keyword}' block`)) return;
+
+        // Pokračování bloku (else, catch, finally, while)
+        while (pos < text.length) {
+            const save = pos;
+            skipWhitespace();
+            const next = readIdentifier();
+
+            if (next === 'else' && keyword === 'if') {
+                skipWhitespace();
+                if (startsWith('if') && !/\w/.test(text[pos + 2] || '')) {
+                    pos += 2;
+                    skipWhitespace();
+                    if (text[pos] !== '(' || !skipBalanced('(', ')')) return;
+                    skipWhitespace();
+                }
+            } else if (next === 'catch' && keyword === 'try') {
+                skipWhitespace();
+                if (text[pos] === '(' && !skipBalanced('(', ')')) return;
+                skipWhitespace();
+            } else if (next === 'finally' && keyword === 'try') {
+                skipWhitespace();
+            } else if (next === 'while' && keyword === 'do') {
+                skipWhitespace();
+                skipBalanced('(', ')');
+                if (text[pos] === ';') pos++;
+                return;
+            } else {
+                pos = save;
+                return;
+            }
+
+            if (!expectBrace(start, next)) return;
+            if (!parseCodeBlock(start, `'${next}' block`)) return;
+        }
+    }
+
+    // --- C# kód ---
+
+    /**
+     * Zpracuje C# blok za otevírací '{' až po párovou '}'
+     * Vrací false, pokud blok není uzavřen
+     */
+    function parseCodeBlock(start, description) {
+        let depth = 0;
+        let statementStart = true;
+
+        while (pos < text.length) {
+            if (skipCSharpTrivia()) {
+                statementStart = false;
+                continue;
+            }
+
+            const ch = text[pos];
+
+            if (/\s/.test(ch)) {
+                pos++;
+                continue;
+            }
+
+            if (ch === '{') {
+                depth++;
+                pos++;
+                statementStart = true;
+                continue;
+            }
+
+            if (ch === '}') {
+                pos++;
+                if (depth === 0) return true;
+                depth--;
+                statementStart = true;
+                continue;
+            }
+
+            if (ch === ';' || ch === ':') {
+                pos++;
+                statementStart = true;
+                continue;
+            }
+
+            if (ch === '@' && text[pos + 1] === ':') {
+                pos += 2;
+                parseLine();
+                statementStart = true;
+                continue;
+            }
+
+            if (ch === '@' && text[pos + 1] === '*') {
+                const commentStart = pos;
+                if (!skipPast('*@')) {
+                    report(commentStart, commentStart + 2, 'Unclosed Razor comment');
+                }
+                continue;
+            }
+
+            // Markup uvnitř kódu (<p>...</p>, <text>...</text>)
+            if (ch === '<' && statementStart && /[A-Za-z]/.test(text[pos + 1] || '')) {
+                parseMarkup('element', pos);
+                statementStart = true;
+                continue;
+            }
+
+            if (/[A-Za-z_]/.test(ch) && !/[\w.]/.test(text[pos - 1] || '')) {
+                readMemberChain();
+                statementStart = false;
+                continue;
+            }
+
+            pos++;
+            statementStart = false;
+        }
+
+        report(start, start + 2, `Missing closing '}' for ${description}`);
+        return false;
+    }
+
+    parseMarkup('root', 0);
+    return diagnostics;
+}
+
+/**
+ * Názvy vlastností dostupné pro danou cestu (pro návrh "Did you mean")
+ */
+function getCandidateNames(properties, segments) {
+    const resolved = resolveMemberPath(properties, segments);
+    return resolved && resolved.members ? resolved.members.map(p => p.name) : [];
+}
+
+/**
+ * Najde nejpodobnější název (Levenshteinova vzdálenost nejvýše 2)
+ */
+function findClosestName(name, candidates) {
+    let best = null;
+    let bestDistance = 3;
+
+    for (const candidate of candidates) {
+        const distance = levenshtein(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+
+    return best;
+}
+
+function levenshtein(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            previous = current;
+        }
+    }
+
+    return row[b.length];
+}
+
+/**
+ * Začátky řádků v textu (pro převod offsetu na řádek/sloupec)
+ */
+function getLineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+function toPosition(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return { lineNumber: low + 1, column: offset - lineStarts[low] + 1 };
+}
@@ -0,0 +1,484 @@
+/**
+ * Formátování Razor šablon
+ * Přeindentuje vnoření HTML elementů a Razor bloků (@if, @foreach, @{ }, ...)
+ * Mění se jen odsazení řádků - výrazy v atributech i obsah <pre> zůstávají beze změny
+ */
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elementy, jejichž obsah se nepřeformátovává
+const PRESERVED_ELEMENTS = new Set(['pre', 'textarea']);
+
+// Elementy s vloženým CSS/JS - odsazují se podle složených závorek
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// Rozpracované konstrukce, jejichž řádky se ponechají beze změny
+const PRESERVED_PENDING = new Set(['razorComment', 'htmlComment', 'blockComment', 'verbatim', 'pre']);
+
+const CONTROL_TRANSITION = /^@(?:if|foreach|for|while|switch|lock|try|do|functions|code)\b|^@using(?=\s*\()|^@section\s+[A-Za-z_]\w*/;
+const CONTROL_CONTINUATION = /^(?:else|catch|finally|while)\b/;
+
+/**
+ * Projde šablonu a pro každý řádek určí úroveň odsazení
+ * Vrací pole { level, preserve } (preserve = řádek neměnit)
+ */
+function analyzeLines(lines) {
+    // Zásobník: { type: 'element', name } | { type: 'block', control } | { type: 'raw', name } | { type: 'rawBrace' }
+    const stack = [];
+    let pending = null;
+    let afterControl = false;
+    const result = [];
+
+    for (const line of lines) {
+        const startDepth = stack.length;
+        const info = { level: startDepth, preserve: false };
+        let continuation = false;
+
+        if (pending) {
+            if (PRESERVED_PENDING.has(pending.kind) || (pending.kind === 'tag' && pending.quote)) {
+                info.preserve = true;
+            } else if (!(pending.kind === 'header' && line.trimStart().startsWith('{'))) {
+                // Pokračování atributů, hlavičky @if (...) nebo výrazu @( ... )
+                continuation = true;
+                info.level = startDepth + 1;
+            }
+        }
+
+        let closers = 0;
+        let leading = !pending;
+        let p = 0;
+
+        const top = () => stack[stack.length - 1];
+        const close = () => {
+            if (leading) closers++;
+        };
+
+        // Uzavře element (nepřekročí hranici C# bloku)
+        const popElement = (name) => {
+            for (let i = stack.length - 1; i >= 0; i--) {
+                const entry = stack[i];
+                if (entry.type === 'block') return;
+                if (entry.type === 'element' && entry.name === name) {
+                    stack.length = i;
+                    close();
+                    return;
+                }
+            }
+        };
+
+        const finishTag = (name, selfClosing) => {
+            if (selfClosing || VOID_ELEMENTS.has(name)) return;
+
+            if (RAW_TEXT_ELEMENTS.has(name)) {
+                stack.push({ type: 'raw', name });
+                return;
+            }
+
+            stack.push({ type: 'element', name });
+            if (PRESERVED_ELEMENTS.has(name)) {
+                pending = { kind: 'pre', name };
+            }
+        };
+
+        const closeBlock = () => {
+            const block = stack.pop();
+            close();
+            afterControl = !!block.control;
+        };
+
+        // Pokračuje v rozpracované konstrukci, vrací false pokud na řádku nekončí
+        const continuePending = () => {
+            switch (pending.kind) {
+                case 'razorComment':
+                case 'htmlComment':
+                case 'blockComment': {
+                    const end = { razorComment: '*@', htmlComment: '-->', blockComment: '*/' }[pending.kind];
+                    const index = line.indexOf(end, p);
+                    if (index === -1) return false;
+                    p = index + end.length;
+                    pending = null;
+                    return true;
+                }
+
+                case 'verbatim': {
+                    while (p < line.length) {
+                        if (line[p] === '"') {
+                            if (line[p + 1] === '"') {
+                                p += 2;
+                                continue;
+                            }
+                            p++;
+                            pending = null;
+                            return true;
+                        }
+                        p++;
+                    }
+                    return false;
+                }
+
+                case 'pre': {
+                    const index = line.toLowerCase().indexOf('</' + pending.name, p);
+                    if (index === -1) return false;
+                    // Uzavírací tag zpracuje běžné procházení
+                    p = index;
+                    pending = null;
+                    return true;
+                }
+
+                case 'tag': {
+                    while (p < line.length) {
+                        const ch = line[p];
+                        if (pending.quote) {
+                            if (ch === pending.quote) pending.quote = null;
+                        } else if (ch === '"' || ch === "'") {
+                            pending.quote = ch;
+                        } else if (ch === '(') {
+                            pending.parens++;
+                        } else if (ch === ')') {
+                            pending.parens = Math.max(0, pending.parens - 1);
+                        } else if (ch === '>' && pending.parens === 0) {
+                            const selfClosing = line.slice(0, p).trimEnd().endsWith('/');
+                            const name = pending.name;
+                            pending = null;
+                            p++;
+                            finishTag(name, selfClosing);
+                            return true;
+                        }
+                        p++;
+                    }
+                    return false;
+                }
+
+                case 'header': {
+                    while (p < line.length) {
+                        const ch = line[p];
+                        if (/\s/.test(ch)) {
+                            p++;
+                        } else if (ch === '(') {
+                            pending.kind = 'headerExpr';
+                            pending.depth = 0;
+                            return continuePending();
+                        } else if (ch === '{') {
+                            p++;
+                            pending = null;
+                            stack.push({ type: 'block', control: true });
+                            return true;
+                        } else {
+                            const word = /^[A-Za-z_]\w*/.exec(line.slice(p));
+                            if (!word) {
+                                // Nejde o Razor blok - zbytek je obyčejný text
+                                pending = null;
+                                return true;
+                            }
+                            p += word[0].length;
+                        }
+                    }
+                    return false;
+                }
+
+                case 'headerExpr':
+                case 'expr': {
+                    while (p < line.length) {
+                        const ch = line[p];
+                        if (ch === '"' || ch === "'") {
+                            p = skipString(line, p);
+                            continue;
+                        }
+                        p++;
+                        if (ch === '(' || ch === '[') {
+                            pending.depth++;
+                        } else if (ch === ')' || ch === ']') {
+                            pending.depth--;
+                            if (pending.depth <= 0) {
+                                if (pending.kind === 'headerExpr') {
+                                    pending = { kind: 'header' };
+                                    return continuePending();
+                                }
+                                pending = null;
+                                return true;
+                            }
+                        }
+                    }
+                    return false;
+                }
+            }
+
+            pending = null;
+            return true;
+        };
+
+        const scanMarkup = () => {
+            const rest = line.slice(p);
+            const ch = line[p];
+
+            if (rest.startsWith('@*')) {
+                p += 2;
+                pending = { kind: 'razorComment' };
+            } else if (rest.startsWith('<!--')) {
+                p += 4;
+                pending = { kind: 'htmlComment' };
+            } else if (rest.startsWith('@@')) {
+                p += 2;
+            } else if (rest.startsWith('@{')) {
+                p += 2;
+                stack.push({ type: 'block', control: false });
+            } else if (rest.startsWith('@(')) {
+                p += 1;
+                pending = { kind: 'expr', depth: 0 };
+            } else if (CONTROL_TRANSITION.test(rest)) {
+                p += CONTROL_TRANSITION.exec(rest)[0].length;
+                pending = { kind: 'header' };
+            } else if (afterControl && CONTROL_CONTINUATION.test(rest)) {
+                pending = { kind: 'header' };
+            } else if (/^@[A-Za-z_]/.test(rest)) {
+                p = skipImplicitExpression(line, p + 1, (depth) => {
+                    pending = { kind: 'expr', depth };
+                });
+            } else if (/^<\/[A-Za-z]/.test(rest)) {
+                const name = /^<\/([A-Za-z][\w\-:]*)/.exec(rest)[1].toLowerCase();
+                const end = line.indexOf('>', p);
+                p = end === -1 ? line.length : end + 1;
+                popElement(name);
+                return;
+            } else if (/^<[A-Za-z]/.test(rest)) {
+                const name = /^<([A-Za-z][\w\-:]*)/.exec(rest)[1];
+                p += 1 + name.length;
+                pending = { kind: 'tag', name: name.toLowerCase(), quote: null, parens: 0 };
+            } else if (ch === '}' && leading && stack.some(entry => entry.type === 'block')) {
+                // Neuzavřené elementy uvnitř bloku - } ukončí celý blok
+                while (top().type !== 'block') stack.pop();
+                p++;
+                closeBlock();
+                return;
+            } else {
+                p++;
+            }
+
+            leading = false;
+        };
+
+        const scanCode = () => {
+            const rest = line.slice(p);
+            const ch = line[p];
+
+            if (rest.startsWith('//')) {
+                p = line.length;
+            } else if (rest.startsWith('/*')) {
+                p += 2;
+                pending = { kind: 'blockComment' };
+            } else if (rest.startsWith('@*')) {
+                p += 2;
+                pending = { kind: 'razorComment' };
+            } else if (rest.startsWith('@"')) {
+                p += 2;
+                pending = { kind: 'verbatim' };
+            } else if (rest.startsWith('@:')) {
+                p = line.length;
+            } else if (ch === '"' || ch === "'") {
+                p = skipString(line, p);
+            } else if (ch === '{') {
+                p++;
+                stack.push({ type: 'block', control: false });
+                top().last = '{';
+            } else if (ch === '}') {
+                p++;
+                closeBlock();
+                const parent = top();
+                if (parent && parent.type === 'block') parent.last = '}';
+                return;
+            } else if (/^<[A-Za-z]/.test(rest) && [undefined, '{', '}', ';', ':'].includes(top().last)) {
+                // HTML element uvnitř C# kódu
+                const name = /^<([A-Za-z][\w\-:]*)/.exec(rest)[1];
+                p += 1 + name.length;
+                top().last = ';';
+                pending = { kind: 'tag', name: name.toLowerCase(), quote: null, parens: 0 };
+            } else {
+                top().last = ch;
+                p++;
+            }
+
+            leading = false;
+        };
+
+        const scanRaw = () => {
+            const rest = line.slice(p);
+            const ch = line[p];
+            const rawIndex = stack.findLastIndex(entry => entry.type === 'raw');
+            const raw = stack[rawIndex];
+
+            if (rest.toLowerCase().startsWith('</' + raw.name)) {
+                stack.length = rawIndex;
+                close();
+                const end = line.indexOf('>', p);
+                p = end === -1 ? line.length : end + 1;
+                return;
+            }
+
+            if (ch === '}' && top().type === 'rawBrace') {
+                p++;
+                stack.pop();
+                close();
+                return;
+            }
+
+            if (ch === '{') {
+                p++;
+                stack.push({ type: 'rawBrace' });
+            } else if (rest.startsWith('/*')) {
+                p += 2;
+                pending = { kind: 'blockComment' };
+            } else if (raw.name === 'script' && rest.startsWith('//')) {
+                p = line.length;
+            } else if (ch === '"' || ch === "'" || ch === '`') {
+                p = skipString(line, p);
+            } else {
+                p++;
+            }
+
+            leading = false;
+        };
+
+        while (p < line.length) {
+            if (pending) {
+                if (!continuePending()) break;
+                continue;
+            }
+
+            if (/\s/.test(line[p])) {
+                p++;
+                continue;
+            }
+
+            const current = top();
+            const mode = !current || current.type === 'element'
+                ? 'markup'
+                : (current.type === 'block' ? 'code' : 'raw');
+
+            const wasAfterControl = afterControl;
+            if (mode === 'markup') scanMarkup();
+            else if (mode === 'code') scanCode();
+            else scanRaw();
+
+            // else/catch/finally může následovat jen hned za uzavřeným blokem
+            if (wasAfterControl && !(pending && pending.kind === 'header')) {
+                afterControl = false;
+            }
+        }
+
+        if (!info.preserve && !continuation) {
+            info.level = Math.max(0, startDepth - closers);
+        }
+
+        result.push(info);
+    }
+
+    return result;
+}
+
+/**
+ * Přeskočí řetězec "..." nebo '...' na řádku, vrací pozici za ním
+ */
+function skipString(line, p) {
+    const quote = line[p];
+    p++;
+    while (p < line.length) {
+        if (line[p] === '\\') {
+            p += 2;
+            continue;
+        }
+        if (line[p++] === quote) break;
+    }
+    return p;
+}
+
+/**
+ * Přeskočí implicitní výraz @Model.Items[0].Format("x")
+ * Pokud závorka na řádku nekončí, zavolá onUnclosed s hloubkou vnoření
+ */
+function skipImplicitExpression(line, p, onUnclosed) {
+    const identifier = /^[A-Za-z_]\w*/;
+
+    p += identifier.exec(line.slice(p))[0].length;
+    while (p < line.length) {
+        const ch = line[p];
+        if (ch === '.' && identifier.test(line.slice(p + 1))) {
+            p += 1 + identifier.exec(line.slice(p + 1))[0].length;
+        } else if (ch === '(' || ch === '[') {
+            let depth = 0;
+            while (p < line.length) {
+                const c = line[p];
+                if (c === '"' || c === "'") {
+                    p = skipString(line, p);
+                    continue;
+                }
+                p++;
+                if (c === '(' || c === '[') depth++;
+                else if (c === ')' || c === ']') depth--;
+                if (depth === 0) break;
+            }
+            if (depth > 0) {
+                onUnclosed(depth);
+                return line.length;
+            }
+        } else {
+            break;
+        }
+    }
+    return p;
+}
+
+/**
+ * Vrátí editace, které přeformátují řádky startLineNumber..endLineNumber (1-based, včetně)
+ * options: { tabSize, insertSpaces } (Monaco FormattingOptions)
+ */
+export function getFormattingEdits(text, options, startLineNumber, endLineNumber) {
+    const lines = text.split(/\r?\n/);
+    const analysis = analyzeLines(lines);
+
+    const tabSize = options?.tabSize || 4;
+    const indentUnit = options?.insertSpaces === false ? '\t' : ' '.repeat(tabSize);
+
+    const first = Math.max(1, startLineNumber || 1);
+    const last = Math.min(lines.length, endLineNumber || lines.length);
+    const edits = [];
+
+    for (let lineNumber = first; lineNumber <= last; lineNumber++) {
+        const info = analysis[lineNumber - 1];
+        if (info.preserve) continue;
+
+        const line = lines[lineNumber - 1];
+        const trimmed = line.trim();
+        const formatted = trimmed ? indentUnit.repeat(info.level) + trimmed : '';
+
+        if (formatted !== line) {
+            edits.push({
+                range: {
+                    startLineNumber: lineNumber,
+                    startColumn: 1,
+                    endLineNumber: lineNumber,
+                    endColumn: line.length + 1
+                },
+                text: formatted
+            });
+        }
+    }
+
+    return edits;
+}
+
+/**
+ * Přeformátuje celou šablonu a vrátí výsledný text
+ */
+export function formatRazor(text, options) {
+    const lines = text.split(/\r?\n/);
+
+    // Editace jsou po řádcích a nemění jejich počet
+    for (const edit of getFormattingEdits(text, options)) {
+        lines[edit.range.startLineNumber - 1] = edit.text;
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,972 @@
+/**
+ * Razor bloky pro GrapesJS
+ * Řídicí konstrukce (@foreach, @if/else, @switch, @using, @try, @section, ...) se na canvasu zobrazí
+ * jako popsané kontejnery, do kterých lze přetahovat obsah; kód (@{ }, direktivy, příkazy v blocích,
+ * komentáře) jako needitovatelné štítky. Při exportu se vrací přesně původní zdrojový text konstrukcí.
+ *
+ * Postup: šablona se převede na HTML, ve kterém jsou Razor konstrukce nahrazeny HTML komentáři
+ * se zakódovaným zdrojem (komentáře parser nepřesouvá ani v tabulkách), GrapesJS parser z něj
+ * vytvoří definice komponent a značky se nahradí komponentami razor-block / razor-code.
+ * Atributy s Razor výrazy (class="@(a ? "x" : "")", style="color: @Model.Color") by parser rozbil nebo
+ * přepsal - převedou se na data-razor-attr-N se zakódovaným zdrojem a při exportu se vrátí beze změny.
+ */
+
+// Komponenta s tělem (cyklus, podmínka, větev, sekce)
+export const RAZOR_BLOCK_TYPE = 'razor-block';
+
+// Komponenta s neměnným kódem
+export const RAZOR_CODE_TYPE = 'razor-code';
+
+// Skupina větví if/else if/else nebo try/catch/finally
+const CHAIN_KIND = 'chain';
+
+const MARKER_PATTERN = /^razor-(open|close|code):([\w-]*):(.*)$/s;
+
+// Atribut se zakódovaným zdrojem atributu s Razor výrazem (v exportu GrapesJS)
+const ATTRIBUTE_MARKER_PREFIX = 'data-razor-attr-';
+const ATTRIBUTE_MARKER_PATTERN = / data-razor-attr-\d+="([^"]*)"/g;
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// Řídicí příkazy s tělem v {} (v HTML s @, v kódu i bez)
+const CONTROL_PATTERN = /@?(?:(if|foreach|for|while|switch|lock|using)\s*\(|(try|do)\s*\{)/y;
+
+// Pokračování řetězce větví za uzavírací závorkou
+const CONTINUATIONS = {
+    if: ['else'],
+    else: ['else'],
+    elseif: ['else'],
+    try: ['catch', 'finally'],
+    catch: ['catch', 'finally']
+};
+
+// Direktivy na celý řádek
+const DIRECTIVE_PATTERN = /@(?:model|using|inherits|inject|layout|page|addTagHelper|removeTagHelper|tagHelperPrefix|namespace|implements|attribute|typeparam|preservewhitespace)\b/y;
+
+const IDENTIFIER_PATTERN = /[A-Za-z_]\w*/y;
+const STRING_START_PATTERN = /(\$@|@\$|@|\$)?"/y;
+const TAG_NAME_PATTERN = /[A-Za-z][\w\-:]*/y;
+
+/**
+ * CSS canvasu - popisky bloků a vzhled kódu (do exportu se nedostane)
+ */
+export const RAZOR_CANVAS_CSS = `
+    razor-block {
+        display: block;
+        position: relative;
+        min-height: 24px;
+        margin: 4px 0;
+        padding: 20px 6px 6px;
+        border: 1px dashed #a78bfa;
+        border-radius: 4px;
+    }
+    razor-block::before {
+        content: attr(data-razor-label);
+        position: absolute;
+        top: 0;
+        left: 0;
+        padding: 1px 6px;
+        font: 11px/16px monospace;
+        color: #5b21b6;
+        background: #ede9fe;
+        border-radius: 3px 0 3px 0;
+        white-space: nowrap;
+    }
+    razor-block[data-razor-kind="chain"] {
+        padding: 0;
+        border: none;
+    }
+    razor-block[data-razor-kind="chain"]::before {
+        display: none;
+    }
+    table > razor-block, thead > razor-block, tbody > razor-block, tfoot > razor-block {
+        display: table-row-group;
+    }
+    razor-code {
+        display: block;
+        margin: 2px 0;
+        padding: 1px 6px;
+        font: 11px/16px monospace;
+        color: #5b21b6;
+        background: #f5f3ff;
+        border: 1px dashed #c4b5fd;
+        border-radius: 3px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+    }
+    razor-code[data-razor-kind="expression"] {
+        display: inline-block;
+        margin: 0;
+        vertical-align: baseline;
+    }
+    razor-code::before {
+        content: attr(data-razor-label);
+    }
+`;
+
+/**
+ * Zakóduje zdrojový text do HTML komentáře (komentář nesmí obsahovat "--")
+ */
+function encodeSource(text) {
+    return encodeURIComponent(text).replace(/-/g, '%2D');
+}
+
+function decodeSource(data) {
+    try {
+        return decodeURIComponent(data);
+    } catch {
+        return data;
+    }
+}
+
+/**
+ * Převádí Razor šablonu na HTML se značkami v komentářích
+ */
+class RazorConverter {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.out = '';
+    }
+
+    convert() {
+        this.scanMarkup(null, false);
+        return this.out;
+    }
+
+    match(pattern, at = this.pos) {
+        pattern.lastIndex = at;
+        return pattern.exec(this.text);
+    }
+
+    startsWith(value, at = this.pos) {
+        return this.text.startsWith(value, at);
+    }
+
+    copy(end) {
+        this.out += this.text.slice(this.pos, end);
+        this.pos = end;
+    }
+
+    emit(type, kind, source) {
+        this.out += `<!--razor-${type}:${kind}:${encodeSource(source)}-->`;
+    }
+
+    emitCode(kind, end) {
+        this.emit('code', kind, this.text.slice(this.pos, end));
+        this.pos = end;
+    }
+
+    isLineStart(index) {
+        for (let i = index - 1; i >= 0 && this.text[i] !== '\n'; i--) {
+            if (!/\s/.test(this.text[i])) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Konec řádku včetně znaku nového řádku
+     */
+    lineEnd(from) {
+        const index = this.text.indexOf('\n', from);
+        return index === -1 ? this.text.length : index + 1;
+    }
+
+    /**
+     * Pozice za značkou (nebo konec textu)
+     */
+    indexAfter(marker, from) {
+        const index = this.text.indexOf(marker, from);
+        return index === -1 ? this.text.length : index + marker.length;
+    }
+
+    /**
+     * HTML obsah - do uzavíracího tagu endTag, do } (stopAtBrace) nebo do konce textu
+     */
+    scanMarkup(endTag, stopAtBrace) {
+        let depth = 0;
+
+        while (this.pos < this.text.length) {
+            const ch = this.text[this.pos];
+
+            if (ch === '<' && this.text[this.pos + 1] === '/') {
+                const name = this.match(TAG_NAME_PATTERN, this.pos + 2);
+                if (name) {
+                    const lower = name[0].toLowerCase();
+                    this.copy(this.indexAfter('>', this.pos));
+                    if (lower === endTag && depth-- === 0) return;
+                    continue;
+                }
+            }
+
+            if (ch === '<' && this.startsWith('<!--')) {
+                this.copy(this.indexAfter('-->', this.pos + 4));
+            } else if (ch === '<' && this.match(TAG_NAME_PATTERN, this.pos + 1)) {
+                const name = this.copyElementStart();
+                if (name === endTag) depth++;
+            } else if (ch === '@') {
+                this.scanTransition();
+            } else if (ch === '}' && stopAtBrace) {
+                return;
+            } else {
+                this.copy(this.pos + 1);
+            }
+        }
+    }
+
+    /**
+     * Zkopíruje počáteční tag; obsah script/style přeskočí celý
+     * Atributy s Razor výrazem nahradí značkou data-razor-attr-N (viz skipAttribute)
+     * Vrací název tagu, pokud za ním následuje obsah s uzavíracím tagem
+     */
+    copyElementStart() {
+        const name = this.match(TAG_NAME_PATTERN, this.pos + 1)[0].toLowerCase();
+        let selfClosing = false;
+        let razorAttributes = 0;
+
+        this.copy(this.pos + 1 + name.length);
+
+        while (this.pos < this.text.length) {
+            const ch = this.text[this.pos];
+            if (ch === '>') {
+                selfClosing = this.text[this.pos - 1] === '/';
+                this.copy(this.pos + 1);
+                break;
+            }
+            if (/[\s/]/.test(ch)) {
+                this.copy(this.pos + 1);
+                continue;
+            }
+
+            const attribute = this.skipAttribute(this.pos);
+            if (attribute.razor) {
+                this.out += `${ATTRIBUTE_MARKER_PREFIX}${razorAttributes++}="${encodeSource(this.text.slice(this.pos, attribute.end))}"`;
+                this.pos = attribute.end;
+            } else {
+                this.copy(attribute.end);
+            }
+        }
+
+        if (selfClosing || VOID_ELEMENTS.has(name)) return null;
+
+        if (RAW_TEXT_ELEMENTS.has(name)) {
+            const close = this.text.toLowerCase().indexOf(`</${name}`, this.pos);
+            this.copy(close === -1 ? this.text.length : this.indexAfter('>', close));
+            return null;
+        }
+
+        return name;
+    }
+
+    /**
+     * Přeskočí atribut počátečního tagu (název, = a hodnotu v uvozovkách i bez nich) nebo samostatný
+     * Razor výraz v tagu (<input @(Model.On ? "checked" : "")>); Razor výrazy přeskočí celé, i s řetězci v C#
+     * Vrací { end, razor } - razor: atribut je potřeba zakódovat (Razor výraz, který parser nebo GrapesJS změní)
+     */
+    skipAttribute(from) {
+        let i = from;
+        let razor = false;
+        let encode = false;
+
+        const skipValueChar = () => {
+            const end = this.skipAttributeTransition(i);
+            if (end !== i + 1) {
+                razor = true;
+                // Uvozovky parser rozbijí, &, < a > GrapesJS při exportu escapuje
+                encode = encode || /["'&<>]/.test(this.text.slice(i, end));
+            }
+            i = end;
+        };
+
+        if (this.text[i] === '@') {
+            skipValueChar();
+            return { end: i, razor };
+        }
+
+        while (i < this.text.length && !/[\s"'>/=]/.test(this.text[i])) i++;
+
+        // Třídy GrapesJS upraví na platné názvy a styl převede na CSS pravidla - s Razor výrazem vždy zakódovat
+        const name = this.text.slice(from, i).toLowerCase();
+        const result = () => ({ end: i, razor: encode || razor && (name === 'class' || name === 'style') });
+
+        let valueStart = i;
+        while (valueStart < this.text.length && /\s/.test(this.text[valueStart])) valueStart++;
+        if (this.text[valueStart] !== '=') {
+            return { end: i, razor: false };
+        }
+
+        i = valueStart + 1;
+        while (i < this.text.length && /\s/.test(this.text[i])) i++;
+
+        const quote = this.text[i];
+        if (quote === '"' || quote === '\'') {
+            i++;
+            while (i < this.text.length && this.text[i] !== quote) {
+                if (this.text[i] === '@') {
+                    skipValueChar();
+                } else {
+                    i++;
+                }
+            }
+            i = Math.min(i + 1, this.text.length);
+            return result();
+        }
+
+        while (i < this.text.length && !/[\s>]/.test(this.text[i])) {
+            if (this.text[i] === '@') {
+                skipValueChar();
+            } else {
+                i++;
+            }
+        }
+        return result();
+    }
+
+    /**
+     * Konec Razor výrazu začínajícího @ v atributu (@(...), @{...}, @Model.Name); pro @ bez výrazu
+     * (e-mailová adresa, @@) vrací pozici za @
+     */
+    skipAttributeTransition(at) {
+        const next = this.text[at + 1];
+        if (/[A-Za-z0-9]/.test(this.text[at - 1] || '') || next === '@') {
+            return next === '@' ? at + 2 : at + 1;
+        }
+        if (next === '(') return this.skipBalanced(at + 1);
+        if (next === '{') return this.skipBraces(at + 1);
+        if (this.match(IDENTIFIER_PATTERN, at + 1)) return this.skipImplicitExpression(at + 1);
+        return at + 1;
+    }
+
+    /**
+     * Razor přechod v HTML (@...)
+     */
+    scanTransition() {
+        const start = this.pos;
+        const next = this.text[start + 1];
+
+        if (next === '@') {
+            this.copy(start + 2);
+        } else if (next === '*') {
+            this.emitCode('comment', this.indexAfter('*@', start + 2));
+        } else if (next === '{') {
+            this.emitCode('code', this.skipBraces(start + 1));
+        } else if (next === '(') {
+            this.copyExpression(this.skipBalanced(start + 1));
+        } else if (/^@(?:functions|code)\s*\{/.test(this.text.slice(start, start + 40))) {
+            this.emitCode('code', this.skipBraces(this.text.indexOf('{', start)));
+        } else if (/^@section\s+[A-Za-z_]\w*\s*\{/.test(this.text.slice(start, start + 200))) {
+            this.scanControl('section', start, this.text.indexOf('{', start));
+        } else if (this.match(CONTROL_PATTERN, start)) {
+            this.scanControlStatement(start);
+        } else if (this.isLineStart(start) && this.match(DIRECTIVE_PATTERN, start)) {
+            this.emitCode('directive', this.lineEnd(start));
+        } else if (this.match(IDENTIFIER_PATTERN, start + 1)) {
+            this.copyExpression(this.skipImplicitExpression(start + 1));
+        } else {
+            this.copy(start + 1);
+        }
+    }
+
+    /**
+     * Výraz zůstane textem (lze ho upravovat v textu); GrapesJS ale v textu escapuje <, > a &,
+     * takové výrazy se proto převedou na kód
+     */
+    copyExpression(end) {
+        if (/[<>&]/.test(this.text.slice(this.pos, end))) {
+            this.emitCode('expression', end);
+        } else {
+            this.copy(end);
+        }
+    }
+
+    /**
+     * Řídicí příkaz začínající na pozici start (s @ nebo bez)
+     */
+    scanControlStatement(start) {
+        const control = this.match(CONTROL_PATTERN, start);
+        const keyword = control[1] || control[2];
+        const brace = this.findHeaderBrace(start + control[0].length - 1);
+        if (brace === -1) {
+            // Bez těla - zůstane jako text
+            this.copy(start + control[0].length);
+            return;
+        }
+
+        this.scanControl(keyword, start, brace);
+    }
+
+    /**
+     * Najde { za hlavičkou příkazu (podmínka v závorkách, else if, ...); -1 pokud chybí
+     */
+    findHeaderBrace(from) {
+        let i = from;
+        while (i < this.text.length) {
+            const ch = this.text[i];
+            if (ch === '{') return i;
+            if (ch === '(') {
+                i = this.skipBalanced(i);
+            } else if (/\s/.test(ch) || /\w/.test(ch)) {
+                i++;
+            } else {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Řídicí příkaz s tělem; hlavička je text od start do { včetně
+     * Navazující větve (else, catch, finally) se seskupí do společné komponenty
+     */
+    scanControl(keyword, start, brace) {
+        const chainStart = this.out.length;
+
+        this.scanBranch(keyword, start, brace);
+
+        let kind = keyword;
+        let chained = false;
+
+        while (CONTINUATIONS[kind]) {
+            const next = this.findContinuation(CONTINUATIONS[kind]);
+            if (!next) break;
+
+            if (!chained) {
+                this.out = this.out.slice(0, chainStart)
+                    + `<!--razor-open:${CHAIN_KIND}:-->`
+                    + this.out.slice(chainStart);
+                chained = true;
+            }
+
+            // Hlavička větve obsahuje i mezery za předchozí }
+            this.scanBranch(next.kind, this.pos, next.brace);
+            kind = next.kind;
+        }
+
+        if (chained) {
+            this.out += `<!--razor-close:${CHAIN_KIND}:-->`;
+        }
+    }
+
+    /**
+     * Najde navazující větev (else, else if, catch, finally) za aktuální pozicí
+     */
+    findContinuation(keywords) {
+        let i = this.pos;
+        while (i < this.text.length && /\s/.test(this.text[i])) i++;
+
+        const word = this.match(IDENTIFIER_PATTERN, i);
+        if (!word || !keywords.includes(word[0])) return null;
+
+        const brace = this.findHeaderBrace(i + word[0].length);
+        if (brace === -1) return null;
+
+        let kind = word[0];
+        if (kind === 'else' && /^\s+if\b/.test(this.text.slice(i + 4, brace))) {
+            kind = 'elseif';
+        }
+
+        return { kind, brace };
+    }
+
+    /**
+     * Jedna větev: hlavička, tělo, uzavírací } (u do-while i s podmínkou)
+     */
+    scanBranch(kind, start, brace) {
+        this.emit('open', kind, this.text.slice(start, brace + 1));
+        this.pos = brace + 1;
+
+        if (kind === 'section') {
+            this.scanMarkup(null, true);
+        } else {
+            this.scanCode();
+        }
+
+        let end = Math.min(this.pos + 1, this.text.length);
+        if (kind === 'do') {
+            const tail = /\s*while\s*/y;
+            tail.lastIndex = end;
+            if (tail.exec(this.text) && this.text[tail.lastIndex] === '(') {
+                end = this.skipBalanced(tail.lastIndex);
+                const semicolon = /\s*;/y;
+                semicolon.lastIndex = end;
+                if (semicolon.exec(this.text)) end = semicolon.lastIndex;
+            }
+        }
+
+        this.emit('close', kind, this.text.slice(this.pos, end));
+        this.pos = end;
+    }
+
+    /**
+     * Tělo bloku v C# - do } na stejné úrovni (nezkonzumuje ji)
+     */
+    scanCode() {
+        while (this.pos < this.text.length) {
+            const ch = this.text[this.pos];
+
+            if (/\s/.test(ch)) {
+                this.copy(this.pos + 1);
+            } else if (ch === '}') {
+                return;
+            } else if (this.startsWith('@*')) {
+                this.emitCode('comment', this.indexAfter('*@', this.pos + 2));
+            } else if (this.startsWith('@:')) {
+                this.emitCode('line', this.lineEnd(this.pos));
+            } else if (ch === '<' && this.match(TAG_NAME_PATTERN, this.pos + 1)) {
+                const name = this.copyElementStart();
+                if (name) this.scanMarkup(name, false);
+            } else if (this.match(CONTROL_PATTERN)) {
+                this.scanControlStatement(this.pos);
+            } else {
+                this.emitCode('statement', this.skipStatements(this.pos));
+            }
+        }
+    }
+
+    /**
+     * Přeskočí souvislou řadu C# příkazů (do značky, HTML, řídicího příkazu nebo konce bloku)
+     * Vrací konec včetně mezer do konce řádku
+     */
+    skipStatements(from) {
+        let i = from;
+
+        for (;;) {
+            i = this.skipStatement(i);
+
+            let next = i;
+            while (next < this.text.length && /\s/.test(this.text[next])) next++;
+
+            const ch = this.text[next];
+            if (next >= this.text.length || ch === '}' || ch === '<'
+                || this.startsWith('@*', next) || this.startsWith('@:', next)
+                || this.match(CONTROL_PATTERN, next)) {
+                break;
+            }
+
+            i = next;
+        }
+
+        // Mezery a konec řádku patří k příkazu (řádkový komentář, @: řádky)
+        while (i < this.text.length && /[ \t\r]/.test(this.text[i])) i++;
+        if (this.text[i] === '\n') i++;
+        return i;
+    }
+
+    /**
+     * Přeskočí jeden příkaz - do ; (u case/default do :) nebo do } na stejné úrovni
+     */
+    skipStatement(from) {
+        const label = /(?:case\b|default\s*:)/y;
+        label.lastIndex = from;
+        const isLabel = label.test(this.text);
+
+        let depth = 0;
+        let i = from;
+
+        while (i < this.text.length) {
+            const ch = this.text[i];
+
+            if (this.startsWith('//', i)) {
+                i = this.lineEnd(i);
+                if (depth === 0) return i;
+                continue;
+            }
+            if (this.startsWith('/*', i)) {
+                i = this.indexAfter('*/', i + 2);
+                continue;
+            }
+            if (ch === '\'') {
+                i = this.skipString(i);
+                continue;
+            }
+
+            const literal = this.match(STRING_START_PATTERN, i);
+            if (literal) {
+                const quote = i + literal[0].length - 1;
+                i = literal[1]?.includes('@') ? this.skipVerbatim(quote + 1) : this.skipString(quote);
+                continue;
+            }
+
+            if (ch === '(' || ch === '[' || ch === '{') {
+                depth++;
+            } else if (ch === ')' || ch === ']' || ch === '}') {
+                if (depth === 0) return i;
+                depth--;
+                if (depth === 0 && ch === '}' && !/^\s*[;,.)]/.test(this.text.slice(i + 1, i + 20))) {
+                    // Blok příkazu (lambda, inicializátor bez ;)
+                    return i + 1;
+                }
+            } else if (depth === 0 && (ch === ';' || ch === ':' && isLabel)) {
+                return i + 1;
+            }
+
+            i++;
+        }
+
+        return i;
+    }
+
+    skipString(from) {
+        const quote = this.text[from];
+        let i = from + 1;
+        while (i < this.text.length && this.text[i] !== '\n') {
+            if (this.text[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (this.text[i++] === quote) break;
+        }
+        return Math.min(i, this.text.length);
+    }
+
+    skipVerbatim(from) {
+        let i = from;
+        while (i < this.text.length) {
+            if (this.text[i] === '"') {
+                if (this.text[i + 1] === '"') {
+                    i += 2;
+                    continue;
+                }
+                return i + 1;
+            }
+            i++;
+        }
+        return i;
+    }
+
+    /**
+     * Přeskočí výraz v závorkách (i vnořených); vrací pozici za ním
+     */
+    skipBalanced(from) {
+        let depth = 0;
+        let i = from;
+        while (i < this.text.length) {
+            const ch = this.text[i];
+            if (ch === '"' || ch === '\'') {
+                i = this.skipString(i);
+                continue;
+            }
+            i++;
+            if (ch === '(' || ch === '[') {
+                depth++;
+            } else if ((ch === ')' || ch === ']') && --depth <= 0) {
+                return i;
+            }
+        }
+        return i;
+    }
+
+    /**
+     * Přeskočí blok ve složených závorkách od { (včetně řetězců a komentářů); vrací pozici za }
+     */
+    skipBraces(from) {
+        let depth = 0;
+        let i = from;
+        while (i < this.text.length) {
+            const ch = this.text[i];
+            if (ch === '"' || ch === '\'') {
+                i = this.skipString(i);
+                continue;
+            }
+            if (this.startsWith('//', i)) {
+                i = this.lineEnd(i);
+                continue;
+            }
+            if (this.startsWith('/*', i) || this.startsWith('@*', i)) {
+                i = this.indexAfter(this.text[i] === '/' ? '*/' : '*@', i + 2);
+                continue;
+            }
+            i++;
+            if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                return i;
+            }
+        }
+        return i;
+    }
+
+    /**
+     * Přeskočí implicitní výraz (@Model.Items[0].Name, @item.Format("x"))
+     */
+    skipImplicitExpression(from) {
+        let i = from + this.match(IDENTIFIER_PATTERN, from)[0].length;
+        while (i < this.text.length) {
+            const ch = this.text[i];
+            if (ch === '.' && this.match(IDENTIFIER_PATTERN, i + 1)) {
+                i += 1 + this.match(IDENTIFIER_PATTERN, i + 1)[0].length;
+            } else if (ch === '(' || ch === '[') {
+                i = this.skipBalanced(i);
+            } else {
+                break;
+            }
+        }
+        return i;
+    }
+}
+
+/**
+ * Převede Razor šablonu na HTML, ve kterém jsou Razor konstrukce nahrazeny značkami v komentářích
+ */
+export function razorToComponentHtml(source) {
+    return new RazorConverter(source || '').convert();
+}
+
+/**
+ * Popisek bloku z hlavičky: "@foreach (var item in Model.Items) {" -> "foreach (var item in Model.Items)"
+ */
+export function getBlockLabel(header) {
+    return (header || '')
+        .replace(/^\s*@?/, '')
+        .replace(/\{\s*$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Popisek kódu - první neprázdný řádek
+ */
+export function getCodeLabel(code) {
+    const line = (code || '').split('\n').map(l => l.trim()).find(l => l) || '';
+    return line.length > 80 ? `${line.slice(0, 77)}...` : line;
+}
+
+function parseMarker(def) {
+    if (def?.type !== 'comment') return null;
+
+    const match = MARKER_PATTERN.exec(def.content || '');
+    return match ? { type: match[1], kind: match[2], source: decodeSource(match[3]) } : null;
+}
+
+/**
+ * Název atributu, jehož zdroj je zakódovaný v data-razor-attr-N (null pro samostatný Razor výraz v tagu)
+ */
+function getRazorAttributeName(data) {
+    const name = /^[^\s=]+/.exec(decodeSource(data))?.[0].toLowerCase();
+    return name && !name.startsWith('@') ? name : null;
+}
+
+/**
+ * Obrázek se zakódovaným src zůstane obecnou komponentou <img> - komponenta image by do exportu
+ * doplnila vlastní zástupný src vedle původního Razor výrazu
+ */
+function restoreRazorImage(def) {
+    if (def.type !== 'image' || !def.attributes) return def;
+
+    const hasRazorSource = Object.entries(def.attributes).some(([name, data]) =>
+        name.startsWith(ATTRIBUTE_MARKER_PREFIX) && getRazorAttributeName(data) === 'src');
+    if (!hasRazorSource) return def;
+
+    const { type, src, ...rest } = def;
+    return { ...rest, tagName: 'img', void: true };
+}
+
+function codeComponent(kind, source) {
+    return { type: RAZOR_CODE_TYPE, razorKind: kind, razorCode: source };
+}
+
+/**
+ * Nahradí značky v definicích komponent (výstup GrapesJS parseru) komponentami razor-block/razor-code
+ * Neuzavřené nebo přes úrovně zanořené bloky zůstanou jako kód, aby export vrátil stejný text
+ */
+export function restoreRazorComponents(defs) {
+    const root = { items: [] };
+    const stack = [root];
+
+    for (const def of defs) {
+        if (Array.isArray(def.components)) {
+            def.components = restoreRazorComponents(def.components);
+        }
+
+        const top = stack[stack.length - 1];
+        const marker = parseMarker(def);
+
+        if (!marker) {
+            top.items.push(restoreRazorImage(def));
+        } else if (marker.type === 'code') {
+            top.items.push(codeComponent(marker.kind, marker.source));
+        } else if (marker.type === 'open') {
+            const block = {
+                type: RAZOR_BLOCK_TYPE,
+                razorKind: marker.kind,
+                razorOpen: marker.source,
+                razorClose: '',
+                components: []
+            };
+
+            // Větve řetězce nelze přesouvat samostatně
+            if (top.block?.razorKind === CHAIN_KIND) {
+                Object.assign(block, { draggable: false, removable: false, copyable: false });
+            }
+
+            if (marker.kind === CHAIN_KIND) {
+                block.droppable = false;
+            }
+
+            top.items.push(block);
+            stack.push({ block, items: block.components });
+        } else if (stack.length > 1 && top.block.razorKind === marker.kind) {
+            top.block.razorClose = marker.source;
+            stack.pop();
+        } else {
+            top.items.push(codeComponent(marker.kind, marker.source));
+        }
+    }
+
+    // Neuzavřené bloky - hlavička jako kód, obsah zpět do rodiče
+    while (stack.length > 1) {
+        const { block } = stack.pop();
+        const parent = stack[stack.length - 1].items;
+        const index = parent.indexOf(block);
+        const opening = block.razorOpen ? [codeComponent(block.razorKind, block.razorOpen)] : [];
+        parent.splice(index, 1, ...opening, ...block.components);
+    }
+
+    return root.items;
+}
+
+/**
+ * Zaregistruje typy komponent razor-block a razor-code
+ */
+export function registerRazorBlockTypes(editor) {
+    const domComponents = editor.DomComponents;
+
+    domComponents.addType(RAZOR_BLOCK_TYPE, {
+        model: {
+            defaults: {
+                tagName: 'razor-block',
+                draggable: true,
+                droppable: true,
+                editable: false,
+                razorKind: '',
+                razorOpen: '',
+                razorClose: '',
+                traits: [
+                    {
+                        type: 'text',
+                        label: 'Razor',
+                        name: 'razorOpen',
+                        changeProp: true,
+                    },
+                ],
+            },
+
+            init() {
+                this.on('change:razorOpen', this.updateRazorLabel);
+                this.updateRazorLabel();
+            },
+
+            updateRazorLabel() {
+                this.addAttributes({
+                    'data-razor-kind': this.get('razorKind'),
+                    'data-razor-label': getBlockLabel(this.get('razorOpen'))
+                });
+            },
+
+            // Export vrací původní hlavičku a uzavření bloku, ne tag razor-block
+            toHTML(opts) {
+                return `${this.get('razorOpen')}${this.getInnerHTML(opts)}${this.get('razorClose')}`;
+            },
+        },
+    });
+
+    domComponents.addType(RAZOR_CODE_TYPE, {
+        model: {
+            defaults: {
+                tagName: 'razor-code',
+                draggable: true,
+                droppable: false,
+                editable: false,
+                razorKind: '',
+                razorCode: '',
+                traits: [
+                    {
+                        type: 'text',
+                        label: 'Razor',
+                        name: 'razorCode',
+                        changeProp: true,
+                    },
+                ],
+            },
+
+            init() {
+                this.on('change:razorCode', this.updateRazorLabel);
+                this.updateRazorLabel();
+            },
+
+            updateRazorLabel() {
+                this.addAttributes({
+                    'data-razor-kind': this.get('razorKind'),
+                    'data-razor-label': getCodeLabel(this.get('razorCode'))
+                });
+            },
+
+            toHTML() {
+                return this.get('razorCode');
+            },
+        },
+    });
+}
+
+/**
+ * Nahraje Razor šablonu do GrapesJS editoru (místo editor.setComponents)
+ */
+export function setRazorTemplate(editor, source) {
+    // <body> na začátku - jinak by parser značky před prvním elementem umístil mimo body (a ztratil)
+    // Mezery mezi elementy se zachovají, aby export nezměněné šablony odpovídal zdroji
+    const parsed = editor.Parser.parseHtml(`<body>${razorToComponentHtml(source)}`, { keepEmptyTextNodes: true });
+    const defs = Array.isArray(parsed.html) ? parsed.html : parsed.html ? [parsed.html] : [];
+
+    if (parsed.css) {
+        editor.Css.addCollection(parsed.css, { extend: 1 });
+    }
+
+    editor.setComponents(restoreRazorComponents(defs));
+}
+
+/**
+ * Vrátí Razor šablonu z GrapesJS editoru (obsah bez obalového <body>)
+ */
+export function getRazorTemplate(editor) {
+    const wrapper = editor.getWrapper();
+    if (!wrapper) return '';
+
+    const replaced = getReplacedRazorAttributes(wrapper);
+    return wrapper.getInnerHTML().replace(ATTRIBUTE_MARKER_PATTERN, (match, data) =>
+        replaced.has(data) ? '' : ` ${decodeSource(data)}`);
+}
+
+/**
+ * Zakódované atributy s Razor výrazem, které uživatel mezitím nastavil jinak (např. v inspektoru) -
+ * v exportu platí nová hodnota
+ */
+function getReplacedRazorAttributes(component, replaced = new Set()) {
+    const attributes = component.getAttributes();
+
+    for (const [name, data] of Object.entries(attributes)) {
+        if (!name.startsWith(ATTRIBUTE_MARKER_PREFIX)) continue;
+
+        const original = getRazorAttributeName(data);
+        if (original && original in attributes) {
+            replaced.add(data);
+        }
+    }
+
+    component.components().forEach(child => getReplacedRazorAttributes(child, replaced));
+    return replaced;
+}
+
+window.GrapesJSRazorBlocks = {
+    canvasCss: RAZOR_CANVAS_CSS,
+    registerTypes: registerRazorBlockTypes,
+    setTemplate: setRazorTemplate,
+    getTemplate: getRazorTemplate
+};
+
+console.log('GrapesJSRazorBlocks loaded');
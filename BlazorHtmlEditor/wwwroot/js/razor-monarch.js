@@ -1,33 +1,85 @@
 /**
  * Monarch definice pro Razor syntax highlighting
- * Podporuje Razor výrazy (@Model, @if, @foreach, atd.)
+ * Podporuje Razor výrazy (@Model, @(...), @if, @foreach, atd.), code bloky s vnořeným HTML,
+ * <text>, @:, @@, @functions/@code a vložené CSS/JS v <style>/<script>
  */
+
+import {
+    getModelMetadata,
+    findLoopVariables,
+    expressionToSegments,
+    resolveMemberPath,
+    getMemberAtPosition
+} from './model-metadata.js';
+import { getFormattingEdits } from './razor-formatter.js';
+import { buildOutline, toDocumentSymbols } from './razor-outline.js';
+import { getSnippetSuggestions } from './razor-snippets.js';
 export const razorLanguageDefinition = {
+    // Konec řádku je součástí vstupu, aby šlo ukončit přechod @: ... na konci řádku
+    includeLF: true,
+
+    voidElements: [
+        'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+        'link', 'meta', 'param', 'source', 'track', 'wbr'
+    ],
+
+    csharpKeywords: [
+        'abstract', 'as', 'async', 'await', 'base', 'bool', 'break', 'byte', 'case', 'catch',
+        'char', 'checked', 'class', 'const', 'continue', 'decimal', 'default', 'delegate',
+        'do', 'double', 'dynamic', 'else', 'enum', 'event', 'explicit', 'extern', 'false',
+        'finally', 'fixed', 'float', 'for', 'foreach', 'get', 'goto', 'if', 'implicit', 'in',
+        'int', 'interface', 'internal', 'is', 'lock', 'long', 'nameof', 'namespace', 'new',
+        'null', 'object', 'operator', 'out', 'override', 'params', 'private', 'protected',
+        'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed', 'set', 'short', 'sizeof',
+        'stackalloc', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try',
+        'typeof', 'uint', 'ulong', 'unchecked', 'unsafe', 'ushort', 'using', 'var', 'virtual',
+        'void', 'volatile', 'when', 'where', 'while', 'yield'
+    ],
+
+    // Pozn.: literál "@" se v regexech Monarchu píše jako "@@" (jinak jde o odkaz na atribut)
     tokenizer: {
         root: [
+            { include: '@emailText' },
+            { include: '@razorTransitions' },
+            { include: '@markup' }
+        ],
+
+        // ---- Přechody z HTML do Razoru ----
+
+        razorTransitions: [
+            // Escapovaný zavináč @@
+            [/@@@@/, 'text'],
+
             // Razor komentáře @* ... *@
             [/@\*/, 'comment.razor', '@razorComment'],
 
-            // Razor direktivy @page, @model, @using, atd.
-            [/@(page|model|using|inject|implements|inherits|attribute|namespace|functions|section|layout)\b/, 'keyword.directive.razor'],
-
             // Razor code bloky @{ ... }
             [/@\{/, 'delimiter.razor', '@razorCodeBlock'],
 
-            // Razor výrazy s metodami @Model.Method()
-            [/@[A-Za-z_]\w*(\.\w+)*(\([^)]*\))?/, 'variable.razor'],
+            // Explicitní výrazy @( ... )
+            [/@\(/, 'delimiter.razor', '@razorExplicitExpression'],
 
-            // Razor control flow
-            [/@(if|else|foreach|for|while|switch|case|do|try|catch|finally|using|lock)\b/, 'keyword.control.razor'],
+            // @functions { ... } a @code { ... }
+            [/@(?:functions|code)\b/, 'keyword.directive.razor', '@razorDirectiveBlock'],
 
-            // HTML tagy
-            [/<\/?[a-zA-Z][\w-]*/, 'tag.html', '@htmlTag'],
+            // @section Name { ... }
+            [/(@@section)(\s+)([A-Za-z_]\w*)/, ['keyword.directive.razor', '', { token: 'identifier', next: '@razorSectionHeader' }]],
 
-            // HTML komentáře
-            [/<!--/, 'comment.html', '@htmlComment'],
+            // Řídicí konstrukce musí být před obecným @identifikátor
+            [/@@using(?=\s*\()/, 'keyword.control.razor', '@razorControlHeader'],
+            [/@(?:if|foreach|for|while|switch|lock|try|do)\b/, 'keyword.control.razor', '@razorControlHeader'],
 
-            // Běžný text
-            [/[^<@]+/, 'text'],
+            // Řádkové direktivy @model, @using, @inject, ...
+            [/(@(?:model|inherits|implements|inject|using|namespace|layout|typeparam))(\s+)([^\s;]+)/, ['keyword.directive.razor', '', 'type.identifier']],
+            [/@(?:page|attribute|preservewhitespace|rendermode|addTagHelper|removeTagHelper|tagHelperPrefix)\b/, 'keyword.directive.razor'],
+
+            // Implicitní výrazy @Model.Customer.Name, @item.Format("x")
+            [/@[A-Za-z_]\w*/, 'variable.razor', '@razorImplicitExpression']
+        ],
+
+        // E-mailové adresy (info@firma.cz) nejsou Razor výraz
+        emailText: [
+            [/[^<@]*\w@[\w.\-]*/, 'text']
         ],
 
         razorComment: [
@@ -36,35 +88,265 @@ export const razorLanguageDefinition = {
             [/[*]/, 'comment.razor']
         ],
 
+        razorImplicitExpression: [
+            [/\.[A-Za-z_]\w*/, 'variable.razor'],
+            [/\(/, 'delimiter.parenthesis', '@csharpParens'],
+            [/\[/, 'delimiter.square', '@csharpBrackets'],
+            [/[\s\S]/, { token: '@rematch', next: '@pop' }]
+        ],
+
+        razorExplicitExpression: [
+            [/\)/, 'delimiter.razor', '@pop'],
+            [/\(/, 'delimiter.parenthesis', '@csharpParens'],
+            { include: '@csharpExpression' }
+        ],
+
+        razorDirectiveBlock: [
+            [/\s+/, ''],
+            [/\{/, { token: 'delimiter.razor', switchTo: '@razorCodeBlock' }],
+            [/[\s\S]/, { token: '@rematch', next: '@pop' }]
+        ],
+
+        razorSectionHeader: [
+            [/\s+/, ''],
+            [/\{/, { token: 'delimiter.razor', switchTo: '@razorSectionBody' }],
+            [/[\s\S]/, { token: '@rematch', next: '@pop' }]
+        ],
+
+        razorSectionBody: [
+            [/\}/, 'delimiter.razor', '@pop'],
+            { include: '@emailText' },
+            { include: '@razorTransitions' },
+            { include: '@markup' }
+        ],
+
+        // Hlavička @if (...), @foreach (...), else if (...), catch (...)
+        razorControlHeader: [
+            [/\s+/, ''],
+            [/if\b/, 'keyword.control.razor'],
+            [/\(/, 'delimiter.parenthesis', '@csharpParens'],
+            [/\{/, { token: 'delimiter.razor', switchTo: '@razorControlBlock' }],
+            [/[\s\S]/, { token: '@rematch', next: '@pop' }]
+        ],
+
+        razorControlBlock: [
+            [/\}/, { token: 'delimiter.razor', switchTo: '@razorAfterControlBlock' }],
+            { include: '@csharpStatements' }
+        ],
+
+        // Pokračování za } - else, catch, finally, do { } while (...);
+        razorAfterControlBlock: [
+            [/\s+/, ''],
+            [/(?:else|catch|finally)\b/, { token: 'keyword.control.razor', switchTo: '@razorControlHeader' }],
+            [/while\b/, { token: 'keyword.control.razor', switchTo: '@razorDoWhile' }],
+            [/[\s\S]/, { token: '@rematch', next: '@pop' }]
+        ],
+
+        razorDoWhile: [
+            [/\s+/, ''],
+            [/\(/, 'delimiter.parenthesis', '@csharpParens'],
+            [/;/, 'delimiter', '@pop'],
+            [/[\s\S]/, { token: '@rematch', next: '@pop' }]
+        ],
+
         razorCodeBlock: [
-            [/@\{/, 'delimiter.razor', '@push'],
             [/\}/, 'delimiter.razor', '@pop'],
-            [/@[A-Za-z_]\w*/, 'variable.razor'],
-            [/"([^"\\]|\\.)*"/, 'string'],
+            { include: '@csharpStatements' }
+        ],
+
+        // ---- C# ----
+
+        // Příkazy v code blocích - C# prokládaný HTML elementy, <text> a @:
+        csharpStatements: [
+            [/@\*/, 'comment.razor', '@razorComment'],
+            [/@:/, 'delimiter.razor', '@razorLineTransition'],
+            [/(<)(text)(>)/, ['delimiter.html', 'tag.razor', { token: 'delimiter.html', next: '@razorTextTag' }]],
+            [/(<)([A-Za-z][\w\-]*)/, ['delimiter.html', { token: 'tag.html', next: '@razorElementStart.$2' }]],
+            [/\{/, 'delimiter.bracket', '@csharpBlock'],
+            { include: '@csharpExpression' }
+        ],
+
+        csharpBlock: [
+            [/\}/, 'delimiter.bracket', '@pop'],
+            { include: '@csharpStatements' }
+        ],
+
+        csharpParens: [
+            [/\(/, 'delimiter.parenthesis', '@push'],
+            [/\)/, 'delimiter.parenthesis', '@pop'],
+            { include: '@csharpExpression' }
+        ],
+
+        csharpBrackets: [
+            [/\[/, 'delimiter.square', '@push'],
+            [/\]/, 'delimiter.square', '@pop'],
+            { include: '@csharpExpression' }
+        ],
+
+        csharpExpression: [
+            [/@"/, 'string', '@csharpVerbatimString'],
+            [/\$?"([^"\\]|\\.)*"/, 'string'],
             [/'([^'\\]|\\.)*'/, 'string'],
-            [/\b(var|string|int|bool|double|decimal|float|long|object|dynamic|if|else|foreach|for|while|return|new|class|public|private|protected|static|void|async|await)\b/, 'keyword'],
-            [/[{}()\[\]]/, 'delimiter'],
+            [/\/\/.*/, 'comment'],
+            [/\/\*/, 'comment', '@csharpComment'],
+            [/\d+(\.\d+)?[fFdDmMlLuU]?/, 'number'],
+
+            // Generické typy List<string> se berou jako jeden token, aby "<" nezačalo HTML element
+            [/[A-Za-z_]\w*(?:<[\w\s,.?]+>)?/, {
+                cases: {
+                    '@csharpKeywords': 'keyword',
+                    'Model': 'variable.razor',
+                    '~.*<.*': 'type',
+                    '@default': 'identifier'
+                }
+            }],
+
+            [/[{}]/, 'delimiter.bracket'],
+            [/\(/, 'delimiter.parenthesis', '@csharpParens'],
+            [/\[/, 'delimiter.square', '@csharpBrackets'],
             [/[;,.]/, 'delimiter'],
-            [/\d+/, 'number'],
-            [/[a-zA-Z_]\w*/, 'identifier'],
+            [/[=<>!+\-*\/%&|^?:~]+/, 'operator'],
+            [/\s+/, '']
+        ],
+
+        csharpVerbatimString: [
+            [/[^"]+/, 'string'],
+            [/""/, 'string'],
+            [/"/, 'string', '@pop']
+        ],
+
+        csharpComment: [
+            [/[^*]+/, 'comment'],
+            [/\*\//, 'comment', '@pop'],
+            [/[*]/, 'comment']
+        ],
+
+        // ---- HTML uvnitř C# ----
+
+        // @: text do konce řádku
+        razorLineTransition: [
+            [/\n/, '', '@pop'],
+            [/[^<@\n]*\w@[\w.\-]*/, 'text'],
+            { include: '@razorTransitions' },
+            [/(<\/?)([A-Za-z][\w\-]*)/, ['delimiter.html', { token: 'tag.html', next: '@htmlTag' }]],
+            [/[^<@\n]+/, 'text'],
+            [/[<@]/, 'text']
+        ],
+
+        // <text> ... </text>
+        razorTextTag: [
+            [/(<\/)(text)(\s*>)/, ['delimiter.html', 'tag.razor', { token: 'delimiter.html', next: '@pop' }]],
+            { include: '@emailText' },
+            { include: '@razorTransitions' },
+            { include: '@markup' }
+        ],
+
+        // Atributy elementu otevřeného v C# kódu (stav nese název tagu)
+        razorElementStart: [
+            [/\/>/, 'delimiter.html', '@pop'],
+            [/>/, {
+                cases: {
+                    '$S2@voidElements': { token: 'delimiter.html', next: '@pop' },
+                    '@default': { token: 'delimiter.html', switchTo: '@razorElementContent.$S2' }
+                }
+            }],
+            { include: '@htmlAttributes' }
+        ],
+
+        // Obsah elementu až po odpovídající uzavírací tag, pak zpět do C#
+        razorElementContent: [
+            [/(<\/)([A-Za-z][\w\-]*)(\s*>)/, ['delimiter.html', 'tag.html', {
+                cases: {
+                    '$2==$S2': { token: 'delimiter.html', next: '@pop' },
+                    '@default': 'delimiter.html'
+                }
+            }]],
+            [/(<)([A-Za-z][\w\-]*)/, ['delimiter.html', {
+                cases: {
+                    '$2==$S2': { token: 'tag.html', next: '@razorElementStart.$2' },
+                    '@default': { token: 'tag.html', next: '@htmlTag' }
+                }
+            }]],
+            { include: '@emailText' },
+            { include: '@razorTransitions' },
+            { include: '@markup' }
+        ],
+
+        // ---- HTML ----
+
+        markup: [
+            [/<!--/, 'comment.html', '@htmlComment'],
+            [/<![^>]*>/, 'metatag.html'],
+            [/(<)(script)/, ['delimiter.html', { token: 'tag.html', next: '@script' }]],
+            [/(<)(style)/, ['delimiter.html', { token: 'tag.html', next: '@style' }]],
+            [/(<\/?)([A-Za-z][\w\-]*)/, ['delimiter.html', { token: 'tag.html', next: '@htmlTag' }]],
+            [/[^<@]+/, 'text'],
+            [/[<@]/, 'text']
         ],
 
         htmlTag: [
-            [/\/>/, 'tag.html', '@pop'],
-            [/>/, 'tag.html', '@pop'],
-            [/\s+/, ''],
-            [/[\w-]+/, 'attribute.name.html'],
+            [/\/?>/, 'delimiter.html', '@pop'],
+            { include: '@htmlAttributes' }
+        ],
+
+        htmlAttributes: [
+            [/"/, 'attribute.value.html', '@attributeValueDouble'],
+            [/'/, 'attribute.value.html', '@attributeValueSingle'],
+            { include: '@razorTransitions' },
+            [/[\w\-:.]+/, 'attribute.name.html'],
             [/=/, 'delimiter'],
-            [/"[^"]*"/, 'attribute.value.html'],
-            [/'[^']*'/, 'attribute.value.html'],
-            // Razor výrazy uvnitř atributů
-            [/@[A-Za-z_]\w*(\.\w+)*/, 'variable.razor'],
+            [/\s+/, '']
+        ],
+
+        attributeValueDouble: [
+            [/"/, 'attribute.value.html', '@pop'],
+            [/[^"@]*\w@[\w.\-]*/, 'attribute.value.html'],
+            { include: '@razorTransitions' },
+            [/[^"@]+/, 'attribute.value.html'],
+            [/@/, 'attribute.value.html']
+        ],
+
+        attributeValueSingle: [
+            [/'/, 'attribute.value.html', '@pop'],
+            [/[^'@]*\w@[\w.\-]*/, 'attribute.value.html'],
+            { include: '@razorTransitions' },
+            [/[^'@]+/, 'attribute.value.html'],
+            [/@/, 'attribute.value.html']
         ],
 
         htmlComment: [
             [/[^-]+/, 'comment.html'],
             [/-->/, 'comment.html', '@pop'],
             [/[-]/, 'comment.html']
+        ],
+
+        // <style> a <script> - obsah zvýrazňuje vestavěné CSS/JS
+        style: [
+            [/"[^"]*"/, 'attribute.value.html'],
+            [/'[^']*'/, 'attribute.value.html'],
+            [/[\w\-]+/, 'attribute.name.html'],
+            [/=/, 'delimiter'],
+            [/>/, { token: 'delimiter.html', next: '@styleEmbedded', nextEmbedded: 'text/css' }],
+            [/\s+/, ''],
+            [/(<\/)(style)(\s*>)/, ['delimiter.html', 'tag.html', { token: 'delimiter.html', next: '@pop' }]]
+        ],
+
+        styleEmbedded: [
+            [/<\/style/, { token: '@rematch', next: '@pop', nextEmbedded: '@pop' }]
+        ],
+
+        script: [
+            [/"[^"]*"/, 'attribute.value.html'],
+            [/'[^']*'/, 'attribute.value.html'],
+            [/[\w\-]+/, 'attribute.name.html'],
+            [/=/, 'delimiter'],
+            [/>/, { token: 'delimiter.html', next: '@scriptEmbedded', nextEmbedded: 'text/javascript' }],
+            [/\s+/, ''],
+            [/(<\/)(script)(\s*>)/, ['delimiter.html', 'tag.html', { token: 'delimiter.html', next: '@pop' }]]
+        ],
+
+        scriptEmbedded: [
+            [/<\/script/, { token: '@rematch', next: '@pop', nextEmbedded: '@pop' }]
         ]
     }
 };
@@ -114,7 +396,7 @@ export function registerRazorLanguage() {
         ],
         folding: {
             markers: {
-                start: /^\s*@\{/,
+                start: /^\s*@(?:\{|(?:if|foreach|for|while|switch|using|lock|try|do|functions|code|section)\b.*\{\s*$)/,
                 end: /^\s*\}/
             }
         }
@@ -122,6 +404,7 @@ export function registerRazorLanguage() {
 
     // IntelliSense - completion provider
     monaco.languages.registerCompletionItemProvider('razor', {
+        triggerCharacters: ['.'],
         provideCompletionItems: (model, position) => {
             const word = model.getWordUntilPosition(position);
             const range = {
@@ -131,6 +414,17 @@ export function registerRazorLanguage() {
                 endColumn: word.endColumn
             };
 
+            // Členy modelu za tečkou (@Model.Customer., item.)
+            const linePrefix = model.getValueInRange({
+                startLineNumber: position.lineNumber,
+                startColumn: 1,
+                endLineNumber: position.lineNumber,
+                endColumn: word.startColumn
+            });
+            if (linePrefix.endsWith('.')) {
+                return { suggestions: getModelMemberSuggestions(model, position, linePrefix, range) };
+            }
+
             const suggestions = [
                 // Razor direktivy
                 {
@@ -162,58 +456,6 @@ export function registerRazorLanguage() {
                     range: range
                 },
 
-                // Razor control flow
-                {
-                    label: '@if',
-                    kind: monaco.languages.CompletionItemKind.Snippet,
-                    insertText: '@if (${1:condition})\n{\n\t$0\n}',
-                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                    documentation: 'If statement',
-                    range: range
-                },
-                {
-                    label: '@foreach',
-                    kind: monaco.languages.CompletionItemKind.Snippet,
-                    insertText: '@foreach (var ${1:item} in ${2:collection})\n{\n\t$0\n}',
-                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                    documentation: 'Foreach loop',
-                    range: range
-                },
-                {
-                    label: '@for',
-                    kind: monaco.languages.CompletionItemKind.Snippet,
-                    insertText: '@for (int ${1:i} = 0; ${1:i} < ${2:length}; ${1:i}++)\n{\n\t$0\n}',
-                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                    documentation: 'For loop',
-                    range: range
-                },
-                {
-                    label: '@while',
-                    kind: monaco.languages.CompletionItemKind.Snippet,
-                    insertText: '@while (${1:condition})\n{\n\t$0\n}',
-                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                    documentation: 'While loop',
-                    range: range
-                },
-                {
-                    label: '@switch',
-                    kind: monaco.languages.CompletionItemKind.Snippet,
-                    insertText: '@switch (${1:expression})\n{\n\tcase ${2:value}:\n\t\t$0\n\t\tbreak;\n}',
-                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                    documentation: 'Switch statement',
-                    range: range
-                },
-
-                // Code bloky
-                {
-                    label: '@{ }',
-                    kind: monaco.languages.CompletionItemKind.Snippet,
-                    insertText: '@{\n\t$0\n}',
-                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                    documentation: 'Code block',
-                    range: range
-                },
-
                 // Model reference
                 {
                     label: '@Model',
@@ -224,9 +466,129 @@ export function registerRazorLanguage() {
                 }
             ];
 
+            // Snippety - vestavěné konstrukce (@if, @foreach, ...) a sady registrované pro editor (razor-snippets.js)
+            suggestions.push(...getSnippetSuggestions(model, range, getModelMetadata(model)));
+
             return { suggestions: suggestions };
         }
     });
 
+    // Hover - informace o vlastnosti modelu pod kurzorem
+    monaco.languages.registerHoverProvider('razor', {
+        provideHover: (model, position) => {
+            const member = getMemberAtPosition(model, position);
+            if (!member) return null;
+
+            return {
+                range: member.range,
+                contents: getModelMemberHoverContents(member)
+            };
+        }
+    });
+
+    // Formátování - Format Document, Format Selection, formatOnPaste
+    monaco.languages.registerDocumentFormattingEditProvider('razor', {
+        provideDocumentFormattingEdits: (model, options) => {
+            return getFormattingEdits(model.getValue(), options);
+        }
+    });
+
+    monaco.languages.registerDocumentRangeFormattingEditProvider('razor', {
+        provideDocumentRangeFormattingEdits: (model, range, options) => {
+            return getFormattingEdits(model.getValue(), options, range.startLineNumber, range.endLineNumber);
+        }
+    });
+
+    // formatOnType - přeindentuje řádek po napsání } nebo >
+    monaco.languages.registerOnTypeFormattingEditProvider('razor', {
+        autoFormatTriggerCharacters: ['}', '>'],
+        provideOnTypeFormattingEdits: (model, position, ch, options) => {
+            return getFormattingEdits(model.getValue(), options, position.lineNumber, position.lineNumber);
+        }
+    });
+
+    // Symboly dokumentu - Go to Symbol (Ctrl+Shift+O), breadcrumbs a osnova Monaco
+    monaco.languages.registerDocumentSymbolProvider('razor', {
+        displayName: 'Razor',
+        provideDocumentSymbols: (model) => {
+            return toDocumentSymbols(model, buildOutline(model.getValue()));
+        }
+    });
+
     console.log('Razor language registered successfully');
 }
+
+/**
+ * Escapuje text pro markdown hover karty (znaky formátování a HTML se zobrazí doslova)
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/[\\`*_{}[\]()#+\-.!|<>~&]/g, '\\$&');
+}
+
+/**
+ * Obsah hover karty pro vlastnost modelu
+ */
+function getModelMemberHoverContents(member) {
+    const prop = member.property;
+
+    // Kurzor přímo na "Model"
+    if (!prop) {
+        return [
+            { value: '**Model**' },
+            { value: '`' + member.metadata.typeName + '`' }
+        ];
+    }
+
+    const contents = [
+        { value: `**${escapeMarkdown(prop.displayName || prop.name)}**` },
+        { value: '`' + prop.clrType + '`' + (prop.isCollection ? ' — collection' : '') }
+    ];
+
+    if (prop.description) {
+        contents.push({ value: escapeMarkdown(prop.description) });
+    }
+
+    contents.push({ value: `_Model.${member.path}_ · Ctrl+click to show in Model Properties` });
+    return contents;
+}
+
+/**
+ * Návrhy vlastností modelu pro výraz před kurzorem
+ * Používá metadata přiřazená přes setModelMetadata editoru (monaco-editor.js)
+ */
+function getModelMemberSuggestions(model, position, linePrefix, range) {
+    const metadata = getModelMetadata(model);
+    if (!metadata) return [];
+
+    // Výraz končící tečkou, např. "@Model.Customer." nebo "item.Address."
+    const match = /(?:^|[^\w.])@?([A-Za-z_]\w*(?:\.[A-Za-z_]\w*|\[[^\]]*\])*)\.$/.exec(linePrefix);
+    if (!match) return [];
+
+    const textBefore = model.getValueInRange({
+        startLineNumber: 1,
+        startColumn: 1,
+        endLineNumber: position.lineNumber,
+        endColumn: position.column
+    });
+
+    const segments = expressionToSegments(match[1], findLoopVariables(textBefore));
+    if (!segments) return [];
+
+    const resolved = resolveMemberPath(metadata.properties, segments);
+    if (!resolved || !resolved.members) return [];
+
+    return resolved.members.map((prop, index) => ({
+        label: prop.name,
+        kind: prop.isComplex || prop.isCollection
+            ? monaco.languages.CompletionItemKind.Module
+            : monaco.languages.CompletionItemKind.Property,
+        detail: prop.isCollection ? `${prop.clrType} (collection)` : prop.clrType,
+        documentation: {
+            value: `**${escapeMarkdown(prop.displayName || prop.name)}**` +
+                (prop.description ? `\n\n${escapeMarkdown(prop.description)}` : '')
+        },
+        insertText: prop.name,
+        sortText: String(index).padStart(4, '0'),
+        range: range
+    }));
+}
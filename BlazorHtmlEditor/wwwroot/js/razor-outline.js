@@ -0,0 +1,746 @@
+/**
+ * Osnova Razor šablony - strom HTML elementů a Razor bloků (@if, @foreach, @{ }, @section, ...)
+ * Pro panel Outline, breadcrumbs a symboly dokumentu v Monaco (Ctrl+Shift+O)
+ * Šablonu prochází stejně jako TemplateSourceAnnotator v .NET - přepíná mezi markupem a C# kódem
+ */
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// Elementy s volitelným koncovým tagem: otevírací tag elementu (klíč) uzavře otevřené elementy z closes,
+// pokud mezi nimi není element ze scope (jako parser HTML - <li> bez </li> nevnoří další <li>)
+const PARAGRAPH_END = { closes: ['p'], scope: ['button', 'table', 'td', 'th', 'caption', 'object', 'template'] };
+const IMPLIED_END_TAGS = {
+    li: { closes: ['li'], scope: ['ul', 'ol', 'menu'] },
+    dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+    dd: { closes: ['dt', 'dd'], scope: ['dl'] },
+    option: { closes: ['option'], scope: ['select', 'datalist', 'optgroup'] },
+    optgroup: { closes: ['option', 'optgroup'], scope: ['select'] },
+    tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+    td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    thead: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+    tbody: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+    tfoot: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] }
+};
+for (const name of [
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main', 'menu', 'nav',
+    'ol', 'p', 'pre', 'section', 'table', 'ul'
+]) {
+    IMPLIED_END_TAGS[name] = IMPLIED_END_TAGS[name] || PARAGRAPH_END;
+}
+// <li> a <dt>/<dd> uzavřou i odstavec
+for (const name of ['li', 'dt', 'dd']) {
+    const own = IMPLIED_END_TAGS[name];
+    IMPLIED_END_TAGS[name] = { closes: [...own.closes, 'p'], scope: own.scope };
+}
+
+const CONTROL_TRANSITION = /@(?:(?:if|foreach|for|while|switch|lock|try|do|functions|code)\b|using(?=\s*\()|section\s+[A-Za-z_]\w*)/y;
+const CONTROL_CONTINUATION = /(?:else|catch|finally|while)\b/y;
+
+// Příkazy s blokem uvnitř C# kódu (bez @)
+const CODE_STATEMENT = /^(?:if|else|foreach|for|while|switch|try|catch|finally|do|using|lock)\b/;
+
+const TAG_NAME_PATTERN = /[A-Za-z][\w\-:]*/y;
+const IDENTIFIER_PATTERN = /[A-Za-z_]\w*/y;
+
+// Maximální délka popisku uzlu
+const MAX_LABEL_LENGTH = 60;
+
+/**
+ * Druhy uzlů osnovy
+ */
+export const OUTLINE_KINDS = {
+    element: 'element',
+    block: 'block',
+    code: 'code',
+    section: 'section'
+};
+
+function matchAt(pattern, text, index) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    return match ? match[0] : null;
+}
+
+function label(text) {
+    const collapsed = text.replace(/\s+/g, ' ').trim();
+    return collapsed.length > MAX_LABEL_LENGTH ? `${collapsed.slice(0, MAX_LABEL_LENGTH - 1)}…` : collapsed;
+}
+
+/**
+ * Popisek elementu: div#main.card.wide
+ */
+function elementLabel(name, startTag) {
+    const id = /\sid\s*=\s*["']([^"'@]+)["']/i.exec(startTag);
+    const classes = /\sclass\s*=\s*["']([^"'@]*)["']/i.exec(startTag);
+    const classList = classes ? classes[1].split(/\s+/).filter(c => c) : [];
+
+    return `${name.toLowerCase()}${id ? `#${id[1]}` : ''}${classList.map(c => `.${c}`).join('')}`;
+}
+
+/**
+ * Procházení šablony s rámci: block (C# kód), element (markup), line (@: do konce řádku)
+ */
+class OutlineScanner {
+    constructor(text) {
+        this.text = text;
+        this.pos = 0;
+        this.stack = [];
+        this.roots = [];
+        this.afterControl = false;
+    }
+
+    run() {
+        const { text } = this;
+
+        while (this.pos < text.length) {
+            const top = this.stack[this.stack.length - 1];
+            if (top?.kind === 'block') {
+                this.scanCode(top);
+            } else {
+                this.scanMarkup();
+            }
+        }
+
+        // Neuzavřené elementy a bloky končí s dokumentem
+        this.stack.forEach(frame => this.endNode(frame, text.length));
+        return this.roots;
+    }
+
+    startsWith(value) {
+        return this.text.startsWith(value, this.pos);
+    }
+
+    addNode(node) {
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            if (this.stack[i].node) {
+                this.stack[i].node.children.push(node);
+                return node;
+            }
+        }
+
+        this.roots.push(node);
+        return node;
+    }
+
+    endNode(frame, end) {
+        if (frame.node && frame.node.end === null) {
+            frame.node.end = end;
+        }
+    }
+
+    scanMarkup() {
+        const { text } = this;
+        const ch = text[this.pos];
+
+        // @: markup končí s řádkem
+        if (ch === '\n' && this.endLineTransition()) {
+            this.pos++;
+            return;
+        }
+
+        if (/\s/.test(ch)) {
+            this.pos++;
+            return;
+        }
+
+        // else/catch/finally smí následovat jen hned za uzavřeným řídicím blokem
+        const wasAfterControl = this.afterControl;
+        this.afterControl = false;
+
+        let match;
+        if (this.startsWith('@*')) {
+            this.skipPast('*@', this.pos + 2);
+        } else if (this.startsWith('<!--')) {
+            this.skipPast('-->', this.pos + 4);
+        } else if (this.startsWith('@@')) {
+            this.pos += 2;
+        } else if (this.startsWith('@{')) {
+            const node = this.addNode(this.createNode(OUTLINE_KINDS.code, '@{ }', this.pos, this.pos + 2));
+            this.pos += 2;
+            this.stack.push({ kind: 'block', node, stmtStart: this.pos });
+        } else if (this.startsWith('@(')) {
+            this.pos = this.skipBalanced(this.pos + 1);
+        } else if ((match = matchAt(CONTROL_TRANSITION, text, this.pos))) {
+            const start = this.pos;
+            this.pos += match.length;
+            this.scanControlHeader(start);
+        } else if (wasAfterControl && (match = matchAt(CONTROL_CONTINUATION, text, this.pos))) {
+            const start = this.pos;
+            this.pos += match.length;
+            this.scanControlHeader(start);
+        } else if (ch === '@' && this.isIdentifierStart(this.pos + 1)) {
+            this.pos = this.skipImplicitExpression(this.pos + 1);
+        } else if (this.startsWith('</') && (match = matchAt(TAG_NAME_PATTERN, text, this.pos + 2))) {
+            this.closeElement(match);
+        } else if (ch === '<' && (match = matchAt(TAG_NAME_PATTERN, text, this.pos + 1))) {
+            this.openElement(match);
+        } else if (ch === '}' && this.isFirstOnLine(this.pos) && this.stack.some(f => f.kind === 'block')) {
+            // Neuzavřené elementy uvnitř bloku - složená závorka blok stejně ukončí
+            while (this.stack[this.stack.length - 1].kind !== 'block') {
+                this.endNode(this.stack.pop(), this.pos);
+            }
+
+            this.pos++;
+            this.closeBlock();
+        } else {
+            this.pos++;
+        }
+    }
+
+    scanCode(block) {
+        const { text } = this;
+        const ch = text[this.pos];
+        let match;
+
+        if (/\s/.test(ch)) {
+            this.pos++;
+        } else if (this.startsWith('//')) {
+            const end = text.indexOf('\n', this.pos);
+            this.skipCodeComment(block, end === -1 ? text.length : end);
+        } else if (this.startsWith('/*')) {
+            const end = text.indexOf('*/', this.pos + 2);
+            this.skipCodeComment(block, end === -1 ? text.length : end + 2);
+        } else if (this.startsWith('@*')) {
+            const end = text.indexOf('*@', this.pos + 2);
+            this.skipCodeComment(block, end === -1 ? text.length : end + 2);
+        } else if (this.startsWith('@:')) {
+            this.pos += 2;
+            this.stack.push({ kind: 'line' });
+        } else if (this.startsWith('@"') || this.startsWith('$@"') || this.startsWith('@$"')) {
+            this.pos = this.skipVerbatimString(text.indexOf('"', this.pos) + 1);
+            block.last = '"';
+        } else if (ch === '"' || ch === "'") {
+            this.pos = this.skipString(this.pos);
+            block.last = ch;
+        } else if (ch === '{') {
+            // if (...) { uvnitř kódu je také uzel osnovy
+            const raw = text.slice(block.stmtStart, this.pos);
+            const header = raw.trim();
+            const headerStart = block.stmtStart + raw.length - raw.trimStart().length;
+            const node = CODE_STATEMENT.test(header)
+                ? this.addNode(this.createNode(OUTLINE_KINDS.block, label(header), headerStart, this.pos + 1))
+                : null;
+
+            this.pos++;
+            block.last = '{';
+            this.stack.push({ kind: 'block', node, stmtStart: this.pos });
+        } else if (ch === '}') {
+            this.pos++;
+            this.closeBlock();
+        } else if (ch === ';') {
+            this.pos++;
+            block.last = ';';
+            block.stmtStart = this.pos;
+        } else if (ch === '<' && ['', '{', '}', ';', ':'].includes(block.last || '')
+            && (match = matchAt(TAG_NAME_PATTERN, text, this.pos + 1))) {
+            // HTML element uvnitř C# kódu
+            block.last = ';';
+            this.openElement(match);
+            block.stmtStart = this.pos;
+        } else if (ch === '@' && this.isIdentifierStart(this.pos + 1)) {
+            this.pos = this.skipImplicitExpression(this.pos + 1);
+            block.last = 'x';
+        } else {
+            block.last = ch;
+            this.pos++;
+        }
+    }
+
+    skipCodeComment(block, end) {
+        // Komentář před příkazem nepatří do jeho hlavičky
+        const statementEmpty = this.text.slice(block.stmtStart, this.pos).trim() === '';
+        this.pos = end;
+        if (statementEmpty) {
+            block.stmtStart = this.pos;
+        }
+    }
+
+    /**
+     * Přeskočí hlavičku řídicího příkazu (podmínky v závorkách, else if, ...) a vstoupí do jeho bloku
+     */
+    scanControlHeader(start) {
+        const { text } = this;
+
+        while (this.pos < text.length) {
+            const ch = text[this.pos];
+            let word;
+
+            if (/\s/.test(ch)) {
+                this.pos++;
+            } else if (ch === '(') {
+                this.pos = this.skipBalanced(this.pos);
+            } else if (ch === '{') {
+                const header = text.slice(start, this.pos);
+                const kind = /^@(?:code|functions)\b/.test(header) ? OUTLINE_KINDS.code
+                    : /^@section\b/.test(header) ? OUTLINE_KINDS.section
+                    : OUTLINE_KINDS.block;
+
+                this.pos++;
+                const node = this.addNode(this.createNode(kind, label(header), start, this.pos));
+                this.stack.push({ kind: 'block', node, control: true, stmtStart: this.pos });
+                return;
+            } else if ((word = matchAt(IDENTIFIER_PATTERN, text, this.pos))) {
+                this.pos += word.length;
+            } else {
+                // Nakonec to blok není - zbytek je markup
+                return;
+            }
+        }
+    }
+
+    createNode(kind, name, start, headerEnd) {
+        return { kind, name, start, headerEnd, end: null, children: [] };
+    }
+
+    closeBlock() {
+        const block = this.stack.pop();
+        this.endNode(block, this.pos);
+
+        const parent = this.stack[this.stack.length - 1];
+        if (parent?.kind === 'block') {
+            parent.last = '}';
+            parent.stmtStart = this.pos;
+        }
+
+        this.afterControl = !!block.control;
+    }
+
+    openElement(name) {
+        const { text } = this;
+        const start = this.pos;
+        this.pos += 1 + name.length;
+
+        const selfClosing = this.skipTagAttributes();
+        const headerEnd = this.pos;
+        const lowerName = name.toLowerCase();
+
+        this.closeImpliedElements(lowerName, start);
+
+        // <text> je jen obal pro Razor, nevykresluje se
+        if (lowerName === 'text') {
+            if (!selfClosing) {
+                this.stack.push({ kind: 'element', name: lowerName });
+            }
+            return;
+        }
+
+        const node = this.addNode(this.createNode(
+            OUTLINE_KINDS.element,
+            elementLabel(name, text.slice(start, headerEnd)),
+            start,
+            headerEnd
+        ));
+
+        if (selfClosing || VOID_ELEMENTS.has(lowerName)) {
+            node.end = headerEnd;
+            return;
+        }
+
+        if (RAW_TEXT_ELEMENTS.has(lowerName)) {
+            // CSS/JavaScript až za uzavírací tag
+            const close = text.toLowerCase().indexOf(`</${lowerName}`, this.pos);
+            if (close === -1) {
+                this.pos = text.length;
+            } else {
+                this.skipPast('>', close);
+            }
+            node.end = this.pos;
+            return;
+        }
+
+        this.stack.push({ kind: 'element', name: lowerName, node });
+    }
+
+    /**
+     * Uzavře elementy, jejichž koncový tag chybí a které otevírací tag name ukončí (<li> předchozí <li>, <p> před <div>, ...)
+     * Nikdy přes blok kódu ani řádek @:
+     */
+    closeImpliedElements(name, end) {
+        const implied = IMPLIED_END_TAGS[name];
+        if (!implied) return;
+
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            const frame = this.stack[i];
+            if (frame.kind !== 'element' || implied.scope.includes(frame.name)) return;
+
+            if (implied.closes.includes(frame.name)) {
+                while (this.stack.length > i) {
+                    this.endNode(this.stack.pop(), end);
+                }
+                // <tr> po neuzavřeném <td> uzavře i řádek, ve kterém buňka je
+                i = this.stack.length;
+            }
+        }
+    }
+
+    closeElement(name) {
+        const closeStart = this.pos;
+        this.skipPast('>', this.pos);
+        const lowerName = name.toLowerCase();
+
+        // Uzavře odpovídající element; přes blok kódu nikdy
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            const frame = this.stack[i];
+            if (frame.kind !== 'element') return;
+
+            if (frame.name === lowerName) {
+                while (this.stack.length > i + 1) {
+                    this.endNode(this.stack.pop(), closeStart);
+                }
+                this.endNode(this.stack.pop(), this.pos);
+
+                const parent = this.stack[this.stack.length - 1];
+                if (parent?.kind === 'block') {
+                    parent.stmtStart = this.pos;
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Ukončí nejvnitřnější @: řádek (i s elementy na něm neuzavřenými)
+     * Vrací false, pokud v aktuálním bloku kódu žádný není
+     */
+    endLineTransition() {
+        for (let i = this.stack.length - 1; i >= 0; i--) {
+            if (this.stack[i].kind === 'block') return false;
+
+            if (this.stack[i].kind === 'line') {
+                while (this.stack.length > i) {
+                    this.endNode(this.stack.pop(), this.pos);
+                }
+
+                const parent = this.stack[this.stack.length - 1];
+                if (parent?.kind === 'block') {
+                    parent.stmtStart = this.pos;
+                }
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Přeskočí atributy až za '>' počátečního tagu; vrací true pro <br />
+     */
+    skipTagAttributes() {
+        const { text } = this;
+        let quote = null;
+
+        while (this.pos < text.length) {
+            const ch = text[this.pos];
+
+            if (this.startsWith('@(')) {
+                // Razor výraz může obsahovat uvozovky i '>'
+                this.pos = this.skipBalanced(this.pos + 1);
+                continue;
+            }
+
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '>') {
+                const selfClosing = text.slice(0, this.pos).trimEnd().endsWith('/');
+                this.pos++;
+                return selfClosing;
+            }
+
+            this.pos++;
+        }
+
+        return false;
+    }
+
+    skipBalanced(start) {
+        const { text } = this;
+        let depth = 0;
+        let i = start;
+
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '"' || ch === "'") {
+                i = this.skipString(i);
+                continue;
+            }
+
+            i++;
+            if (ch === '(' || ch === '[') {
+                depth++;
+            } else if (ch === ')' || ch === ']') {
+                depth--;
+                if (depth <= 0) return i;
+            }
+        }
+
+        return i;
+    }
+
+    skipImplicitExpression(start) {
+        const { text } = this;
+        let i = start + (matchAt(IDENTIFIER_PATTERN, text, start) || '').length;
+
+        while (i < text.length) {
+            if (text[i] === '.' && this.isIdentifierStart(i + 1)) {
+                i += 1 + matchAt(IDENTIFIER_PATTERN, text, i + 1).length;
+            } else if (text[i] === '(' || text[i] === '[') {
+                i = this.skipBalanced(i);
+            } else {
+                break;
+            }
+        }
+
+        return i;
+    }
+
+    skipString(start) {
+        const { text } = this;
+        const quote = text[start];
+        let i = start + 1;
+
+        while (i < text.length && text[i] !== '\n') {
+            if (text[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (text[i++] === quote) break;
+        }
+
+        return Math.min(i, text.length);
+    }
+
+    skipVerbatimString(start) {
+        const { text } = this;
+        let i = start;
+
+        while (i < text.length) {
+            if (text[i] === '"') {
+                if (text[i + 1] === '"') {
+                    i += 2;
+                    continue;
+                }
+                return i + 1;
+            }
+            i++;
+        }
+
+        return i;
+    }
+
+    skipPast(marker, from) {
+        const index = this.text.indexOf(marker, from);
+        this.pos = index === -1 ? this.text.length : index + marker.length;
+    }
+
+    isIdentifierStart(index) {
+        return index < this.text.length && /[A-Za-z_]/.test(this.text[index]);
+    }
+
+    isFirstOnLine(index) {
+        for (let i = index - 1; i >= 0 && this.text[i] !== '\n'; i--) {
+            if (!/\s/.test(this.text[i])) return false;
+        }
+        return true;
+    }
+}
+
+/**
+ * Sestaví osnovu šablony
+ * Vrací strom uzlů { kind, name, start, headerEnd, end, children } s offsety znaků (end exkluzivně);
+ * headerEnd je konec počátečního tagu nebo hlavičky bloku
+ */
+export function buildOutline(text) {
+    return text ? new OutlineScanner(text).run() : [];
+}
+
+/**
+ * Cesta uzlů od kořene k nejvnitřnějšímu uzlu obsahujícímu offset (pro breadcrumbs)
+ */
+export function findOutlinePath(nodes, offset) {
+    const path = [];
+    let level = nodes;
+
+    while (level) {
+        const node = level.find(n => n.start <= offset && offset < n.end);
+        if (!node) break;
+
+        path.push(node);
+        level = node.children;
+    }
+
+    return path;
+}
+
+/**
+ * Klíč uzlu pro zvýraznění v panelu (GrapesJS uzly mají vlastní klíč - cid komponenty)
+ */
+export function getOutlineKey(node) {
+    return node.key ?? `${node.start}-${node.end}`;
+}
+
+/**
+ * Převede osnovu na symboly dokumentu pro Monaco (Go to Symbol, Ctrl+Shift+O)
+ */
+export function toDocumentSymbols(model, nodes) {
+    const kinds = {
+        [OUTLINE_KINDS.element]: monaco.languages.SymbolKind.Field,
+        [OUTLINE_KINDS.block]: monaco.languages.SymbolKind.Module,
+        [OUTLINE_KINDS.code]: monaco.languages.SymbolKind.Function,
+        [OUTLINE_KINDS.section]: monaco.languages.SymbolKind.Namespace
+    };
+
+    const toRange = (start, end) => {
+        const from = model.getPositionAt(start);
+        const to = model.getPositionAt(end);
+        return new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column);
+    };
+
+    const convert = (node) => ({
+        name: node.name,
+        detail: '',
+        kind: kinds[node.kind],
+        tags: [],
+        range: toRange(node.start, node.end),
+        selectionRange: toRange(node.start, node.headerEnd),
+        children: node.children.map(convert)
+    });
+
+    return nodes.map(convert);
+}
+
+// Styly panelu osnovy a breadcrumbs (vkládají se do stránky jednou)
+const OUTLINE_STYLE_ID = 'razor-outline-style';
+const OUTLINE_STYLES = `
+    .razor-outline { list-style: none; margin: 0; padding: 0; font-size: 12px; font-family: monospace; }
+    .razor-outline .razor-outline { padding-left: 12px; }
+    .razor-outline-item { padding: 2px 8px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; cursor: pointer; color: var(--bhe-chrome-text, #333); }
+    .razor-outline-item:hover { background: var(--bhe-chrome-background-alt, #e9ecef); }
+    .razor-outline-item:focus { outline: 1px solid #66a3e0; outline-offset: -1px; }
+    .razor-outline-item.selected { background: var(--bhe-chrome-background-alt, #d0e4f7); color: var(--bhe-chrome-accent, #0066cc); }
+    .razor-outline-block, .razor-outline-code, .razor-outline-section { color: var(--bhe-chrome-razor, #8a4f00); }
+    .razor-outline-empty { padding: 8px; color: var(--bhe-chrome-muted, #888); font-size: 12px; }
+    .razor-breadcrumbs { display: flex; flex-wrap: nowrap; gap: 2px; overflow: hidden; padding: 2px 8px; font-size: 12px; font-family: monospace; color: var(--bhe-chrome-muted, #666); background: var(--bhe-chrome-background, #fafafa); border-bottom: 1px solid var(--bhe-chrome-border, #eee); white-space: nowrap; }
+    .razor-breadcrumb { cursor: pointer; padding: 0 2px; border-radius: 2px; }
+    .razor-breadcrumb:hover { background: var(--bhe-chrome-background-alt, #e9ecef); color: var(--bhe-chrome-accent, #0066cc); }
+    .razor-breadcrumb-separator { color: #aaa; }
+`;
+
+function ensureOutlineStyles() {
+    if (document.getElementById(OUTLINE_STYLE_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = OUTLINE_STYLE_ID;
+    style.textContent = OUTLINE_STYLES;
+    document.head.appendChild(style);
+}
+
+/**
+ * Vykreslí osnovu do panelu; klik (nebo Enter) na uzel volá onSelect(node)
+ * Pozice scrollu panelu se zachová
+ */
+export function renderOutline(container, nodes, onSelect) {
+    if (!container) return;
+    ensureOutlineStyles();
+
+    const scrollTop = container.scrollTop;
+    container.innerHTML = '';
+
+    if (nodes.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'razor-outline-empty';
+        empty.textContent = 'No elements';
+        container.appendChild(empty);
+        return;
+    }
+
+    const renderLevel = (level, isRoot) => {
+        const list = document.createElement('ul');
+        list.className = 'razor-outline';
+        if (isRoot) list.setAttribute('role', 'tree');
+
+        for (const node of level) {
+            const li = document.createElement('li');
+            li.setAttribute('role', 'treeitem');
+
+            const item = document.createElement('div');
+            item.className = `razor-outline-item razor-outline-${node.kind}`;
+            item.dataset.outlineKey = getOutlineKey(node);
+            item.tabIndex = 0;
+            item.textContent = node.name;
+            item.title = node.name;
+            item.addEventListener('click', () => onSelect(node));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') onSelect(node);
+            });
+
+            li.appendChild(item);
+            if (node.children.length > 0) {
+                li.appendChild(renderLevel(node.children, false));
+            }
+            list.appendChild(li);
+        }
+
+        return list;
+    };
+
+    container.appendChild(renderLevel(nodes, true));
+    container.scrollTop = scrollTop;
+}
+
+/**
+ * Zvýrazní uzel v panelu osnovy (null zvýraznění zruší)
+ */
+export function highlightOutline(container, key) {
+    if (!container) return;
+
+    container.querySelectorAll('.razor-outline-item.selected').forEach(el => {
+        el.classList.remove('selected');
+        el.removeAttribute('aria-selected');
+    });
+
+    if (key === null || key === undefined) return;
+
+    const item = [...container.querySelectorAll('.razor-outline-item')]
+        .find(el => el.dataset.outlineKey === String(key));
+    if (item) {
+        item.classList.add('selected');
+        item.setAttribute('aria-selected', 'true');
+        item.scrollIntoView?.({ block: 'nearest' });
+    }
+}
+
+/**
+ * Vykreslí breadcrumbs (cestu k uzlu pod kurzorem); klik na část volá onSelect(node)
+ */
+export function renderBreadcrumbs(container, path, onSelect) {
+    if (!container) return;
+    ensureOutlineStyles();
+
+    container.innerHTML = '';
+    container.classList.add('razor-breadcrumbs');
+
+    path.forEach((node, index) => {
+        if (index > 0) {
+            const separator = document.createElement('span');
+            separator.className = 'razor-breadcrumb-separator';
+            separator.textContent = '›';
+            container.appendChild(separator);
+        }
+
+        const crumb = document.createElement('span');
+        crumb.className = 'razor-breadcrumb';
+        crumb.textContent = node.name;
+        crumb.title = node.name;
+        crumb.addEventListener('click', () => onSelect(node));
+        container.appendChild(crumb);
+    });
+}
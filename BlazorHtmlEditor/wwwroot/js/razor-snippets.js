@@ -0,0 +1,136 @@
+/**
+ * Knihovna snippetů Razor editoru - vestavěné konstrukce (@if, @foreach, ...) a sady hostitelské aplikace
+ * Sady se registrují pro každý editor zvlášť (podle ID editoru = authority URI jeho modelů).
+ * Snippet: { prefix, body, description }; body používá syntaxi snippetů Monaca ($1, ${1:text}, ${1|a,b|}, $0).
+ * Volby podle modelu: ${1|@Model.*|} nabídne vlastnosti modelu, ${1|@Model.*[]|} jeho kolekce.
+ */
+
+// Název sady vestavěných snippetů
+export const BUILT_IN_SET = 'razor';
+
+// Vestavěné snippety Razor konstrukcí
+const BUILT_IN_SNIPPETS = [
+    { prefix: '@if', body: '@if (${1:condition})\n{\n\t$0\n}', description: 'If statement' },
+    { prefix: '@foreach', body: '@foreach (var ${1:item} in ${2|@Model.*[]|})\n{\n\t$0\n}', description: 'Foreach loop' },
+    { prefix: '@for', body: '@for (int ${1:i} = 0; ${1:i} < ${2:length}; ${1:i}++)\n{\n\t$0\n}', description: 'For loop' },
+    { prefix: '@while', body: '@while (${1:condition})\n{\n\t$0\n}', description: 'While loop' },
+    { prefix: '@switch', body: '@switch (${1:expression})\n{\n\tcase ${2:value}:\n\t\t$0\n\t\tbreak;\n}', description: 'Switch statement' },
+    { prefix: '@{ }', body: '@{\n\t$0\n}', description: 'Code block' }
+];
+
+// Volby ${n|@Model.*|} a ${n|@Model.*[]|}
+const MODEL_CHOICE_PATTERN = /\$\{(\d+)\|@Model\.\*(\[\])?\|\}/g;
+
+// Sady editorů: { editorId: Map(název sady -> snippety) }
+const setsByEditor = new Map();
+
+/**
+ * Zkontroluje a normalizuje snippet (prefix a body jsou povinné)
+ */
+function normalizeSnippet(snippet) {
+    if (!snippet || !snippet.prefix || typeof snippet.body !== 'string') {
+        throw new Error('A snippet needs a prefix and a body');
+    }
+    return { prefix: snippet.prefix, body: snippet.body, description: snippet.description || '' };
+}
+
+/**
+ * Zaregistruje (nebo nahradí) sadu snippetů editoru
+ */
+export function registerSnippets(editorId, setName, snippets) {
+    if (!setName || setName === BUILT_IN_SET) {
+        throw new Error(`Invalid snippet set name: ${setName}`);
+    }
+
+    const normalized = (snippets || []).map(normalizeSnippet);
+    if (!setsByEditor.has(editorId)) {
+        setsByEditor.set(editorId, new Map());
+    }
+    setsByEditor.get(editorId).set(setName, normalized);
+}
+
+/**
+ * Odebere sadu snippetů editoru
+ */
+export function unregisterSnippets(editorId, setName) {
+    const sets = setsByEditor.get(editorId);
+    if (!sets) return;
+
+    sets.delete(setName);
+    if (sets.size === 0) {
+        setsByEditor.delete(editorId);
+    }
+}
+
+/**
+ * Odebere všechny sady editoru (při jeho zrušení)
+ */
+export function clearSnippets(editorId) {
+    setsByEditor.delete(editorId);
+}
+
+/**
+ * Všechny snippety editoru: vestavěné a za nimi registrované sady, [{ set, prefix, body, description }]
+ */
+export function getSnippets(editorId) {
+    const result = BUILT_IN_SNIPPETS.map(snippet => ({ set: BUILT_IN_SET, ...snippet }));
+    for (const [set, snippets] of setsByEditor.get(editorId) || []) {
+        result.push(...snippets.map(snippet => ({ set, ...snippet })));
+    }
+    return result;
+}
+
+/**
+ * Najde snippet editoru podle prefixu (a případně sady); při shodě prefixů vyhrává později registrovaná sada
+ */
+export function findSnippet(editorId, prefix, setName = null) {
+    const matches = getSnippets(editorId).filter(s => s.prefix === prefix && (!setName || s.set === setName));
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Výrazy modelu pro volby snippetu: vlastnosti (bez kolekcí a složených typů), nebo kolekce
+ * Prvky kolekcí se neprochází - jejich cesty ([]) nejsou platné výrazy
+ */
+function collectModelExpressions(properties, collections, result = []) {
+    for (const property of properties || []) {
+        const expression = `@Model.${property.path || property.name}`;
+        if (property.isCollection) {
+            if (collections) result.push(expression);
+        } else if (property.children && property.children.length > 0) {
+            collectModelExpressions(property.children, collections, result);
+        } else if (!collections) {
+            result.push(expression);
+        }
+    }
+    return result;
+}
+
+/**
+ * Rozbalí volby podle modelu v těle snippetu na výrazy z metadat modelu (TemplateModelMeta)
+ * Bez metadat (nebo bez vhodné vlastnosti) zůstane místo volby zástupný text @Model
+ */
+export function expandModelChoices(body, metadata) {
+    return body.replace(MODEL_CHOICE_PATTERN, (match, index, collections) => {
+        const expressions = collectModelExpressions(metadata?.properties, !!collections)
+            .map(expression => expression.replace(/[\\,|]/g, '\\$&'));
+        return expressions.length > 0
+            ? `\${${index}|${expressions.join(',')}|}`
+            : `\${${index}:@Model}`;
+    });
+}
+
+/**
+ * Položky IntelliSense pro snippety editoru modelu (editor se pozná podle authority URI modelu)
+ */
+export function getSnippetSuggestions(model, range, metadata) {
+    return getSnippets(model.uri.authority).map(snippet => ({
+        label: snippet.prefix,
+        kind: monaco.languages.CompletionItemKind.Snippet,
+        insertText: expandModelChoices(snippet.body, metadata),
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        detail: snippet.set === BUILT_IN_SET ? undefined : snippet.set,
+        documentation: snippet.description,
+        range: range
+    }));
+}